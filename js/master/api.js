@@ -0,0 +1,303 @@
+// -------------------------------------------------
+// --------------------- API -----------------------
+// -------------------------------------------------
+// Promise based interface to embed the emulator into other web pages.
+// The parameters are the same as for jor1kGUI.
+//
+//   var jor1k = new Jor1k.API(parameters);
+//   jor1k.on("output", function(tty, text) { ... });
+//   jor1k.boot()
+//   .then(function() { return jor1k.waitForOutput("tty0", /~ \$/); })
+//   .then(function() { return jor1k.writeFile("home/user/hello.c", "int main() {return 0;}"); })
+//   .then(function() { return jor1k.sendInput("tty0", "gcc hello.c && ./a.out; echo $?\n"); })
+//   .then(function() { return jor1k.waitForOutput("tty0", /^(\d+)\r?$/m); })
+//   .then(function(match) { ... });
+//
+// Methods:
+//   boot()                           starts the worker and the emulator. Resolves when the kernel
+//                                    has been loaded and the emulation runs
+//   pause(), resume(), reset()
+//   writeFile(path, data, share)     data is a string or an Uint8Array
+//   readFile(path, encoding, share)  resolves with an Uint8Array or with a string for encoding "utf8"
+//   listDir(path, share)             resolves with the names of the directory entries
+//   stat(path, share)                resolves with {name, size, mode, uid, gid, atime, mtime, ctime, ...}
+//   sendInput(tty, text)             tty is "tty0" or "tty1"
+//   waitForOutput(tty, regex, timeout)
+//                                    resolves with the match in the output received after the call
+//   destroy()                        terminates the worker and removes the handlers installed by jor1kGUI
+//   on(event, callback), off(event, callback)
+//                                    events are "output" (tty, text), "abort" () and "ips" (ips)
+// The paths are relative to the root directory of the filesystem, e.g. "home/user".
+// The optional share is the tag of an additional 9p share given in system.shares.
+// All methods except on and off return promises.
+
+"use strict";
+
+var jor1kGUI = require('./system');
+var message = require('./messagehandler');
+var UTF8 = require('../lib/utf8');
+
+var TTYS = ["tty0", "tty1"];
+
+// maximum number of characters kept for waitForOutput
+var MAXOUTPUT = 0x10000;
+
+function StringToUTF8(str) {
+    var bytes = [];
+    for(var i=0; i<str.length; i++) {
+        var c = str.charCodeAt(i);
+        // surrogate pair
+        if ((c >= 0xD800) && (c < 0xDC00) && (i+1 < str.length)) {
+            c = 0x10000 + ((c - 0xD800) << 10) + (str.charCodeAt(++i) - 0xDC00);
+        }
+        var utf8 = UTF8.UnicodeToUTF8Stream(c);
+        for(var j=0; j<utf8.length; j++) bytes.push(utf8[j]);
+    }
+    return bytes;
+}
+
+function CodeToString(c) {
+    if (c < 0x10000) return String.fromCharCode(c);
+    c -= 0x10000;
+    return String.fromCharCode(0xD800 + (c >> 10), 0xDC00 + (c & 0x3FF));
+}
+
+function UTF8ToString(bytes) {
+    var decoder = new UTF8.UTF8StreamToUnicode();
+    var str = "";
+    for(var i=0; i<bytes.length; i++) {
+        var c = decoder.Put(bytes[i]);
+        if (c != -1) str += CodeToString(c);
+    }
+    return str;
+}
+
+function EscapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// The messages of an additional share are prefixed with its tag
+function FSCommand(command, share) {
+    return share ? share + "." + command : command;
+}
+
+function API(parameters) {
+    this.parameters = parameters;
+    this.gui = null;
+    this.listeners = {output: [], abort: [], ips: []};
+    this.waiting = []; // pending waitForOutput calls
+    this.decoders = {};
+    this.handlers = {}; // handlers added to the message handler
+    this.booting = null; // {resolve, reject} of the pending boot call
+}
+
+API.prototype.on = function(event, callback) {
+    if (!this.listeners[event]) throw new Error("Unknown event: " + event);
+    this.listeners[event].push(callback);
+    return this;
+};
+
+API.prototype.off = function(event, callback) {
+    if (!this.listeners[event]) throw new Error("Unknown event: " + event);
+    var index = this.listeners[event].indexOf(callback);
+    if (index >= 0) this.listeners[event].splice(index, 1);
+    return this;
+};
+
+API.prototype.Emit = function(event, args) {
+    var listeners = this.listeners[event].slice();
+    for(var i=0; i<listeners.length; i++) {
+        listeners[i].apply(null, args);
+    }
+};
+
+API.prototype.AddHandler = function(command, handler) {
+    this.handlers[command] = handler;
+    message.AddListener(command, handler);
+};
+
+API.prototype.RemoveHandlers = function() {
+    for (var command in this.handlers) {
+        if (!this.handlers.hasOwnProperty(command)) continue;
+        message.RemoveListener(command, this.handlers[command]);
+    }
+    this.handlers = {};
+};
+
+API.prototype.GetGUI = function() {
+    if (!this.gui) throw new Error("The emulator is not running");
+    return this.gui;
+};
+
+API.prototype.boot = function() {
+    if (this.gui) return Promise.reject(new Error("The emulator is already running"));
+
+    return new Promise(function(resolve, reject) {
+        TTYS.forEach(function(tty) {
+            this.decoders[tty] = new UTF8.UTF8StreamToUnicode();
+            this.AddHandler(tty, this.OnOutput.bind(this, tty));
+        }.bind(this));
+        this.AddHandler("Abort", this.OnAbort.bind(this));
+        this.AddHandler("GetIPS", function(ips) {
+            this.Emit("ips", [ips]);
+        }.bind(this));
+        // jor1kGUI loads the kernel, when the worker is ready.
+        // The worker sends the first "execute", when the emulation starts.
+        this.booting = {resolve: resolve, reject: reject};
+        this.AddHandler("execute", this.OnExecute.bind(this));
+        try {
+            this.gui = new jor1kGUI(this.parameters);
+        } catch(error) {
+            this.booting = null;
+            this.RemoveHandlers();
+            reject(error);
+        }
+    }.bind(this));
+};
+
+API.prototype.OnExecute = function() {
+    message.RemoveListener("execute", this.handlers.execute);
+    delete this.handlers.execute;
+    if (!this.booting) return;
+    this.booting.resolve();
+    this.booting = null;
+};
+
+API.prototype.RejectBoot = function(reason) {
+    if (!this.booting) return;
+    this.booting.reject(new Error(reason));
+    this.booting = null;
+};
+
+API.prototype.OnOutput = function(tty, chars) {
+    var decoder = this.decoders[tty];
+    var text = "";
+    for(var i=0; i<chars.length; i++) {
+        var c = decoder.Put(chars[i] & 0xFF);
+        if (c != -1) text += CodeToString(c);
+    }
+    if (text.length == 0) return;
+    this.Emit("output", [tty, text]);
+
+    var waiting = this.waiting.slice();
+    for(var i=0; i<waiting.length; i++) {
+        var w = waiting[i];
+        if (w.tty != tty) continue;
+        w.output = (w.output + text).slice(-MAXOUTPUT);
+        var match = w.output.match(w.regex);
+        if (!match) continue;
+        this.StopWaiting(w);
+        w.resolve(match);
+    }
+};
+
+API.prototype.OnAbort = function() {
+    this.Emit("abort", []);
+    this.RejectBoot("The emulator has been aborted");
+    this.RejectWaiting("The emulator has been aborted");
+};
+
+API.prototype.StopWaiting = function(w) {
+    var index = this.waiting.indexOf(w);
+    if (index >= 0) this.waiting.splice(index, 1);
+    if (w.timer) clearTimeout(w.timer);
+};
+
+API.prototype.RejectWaiting = function(reason) {
+    var waiting = this.waiting;
+    this.waiting = [];
+    for(var i=0; i<waiting.length; i++) {
+        if (waiting[i].timer) clearTimeout(waiting[i].timer);
+        waiting[i].reject(new Error(reason));
+    }
+};
+
+API.prototype.pause = function() {
+    try {
+        this.GetGUI().Pause(true);
+    } catch(error) {
+        return Promise.reject(error);
+    }
+    return Promise.resolve();
+};
+
+API.prototype.resume = function() {
+    try {
+        this.GetGUI().Pause(false);
+    } catch(error) {
+        return Promise.reject(error);
+    }
+    return Promise.resolve();
+};
+
+API.prototype.reset = function() {
+    try {
+        this.GetGUI().Reset();
+    } catch(error) {
+        return Promise.reject(error);
+    }
+    return Promise.resolve();
+};
+
+API.prototype.writeFile = function(path, data, share) {
+    if (typeof data == "string") data = new Uint8Array(StringToUTF8(data));
+    return message.Request(FSCommand("MergeFile", share), {name: path, data: data});
+};
+
+API.prototype.readFile = function(path, encoding, share) {
+    return message.Request(FSCommand("ReadFile", share), {name: path}).then(function(file) {
+        if (!file) throw new Error("No such file: " + path);
+        var data = file.data.subarray(0, file.size);
+        if (encoding == "utf8") return UTF8ToString(data);
+        return data;
+    });
+};
+
+API.prototype.listDir = function(path, share) {
+    return message.Request(FSCommand("ReadDirectory", share), path);
+};
+
+API.prototype.stat = function(path, share) {
+    return message.Request(FSCommand("Stat", share), path);
+};
+
+API.prototype.sendInput = function(tty, text) {
+    var chars = (typeof text == "string") ? StringToUTF8(text) : Array.prototype.slice.call(text);
+    try {
+        this.GetGUI();
+    } catch(error) {
+        return Promise.reject(error);
+    }
+    message.Send(tty, chars);
+    // the RISC-V machine uses the terminal of the HTIF
+    if (tty == "tty0") message.Send("htif.term0.Transfer", chars);
+    return Promise.resolve();
+};
+
+// A timeout of 0 or undefined waits forever
+API.prototype.waitForOutput = function(tty, regex, timeout) {
+    if (typeof regex == "string") regex = new RegExp(EscapeRegExp(regex));
+    return new Promise(function(resolve, reject) {
+        var w = {tty: tty, regex: regex, output: "", resolve: resolve, reject: reject, timer: null};
+        if (timeout > 0) {
+            w.timer = setTimeout(function() {
+                this.StopWaiting(w);
+                reject(new Error("Timeout while waiting for " + regex + " on " + tty));
+            }.bind(this), timeout);
+        }
+        this.waiting.push(w);
+    }.bind(this));
+};
+
+API.prototype.destroy = function() {
+    if (this.gui) {
+        this.gui.Destroy();
+        this.gui = null;
+    }
+    this.RemoveHandlers();
+    this.RejectBoot("The emulator has been destroyed");
+    this.RejectWaiting("The emulator has been destroyed");
+    return Promise.resolve();
+};
+
+module.exports = API;
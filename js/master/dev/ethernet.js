@@ -72,6 +72,7 @@ Ethernet.prototype.SendFrame = function(data) {
 }
 
 Ethernet.prototype.Close = function() {
+    if (typeof this.socket == "undefined") return;
     this.socket.onclose = undefined;
     this.socket.close();
 }
@@ -0,0 +1,116 @@
+// -------------------------------------------------
+// ----------------- FETCH PROXY -------------------
+// -------------------------------------------------
+// Default TCP handler of the user network. HTTP requests to port 80
+// are executed with fetch and the response is sent back with "Connection: close".
+// The browser allows only requests to servers which support CORS,
+// so the URL can be prefixed with the URL of a proxy.
+
+"use strict";
+
+var message = require('../messagehandler');
+
+// headers, which are handled by the browser
+var SKIPHEADERS = ["host", "connection", "content-length", "transfer-encoding", "content-encoding", "keep-alive", "proxy-connection"];
+
+function BytesToString(data) {
+    var str = "";
+    for(var i=0; i<data.length; i++) str += String.fromCharCode(data[i]);
+    return str;
+}
+
+function Concat(a, b) {
+    var c = new Uint8Array(a.length + b.length);
+    c.set(a, 0);
+    c.set(b, a.length);
+    return c;
+}
+
+// Returns the position after the end of the header or -1
+function FindHeaderEnd(data) {
+    for(var i=3; i<data.length; i++) {
+        if ((data[i-3] == 13) && (data[i-2] == 10) && (data[i-1] == 13) && (data[i] == 10)) return i+1;
+    }
+    return -1;
+}
+
+function ParseRequest(data) {
+    var end = FindHeaderEnd(data);
+    if (end == -1) return null;
+    var lines = BytesToString(data.subarray(0, end)).split("\r\n");
+    var requestline = lines[0].split(" ");
+    var request = {method: requestline[0], path: requestline[1], headers: {}, body: null};
+    for(var i=1; i<lines.length; i++) {
+        var colon = lines[i].indexOf(":");
+        if (colon <= 0) continue;
+        request.headers[lines[i].substr(0, colon).trim().toLowerCase()] = lines[i].substr(colon+1).trim();
+    }
+    var length = parseInt(request.headers["content-length"]) || 0;
+    if (data.length < end + length) return null;
+    if (length) request.body = data.slice(end, end + length);
+    return request;
+}
+
+function SendResponse(connection, status, statustext, headers, body) {
+    var str = "HTTP/1.0 " + status + " " + statustext + "\r\n";
+    for(var i=0; i<headers.length; i++) {
+        str += headers[i][0] + ": " + headers[i][1] + "\r\n";
+    }
+    str += "Content-Length: " + body.length + "\r\n";
+    str += "Connection: close\r\n\r\n";
+    connection.Send(str);
+    connection.Send(body);
+    connection.Close();
+}
+
+function HandleRequest(proxyURL, connection, request) {
+    var host = request.headers.host || connection.host;
+    // requests via a proxy contain the full URL
+    var url = (request.path.indexOf("http://") == 0) ? request.path : "http://" + host + request.path;
+
+    var headers = {};
+    for (var name in request.headers) {
+        if (!request.headers.hasOwnProperty(name)) continue;
+        if (SKIPHEADERS.indexOf(name) >= 0) continue;
+        headers[name] = request.headers[name];
+    }
+
+    fetch(proxyURL + url, {method: request.method, headers: headers, body: request.body})
+    .then(function(response) {
+        return response.arrayBuffer().then(function(buffer) {
+            var headers = [];
+            response.headers.forEach(function(value, name) {
+                if (SKIPHEADERS.indexOf(name.toLowerCase()) >= 0) return;
+                headers.push([name, value]);
+            });
+            SendResponse(connection, response.status, response.statusText, headers, new Uint8Array(buffer));
+        });
+    })
+    .catch(function(error) {
+        message.Debug("Fetch proxy: Request to " + url + " failed: " + error);
+        var text = "Request to " + url + " failed\n";
+        var body = new Uint8Array(text.length);
+        for(var i=0; i<text.length; i++) body[i] = text.charCodeAt(i);
+        SendResponse(connection, 502, "Bad Gateway", [["Content-Type", "text/plain"]], body);
+    });
+}
+
+// Returns a handler for the TCP connections of the user network
+function FetchProxy(proxyURL) {
+    return function(connection) {
+        if (connection.port != 80) return false;
+        var data = new Uint8Array(0);
+        var done = false;
+        connection.ondata = function(received) {
+            if (done) return;
+            data = Concat(data, received);
+            var request = ParseRequest(data);
+            if (!request) return;
+            done = true;
+            HandleRequest(proxyURL, connection, request);
+        };
+        return true;
+    };
+}
+
+module.exports = FetchProxy;
@@ -4,9 +4,11 @@ var utils = require('../utils');
 
 "use strict";
 
-function Filesystem(syncURL, userid) {
+// share is the tag of an additional 9p share. Without it the root filesystem is addressed
+function Filesystem(syncURL, userid, share) {
     this.syncURL = syncURL;
     this.userid = userid;
+    this.prefix = share ? share + "." : "";
 }
 
 Filesystem.prototype.TAR = function(path) {
@@ -14,13 +16,13 @@ Filesystem.prototype.TAR = function(path) {
         path = "/home/user";
     }
     var arrayPath = path.split('/');
-    message.Register("tar", function(d){download(d, arrayPath[arrayPath.length-1]+".tar", "application/x-tar");} );
-    message.Send("tar", path);
+    return message.Request(this.prefix + "tar", path, 0).then(function(d) {
+        download(d, arrayPath[arrayPath.length-1]+".tar", "application/x-tar");
+    });
 }
 
 Filesystem.prototype.Sync = function(path) {
-    message.Register("sync", this.OnSync.bind(this));
-    message.Send("sync", path);
+    return message.Request(this.prefix + "sync", path, 0).then(this.OnSync.bind(this));
 }
 
 Filesystem.prototype.OnSync = function(d) {
@@ -45,7 +47,7 @@ Filesystem.prototype.UploadExternalFile = function(path, f) {
         path += '/';
     }
     reader.onload = function(e) {
-        message.Send("MergeFile",
+        message.Send(this.prefix + "MergeFile",
         {name: path+f.name, data: new Uint8Array(reader.result)});
     }.bind(this);
     reader.readAsArrayBuffer(f);
@@ -60,44 +62,73 @@ Filesystem.prototype.MergeFile = function(fileName, data) {
     }
     return new Uint8Array(uintArray);
   }
-  message.Send("MergeFile", {name: fileName, data: stringToUint(data)});
+  message.Send(this.prefix + "MergeFile", {name: fileName, data: stringToUint(data)});
 }
 
 Filesystem.prototype.MergeBinaryFile = function(fileName, data) {
-  message.Send("MergeFile", {name: fileName, data: data});
+  message.Send(this.prefix + "MergeFile", {name: fileName, data: data});
 }
 
 Filesystem.prototype.CreateDirectory = function(dirctoryName) {
-    message.Send("CreateDirectory", dirctoryName );
+    message.Send(this.prefix + "CreateDirectory", dirctoryName );
 }
 
+// Returns a promise for the file. The callback is optional.
 Filesystem.prototype.ReadFile = function(fileName, callback) {
-  message.Register("ReadFile", callback);
-  message.Send("ReadFile", { name: fileName });
+  var promise = message.Request(this.prefix + "ReadFile", { name: fileName });
+  if (!callback) return promise;
+  return promise.then(function(file) {
+      callback(file);
+      return file;
+  });
 }
 
 //deletes contents of specified directory.
 Filesystem.prototype.DeleteDirContents = function(dirPath) {
-    message.Send("DeleteDirContents", dirPath);
+    message.Send(this.prefix + "DeleteDirContents", dirPath);
 }
 
 //deletes file, recursively deletes dir
 Filesystem.prototype.DeleteNode = function(nodeName) {
-    message.Send("DeleteNode", nodeName);
+    message.Send(this.prefix + "DeleteNode", nodeName);
 }
 
 Filesystem.prototype.Rename = function(oldPath, newPath) {
-    message.Send("Rename", {oldPath:oldPath, newPath: newPath});
+    message.Send(this.prefix + "Rename", {oldPath:oldPath, newPath: newPath});
 }
 
+// Paths of the filesystem are compared without leading and trailing slashes
+function NormalizePath(path) {
+    return path.replace(/^\/+|\/+$/g, "");
+}
+
+// The events of all watched files are sent to all listeners, so each listener filters its own.
+// Returns a function, which stops watching
 Filesystem.prototype.WatchFile = function(fileName, callback) {
-  message.Register("WatchFileEvent", callback);
-  message.Send("WatchFile", { name: fileName });
+  var name = NormalizePath(fileName);
+  var OnEvent = function(path) {
+      if (path == name) callback(path);
+  };
+  message.AddListener(this.prefix + "WatchFileEvent", OnEvent);
+  message.Send(this.prefix + "WatchFile", { name: name });
+  return function() {
+      message.RemoveListener(this.prefix + "WatchFileEvent", OnEvent);
+      message.Send(this.prefix + "UnwatchFile", { name: name });
+  }.bind(this);
 }
 
+// Also the events of all files below the directory are reported
 Filesystem.prototype.WatchDirectory = function(directoryPath, callback) {
-  message.Register("WatchDirectoryEvent", callback);
-  message.Send("WatchDirectory", { name: directoryPath });
+  var name = NormalizePath(directoryPath);
+  var OnEvent = function(e) {
+      if ((name == "") || (e.path == name) || (e.path.indexOf(name + "/") == 0)) callback(e);
+  };
+  message.AddListener(this.prefix + "WatchDirectoryEvent", OnEvent);
+  message.Send(this.prefix + "WatchDirectory", { name: name });
+  return function() {
+      message.RemoveListener(this.prefix + "WatchDirectoryEvent", OnEvent);
+      message.Send(this.prefix + "UnwatchDirectory", { name: name });
+  }.bind(this);
 }
 
 module.exports = Filesystem;
@@ -0,0 +1,208 @@
+// -------------------------------------------------
+// ------------------- SWITCH ----------------------
+// -------------------------------------------------
+// Virtual ethernet switch, which connects the network devices of several emulators.
+// The switch learns the MAC addresses of the ports and forwards the frames
+// only to the port of the destination. Broadcast frames and frames
+// to unknown addresses are sent to all other ports.
+//
+// Every emulator runs in its own page or frame, because the master and the worker
+// of jor1k exist only once per page. They are connected to the switch via channels:
+//
+//   // page with the switch
+//   var sw = new Switch({latency: 10, loss: 0.01});
+//   sw.AttachChannel(new BroadcastChannel("jor1k"));
+//   sw.Connect(new Ethernet(relayURL));   // optional uplink to the relay server
+//
+//   // page with an emulator
+//   new jor1kGUI({..., networkswitch: new BroadcastChannel("jor1k")});
+//
+// A channel is any object with postMessage and onmessage, e.g. a BroadcastChannel or a MessagePort.
+// Instead of a channel, the switch itself can be given to jor1kGUI, if it runs in the same page.
+//
+// options:
+//   latency: 0     delay of each frame in ms
+//   loss: 0        probability that a frame is dropped
+
+"use strict";
+
+var message = require('../messagehandler');
+
+var MACTABLE_TIMEOUT = 300000; // in ms. Time after which a learned address is forgotten
+
+function MACToString(frame, offset) {
+    var str = "";
+    for(var i=0; i<6; i++) {
+        str += (i ? ":" : "") + (frame[offset+i] < 0x10 ? "0" : "") + frame[offset+i].toString(16);
+    }
+    return str;
+}
+
+function RandomID() {
+    return Math.random().toString(36).substr(2, 10);
+}
+
+// ----- Ports -----
+// Every port has a Deliver function, which sends a frame from the switch to the port
+
+// Port for an emulator in the same page. It has the same interface as the websocket connection in ethernet.js.
+function SwitchPort(sw) {
+    this.sw = sw;
+    this.onmessage = function(e) { };
+}
+
+SwitchPort.prototype.SendFrame = function(data) {
+    this.sw.Forward(this, data);
+}
+
+SwitchPort.prototype.Deliver = function(data) {
+    this.onmessage({data: data});
+}
+
+SwitchPort.prototype.Close = function() {
+    this.sw.Disconnect(this);
+}
+
+// Port for a device with the interface of ethernet.js, e.g. a relay or the user network
+function DevicePort(sw, device) {
+    this.device = device;
+    device.onmessage = function(e) {
+        sw.Forward(this, e.data);
+    }.bind(this);
+}
+
+DevicePort.prototype.Deliver = function(data) {
+    this.device.SendFrame(data);
+}
+
+// Port for an emulator connected via a channel
+function ChannelPort(channel, id) {
+    this.channel = channel;
+    this.id = id;
+}
+
+ChannelPort.prototype.Deliver = function(data) {
+    this.channel.postMessage({to: this.id, frame: data});
+}
+
+// ----- Switch -----
+
+function Switch(options) {
+    options = options || {};
+    this.latency = options.latency || 0;
+    this.loss = options.loss || 0;
+    this.ports = [];
+    this.mactable = {}; // MAC address -> {port, time}
+    this.channelports = {}; // id -> ChannelPort
+}
+
+// Returns a port for jor1kGUI in the same page
+Switch.prototype.CreatePort = function() {
+    var port = new SwitchPort(this);
+    this.ports.push(port);
+    return port;
+}
+
+// Connects a device with the interface of ethernet.js
+Switch.prototype.Connect = function(device) {
+    var port = new DevicePort(this, device);
+    this.ports.push(port);
+    return port;
+}
+
+// Accepts the emulators, which send their frames via the channel (see SwitchClient)
+Switch.prototype.AttachChannel = function(channel) {
+    channel.onmessage = function(e) {
+        var msg = e.data;
+        if (!msg || !msg.from) return;
+        var port = this.channelports[msg.from];
+        if (msg.close) {
+            if (port) this.Disconnect(port);
+            return;
+        }
+        if (!port) {
+            port = new ChannelPort(channel, msg.from);
+            this.channelports[msg.from] = port;
+            this.ports.push(port);
+        }
+        if (msg.frame) this.Forward(port, msg.frame);
+    }.bind(this);
+}
+
+Switch.prototype.Disconnect = function(port) {
+    var index = this.ports.indexOf(port);
+    if (index >= 0) this.ports.splice(index, 1);
+    if (port instanceof ChannelPort) delete this.channelports[port.id];
+    for (var mac in this.mactable) {
+        if (!this.mactable.hasOwnProperty(mac)) continue;
+        if (this.mactable[mac].port === port) delete this.mactable[mac];
+    }
+}
+
+Switch.prototype.Forward = function(src, data) {
+    var frame = new Uint8Array(data);
+    if (frame.length < 14) return;
+    var now = Date.now();
+
+    // learn the address of the sender, but not broadcast addresses
+    if (!(frame[6] & 1)) {
+        this.mactable[MACToString(frame, 6)] = {port: src, time: now};
+    }
+
+    var entry = this.mactable[MACToString(frame, 0)];
+    if (entry && (now - entry.time > MACTABLE_TIMEOUT)) {
+        delete this.mactable[MACToString(frame, 0)];
+        entry = undefined;
+    }
+    if ((!(frame[0] & 1)) && entry) {
+        if (entry.port !== src) this.Send(entry.port, frame);
+        return;
+    }
+    for(var i=0; i<this.ports.length; i++) {
+        if (this.ports[i] !== src) this.Send(this.ports[i], frame);
+    }
+}
+
+Switch.prototype.Send = function(port, frame) {
+    if ((this.loss > 0) && (Math.random() < this.loss)) return;
+    // every port gets its own copy
+    var data = frame.slice(0).buffer;
+    if (this.latency <= 0) {
+        port.Deliver(data);
+        return;
+    }
+    setTimeout(function() {
+        // the port might have been disconnected in the meantime
+        if (this.ports.indexOf(port) >= 0) port.Deliver(data);
+    }.bind(this), this.latency);
+}
+
+// ----- Client -----
+// Connection of jor1kGUI to a switch in another page.
+// It has the same interface as the websocket connection in ethernet.js.
+
+function SwitchClient(channel) {
+    this.channel = channel;
+    this.id = RandomID();
+    this.onmessage = function(e) { };
+    channel.onmessage = function(e) {
+        var msg = e.data;
+        if (!msg || (msg.to !== this.id)) return;
+        this.onmessage({data: msg.frame});
+    }.bind(this);
+    // register at the switch, so that it receives broadcasts before it has sent a frame
+    channel.postMessage({from: this.id});
+    message.Debug("Connected to the network switch with id " + this.id);
+}
+
+SwitchClient.prototype.SendFrame = function(data) {
+    this.channel.postMessage({from: this.id, frame: data});
+}
+
+SwitchClient.prototype.Close = function() {
+    this.channel.postMessage({from: this.id, close: true});
+    this.channel.onmessage = null;
+}
+
+module.exports.Switch = Switch;
+module.exports.SwitchClient = SwitchClient;
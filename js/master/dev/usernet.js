@@ -0,0 +1,591 @@
+// -------------------------------------------------
+// ---------------- USER NETWORK -------------------
+// -------------------------------------------------
+// Network backend without a relay server. It has the same interface
+// as the websocket connection in ethernet.js and emulates a small network
+// like the user mode network of qemu:
+//   10.0.2.2   gateway, answers ARP and ping requests
+//   10.0.2.3   DNS server, gives every name an address in 10.0.3.0/24
+//   10.0.2.15  address offered by the DHCP server
+// TCP connections are terminated here and passed to a handler, which is
+// called with a connection object (see TCPConnection) and returns false to refuse it.
+// The default handler forwards HTTP requests on port 80 via fetch (see fetchproxy.js).
+// UDP packets to other ports are passed to options.udp(packet, reply).
+//
+// options:
+//   tcp: function(connection)       handler for new TCP connections
+//   udp: function(packet, reply)    packet is {srcport, dstport, ip, host, data}
+//   hosts: {name: "a.b.c.d"}        fixed addresses for the DNS server
+//   proxyURL: ""                    prefix for the URLs fetched by the default handler
+
+"use strict";
+
+var message = require('../messagehandler');
+var FetchProxy = require('./fetchproxy');
+
+var ETH_ARP = 0x0806;
+var ETH_IP = 0x0800;
+
+var IP_ICMP = 1;
+var IP_TCP = 6;
+var IP_UDP = 17;
+
+var TCP_FIN = 0x01;
+var TCP_SYN = 0x02;
+var TCP_RST = 0x04;
+var TCP_PSH = 0x08;
+var TCP_ACK = 0x10;
+
+var MTU = 1500;
+var MSS = MTU - 40;
+var RETRANSMIT_TIMEOUT = 500; // in ms. The ethmac drops frames, when the guest has no free receive buffer
+
+var GATEWAY_MAC = [0x52, 0x54, 0x00, 0x12, 0x35, 0x02];
+var BROADCAST_MAC = [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF];
+var NETWORK = 0x0A000200; // 10.0.2.0/24
+var NETMASK = 0xFFFFFF00;
+var GATEWAY_IP = 0x0A000202;
+var DNS_IP = 0x0A000203;
+var GUEST_IP = 0x0A00020F;
+var FAKE_IP = 0x0A000300; // 10.0.3.0/24, addresses given to names by the DNS server
+
+var DHCP_DISCOVER = 1;
+var DHCP_OFFER = 2;
+var DHCP_REQUEST = 3;
+var DHCP_ACK = 5;
+var DHCP_LEASETIME = 86400;
+
+// ----- helper functions -----
+
+function Get16(data, offset) {
+    return (data[offset] << 8) | data[offset+1];
+}
+
+function Get32(data, offset) {
+    return ((data[offset] << 24) | (data[offset+1] << 16) | (data[offset+2] << 8) | data[offset+3]) >>> 0;
+}
+
+function Set16(data, offset, x) {
+    data[offset] = x >> 8;
+    data[offset+1] = x;
+}
+
+function Set32(data, offset, x) {
+    data[offset] = x >>> 24;
+    data[offset+1] = x >>> 16;
+    data[offset+2] = x >>> 8;
+    data[offset+3] = x;
+}
+
+function IPToString(ip) {
+    return [ip >>> 24, (ip >> 16) & 0xFF, (ip >> 8) & 0xFF, ip & 0xFF].join(".");
+}
+
+function StringToIP(str) {
+    var parts = str.split(".");
+    return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+function StringToBytes(str) {
+    var data = new Uint8Array(str.length);
+    for(var i=0; i<str.length; i++) data[i] = str.charCodeAt(i);
+    return data;
+}
+
+function Checksum(data, offset, length, sum) {
+    sum = sum || 0;
+    for(var i=0; i<length-1; i+=2) {
+        sum += (data[offset+i] << 8) | data[offset+i+1];
+    }
+    if (length & 1) sum += data[offset+length-1] << 8;
+    while (sum >> 16) sum = (sum & 0xFFFF) + (sum >>> 16);
+    return (~sum) & 0xFFFF;
+}
+
+// sum of the pseudo header for TCP and UDP
+function PseudoHeaderSum(src, dst, protocol, length) {
+    return (src >>> 16) + (src & 0xFFFF) + (dst >>> 16) + (dst & 0xFFFF) + protocol + length;
+}
+
+// difference of two sequence numbers
+function SeqDiff(a, b) {
+    return (a - b) | 0;
+}
+
+// ----- Network -----
+
+function UserNet(options) {
+    this.options = options || {};
+    this.onmessage = function(e) { };
+    this.guestmac = BROADCAST_MAC;
+    this.connections = {};
+    this.iss = 0x10000;
+    this.ipid = 0;
+
+    // DNS
+    this.names = {}; // ip -> name
+    this.addresses = {}; // name -> ip
+    this.nextfakeip = FAKE_IP + 1;
+    var hosts = this.options.hosts || {};
+    for (var name in hosts) {
+        if (!hosts.hasOwnProperty(name)) continue;
+        this.addresses[name.toLowerCase()] = StringToIP(hosts[name]);
+        this.names[StringToIP(hosts[name])] = name.toLowerCase();
+    }
+    this.tcphandler = this.options.tcp || FetchProxy(this.options.proxyURL || "");
+}
+
+// Called with the frames of the guest
+UserNet.prototype.SendFrame = function(buffer) {
+    var frame = new Uint8Array(buffer);
+    if (frame.length < 14) return;
+    this.guestmac = Array.prototype.slice.call(frame, 6, 12);
+    switch(Get16(frame, 12)) {
+        case ETH_ARP:
+            this.HandleARP(frame.subarray(14));
+            break;
+        case ETH_IP:
+            this.HandleIP(frame.subarray(14));
+            break;
+    }
+}
+
+UserNet.prototype.Close = function() {
+    for (var key in this.connections) {
+        if (!this.connections.hasOwnProperty(key)) continue;
+        this.connections[key].Abort();
+    }
+    this.connections = {};
+}
+
+UserNet.prototype.SendToGuest = function(type, payload) {
+    // minimum length of an ethernet frame without the checksum
+    var frame = new Uint8Array(Math.max(14 + payload.length, 60));
+    frame.set(this.guestmac, 0);
+    frame.set(GATEWAY_MAC, 6);
+    Set16(frame, 12, type);
+    frame.set(payload, 14);
+    // the message handler might transfer the buffer, so send it asynchronously
+    setTimeout(function() {
+        this.onmessage({data: frame.buffer});
+    }.bind(this), 0);
+}
+
+UserNet.prototype.HandleARP = function(arp) {
+    // only requests for IPv4 addresses
+    if ((Get16(arp, 6) != 1) || (Get16(arp, 2) != ETH_IP)) return;
+    var sender = Get32(arp, 14);
+    var target = Get32(arp, 24);
+    // everything in the network except the guest itself is reachable via the gateway
+    if (((target & NETMASK) >>> 0) != NETWORK) return;
+    if ((target == sender) || (target == GUEST_IP)) return;
+
+    var reply = new Uint8Array(28);
+    reply.set(arp.subarray(0, 6), 0);
+    Set16(reply, 6, 2);
+    reply.set(GATEWAY_MAC, 8);
+    Set32(reply, 14, target);
+    reply.set(arp.subarray(8, 14), 18);
+    Set32(reply, 24, sender);
+    this.SendToGuest(ETH_ARP, reply);
+}
+
+UserNet.prototype.HandleIP = function(ip) {
+    if ((ip[0] >> 4) != 4) return;
+    var headerlength = (ip[0] & 0xF) << 2;
+    var length = Get16(ip, 2);
+    // fragmented packets are not supported
+    if (Get16(ip, 6) & 0x3FFF) return;
+    var src = Get32(ip, 12);
+    var dst = Get32(ip, 16);
+    var payload = ip.subarray(headerlength, length);
+
+    switch(ip[9]) {
+        case IP_ICMP:
+            this.HandleICMP(src, dst, payload);
+            break;
+        case IP_UDP:
+            this.HandleUDP(src, dst, payload);
+            break;
+        case IP_TCP:
+            this.HandleTCP(src, dst, payload);
+            break;
+    }
+}
+
+UserNet.prototype.SendIP = function(src, dst, protocol, payload) {
+    var ip = new Uint8Array(20 + payload.length);
+    ip[0] = 0x45;
+    Set16(ip, 2, ip.length);
+    Set16(ip, 4, this.ipid++);
+    Set16(ip, 6, 0x4000); // don't fragment
+    ip[8] = 64; // ttl
+    ip[9] = protocol;
+    Set32(ip, 12, src);
+    Set32(ip, 16, dst);
+    Set16(ip, 10, Checksum(ip, 0, 20));
+    ip.set(payload, 20);
+    this.SendToGuest(ETH_IP, ip);
+}
+
+// ----- ICMP -----
+
+UserNet.prototype.HandleICMP = function(src, dst, icmp) {
+    // echo requests to the gateway and the DNS server
+    if ((icmp[0] != 8) || ((dst != GATEWAY_IP) && (dst != DNS_IP))) return;
+    var reply = new Uint8Array(icmp);
+    reply[0] = 0; // echo reply
+    Set16(reply, 2, 0);
+    Set16(reply, 2, Checksum(reply, 0, reply.length));
+    this.SendIP(dst, src, IP_ICMP, reply);
+}
+
+// ----- UDP -----
+
+UserNet.prototype.HandleUDP = function(src, dst, udp) {
+    var srcport = Get16(udp, 0);
+    var dstport = Get16(udp, 2);
+    var data = udp.subarray(8, Get16(udp, 4));
+
+    if (dstport == 67) {
+        this.HandleDHCP(data);
+        return;
+    }
+    if ((dstport == 53) && (dst == DNS_IP)) {
+        this.HandleDNS(src, srcport, data);
+        return;
+    }
+    if (!this.options.udp) return;
+    var packet = {srcport: srcport, dstport: dstport, ip: IPToString(dst), host: this.GetHostName(dst), data: new Uint8Array(data)};
+    this.options.udp(packet, function(data) {
+        if (typeof data === "string") data = StringToBytes(data);
+        this.SendUDP(dst, dstport, src, srcport, data);
+    }.bind(this));
+}
+
+UserNet.prototype.SendUDP = function(src, srcport, dst, dstport, data) {
+    var udp = new Uint8Array(8 + data.length);
+    Set16(udp, 0, srcport);
+    Set16(udp, 2, dstport);
+    Set16(udp, 4, udp.length);
+    udp.set(data, 8);
+    var checksum = Checksum(udp, 0, udp.length, PseudoHeaderSum(src, dst, IP_UDP, udp.length));
+    Set16(udp, 6, checksum || 0xFFFF);
+    this.SendIP(src, dst, IP_UDP, udp);
+}
+
+// ----- DHCP -----
+
+UserNet.prototype.HandleDHCP = function(dhcp) {
+    if ((dhcp.length < 240) || (dhcp[0] != 1) || (Get32(dhcp, 236) != 0x63825363)) return;
+
+    // search for the message type in the options
+    var type = 0;
+    for(var i=240; (i < dhcp.length) && (dhcp[i] != 0xFF); ) {
+        if (dhcp[i] == 0) {
+            i++;
+            continue;
+        }
+        if (dhcp[i] == 53) type = dhcp[i+2];
+        i += dhcp[i+1] + 2;
+    }
+    if (type == DHCP_DISCOVER) type = DHCP_OFFER; else
+    if (type == DHCP_REQUEST) type = DHCP_ACK; else
+    return;
+
+    var reply = new Uint8Array(300);
+    reply[0] = 2; // boot reply
+    reply[1] = 1; // ethernet
+    reply[2] = 6;
+    reply.set(dhcp.subarray(4, 8), 4); // transaction id
+    Set32(reply, 16, GUEST_IP);
+    Set32(reply, 20, GATEWAY_IP);
+    reply.set(dhcp.subarray(28, 44), 28); // client hardware address
+    Set32(reply, 236, 0x63825363);
+    var options = [
+        53, 1, type,
+        54, 4, 0, 0, 0, 0, // server identifier
+        51, 4, 0, 0, 0, 0, // lease time
+        1, 4, 0, 0, 0, 0, // netmask
+        3, 4, 0, 0, 0, 0, // router
+        6, 4, 0, 0, 0, 0, // DNS server
+        0xFF];
+    reply.set(options, 240);
+    Set32(reply, 245, GATEWAY_IP);
+    Set32(reply, 251, DHCP_LEASETIME);
+    Set32(reply, 257, NETMASK);
+    Set32(reply, 263, GATEWAY_IP);
+    Set32(reply, 269, DNS_IP);
+    this.SendUDP(GATEWAY_IP, 67, 0xFFFFFFFF, 68, reply);
+}
+
+// ----- DNS -----
+
+UserNet.prototype.GetHostName = function(ip) {
+    return this.names[ip] || IPToString(ip);
+}
+
+// returns the address for the name or -1
+UserNet.prototype.Resolve = function(name) {
+    name = name.toLowerCase();
+    if (this.addresses.hasOwnProperty(name)) return this.addresses[name];
+    if (name == "gateway") return GATEWAY_IP;
+    if (this.nextfakeip > FAKE_IP + 0xFE) {
+        message.Debug("UserNet: No free address for " + name);
+        return -1;
+    }
+    var ip = this.nextfakeip++;
+    this.addresses[name] = ip;
+    this.names[ip] = name;
+    return ip;
+}
+
+UserNet.prototype.HandleDNS = function(src, srcport, dns) {
+    // only standard queries with one question
+    if ((dns.length < 12) || (dns[2] & 0xF8) || (Get16(dns, 4) != 1)) return;
+
+    var labels = [];
+    var offset = 12;
+    while ((offset < dns.length) && (dns[offset] != 0)) {
+        var length = dns[offset];
+        if ((length & 0xC0) || (offset + length >= dns.length)) return;
+        labels.push(String.fromCharCode.apply(null, dns.subarray(offset+1, offset+1+length)));
+        offset += length + 1;
+    }
+    offset++;
+    if (offset + 4 > dns.length) return;
+    var qtype = Get16(dns, offset);
+    var qclass = Get16(dns, offset+2);
+    var question = dns.subarray(12, offset + 4);
+
+    var ip = labels.length ? this.Resolve(labels.join(".")) : -1;
+    var answer = (qtype == 1) && (qclass == 1) && (ip != -1);
+
+    var reply = new Uint8Array(12 + question.length + (answer ? 16 : 0));
+    reply.set(dns.subarray(0, 2), 0); // id
+    Set16(reply, 2, 0x8180 | ((ip == -1) ? 3 : 0)); // response, recursion available, name error
+    Set16(reply, 4, 1);
+    Set16(reply, 6, answer ? 1 : 0);
+    reply.set(question, 12);
+    if (answer) {
+        offset = 12 + question.length;
+        Set16(reply, offset, 0xC00C); // pointer to the name in the question
+        Set16(reply, offset+2, 1);
+        Set16(reply, offset+4, 1);
+        Set32(reply, offset+6, 60); // time to live
+        Set16(reply, offset+10, 4);
+        Set32(reply, offset+12, ip);
+    }
+    this.SendUDP(DNS_IP, 53, src, srcport, reply);
+}
+
+// ----- TCP -----
+
+UserNet.prototype.HandleTCP = function(src, dst, tcp) {
+    var srcport = Get16(tcp, 0);
+    var dstport = Get16(tcp, 2);
+    var seq = Get32(tcp, 4);
+    var ack = Get32(tcp, 8);
+    var flags = tcp[13];
+    var window = Get16(tcp, 14);
+    var data = tcp.subarray((tcp[12] >> 4) << 2);
+    var key = IPToString(src) + ":" + srcport + "-" + IPToString(dst) + ":" + dstport;
+    var connection = this.connections[key];
+
+    if (flags & TCP_RST) {
+        if (connection) connection.Abort();
+        return;
+    }
+
+    if (!connection) {
+        if ((flags & (TCP_SYN | TCP_ACK)) != TCP_SYN) {
+            if (!(flags & TCP_ACK)) seq = (seq + data.length + ((flags & TCP_FIN) ? 1 : 0)) >>> 0;
+            this.SendTCP(dst, dstport, src, srcport, ack, seq, TCP_RST | ((flags & TCP_ACK) ? 0 : TCP_ACK), 0);
+            return;
+        }
+        connection = new TCPConnection(this, key, src, srcport, dst, dstport, seq, this.iss);
+        this.iss = (this.iss + 0x10000) >>> 0;
+        connection.window = window;
+        if (this.tcphandler(connection) === false) {
+            this.SendTCP(dst, dstport, src, srcport, 0, (seq + 1) >>> 0, TCP_RST | TCP_ACK, 0);
+            return;
+        }
+        this.connections[key] = connection;
+        connection.SendSegment();
+        return;
+    }
+    connection.Receive(seq, ack, flags, window, data);
+}
+
+UserNet.prototype.SendTCP = function(src, srcport, dst, dstport, seq, ack, flags, window, data) {
+    data = data || new Uint8Array(0);
+    var headerlength = (flags & TCP_SYN) ? 24 : 20;
+    var tcp = new Uint8Array(headerlength + data.length);
+    Set16(tcp, 0, srcport);
+    Set16(tcp, 2, dstport);
+    Set32(tcp, 4, seq);
+    Set32(tcp, 8, ack);
+    tcp[12] = (headerlength >> 2) << 4;
+    tcp[13] = flags;
+    Set16(tcp, 14, window);
+    if (flags & TCP_SYN) {
+        tcp.set([2, 4, MSS >> 8, MSS & 0xFF], 20); // maximum segment size
+    }
+    tcp.set(data, headerlength);
+    Set16(tcp, 16, Checksum(tcp, 0, tcp.length, PseudoHeaderSum(src, dst, IP_TCP, tcp.length)));
+    this.SendIP(src, dst, IP_TCP, tcp);
+}
+
+// ----- TCP connection -----
+// Public interface for the handlers:
+//   host, ip, port      destination of the connection
+//   Send(data)          data is a string or an Uint8Array
+//   Close()             closes the connection after all data has been sent
+//   ondata(data)        called with the received data as Uint8Array
+//   onclose()           called when the guest has closed or aborted the connection
+
+var TCP_WINDOW = 0xFFFF;
+
+function TCPConnection(net, key, guestip, guestport, ip, port, seq, iss) {
+    this.net = net;
+    this.key = key;
+    this.guestip = guestip;
+    this.guestport = guestport;
+    this.ipaddr = ip;
+    this.ip = IPToString(ip);
+    this.port = port;
+    this.host = net.GetHostName(ip);
+
+    this.rcvnxt = (seq + 1) >>> 0; // next expected sequence number of the guest
+    this.snduna = iss; // oldest unacknowledged sequence number
+    this.sndnxt = iss; // next sequence number to send
+    this.window = 0;
+    this.synacked = false;
+    this.sendbuffer = new Uint8Array(0); // data starting at snduna, the SYN and FIN are not included
+    this.closing = false; // Close has been called
+    this.finsent = false;
+    this.finreceived = false;
+    this.timer = null;
+
+    this.ondata = function(data) {};
+    this.onclose = function() {};
+}
+
+TCPConnection.prototype.Send = function(data) {
+    if (this.closing) return;
+    if (typeof data === "string") data = StringToBytes(data);
+    var buffer = new Uint8Array(this.sendbuffer.length + data.length);
+    buffer.set(this.sendbuffer, 0);
+    buffer.set(data, this.sendbuffer.length);
+    this.sendbuffer = buffer;
+    this.SendSegment();
+}
+
+TCPConnection.prototype.Close = function() {
+    this.closing = true;
+    this.SendSegment();
+}
+
+// removes the connection without telling the guest
+TCPConnection.prototype.Abort = function() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (this.net.connections[this.key] !== this) return;
+    delete this.net.connections[this.key];
+    if (!this.finreceived) this.onclose();
+}
+
+TCPConnection.prototype.SendFlags = function(seq, flags, data) {
+    this.net.SendTCP(this.ipaddr, this.port, this.guestip, this.guestport, seq, this.rcvnxt, flags, TCP_WINDOW, data);
+}
+
+// sends all data, which fits into the window of the guest
+TCPConnection.prototype.SendSegment = function() {
+    if (!this.synacked) {
+        if (this.sndnxt != this.snduna) return;
+        this.SendFlags(this.snduna, TCP_SYN | TCP_ACK);
+        this.sndnxt = (this.snduna + 1) >>> 0;
+        this.StartTimer();
+        return;
+    }
+    for(;;) {
+        var offset = SeqDiff(this.sndnxt, this.snduna);
+        var length = Math.min(this.sendbuffer.length - offset, MSS, this.window - offset);
+        if (length <= 0) break;
+        this.SendFlags(this.sndnxt, TCP_ACK | TCP_PSH, this.sendbuffer.subarray(offset, offset + length));
+        this.sndnxt = (this.sndnxt + length) >>> 0;
+        this.StartTimer();
+    }
+    if (this.closing && !this.finsent && (SeqDiff(this.sndnxt, this.snduna) == this.sendbuffer.length)) {
+        this.SendFlags(this.sndnxt, TCP_FIN | TCP_ACK);
+        this.sndnxt = (this.sndnxt + 1) >>> 0;
+        this.finsent = true;
+        this.StartTimer();
+    }
+}
+
+TCPConnection.prototype.StartTimer = function() {
+    if (this.timer) return;
+    this.timer = setTimeout(this.OnTimeout.bind(this), RETRANSMIT_TIMEOUT);
+}
+
+// send everything again, which has not been acknowledged
+TCPConnection.prototype.OnTimeout = function() {
+    this.timer = null;
+    if (this.sndnxt == this.snduna) return;
+    this.sndnxt = this.snduna;
+    if (this.synacked) this.finsent = false;
+    this.SendSegment();
+}
+
+TCPConnection.prototype.Receive = function(seq, ack, flags, window, data) {
+    if (flags & TCP_SYN) {
+        // the guest has not received our SYN
+        if (!this.synacked) {
+            this.sndnxt = this.snduna;
+            this.SendSegment();
+        }
+        return;
+    }
+    if (!(flags & TCP_ACK)) return;
+    this.window = window;
+
+    // acknowledged data
+    var acked = SeqDiff(ack, this.snduna);
+    if ((acked > 0) && (SeqDiff(ack, this.sndnxt) <= 0)) {
+        if (!this.synacked) {
+            this.synacked = true;
+            acked--;
+        }
+        if (acked > this.sendbuffer.length) acked = this.sendbuffer.length; // FIN
+        this.sendbuffer = this.sendbuffer.subarray(acked);
+        this.snduna = ack;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        if (this.sndnxt != this.snduna) this.StartTimer();
+    }
+    if (!this.synacked) return;
+
+    if (data.length || (flags & TCP_FIN)) {
+        if (seq == this.rcvnxt) {
+            this.rcvnxt = (this.rcvnxt + data.length) >>> 0;
+            if (data.length) this.ondata(new Uint8Array(data));
+            if ((flags & TCP_FIN) && !this.finreceived) {
+                this.finreceived = true;
+                this.rcvnxt = (this.rcvnxt + 1) >>> 0;
+                this.onclose();
+            }
+        }
+        // acknowledge also retransmitted segments
+        this.SendFlags(this.sndnxt, TCP_ACK);
+    }
+
+    // both directions are closed and everything is acknowledged
+    if (this.finsent && this.finreceived && (this.sndnxt == this.snduna)) {
+        this.Abort();
+        return;
+    }
+    this.SendSegment();
+}
+
+module.exports = UserNet;
@@ -1,3 +1,10 @@
 var Jor1k = require('./system');
 
+// promise based interface, see api.js
+Jor1k.API = require('./api');
+
+// network for several emulators, see dev/switch.js
+Jor1k.Switch = require('./dev/switch').Switch;
+Jor1k.Ethernet = require('./dev/ethernet');
+
 module.exports = Jor1k;
@@ -8,6 +8,12 @@ var worker;
 
 var run = true;
 
+// default time in ms after which a request fails
+var REQUEST_TIMEOUT = 60000;
+
+var nextrequestid = 1;
+var pendingrequests = new Object(); // request id -> {resolve, reject, timer}
+
 function Send(command, data) {
     worker.postMessage(
     {
@@ -17,6 +23,56 @@ function Send(command, data) {
     );
 }
 
+// Sends a request to the worker and returns a promise for the response.
+// A timeout of 0 waits forever.
+function Request(command, data, timeout) {
+    if (timeout === undefined) timeout = REQUEST_TIMEOUT;
+    var id = nextrequestid++;
+    return new Promise(function(resolve, reject) {
+        if (!run) {
+            reject(new Error("Request \"" + command + "\": the worker has been stopped"));
+            return;
+        }
+        var request = {resolve: resolve, reject: reject, timer: null};
+        if (timeout > 0) {
+            request.timer = setTimeout(function() {
+                delete pendingrequests[id];
+                reject(new Error("Request \"" + command + "\" timed out"));
+            }, timeout);
+        }
+        pendingrequests[id] = request;
+        worker.postMessage(
+        {
+            "command" : command,
+            "data" : data,
+            "id" : id
+        }
+        );
+    });
+}
+
+function OnResponse(response) {
+    var request = pendingrequests[response.id];
+    if (!request) return; // timed out
+    delete pendingrequests[response.id];
+    if (request.timer !== null) clearTimeout(request.timer);
+    if (response.error !== undefined) {
+        request.reject(new Error(response.error));
+    } else {
+        request.resolve(response.result);
+    }
+}
+
+function RejectAllRequests(reason) {
+    for (var id in pendingrequests) {
+        if (!pendingrequests.hasOwnProperty(id)) continue;
+        var request = pendingrequests[id];
+        if (request.timer !== null) clearTimeout(request.timer);
+        request.reject(new Error(reason));
+    }
+    pendingrequests = new Object();
+}
+
 function Debug(message) {
     console.log(message);
 }
@@ -24,6 +80,7 @@ function Debug(message) {
 function Abort() {
     Debug("Master: Abort execution.");
     run = false;
+    RejectAllRequests("Master: Abort execution");
     Send("Abort", {});
     throw new Error('Kill master');
 }
@@ -38,10 +95,25 @@ function Warning(message) {
 }
 
 var messagemap = new Object();
+var listenermap = new Object();
+
 function Register(message, OnReceive) {
     messagemap[message] = OnReceive;
 }
 
+// In contrast to Register, several listeners can receive the same message
+function AddListener(message, OnReceive) {
+    if (!listenermap[message]) listenermap[message] = [];
+    listenermap[message].push(OnReceive);
+}
+
+function RemoveListener(message, OnReceive) {
+    var listeners = listenermap[message];
+    if (!listeners) return;
+    var index = listeners.indexOf(OnReceive);
+    if (index >= 0) listeners.splice(index, 1);
+}
+
 // this is a global object of the worker
 function OnMessage(e) {
     var command = e.data.command;
@@ -53,29 +125,56 @@ function OnMessage(e) {
     }
 
     if (!run) return;
-    if (typeof messagemap[command] == 'function') {
-        try {
+    if (command == "Response") {
+        OnResponse(e.data.data);
+        return;
+    }
+    try {
+        if (typeof messagemap[command] == 'function') {
             messagemap[command](e.data.data);
-        } catch (error) {
-            Debug("Master: Unhandled exception in command \"" + command + "\": " + error.message);
-            run = false;
         }
+        var listeners = listenermap[command];
+        if (listeners) {
+            // a listener might remove itself
+            listeners = listeners.slice();
+            for(var i=0; i<listeners.length; i++) listeners[i](e.data.data);
+        }
+    } catch (error) {
+        Debug("Master: Unhandled exception in command \"" + command + "\": " + error.message);
+        run = false;
     }
 }
 
+// Stops the communication with the worker, e.g. after the worker has been terminated
+function Stop(reason) {
+    run = false;
+    RejectAllRequests(reason);
+}
+
 function SetWorker(_worker) {
     worker = _worker;
+    run = true;
     worker.onmessage = OnMessage;
     worker.onerror = function(e) {
         Debug("Error at " + e.filename + ":" + e.lineno + ": " + e.message);
+        // the listeners are informed as if the worker has aborted
+        OnMessage({data: {command: "Abort", data: {}}});
         Abort();
     }
-    Register("Abort", function(){Debug("Master: Received abort signal from worker"); run=false;});
+    Register("Abort", function(){
+        Debug("Master: Received abort signal from worker");
+        run = false;
+        RejectAllRequests("Worker: Abort execution");
+    });
     Register("Debug", function(d){Debug(d);});
 }
 
 module.exports.SetWorker = SetWorker;
 module.exports.Register = Register;
+module.exports.AddListener = AddListener;
+module.exports.RemoveListener = RemoveListener;
+module.exports.Request = Request;
+module.exports.Stop = Stop;
 module.exports.Debug = Debug;
 module.exports.Warning = Warning;
 module.exports.Error = DoError;
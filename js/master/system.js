@@ -6,15 +6,30 @@ var Terminal = require('./dev/terminal');
 var TerminalInput = require('./dev/terminal-input');
 var Framebuffer = require('./dev/framebuffer');
 var Ethernet = require('./dev/ethernet');
+var UserNet = require('./dev/usernet');
+var Switch = require('./dev/switch');
 var LoopSoundBuffer = require('./dev/sound');
 var Filesystem = require('./dev/filesystem');
 var utils = require('./utils');
+var download = require('../lib/download');
 var message = require('./messagehandler');
 
 var TERMINAL = 0xDEADBEEF;
 
 "use strict";
 
+// adds the path to the URLs of the filesystem parameters and sets the defaults
+function PrepareFilesystem(fs, path) {
+    fs.path = fs.path || path;
+    fs.basefsURL = fs.basefsURL || "basefs.json";
+    fs.basefsURL = fs.path + fs.basefsURL;
+    if (fs.extendedfsURL) {
+        fs.extendedfsURL = fs.path + fs.extendedfsURL;
+    }
+    fs.earlyload = fs.earlyload  || [];
+    fs.lazyloadimages = fs.lazyloadimages  || [];
+    fs.persistentpaths = fs.persistentpaths  || [];
+}
 
 function jor1kGUI(parameters)
 {
@@ -34,19 +49,31 @@ function jor1kGUI(parameters)
     this.params.syncURL = this.params.syncURL || "";
 
     if (typeof this.params.fs !== "undefined") {
-        this.params.fs.path = this.params.fs.path || this.params.path;
-        this.params.fs.basefsURL = this.params.fs.basefsURL || "basefs.json";
-        this.params.fs.basefsURL = this.params.fs.path + this.params.fs.basefsURL;
-        if (this.params.fs.extendedfsURL) {
-            this.params.fs.extendedfsURL = this.params.fs.path + this.params.fs.extendedfsURL;
-        }
-        this.params.fs.earlyload = this.params.fs.earlyload  || [];
-        this.params.fs.lazyloadimages = this.params.fs.lazyloadimages  || [];
+        PrepareFilesystem(this.params.fs, this.params.path);
     }
+    // additional 9p shares {tag, readonly, fs, directory}. Without fs the share starts empty.
+    // directory is a FileSystemDirectoryHandle, whose files are passed through
+    this.params.system.shares = this.params.system.shares || [];
+    this.params.system.shares.forEach(function(share) {
+        if (share.fs) PrepareFilesystem(share.fs, this.params.path);
+    }.bind(this));
 
     // add path to every URL
     this.params.system.kernelURL = this.params.path + this.params.system.kernelURL;
-    this.params.system.dtbURL = this.params.path + this.params.system.dtbURL;
+    if (this.params.system.initrdURL) {
+        this.params.system.initrdURL = this.params.path + this.params.system.initrdURL;
+    }
+    // without dtbURL the device tree is generated by the worker
+    if (this.params.system.dtbURL) {
+        this.params.system.dtbURL = this.params.path + this.params.system.dtbURL;
+    }
+    // the disk image of the virtio block device is an URL or a File object
+    if (this.params.system.virtioblock && (typeof this.params.system.virtioblock.image === "string")) {
+        this.params.system.virtioblock.image = this.params.path + this.params.system.virtioblock.image;
+    }
+    if (this.params.system.ata && (typeof this.params.system.ata.image === "string")) {
+        this.params.system.ata.image = this.params.path + this.params.system.ata.image;
+    }
 
     this.params.userid = this.params.userid || "";
 
@@ -87,6 +114,10 @@ function jor1kGUI(parameters)
     this.terminput = new TerminalInput(this.SendChars.bind(this));
 
     this.fs = new Filesystem(this.params.syncURL, this.params.userid);
+    this.shares = {}; // filesystems of the additional 9p shares by tag
+    this.params.system.shares.forEach(function(share) {
+        this.shares[share.tag] = new Filesystem(this.params.syncURL, this.params.userid, share.tag);
+    }.bind(this));
 
     this.sound = new LoopSoundBuffer(22050);
     message.Register("sound",      this.sound.AddBuffer.bind(this.sound));
@@ -135,6 +166,7 @@ function jor1kGUI(parameters)
             this.lastMouseDownTarget = event.target;
     }.bind(this);
 
+    this.recordTarget = recordTarget;
     if(document.addEventListener)
       document.addEventListener('mousedown', recordTarget, false);
     else
@@ -167,8 +199,17 @@ function jor1kGUI(parameters)
         return false;
     }.bind(this);
 
-    if (this.params.relayURL) {
+    // the user network does not need a relay server
+    if (this.params.networkswitch instanceof Switch.Switch) {
+        this.ethernet = this.params.networkswitch.CreatePort();
+    } else if (this.params.networkswitch) {
+        this.ethernet = new Switch.SwitchClient(this.params.networkswitch);
+    } else if (this.params.usernet) {
+        this.ethernet = new UserNet(this.params.usernet);
+    } else if (this.params.relayURL) {
         this.ethernet = new Ethernet(this.params.relayURL);
+    }
+    if (this.ethernet) {
         this.ethernet.onmessage = function(e) {
             message.Send("ethmac", e.data);
         }.bind(this);
@@ -182,7 +223,8 @@ function jor1kGUI(parameters)
 
 jor1kGUI.prototype.OnWorkerReady = function() {
     this.Reset();
-    window.setInterval(function() {
+    if (this.ipsinterval) window.clearInterval(this.ipsinterval);
+    this.ipsinterval = window.setInterval(function() {
         message.Send("GetIPS", 0);
     }, 1000);
 };
@@ -244,6 +286,93 @@ jor1kGUI.prototype.Pause = function(pause) {
     });
 }
 
+// Terminates the worker and removes the handlers installed by jor1kGUI
+jor1kGUI.prototype.Destroy = function() {
+    this.stop = true;
+    this.worker.terminate();
+    message.Stop("The emulator has been destroyed");
+
+    if (this.ipsinterval) window.clearInterval(this.ipsinterval);
+    if (this.framebuffer) this.framebuffer.SetFPS(0);
+    if (this.ethernet) this.ethernet.Close();
+    this.terms.forEach(function (term) {
+        term.PauseBlink(true);
+    });
+
+    if(document.removeEventListener)
+      document.removeEventListener('mousedown', this.recordTarget, false);
+    else
+      Window.onmousedown = null;
+    document.onkeypress = null;
+    document.onkeydown = null;
+    document.onkeyup = null;
+    if (this.clipboard) this.clipboard.onpaste = null;
+}
+
+// Takes a snapshot of the whole machine. Without a callback the snapshot is downloaded.
+// Returns a promise for the snapshot.
+jor1kGUI.prototype.SaveState = function(callback) {
+    callback = callback || function(state) {
+        download(state, "jor1k.state", "application/octet-stream");
+    };
+    return message.Request("SaveState", 0, 0).then(function(state) {
+        callback(state);
+        return state;
+    });
+}
+
+// Records the frames of the network device
+jor1kGUI.prototype.StartCapture = function() {
+    message.Send("StartCapture");
+}
+
+// Stops the recording. Without a callback the pcap file is downloaded.
+// Returns a promise for the file.
+jor1kGUI.prototype.StopCapture = function(callback) {
+    callback = callback || function(data) {
+        download(data, "jor1k.pcap", "application/vnd.tcpdump.pcap");
+    };
+    return message.Request("StopCapture", 0, 0).then(function(data) {
+        callback(data);
+        return data;
+    });
+}
+
+// Returns a promise for the sectors written to the ATA disk, which can be
+// given as system.ata.overlay. Without a callback the file is downloaded.
+jor1kGUI.prototype.SaveDiskOverlay = function(callback) {
+    callback = callback || function(data) {
+        download(data, "disk.overlay", "application/octet-stream");
+    };
+    return message.Request("ata.GetOverlay", 0, 0).then(function(data) {
+        callback(data);
+        return data;
+    });
+}
+
+// Returns a promise for the ATA disk image including the written sectors.
+// Without a callback the image is downloaded.
+jor1kGUI.prototype.ExportDisk = function(callback) {
+    callback = callback || function(data) {
+        download(data, "disk.img", "application/octet-stream");
+    };
+    return message.Request("ata.Export", 0, 0).then(function(data) {
+        callback(data);
+        return data;
+    });
+}
+
+// Forgets the sectors written to the ATA disk
+jor1kGUI.prototype.DiscardDiskOverlay = function() {
+    message.Send("ata.Discard");
+}
+
+// Restores a snapshot given as ArrayBuffer
+jor1kGUI.prototype.LoadState = function(state) {
+    this.stop = false;
+    message.Send("LoadState", state);
+}
+
 // sends the input characters for the terminal
 jor1kGUI.prototype.SendChars = function(chars) {
     if (this.lastMouseDownTarget == this.fbcanvas) return;
@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+// -------------------------------------------------
+// ------------------ BUILDFS ----------------------
+// -------------------------------------------------
+// Generates the json file of the filesystem from a sysroot directory or from
+// tar archives and checks an existing json file against its files.
+// The schema is described in js/worker/filesystem/fsjson.js
+//
+// Examples:
+// node js/node/buildfs.js --tar packages/musl.tar.bz2 --tar packages/nano.tar.bz2 --fsdir fs --output fs.json --compress bz2
+// node js/node/buildfs.js --dir sysroot --output basefs.json --load libc.so --lazy usr/share/big.dat
+// node js/node/buildfs.js --validate fs.json
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+var child_process = require('child_process');
+var message = require('../worker/messagehandler');
+var decompress = require('../worker/decompress');
+var fsjson = require('../worker/filesystem/fsjson');
+
+var S_IFMT = 0xF000;
+var S_IFLNK = 0xA000;
+var S_IFREG = 0x8000;
+var S_IFDIR = 0x4000;
+
+// Files larger than this are compressed
+var COMPRESS_MINSIZE = 10*1024;
+
+var usage =
+    "Usage: node buildfs.js [options]\n" +
+    "  --dir <dir>            sysroot directory\n" +
+    "  --tar <file>           tar archive, can be compressed. Can be given several times.\n" +
+    "                         Files, which are already in the filesystem, are not overwritten\n" +
+    "  --fsdir <dir>          directory for the files of the filesystem. Required for tar archives.\n" +
+    "                         Default: the sysroot directory, in which only the compressed files are added\n" +
+    "  --src <string>         value of src in the json file. Default: name of fsdir\n" +
+    "  --output <file>        default: fs.json\n" +
+    "  --compress <bz2|gz|xz|lz4>  compress binaries and files larger than 10kB\n" +
+    "  --load <path|name>     load the file at startup. Can be given several times\n" +
+    "  --lazy <path|name>     load the file in chunks. Can be given several times\n" +
+    "  --validate <file>      check the json file against the files in fsdir.\n" +
+    "                         Default fsdir: src relative to the json file\n";
+
+var compressors = {
+    "bz2": function(data) { return Run("bzip2", ["-9", "-c"], data); },
+    "gz": function(data) { return zlib.gzipSync(data, {level: 9}); },
+    "xz": function(data) { return Run("xz", ["-9", "-c"], data); },
+    "lz4": function(data) { return Run("lz4", ["-9", "-c"], data); }
+};
+
+// these files are already compressed
+var uncompressible = [".jpg", ".png", ".gz", ".bz2", ".xz", ".lz4", ".zip", ".3gp", ".mpg"];
+
+// options, which can be given several times
+var lists = ["tar", "load", "lazy"];
+
+function ParseArguments(argv) {
+    var args = {tar: [], load: [], lazy: []};
+    for(var i=0; i<argv.length; i++) {
+        if (argv[i].substr(0, 2) != "--") return null;
+        var key = argv[i].substr(2);
+        if (i+1 >= argv.length) return null;
+        if (lists.indexOf(key) != -1) {
+            args[key].push(argv[++i]);
+        } else {
+            args[key] = argv[++i];
+        }
+    }
+    return args;
+}
+
+function Fail(msg) {
+    process.stderr.write("Error: " + msg + "\n");
+    process.exit(1);
+}
+
+// Compresses with an external program
+function Run(command, args, data) {
+    var result = child_process.spawnSync(command, args, {input: data, maxBuffer: 0x7FFFFFFF});
+    if (result.error) Fail("Cannot run " + command + ": " + result.error.message);
+    if (result.status != 0) Fail(command + " failed: " + result.stderr);
+    return result.stdout;
+}
+
+function ReadFile(filename) {
+    try {
+        return new Uint8Array(fs.readFileSync(filename));
+    } catch(e) {
+        Fail("Cannot read " + filename);
+    }
+}
+
+function MakeDirectory(dir) {
+    if (fs.existsSync(dir)) return;
+    MakeDirectory(path.dirname(dir));
+    fs.mkdirSync(dir);
+}
+
+// Only root and the user are known in the image
+function GetOwner(id) {
+    return ((id == 0) || (id == 1000)) ? id : 0;
+}
+
+// Web servers hide files beginning with a dot and sometimes with an underscore.
+// Such files are stored without these signs and referenced by src
+function GetServerPath(filepath) {
+    return filepath.split("/").map(function(name) {
+        return name.replace(/^(\.|__|_)/, "");
+    }).join("/");
+}
+
+function Matches(patterns, filepath) {
+    var name = path.posix.basename(filepath);
+    for(var i=0; i<patterns.length; i++) {
+        var pattern = patterns[i].replace(/^\//, "");
+        if (pattern.indexOf("/") == -1 ? pattern == name : pattern == filepath) return true;
+    }
+    return false;
+}
+
+function ShouldBeCompressed(name, data) {
+    if (data.length < 4) return false;
+    for(var i=0; i<uncompressible.length; i++) {
+        var ext = uncompressible[i];
+        if (name.substr(-ext.length) == ext) return false;
+    }
+    if (data.length > COMPRESS_MINSIZE) return true;
+    // ELF binaries
+    return (data[0] == 0x7F) && (data[1] == 0x45) && (data[2] == 0x4C) && (data[3] == 0x46);
+}
+
+// ----- Builder -----
+
+function Builder(args) {
+    this.args = args;
+    this.fsdir = args.fsdir || args.dir;
+    this.inplace = !!args.dir && (path.resolve(this.fsdir) == path.resolve(args.dir));
+    this.root = {child: []};
+    this.files = []; // {tag, path, source} with source the file or the data
+    this.nodes = {"": this.root}; // path -> directory tag
+    this.implicit = {}; // directories, which have been created for their children
+}
+
+// Returns the tag of the directory and creates missing parents
+Builder.prototype.GetDirectory = function(dirpath) {
+    if (typeof this.nodes[dirpath] !== "undefined") return this.nodes[dirpath];
+    var parent = this.GetDirectory(path.posix.dirname(dirpath).replace(/^\.$/, ""));
+    var tag = fsjson.CreateDir(path.posix.basename(dirpath), S_IFDIR | 0x1ED, 0, 0);
+    tag.child = [];
+    parent.child.push(tag);
+    this.nodes[dirpath] = tag;
+    this.implicit[dirpath] = true;
+    return tag;
+}
+
+// Adds the tag unless an entry with this path exists. Returns true if it has been added.
+Builder.prototype.Add = function(filepath, tag) {
+    var parent = this.GetDirectory(path.posix.dirname(filepath).replace(/^\.$/, ""));
+    for(var i=0; i<parent.child.length; i++) {
+        if (parent.child[i].name != tag.name) continue;
+        if (!tag.child || !parent.child[i].child) {
+            process.stderr.write("Warning: " + filepath + " already exists\n");
+        } else
+        if (this.implicit[filepath]) {
+            // the directory gets its real mode and owner
+            parent.child[i].mode = tag.mode;
+            SetOwner(parent.child[i], tag.uid, tag.gid);
+            delete this.implicit[filepath];
+        }
+        return false;
+    }
+    parent.child.push(tag);
+    if (tag.child) this.nodes[filepath] = tag;
+    return true;
+}
+
+function SetOwner(tag, uid, gid) {
+    if (uid) tag.uid = uid; else delete tag.uid;
+    if (gid) tag.gid = gid; else delete tag.gid;
+}
+
+Builder.prototype.AddFile = function(filepath, mode, size, uid, gid, source) {
+    var tag = fsjson.CreateFile(path.posix.basename(filepath), mode, size, GetOwner(uid), GetOwner(gid));
+    if (!this.Add(filepath, tag)) return;
+    this.files.push({tag: tag, path: filepath, source: source});
+}
+
+Builder.prototype.AddDirectory = function(dirpath, mode, uid, gid) {
+    var tag = fsjson.CreateDir(path.posix.basename(dirpath), mode, GetOwner(uid), GetOwner(gid));
+    tag.child = [];
+    this.Add(dirpath, tag);
+}
+
+Builder.prototype.AddLink = function(filepath, mode, target) {
+    this.Add(filepath, fsjson.CreateLink(path.posix.basename(filepath), mode, target));
+}
+
+Builder.prototype.AddHardLink = function(filepath, target) {
+    this.Add(filepath, fsjson.CreateHardLink(path.posix.basename(filepath), target));
+}
+
+// ----- Sysroot directory -----
+
+Builder.prototype.ReadDirectory = function(dir, relpath) {
+    var names = fs.readdirSync(path.join(dir, relpath)).sort();
+    for(var i=0; i<names.length; i++) {
+        var filepath = relpath ? relpath + "/" + names[i] : names[i];
+        var hostpath = path.join(dir, filepath);
+        var stat = fs.lstatSync(hostpath);
+        var mode = stat.mode & 0xFFFF;
+        switch(mode & S_IFMT) {
+            case S_IFDIR:
+                this.AddDirectory(filepath, mode, stat.uid, stat.gid);
+                this.ReadDirectory(dir, filepath);
+                break;
+            case S_IFREG:
+                this.AddFile(filepath, mode, stat.size, stat.uid, stat.gid, hostpath);
+                break;
+            case S_IFLNK:
+                this.AddLink(filepath, mode, fs.readlinkSync(hostpath));
+                break;
+            default:
+                process.stderr.write("Warning: Skipping special file " + filepath + "\n");
+                break;
+        }
+    }
+}
+
+// ----- Tar archives -----
+
+function ReadString(buffer, offset, length) {
+    var str = "";
+    for(var i=0; i<length; i++) {
+        if (buffer[offset+i] == 0) break;
+        str += String.fromCharCode(buffer[offset+i]);
+    }
+    return str;
+}
+
+function ReadOctal(buffer, offset, length) {
+    return parseInt(ReadString(buffer, offset, length).trim(), 8) || 0;
+}
+
+// Returns the path of the pax extended header
+function ReadPaxPath(data) {
+    var text = Buffer.from(data).toString("utf8");
+    var match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(text);
+    return match ? match[1] : null;
+}
+
+Builder.prototype.ReadTar = function(filename) {
+    var compressed = ReadFile(filename);
+    var buffer = new Uint8Array(0);
+    var length = 0;
+    decompress.simple(compressed, function(x) {
+        if (length == buffer.length) {
+            var temp = new Uint8Array(Math.max(buffer.length*2, 0x100000));
+            temp.set(buffer);
+            buffer = temp;
+        }
+        buffer[length++] = x;
+    });
+
+    var longname = null;
+    var offset = 0;
+    while (offset + 512 <= length) {
+        var header = buffer.subarray(offset, offset + 512);
+        offset += 512;
+        if (ReadString(header, 257, 5) != "ustar") continue; // also skips the zero blocks at the end
+
+        var size = ReadOctal(header, 124, 12);
+        var data = buffer.subarray(offset, offset + size);
+        offset += (size + 511) & ~511;
+
+        var typeflag = String.fromCharCode(header[156] || 0x30);
+        var name = ReadString(header, 0, 100);
+        var prefix = ReadString(header, 345, 155);
+        if (prefix) name = prefix + "/" + name;
+        if (longname !== null) name = longname;
+        longname = null;
+
+        if (typeflag == "L") {
+            longname = ReadString(data, 0, data.length);
+            continue;
+        }
+        if (typeflag == "x") {
+            longname = ReadPaxPath(data);
+            continue;
+        }
+        if (typeflag == "g") continue;
+
+        var filepath = name.replace(/^(\.\/|\/)+/, "").replace(/\/$/, "");
+        if (filepath.length == 0 || filepath == ".") continue;
+        var mode = ReadOctal(header, 100, 8) & 0xFFF;
+        var uid = ReadOctal(header, 108, 8);
+        var gid = ReadOctal(header, 116, 8);
+        var linkname = ReadString(header, 157, 100);
+
+        switch(typeflag) {
+            case "5":
+                this.AddDirectory(filepath, mode | S_IFDIR, uid, gid);
+                break;
+            case "0":
+            case "7":
+                this.AddFile(filepath, mode | S_IFREG, size, uid, gid, data);
+                break;
+            case "1":
+                this.AddHardLink(filepath, linkname.replace(/^(\.\/|\/)+/, ""));
+                break;
+            case "2":
+                this.AddLink(filepath, mode | S_IFLNK, linkname);
+                break;
+            default:
+                process.stderr.write("Warning: Skipping " + filepath + " of type " + typeflag + "\n");
+                break;
+        }
+    }
+}
+
+// ----- Output -----
+
+// Sets the flags of the files, compresses them and writes them to fsdir
+Builder.prototype.WriteFiles = function() {
+    var compressor = null;
+    if (this.args.compress) {
+        compressor = compressors[this.args.compress];
+        if (!compressor) Fail("Unknown compression " + this.args.compress);
+    }
+    for(var i=0; i<this.files.length; i++) {
+        var file = this.files[i];
+        var tag = file.tag;
+        var serverpath = this.inplace ? file.path : GetServerPath(file.path);
+        if (serverpath != file.path) tag.src = serverpath;
+        if (Matches(this.args.load, file.path)) tag.load = 1;
+        if (Matches(this.args.lazy, file.path)) tag.lazy = 1;
+
+        var data = (typeof file.source === "string") ? ReadFile(file.source) : file.source;
+        var target = path.join(this.fsdir, serverpath);
+        MakeDirectory(path.dirname(target));
+        // lazy files are loaded with range requests and cannot be compressed
+        if (compressor && !tag.lazy && ShouldBeCompressed(tag.name, data)) {
+            tag.c = (this.args.compress == "bz2") ? 1 : this.args.compress;
+            fs.writeFileSync(target + "." + this.args.compress, compressor(data));
+            if (!this.inplace && fs.existsSync(target)) fs.unlinkSync(target);
+            continue;
+        }
+        if (!this.inplace) fs.writeFileSync(target, data);
+    }
+}
+
+Builder.prototype.Build = function() {
+    if (this.args.dir) this.ReadDirectory(this.args.dir, "");
+    for(var i=0; i<this.args.tar.length; i++) {
+        process.stderr.write("Reading " + this.args.tar[i] + "\n");
+        this.ReadTar(this.args.tar[i]);
+    }
+    this.WriteFiles();
+
+    var src = (typeof this.args.src !== "undefined") ? this.args.src : path.basename(path.resolve(this.fsdir));
+    var output = this.args.output || "fs.json";
+    fs.writeFileSync(output, fsjson.Stringify({src: src, fs: this.root.child}));
+    process.stderr.write("Written " + output + " with " + this.files.length + " files\n");
+}
+
+// ----- Validation -----
+
+// Returns the number of errors
+function Validate(jsonfile, fsdir) {
+    var errors = 0;
+    function Report(filepath, msg) {
+        process.stderr.write(filepath + ": " + msg + "\n");
+        errors++;
+    }
+
+    var root = null;
+    try {
+        root = JSON.parse(fs.readFileSync(jsonfile, "utf8"));
+    } catch(e) {
+        Fail("Cannot parse " + jsonfile + ": " + e.message);
+    }
+    if (typeof root.src !== "string") Report(jsonfile, "src is missing");
+    if (!Array.isArray(root.fs)) Fail(jsonfile + ": fs is missing");
+    fsdir = fsdir || path.join(path.dirname(jsonfile), root.src || "");
+
+    var nfiles = 0;
+    var names = {}; // path -> type
+    var hardlinks = [];
+    fsjson.Walk(root.fs, function(tag, filepath) {
+        if ((typeof tag.name !== "string") || (tag.name.length == 0) || (tag.name.indexOf("/") != -1)) {
+            Report(filepath, "invalid name");
+        }
+        if (names[filepath]) Report(filepath, "duplicate entry");
+        var type = fsjson.GetType(tag);
+        names[filepath] = type;
+
+        if (type == fsjson.TYPE_LINK) return;
+        if (type == fsjson.TYPE_HARDLINK) {
+            hardlinks.push({path: filepath, link: tag.link});
+            return;
+        }
+        if (isNaN(parseInt(tag.mode, 8))) Report(filepath, "invalid mode " + tag.mode);
+        if (type == fsjson.TYPE_DIR) {
+            if (tag.child && !Array.isArray(tag.child)) Report(filepath, "child is not a list");
+            return;
+        }
+
+        nfiles++;
+        if (tag.child) Report(filepath, "file with children");
+        var hostpath = path.join(fsdir, tag.src || filepath);
+        if (tag.c) {
+            if (tag.lazy) Report(filepath, "compressed files cannot be loaded lazily");
+            hostpath += "." + fsjson.GetExtension(tag.c);
+        }
+        if (!fs.existsSync(hostpath)) {
+            Report(filepath, "missing " + hostpath);
+            return;
+        }
+        var size = fs.statSync(hostpath).size;
+        if (tag.c) {
+            size = 0;
+            try {
+                decompress.simple(ReadFile(hostpath), function(x) { size++; });
+            } catch(e) {
+                Report(filepath, "cannot decompress " + hostpath);
+                return;
+            }
+        }
+        if (size != tag.size) Report(filepath, "size is " + size + " instead of " + tag.size);
+    });
+    // hard links can refer to entries, which come later in the list
+    for(var i=0; i<hardlinks.length; i++) {
+        var type = names[hardlinks[i].link];
+        if ((type != fsjson.TYPE_FILE) && (type != fsjson.TYPE_LINK)) {
+            Report(hardlinks[i].path, "hard link to missing file " + hardlinks[i].link);
+        }
+    }
+    process.stderr.write("Checked " + nfiles + " files, " + errors + " errors\n");
+    return errors;
+}
+
+// ----- Main -----
+
+var args = ParseArguments(process.argv.slice(2));
+if (!args || (!args.dir && (args.tar.length == 0) && !args.validate)) {
+    process.stderr.write(usage);
+    process.exit(1);
+}
+
+message.SetSendHandler(function(e) {
+    if (e.command == "Debug") process.stderr.write(String(e.data) + "\n");
+});
+
+if (args.validate) {
+    process.exit(Validate(args.validate, args.fsdir) ? 1 : 0);
+}
+if ((args.tar.length != 0) && !args.fsdir) Fail("--fsdir is required for tar archives");
+new Builder(args).Build();
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+// -------------------------------------------------
+// ------------------ Node.js ----------------------
+// -------------------------------------------------
+// Runs the emulator without a browser.
+// The kernel and the filesystem are read from local files and
+// the terminal is connected to stdin and stdout.
+//
+// Example:
+// node js/node/jor1k.js --path ../openrisc-sys/ --kernel kernel/vmlinux.bin.bz2 --basefs basefs.json --extendedfs fs.json
+//
+// Press Ctrl-A x to quit, Ctrl-A a to send Ctrl-A.
+
+"use strict";
+
+var net = require('net');
+var message = require('../worker/messagehandler');
+var System = require('../worker/system');
+var NodeDirectory = require('./nodedirectory');
+
+var CTRL_A = 0x01;
+
+var usage =
+    "Usage: node jor1k.js [options]\n" +
+    "  --path <dir>           prefix for all following files\n" +
+    "  --kernel <file>        kernel image (required)\n" +
+    "  --dtb <file>           device tree (riscv only). By default it is generated\n" +
+    "  --initrd <file>        initial ram disk\n" +
+    "  --bootargs <string>    kernel command line\n" +
+    "  --basefs <file>        json file with the basic filesystem\n" +
+    "  --extendedfs <file>    json file with the extended filesystem\n" +
+    "  --disk <file>          disk image for the virtio block device. Writes are kept in memory\n" +
+    "  --disk-readonly        the virtio block device is read-only\n" +
+    "  --ata <file>           disk image for the ATA disk (or1k only). Writes are kept in memory\n" +
+    "  --ata-readonly         the ATA disk is read-only\n" +
+    "  --share <tag>:<dir>[:ro] passes a local directory through as 9p share. Can be given twice\n" +
+    "  --arch <or1k|riscv>    default: or1k\n" +
+    "  --cpu <name>           default: safe\n" +
+    "  --ncores <n>           default: 1\n" +
+    "  --memory <MB>          must be a power of two, default: 32\n" +
+    "  --tty <0|1>            terminal connected to stdin and stdout. The output of the other goes to stderr. Default: 0\n" +
+    "  --gdb <port>           listen for GDB on this TCP port\n" +
+    "  --trace <n>            keep the last n executed instructions, printed on abort (or1k safe cpu only)\n" +
+    "  --debug                print the debug messages of the emulator to stderr\n";
+
+function ParseArguments(argv) {
+    var args = {};
+    for(var i=0; i<argv.length; i++) {
+        if (argv[i].substr(0, 2) != "--") return null;
+        var key = argv[i].substr(2);
+        if ((key == "debug") || (key == "disk-readonly") || (key == "ata-readonly")) {
+            args[key] = true;
+            continue;
+        }
+        if (i+1 >= argv.length) return null;
+        if (key == "share") {
+            args.share = (args.share || []).concat(argv[++i]);
+            continue;
+        }
+        args[key] = argv[++i];
+    }
+    return args;
+}
+
+function Runner(args) {
+    this.path = args.path || "";
+    this.activeTTY = "tty" + (args.tty || 0);
+    this.debug = !!args.debug;
+    this.gdbport = parseInt(args.gdb) || 0;
+    this.escape = false; // Ctrl-A has been pressed
+
+    this.params = {
+        system: {
+            kernelURL: this.path + args.kernel,
+            dtbURL: args.dtb ? this.path + args.dtb : undefined,
+            initrdURL: args.initrd ? this.path + args.initrd : undefined,
+            bootargs: args.bootargs,
+            memorysize: parseInt(args.memory) || 32,
+            arch: args.arch || "or1k",
+            cpu: args.cpu || "safe",
+            ncores: parseInt(args.ncores) || 1,
+            trace: parseInt(args.trace) || 0
+        }
+    };
+
+    if (args.disk) {
+        this.params.system.virtioblock = {
+            image: this.path + args.disk,
+            readonly: !!args["disk-readonly"]
+        };
+    }
+
+    if (args.ata) {
+        this.params.system.ata = {
+            image: this.path + args.ata,
+            readonly: !!args["ata-readonly"]
+        };
+    }
+
+    // e.g. --share host:/home/user/src:ro
+    this.params.system.shares = (args.share || []).map(function(share) {
+        var match = share.match(/^([^:]+):(.+?)(:ro)?$/);
+        if (!match) throw new Error("Invalid share " + share);
+        return {tag: match[1], directory: new NodeDirectory(match[2]), readonly: !!match[3]};
+    });
+
+    if (args.basefs) {
+        this.params.fs = {
+            path: this.path,
+            basefsURL: this.path + args.basefs,
+            extendedfsURL: args.extendedfs ? this.path + args.extendedfs : undefined,
+            earlyload: [],
+            lazyloadimages: []
+        };
+    }
+
+    message.SetSendHandler(this.OnMessage.bind(this));
+    this.system = new System();
+}
+
+// handles the messages, which are sent to the master in the browser
+Runner.prototype.OnMessage = function(e) {
+    switch(e.command) {
+        case "execute":
+            setImmediate(function() {
+                message.Receive("execute", 0);
+            });
+            break;
+
+        case "tty0":
+        case "tty1":
+            var out = (e.command == this.activeTTY) ? process.stdout : process.stderr;
+            out.write(Buffer.from(e.data));
+            break;
+
+        case "Debug":
+            // errors are printed before the runner exits
+            if (this.debug || (String(e.data).indexOf("Error") == 0)) process.stderr.write(String(e.data) + "\n");
+            break;
+
+        case "Abort":
+            this.Exit(1);
+            break;
+    }
+};
+
+Runner.prototype.Start = function() {
+    message.Receive("WorkingPath", this.path);
+    message.Receive("Init", this.params.system);
+    message.Receive("Reset");
+    message.Receive("LoadAndStart", this.params.system.kernelURL);
+    if (this.params.fs) message.Receive("LoadFilesystem", this.params.fs);
+    if (this.gdbport) this.ListenGDB(this.gdbport);
+
+    if (process.stdin.isTTY) process.stdin.setRawMode(true);
+    process.stdin.on("data", this.OnInput.bind(this));
+    process.stdin.on("end", function() {
+        if (process.stdin.isTTY) this.Exit(0);
+    }.bind(this));
+};
+
+// The system stops as soon as GDB connects
+Runner.prototype.ListenGDB = function(port) {
+    var stub = this.system.gdbstub;
+    var server = net.createServer(function(socket) {
+        var connection = {
+            Send: function(data) { socket.write(data, "latin1"); },
+            Close: function() { socket.end(); }
+        };
+        socket.setEncoding("latin1");
+        socket.setNoDelay(true);
+        socket.on("data", stub.Receive.bind(stub));
+        socket.on("close", function() {
+            if (stub.connection == connection) stub.Detach();
+        });
+        socket.on("error", function() {});
+        stub.Attach(connection);
+    });
+    server.listen(port, function() {
+        process.stderr.write("Waiting for GDB on port " + port + "\n");
+    });
+};
+
+Runner.prototype.OnInput = function(data) {
+    var chars = [];
+    for(var i=0; i<data.length; i++) {
+        var c = data[i];
+        // the escape sequence is only needed when the keys are sent directly from a terminal
+        if (process.stdin.isTTY) {
+            if (this.escape) {
+                this.escape = false;
+                if (c == 0x78) { // 'x'
+                    this.Exit(0);
+                    return;
+                }
+                if (c != 0x61) continue; // 'a'
+                c = CTRL_A;
+            } else
+            if (c == CTRL_A) {
+                this.escape = true;
+                continue;
+            }
+        }
+        chars.push(c);
+    }
+    if (chars.length == 0) return;
+    message.Receive(this.activeTTY, chars);
+    message.Receive("htif.term0.Transfer", chars);
+};
+
+Runner.prototype.Exit = function(code) {
+    if (process.stdin.isTTY) process.stdin.setRawMode(false);
+    process.exit(code);
+};
+
+var args = ParseArguments(process.argv.slice(2));
+if ((!args) || (!args.kernel)) {
+    process.stderr.write(usage);
+    process.exit(1);
+}
+new Runner(args).Start();
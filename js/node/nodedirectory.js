@@ -0,0 +1,108 @@
+// -------------------------------------------------
+// ----------------- NODE DIRECTORY ----------------
+// -------------------------------------------------
+// Backend of HostDirectory for a local directory in Node.js.
+// See js/worker/filesystem/hostdirectory.js for the interface.
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+
+var S_IFMT = 0xF000;
+var S_IFLNK = 0xA000;
+var S_IFREG = 0x8000;
+var S_IFDIR = 0x4000;
+
+function NodeDirectory(root) {
+    this.root = path.resolve(root);
+}
+
+NodeDirectory.prototype.GetPath = function(name) {
+    return path.join(this.root, name);
+}
+
+// Calls callback with the result of f or the thrown error
+function Complete(f, callback) {
+    var result;
+    try {
+        result = f();
+    } catch(e) {
+        callback(e);
+        return;
+    }
+    callback(null, result);
+}
+
+NodeDirectory.prototype.ReadDirectory = function(name, callback) {
+    Complete(function() {
+        var dir = this.GetPath(name);
+        var entries = [];
+        fs.readdirSync(dir).forEach(function(entryname) {
+            var filename = path.join(dir, entryname);
+            var stat = fs.lstatSync(filename);
+            var type = stat.mode & S_IFMT;
+            // other files, e.g. sockets, are not passed through
+            if ((type != S_IFDIR) && (type != S_IFREG) && (type != S_IFLNK)) return;
+            entries.push({
+                name: entryname,
+                mode: stat.mode,
+                size: stat.size,
+                mtime: Math.floor(stat.mtime.getTime()/1000),
+                symlink: (type == S_IFLNK) ? fs.readlinkSync(filename) : ""
+            });
+        });
+        return entries;
+    }.bind(this), callback);
+}
+
+NodeDirectory.prototype.ReadFile = function(name, callback) {
+    Complete(function() {
+        return new Uint8Array(fs.readFileSync(this.GetPath(name)));
+    }.bind(this), callback);
+}
+
+NodeDirectory.prototype.WriteFile = function(name, data, callback) {
+    Complete(function() {
+        fs.writeFileSync(this.GetPath(name), Buffer.from(data.buffer, data.byteOffset, data.length));
+    }.bind(this), callback);
+}
+
+NodeDirectory.prototype.MakeDirectory = function(name, callback) {
+    Complete(function() {
+        fs.mkdirSync(this.GetPath(name));
+    }.bind(this), callback);
+}
+
+NodeDirectory.prototype.Remove = function(name, callback) {
+    Complete(function() {
+        var filename = this.GetPath(name);
+        if (fs.lstatSync(filename).isDirectory()) {
+            fs.rmdirSync(filename);
+        } else {
+            fs.unlinkSync(filename);
+        }
+    }.bind(this), callback);
+}
+
+NodeDirectory.prototype.Rename = function(oldname, newname, callback) {
+    Complete(function() {
+        fs.renameSync(this.GetPath(oldname), this.GetPath(newname));
+    }.bind(this), callback);
+}
+
+NodeDirectory.prototype.SetMode = function(name, mode, callback) {
+    Complete(function() {
+        var filename = this.GetPath(name);
+        // the mode of symbolic links cannot be changed
+        if (!fs.lstatSync(filename).isSymbolicLink()) fs.chmodSync(filename, mode);
+    }.bind(this), callback);
+}
+
+NodeDirectory.prototype.Symlink = function(name, target, callback) {
+    Complete(function() {
+        fs.symlinkSync(target, this.GetPath(name));
+    }.bind(this), callback);
+}
+
+module.exports = NodeDirectory;
@@ -0,0 +1,52 @@
+// -------------------------------------------------
+// ----------------- DECOMPRESS --------------------
+// -------------------------------------------------
+// Detects the compression format by its magic bytes and calls the matching decoder.
+// Supported are bzip2, gzip, xz and lz4. Unknown data is passed through unchanged.
+
+"use strict";
+
+var bzip2 = require('./bzip2');
+var gzip = require('./gzip');
+var xz = require('./xz');
+var lz4 = require('./lz4');
+
+var decoders = [
+    {name: "bzip2", module: bzip2, Is: bzip2.IsBZIP2},
+    {name: "gzip", module: gzip, Is: gzip.IsGZIP},
+    {name: "xz", module: xz, Is: xz.IsXZ},
+    {name: "lz4", module: lz4, Is: lz4.IsLZ4}
+];
+
+function GetDecoder(buffer) {
+    for(var i=0; i<decoders.length; i++) {
+        if (decoders[i].Is(buffer)) return decoders[i];
+    }
+    return null;
+}
+
+var decompress = {};
+
+// Returns the name of the compression format or null
+decompress.GetFormat = function(buffer) {
+    var decoder = GetDecoder(buffer);
+    return decoder ? decoder.name : null;
+}
+
+decompress.IsCompressed = function(buffer) {
+    return GetDecoder(buffer) != null;
+}
+
+// Calls stream for every decompressed byte
+decompress.simple = function(srcbuffer, stream) {
+    var decoder = GetDecoder(srcbuffer);
+    if (decoder) {
+        decoder.module.simple(srcbuffer, stream);
+        return;
+    }
+    for(var i=0; i<srcbuffer.length; i++) {
+        stream(srcbuffer[i]);
+    }
+}
+
+module.exports = decompress;
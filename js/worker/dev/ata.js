@@ -6,9 +6,12 @@
 
 var utils = require('../utils');
 var message = require('../messagehandler');
+var snapshot = require('../snapshot');
+var DiskImage = require('./diskimage');
 
 // ata-generic implementation (according to Linux)
 // simulation of a hard disk loaded on demand from the webserver in small chunks.
+// The data is stored in a DiskImage (see diskimage.js), which keeps the written sectors in an overlay.
 // specification
 // ftp://ftp.seagate.com/pub/acrobat/reference/111-1c.pdf
 
@@ -55,17 +58,42 @@ var ATA_SR_COR  = 0x04;  // Corrected data (obsolete)
 var ATA_SR_IDX  = 0x02;  //                (obsolete)
 var ATA_SR_ERR  = 0x01;  // Error
 
+// ----- ATA Error Register
+var ATA_ER_ABRT = 0x04;  // Command aborted
+var ATA_ER_IDNF = 0x10;  // Sector not found
+
+var ATA_DCR_HOB = 0x80;  // High order byte of the LBA48 registers
+
+var SECTOR_SIZE = 512;
+
+// data transfer via the data register
+var TRANSFER_NONE = 0;
+var TRANSFER_IDENTIFY = 1;
+var TRANSFER_READ = 2;
+var TRANSFER_WRITE = 3;
+
 // constructor
-function ATADev(intdev) {
+// image is a DiskImage. Without image the disk is empty and has a size of 64 kB.
+function ATADev(intdev, image) {
     this.intdev = intdev;
     var buffer = new ArrayBuffer(512);
     this.identifybuffer = new Uint16Array(buffer);
+    this.sectorbuffer8 = new Uint8Array(SECTOR_SIZE);
+    this.sectorbuffer = new Uint16Array(this.sectorbuffer8.buffer);
 
     this.Reset();
 
-    var buffer = new ArrayBuffer(64*1024); // 64 kB
-    this.SetBuffer(buffer);    
-    
+    this.SetImage(image || new DiskImage(new ArrayBuffer(64*1024)));
+
+    message.RegisterRequest("ata.GetOverlay", function() {
+        return this.image.GetOverlay();
+    }.bind(this));
+    message.RegisterRequest("ata.Export", function() {
+        return this.image.Export();
+    }.bind(this));
+    message.Register("ata.Discard", function() {
+        this.image.Discard();
+    }.bind(this));
 }
 ATADev.prototype.Reset = function() {
     this.DCR = 0x8; // fourth bis is always set
@@ -77,6 +105,18 @@ ATADev.prototype.Reset = function() {
     this.ER = 0x1; // Error register
     this.CR = 0x0; // Command register
 
+    // previous values of the registers for LBA48
+    this.hobSNR = 0x0;
+    this.hobSCR = 0x0;
+    this.hoblcyl = 0x0;
+    this.hobhcyl = 0x0;
+
+    this.transfer = TRANSFER_NONE;
+    this.sector = 0; // current sector of the transfer
+    this.count = 0; // remaining sectors of the transfer
+    this.lba48 = false;
+    this.multiple = false; // interrupt only at the begin or end of the transfer
+
 //this.error = 0x1;
     this.lcyl = 0x0;
     this.hcyl = 0x0;
@@ -88,13 +128,30 @@ ATADev.prototype.Reset = function() {
     this.readbuffermax = 256;
 }
 
-ATADev.prototype.SetBuffer = function(buffer) {
-    this.diskbuffer = new Uint16Array(buffer);
+// readbuffer is a reference to one of the buffers and is not stored
+ATADev.prototype.GetState = function() {
+    var state = snapshot.GetObjectState(this);
+    delete state.readbuffer;
+    return state;
+};
+
+ATADev.prototype.SetState = function(state) {
+    snapshot.SetObjectState(this, state);
+    if ((this.transfer == TRANSFER_READ) || (this.transfer == TRANSFER_WRITE)) {
+        this.readbuffer = this.sectorbuffer;
+    } else {
+        this.readbuffer = this.identifybuffer;
+    }
+};
+
+ATADev.prototype.SetImage = function(image) {
+    this.image = image;
+    this.nsectors = image.sectors;
+    // the geometry is only used by very old software. Linux uses LBA.
     this.heads = 16;
-    this.sectors = 64;
-    this.cylinders = buffer.byteLength/(this.heads*this.sectors*512);
-    this.nsectors = this.heads*this.sectors*this.cylinders;
-    this.BuildIdentifyBuffer(this.identifybuffer);   
+    this.sectors = 63;
+    this.cylinders = Math.max(1, Math.min(16383, Math.floor(this.nsectors/(this.heads*this.sectors))));
+    this.BuildIdentifyBuffer(this.identifybuffer);
 }
 
 ATADev.prototype.BuildIdentifyBuffer = function(buffer16)
@@ -133,23 +190,31 @@ ATADev.prototype.BuildIdentifyBuffer = function(buffer16)
     buffer16[55] = this.heads;
     buffer16[56] = this.sectors; // sectors per track
 
-    buffer16[57] = (this.nsectors >> 0)&0xFFFF; // number of sectors
-    buffer16[58] = (this.nsectors >>16)&0xFFFF;
+    var chssectors = this.cylinders*this.heads*this.sectors;
+    buffer16[57] = (chssectors >> 0)&0xFFFF; // number of sectors
+    buffer16[58] = (chssectors >>16)&0xFFFF;
 
     buffer16[59] = 0x0000; // multiple sector settings
     //buffer16[59]  = 0x100 | 128;
 
-    buffer16[60] = (this.nsectors >> 0)&0xFFFF; // Total number of user-addressable sectors low
-    buffer16[61] = (this.nsectors >>16)&0xFFFF; // Total number of user-addressable sectors high
+    var lba28sectors = Math.min(this.nsectors, 0x0FFFFFFF);
+    buffer16[60] = (lba28sectors >> 0)&0xFFFF; // Total number of user-addressable sectors low
+    buffer16[61] = (lba28sectors >>16)&0xFFFF; // Total number of user-addressable sectors high
 
-    buffer16[80] = (1<<1)|(1<<2); // version, support ATA-1 and ATA-2
+    buffer16[80] = (1<<1)|(1<<2)|(1<<6); // version, support ATA-1, ATA-2 and ATA-6
     buffer16[82] = (1<<14); // Command sets supported. (NOP supported)
-    buffer16[83] = (1<<14); // this bit should be set to one
+    buffer16[83] = (1<<14)|(1<<13)|(1<<12)|(1<<10); // this bit should be set to one, flush cache ext, flush cache, LBA48
     buffer16[84] = (1<<14); // this bit should be set to one
     buffer16[85] = (1<<14); // Command set/feature enabled (NOP)
-    buffer16[86] = 0; // Command set/feature enabled
+    buffer16[86] = (1<<13)|(1<<12)|(1<<10); // Command set/feature enabled
     buffer16[87] = (1<<14); // Shall be set to one
 
+    // Total number of user-addressable sectors for LBA48
+    buffer16[100] = this.nsectors & 0xFFFF;
+    buffer16[101] = Math.floor(this.nsectors / 0x10000) & 0xFFFF;
+    buffer16[102] = Math.floor(this.nsectors / 0x100000000) & 0xFFFF;
+    buffer16[103] = 0;
+
 }
 
 ATADev.prototype.ReadReg8 = function(addr) {
@@ -164,19 +229,19 @@ ATADev.prototype.ReadReg8 = function(addr) {
 
         case ATA_REG_NSECT:
             //message.Debug("ATADev: read sector count register");
-            return this.SNR;
+            return (this.DCR & ATA_DCR_HOB) ? this.hobSNR : this.SNR;
 
         case ATA_REG_LBAL:
             //message.Debug("ATADev: read sector number register");
-            return this.SCR;
+            return (this.DCR & ATA_DCR_HOB) ? this.hobSCR : this.SCR;
 
         case ATA_REG_LBAM:
             //message.Debug("ATADev: read cylinder low register");
-            return this.lcyl;
+            return (this.DCR & ATA_DCR_HOB) ? this.hoblcyl : this.lcyl;
         
         case ATA_REG_LBAH:
             //message.Debug("ATADev: read cylinder high register");
-            return this.hcyl;
+            return (this.DCR & ATA_DCR_HOB) ? this.hobhcyl : this.hcyl;
 
         case ATA_REG_DEVICE:
             //message.Debug("ATADev: read drive/head register");
@@ -206,6 +271,10 @@ ATADev.prototype.GetSector = function()
         message.Debug("ATADev: CHS mode not supported");
         message.Abort();
     }
+    if (this.lba48) {
+        return ((this.hobhcyl << 8) | this.hoblcyl) * 0x100000000 +
+            (((this.hobSCR << 24) | (this.hcyl << 16) | (this.lcyl << 8) | this.SCR) >>> 0);
+    }
     return ((this.DR&0x0F) << 24) | (this.hcyl << 16) | (this.lcyl << 8) | this.SCR;
 }
 
@@ -218,69 +287,140 @@ ATADev.prototype.SetSector = function(sector)
     this.SCR = sector & 0xFF;
     this.lcyl = (sector >> 8) & 0xFF;
     this.hcyl = (sector >> 16) & 0xFF;
+    if (this.lba48) {
+        var high = Math.floor(sector / 0x1000000);
+        this.hobSCR = high & 0xFF;
+        this.hoblcyl = (high >> 8) & 0xFF;
+        this.hobhcyl = (high >> 16) & 0xFF;
+        return;
+    }
     this.DR = (this.DR & 0xF0) | ((sector >> 24) & 0x0F);
 }
 
+ATADev.prototype.RaiseInterrupt = function()
+{
+    if (!(this.DCR & ATA_DCR_IEN)) {
+        this.intdev.RaiseInterrupt(15);
+    }
+}
+
+ATADev.prototype.CommandDone = function()
+{
+    this.transfer = TRANSFER_NONE;
+    this.SR = ATA_SR_DRDY | ATA_SR_DSC;
+    this.ER = 0x0;
+    this.RaiseInterrupt();
+}
+
+ATADev.prototype.CommandError = function(error)
+{
+    this.transfer = TRANSFER_NONE;
+    this.SR = ATA_SR_DRDY | ATA_SR_ERR;
+    this.ER = error;
+    this.RaiseInterrupt();
+}
+
+// Starts a read or write of several sectors.
+ATADev.prototype.StartTransfer = function(transfer, lba48, multiple)
+{
+    this.lba48 = lba48;
+    this.multiple = multiple;
+    this.sector = this.GetSector();
+    this.count = lba48 ? ((this.hobSNR << 8) | this.SNR) : this.SNR;
+    if (this.count == 0) {
+        this.count = lba48 ? 65536 : 256;
+    }
+    //message.Debug("ATADev: transfer of " + this.count + " sectors starting at sector " + this.sector);
+    if (this.sector + this.count > this.nsectors) {
+        this.CommandError(ATA_ER_IDNF | ATA_ER_ABRT);
+        return;
+    }
+    if ((transfer == TRANSFER_WRITE) && this.image.readonly) {
+        this.CommandError(ATA_ER_ABRT);
+        return;
+    }
+    this.transfer = transfer;
+    this.readbuffer = this.sectorbuffer;
+    this.readbufferindex = 0;
+    this.readbuffermax = 256;
+    this.ER = 0x0;
+    this.SR = ATA_SR_DRDY | ATA_SR_DSC | ATA_SR_DRQ;
+    if (transfer == TRANSFER_READ) {
+        this.image.Read(this.sector, 1, this.sectorbuffer8, 0);
+        this.RaiseInterrupt();
+    }
+}
+
+// Called after a sector has been transferred via the data register
+ATADev.prototype.NextSector = function()
+{
+    if (this.transfer == TRANSFER_WRITE) {
+        if (!this.image.Write(this.sector, 1, this.sectorbuffer8, 0)) {
+            this.CommandError(ATA_ER_ABRT);
+            return;
+        }
+    }
+    this.count--;
+    if (this.count == 0) {
+        // a write is finished by an interrupt, a read by the last data transfer
+        if (this.transfer == TRANSFER_WRITE) this.RaiseInterrupt();
+        this.transfer = TRANSFER_NONE;
+        this.SR = ATA_SR_DRDY | ATA_SR_DSC;
+        return;
+    }
+    this.sector++;
+    this.SNR = this.count & 0xFF;
+    this.SetSector(this.sector);
+    this.readbufferindex = 0;
+    this.SR = ATA_SR_DRDY | ATA_SR_DSC | ATA_SR_DRQ;
+    if (this.transfer == TRANSFER_READ) {
+        this.image.Read(this.sector, 1, this.sectorbuffer8, 0);
+    }
+    if (!this.multiple) this.RaiseInterrupt();
+}
+
 ATADev.prototype.ExecuteCommand = function()
 {
     switch(this.CR)
     {
         case 0xEC: // identify device
+            this.transfer = TRANSFER_IDENTIFY;
             this.readbuffer = this.identifybuffer;
             this.readbufferindex = 0;
             this.readbuffermax = 256;
             this.SR = ATA_SR_DRDY | ATA_SR_DSC | ATA_SR_DRQ;
-            if (!(this.DCR & ATA_DCR_IEN)) {
-                this.intdev.RaiseInterrupt(15);
-            }
+            this.RaiseInterrupt();
             break;
 
         case 0x91: // initialize drive parameters
-            this.SR = ATA_SR_DRDY | ATA_SR_DSC;
-            this.ER = 0x0;
-            if (!(this.DCR & ATA_DCR_IEN)) {
-                this.intdev.RaiseInterrupt(15);
-            }
+        case 0xC6: // set multiple mode
+        case 0xEF: // set features
+        case 0xE7: // flush cache
+        case 0xEA: // flush cache ext
+            if ((this.CR == 0xE7) || (this.CR == 0xEA)) this.image.Flush();
+            this.CommandDone();
             break;
 
         case 0x20: // load sector
-        case 0x30: // save sector
+        case 0x21: // load sector without retry
+        case 0x24: // load sector ext
+            this.StartTransfer(TRANSFER_READ, this.CR == 0x24, false);
+            break;
 
-            var sector = this.GetSector();
-            if (this.SNR == 0) {
-                this.SNR = 256;
-            }
-            //message.Debug("ATADev: Load sector " + utils.ToHex(sector) + ". number of sectors " + utils.ToHex(this.SNR));
-            this.readbuffer = this.diskbuffer;
-            this.readbufferindex = sector*256;
-            this.readbuffermax = this.readbufferindex+256;
-            this.SR = ATA_SR_DRDY | ATA_SR_DSC | ATA_SR_DRQ;
-            this.ER = 0x0;
-            if (this.CR == 0x20) {
-                if (!(this.DCR & ATA_DCR_IEN)) {
-                    this.intdev.RaiseInterrupt(15);
-                }
-            }
+        case 0x30: // save sector
+        case 0x31: // save sector without retry
+        case 0x34: // save sector ext
+            this.StartTransfer(TRANSFER_WRITE, this.CR == 0x34, false);
             break;
 
         case 0xC4: // read multiple sectors
-        case 0xC5: // write multiple sectors
-            var sector = this.GetSector();
-            if (this.SNR == 0) {
-                this.SNR = 256;
-            }
-            //message.Debug("ATADev: Load multiple sector " + utils.ToHex(sector) + ". number of sectors " + utils.ToHex(this.SNR));
-            this.readbuffer = this.diskbuffer;
-            this.readbufferindex = sector*256;
-            this.readbuffermax = this.readbufferindex + 256*this.SNR;
-            this.SR = ATA_SR_DRDY | ATA_SR_DSC | ATA_SR_DRQ;
-            this.ER = 0x0;
-            if (this.CR == 0xC4) {
-                if (!(this.DCR & ATA_DCR_IEN)) {
-                    this.intdev.RaiseInterrupt(15);
-                }
-            }
+        case 0x29: // read multiple sectors ext
+            this.StartTransfer(TRANSFER_READ, this.CR == 0x29, true);
+            break;
 
+        case 0xC5: // write multiple sectors
+        case 0x39: // write multiple sectors ext
+            this.StartTransfer(TRANSFER_WRITE, this.CR == 0x39, true);
             break;
 
         default:
@@ -338,23 +478,28 @@ ATADev.prototype.WriteReg8 = function(addr, x) {
             this.FR = x;
             break;
 
+        // the previous values are kept for LBA48
         case ATA_REG_NSECT:
             //message.Debug("ATADev: Write sector count register value: " + utils.ToHex(x));
+            this.hobSNR = this.SNR;
             this.SNR = x;
             break;
 
         case ATA_REG_LBAL:
             //message.Debug("ATADev: Write sector number register value: " + utils.ToHex(x));
+            this.hobSCR = this.SCR;
             this.SCR = x;
             break;
 
         case ATA_REG_LBAM:
             //message.Debug("ATADev: Write cylinder low register value: " + utils.ToHex(x));
+            this.hoblcyl = this.lcyl;
             this.lcyl = x;
             break;
 
         case ATA_REG_LBAH:
             //message.Debug("ATADev: Write cylinder high number register value: " + utils.ToHex(x));
+            this.hobhcyl = this.hcyl;
             this.hcyl = x;
             break;
 
@@ -376,23 +521,20 @@ ATADev.prototype.ReadReg16 = function(addr) {
         message.Debug("ATADev: Error in ReadRegister16: register " + utils.ToHex(addr) + " not supported");
         message.Abort();
     }
+    if ((this.transfer != TRANSFER_IDENTIFY) && (this.transfer != TRANSFER_READ)) {
+        return 0x0;
+    }
 
     var val = utils.Swap16(this.readbuffer[this.readbufferindex]);
     //message.Debug("ATADev: read data register");
     this.readbufferindex++;
     if (this.readbufferindex >= this.readbuffermax) {
-        this.SR = ATA_SR_DRDY | ATA_SR_DSC; // maybe no DSC for identify command but it works
-        
-        if ((this.CR == 0x20) && (this.SNR > 1)) {
-            this.SNR--;
-            this.SetSector(this.GetSector() + 1);
-            this.readbuffermax += 256;
-            this.SR = ATA_SR_DRDY | ATA_SR_DSC | ATA_SR_DRQ;
-            if (!(this.DCR & ATA_DCR_IEN)) {
-                this.intdev.RaiseInterrupt(15);
-            }
+        if (this.transfer == TRANSFER_IDENTIFY) {
+            this.transfer = TRANSFER_NONE;
+            this.SR = ATA_SR_DRDY | ATA_SR_DSC; // maybe no DSC for identify command but it works
+        } else {
+            this.NextSector();
         }
-
     }
     return val;
 };
@@ -402,20 +544,14 @@ ATADev.prototype.WriteReg16 = function(addr, x) {
         message.Debug("ATADev: Error in WriteRegister16: register " + utils.ToHex(addr) + " not supported");
         message.Abort();
     }
+    if (this.transfer != TRANSFER_WRITE) {
+        return;
+    }
     this.readbuffer[this.readbufferindex] = utils.Swap16(x);
     //message.Debug("ATADev: write data register");
     this.readbufferindex++;
     if (this.readbufferindex >= this.readbuffermax) {
-        this.SR = ATA_SR_DRDY | ATA_SR_DSC;
-        if (!(this.DCR & ATA_DCR_IEN)) {
-            this.intdev.RaiseInterrupt(15);
-        }
-        if ((this.CR == 0x30) && (this.SNR > 1)) {
-            this.SNR--;
-            this.SetSector(this.GetSector() + 1);
-            this.readbuffermax += 256;
-            this.SR = ATA_SR_DRDY | ATA_SR_DSC | ATA_SR_DRQ;
-        }
+        this.NextSector();
     }
 };
 
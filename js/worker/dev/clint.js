@@ -25,9 +25,16 @@ var utils = require('../utils');
 
 var CSR_TIMECMP   = 0xC41;
 var CSR_TIME      = 0xC01;
+// upper 32 bits, only used by the 64-Bit cpu
+var CSR_TIMECMPH  = 0xCC1;
+var CSR_TIMEH     = 0xC81;
 
-function CLINTDev(csr) {
-    this.csr = csr;
+var IRQ_M_SOFT = 3;
+
+// csrs contains the CSRs of each hart
+function CLINTDev(csrs, cpuirqhandler) {
+    this.csrs = csrs;
+    this.cpuirqhandler = cpuirqhandler;
     this.Reset();
 }
 
@@ -37,7 +44,11 @@ CLINTDev.prototype.Reset = function() {
 }
 
 CLINTDev.prototype.ReadReg32 = function (addr) {
-    // no one ever read it
+    addr = addr | 0;
+    // all harts share the same time
+    if (addr == 0xbff8) return this.csrs[0][CSR_TIME];
+    if (addr == 0xbffc) return this.csrs[0][CSR_TIMEH];
+    if ((addr >> 2) < this.regs.length) return this.regs[addr >> 2];
     message.Debug("CLINT: unknown ReadReg32: " + utils.ToHex(addr));
     message.Abort();
     return 0x0;
@@ -47,10 +58,25 @@ CLINTDev.prototype.ReadReg32 = function (addr) {
 CLINTDev.prototype.WriteReg32 = function (addr, value) {
     addr = addr | 0;
     //message.Debug("CLINT: unknown WriteReg32: " + utils.ToHex(addr) + ": " + utils.ToHex(value));
+    var hartid = 0;
+    if (addr < 0x4000) {
+        // software interrupt
+        hartid = addr >> 2;
+        if (hartid >= this.csrs.length) return;
+        this.regs[addr >> 2] = value & 1;
+        if (value & 1) {
+            this.cpuirqhandler.RaiseInterrupt(IRQ_M_SOFT, hartid);
+        } else {
+            this.cpuirqhandler.ClearInterrupt(IRQ_M_SOFT, hartid);
+        }
+        return;
+    }
     this.regs[addr >> 2] = value;
-    if (addr == 0x4000) {
-        this.csr[CSR_TIMECMP] = value;
-        //message.Debug("delta: " + (this.csr[CSR_TIMECMP] - this.csr[CSR_TIME]));
+    if (addr < 0xbff8) {
+        hartid = (addr - 0x4000) >> 3;
+        if (hartid >= this.csrs.length) return;
+        this.csrs[hartid][(addr & 4) ? CSR_TIMECMPH : CSR_TIMECMP] = value;
+        //message.Debug("delta: " + (this.csrs[hartid][CSR_TIMECMP] - this.csrs[hartid][CSR_TIME]));
     }
 }
 
@@ -0,0 +1,158 @@
+// -------------------------------------------------
+// ---------------- DISK IMAGE ---------------------
+// -------------------------------------------------
+// Backing store for the block devices. The image can be
+//   - an URL, which is loaded in chunks with range requests when they are accessed
+//   - a path to a local file in Node.js
+//   - a File or Blob object, which is read in chunks as well
+//   - an ArrayBuffer or Uint8Array
+// The image itself is never changed. Written sectors are kept in an overlay.
+
+"use strict";
+
+var message = require('../messagehandler');
+var LazyUint8Array = require('../filesystem/lazyUint8Array');
+
+var SECTOR_SIZE = 512;
+var CHUNK_SIZE = 1024*1024; // for File and Blob objects
+
+function DiskImage(image, readonly) {
+    this.readonly = !!readonly;
+    this.overlay = {}; // sector number -> Uint8Array with the written data
+    this.chunks = []; // loaded chunks of a Blob
+
+    if (typeof image === "string") {
+        this.lazy = new LazyUint8Array(image, 0);
+        this.size = this.lazy.length;
+    } else
+    if ((typeof Blob !== "undefined") && (image instanceof Blob)) {
+        this.blob = image;
+        this.size = image.size;
+    } else
+    if (image instanceof ArrayBuffer) {
+        this.data = new Uint8Array(image);
+        this.size = this.data.length;
+    } else
+    if (image instanceof Uint8Array) {
+        this.data = image;
+        this.size = image.length;
+    } else {
+        message.Debug("Error in DiskImage: Unknown type of image");
+        message.Abort();
+    }
+    this.sectors = Math.floor(this.size / SECTOR_SIZE);
+    message.Debug("Disk image with " + this.sectors + " sectors" + (this.readonly ? " (read-only)" : ""));
+}
+
+// Returns the chunk of the image and the size of a chunk
+DiskImage.prototype.GetChunk = function(n) {
+    if (this.lazy) {
+        return {data: this.lazy.GetChunk(n), size: this.lazy.chunkSize};
+    }
+    if (typeof this.chunks[n] === "undefined") {
+        var blob = this.blob.slice(n*CHUNK_SIZE, Math.min((n+1)*CHUNK_SIZE, this.size));
+        this.chunks[n] = new Uint8Array(new FileReaderSync().readAsArrayBuffer(blob));
+    }
+    return {data: this.chunks[n], size: CHUNK_SIZE};
+}
+
+// Copies length bytes of the image starting at offset into buffer
+DiskImage.prototype.ReadImage = function(offset, length, buffer, bufferoffset) {
+    if (this.data) {
+        buffer.set(this.data.subarray(offset, offset + length), bufferoffset);
+        return;
+    }
+    while (length > 0) {
+        var chunk = this.GetChunk(Math.floor(offset / (this.lazy ? this.lazy.chunkSize : CHUNK_SIZE)));
+        var start = offset % chunk.size;
+        var n = Math.min(length, chunk.size - start);
+        buffer.set(chunk.data.subarray(start, start + n), bufferoffset);
+        offset += n;
+        bufferoffset += n;
+        length -= n;
+    }
+}
+
+// Reads count sectors starting at sector into buffer
+DiskImage.prototype.Read = function(sector, count, buffer, bufferoffset) {
+    if (sector + count > this.sectors) return false;
+    bufferoffset = bufferoffset || 0;
+    // consecutive sectors of the image are read at once
+    var start = sector;
+    for(var i=sector; i<=sector+count; i++) {
+        if ((i < sector+count) && (typeof this.overlay[i] === "undefined")) continue;
+        if (i > start) {
+            this.ReadImage(start*SECTOR_SIZE, (i-start)*SECTOR_SIZE, buffer, bufferoffset + (start-sector)*SECTOR_SIZE);
+        }
+        if (i < sector+count) {
+            buffer.set(this.overlay[i], bufferoffset + (i-sector)*SECTOR_SIZE);
+        }
+        start = i+1;
+    }
+    return true;
+}
+
+// Writes count sectors starting at sector from buffer into the overlay
+DiskImage.prototype.Write = function(sector, count, buffer, bufferoffset) {
+    if (this.readonly) return false;
+    if (sector + count > this.sectors) return false;
+    bufferoffset = bufferoffset || 0;
+    for(var i=0; i<count; i++) {
+        this.overlay[sector+i] = buffer.slice(bufferoffset + i*SECTOR_SIZE, bufferoffset + (i+1)*SECTOR_SIZE);
+    }
+    return true;
+}
+
+// The overlay is kept in memory, so there is nothing to do
+DiskImage.prototype.Flush = function() {
+    return true;
+}
+
+// Forgets all written sectors
+DiskImage.prototype.Discard = function() {
+    this.overlay = {};
+}
+
+// Returns the written sectors as ArrayBuffer. Each sector is stored
+// as 64 bit sector number in little endian followed by the data.
+DiskImage.prototype.GetOverlay = function() {
+    var sectors = Object.keys(this.overlay);
+    var buffer = new ArrayBuffer(sectors.length * (8 + SECTOR_SIZE));
+    var view = new DataView(buffer);
+    var bytes = new Uint8Array(buffer);
+    for(var i=0; i<sectors.length; i++) {
+        var sector = Number(sectors[i]);
+        var offset = i * (8 + SECTOR_SIZE);
+        view.setUint32(offset+0, sector % 0x100000000, true);
+        view.setUint32(offset+4, Math.floor(sector / 0x100000000), true);
+        bytes.set(this.overlay[sector], offset+8);
+    }
+    return buffer;
+}
+
+// Restores the written sectors returned by GetOverlay
+DiskImage.prototype.SetOverlay = function(buffer) {
+    var view = new DataView(buffer);
+    var bytes = new Uint8Array(buffer);
+    this.overlay = {};
+    for(var offset=0; offset + 8 + SECTOR_SIZE <= buffer.byteLength; offset += 8 + SECTOR_SIZE) {
+        var sector = view.getUint32(offset+4, true) * 0x100000000 + view.getUint32(offset, true);
+        if (sector >= this.sectors) continue;
+        this.overlay[sector] = bytes.slice(offset+8, offset+8+SECTOR_SIZE);
+    }
+}
+
+// Returns the image with the written sectors as ArrayBuffer.
+// This loads the whole image.
+DiskImage.prototype.Export = function() {
+    var data = new Uint8Array(this.size);
+    this.ReadImage(0, this.size, data, 0);
+    for (var sector in this.overlay) {
+        if (!this.overlay.hasOwnProperty(sector)) continue;
+        data.set(this.overlay[sector], sector * SECTOR_SIZE);
+    }
+    return data.buffer;
+}
+
+module.exports = DiskImage;
+module.exports.SECTOR_SIZE = SECTOR_SIZE;
@@ -7,6 +7,7 @@
 
 var message = require('../messagehandler');
 var utils = require('../utils');
+var pcap = require('./pcap');
 
 //REGISTER ADDRESSES
 var ETHMAC_ADDR_MODER = 0x0;
@@ -337,6 +338,7 @@ function EthDev(ram, intdev, mac) {
                 //write the packet to the memory location
                 //TODO: do we want to write on an error, anyway?
                 if (!err) {
+                    pcap.Capture(data_arraybuffer);
                     stat.LEN = data.length;
 
                     var aligned = true;
@@ -457,6 +459,8 @@ function EthDev(ram, intdev, mac) {
             frame[frame.length-4] = crcval & 0xFF;
         }
 
+        // the capture contains the frame without the appended CRC
+        pcap.Capture(crc ? frame.buffer.slice(0, frame.length-4) : frame.buffer);
         this.TransmitCallback(frame.buffer);
 
         //set error bits
@@ -0,0 +1,76 @@
+// -------------------------------------------------
+// ------------------ PCAP -------------------------
+// -------------------------------------------------
+// Records the frames of the network devices in the pcap format,
+// which can be opened with Wireshark or tcpdump.
+// The capture is started with the message "StartCapture"
+// and the request "StopCapture" returns the file as ArrayBuffer.
+
+"use strict";
+
+var message = require('../messagehandler');
+
+var LINKTYPE_ETHERNET = 1;
+var SNAPLEN = 65535;
+var MAXSIZE = 64*1024*1024; // maximum size of the recorded frames in bytes
+
+var capturing = false;
+var frames = []; // {time, data, length}
+var size = 0;
+
+function Start() {
+    frames = [];
+    size = 0;
+    capturing = true;
+    message.Debug("Network capture started");
+}
+
+// Called by the network devices with every received and transmitted frame
+// without the frame check sequence
+function Capture(buffer) {
+    if (!capturing) return;
+    var data = new Uint8Array(buffer);
+    var snap = data.slice(0, SNAPLEN);
+    if (size + snap.length > MAXSIZE) {
+        message.Warning("Network capture stopped: Maximum size reached");
+        capturing = false;
+        return;
+    }
+    frames.push({time: Date.now(), data: snap, length: data.length});
+    size += snap.length;
+}
+
+// Returns the pcap file
+function Stop() {
+    capturing = false;
+    var buffer = new ArrayBuffer(24 + frames.length*16 + size);
+    var view = new DataView(buffer);
+    var bytes = new Uint8Array(buffer);
+
+    view.setUint32(0, 0xA1B2C3D4, true); // magic number
+    view.setUint16(4, 2, true); // version 2.4
+    view.setUint16(6, 4, true);
+    view.setInt32(8, 0, true); // time zone
+    view.setUint32(12, 0, true); // accuracy of timestamps
+    view.setUint32(16, SNAPLEN, true);
+    view.setUint32(20, LINKTYPE_ETHERNET, true);
+
+    var offset = 24;
+    for(var i=0; i<frames.length; i++) {
+        var frame = frames[i];
+        view.setUint32(offset+0, Math.floor(frame.time/1000), true);
+        view.setUint32(offset+4, (frame.time%1000)*1000, true);
+        view.setUint32(offset+8, frame.data.length, true); // captured length
+        view.setUint32(offset+12, frame.length, true); // original length
+        bytes.set(frame.data, offset+16);
+        offset += 16 + frame.data.length;
+    }
+    message.Debug("Network capture stopped: " + frames.length + " frames");
+    frames = [];
+    size = 0;
+    return buffer;
+}
+
+module.exports.Start = Start;
+module.exports.Stop = Stop;
+module.exports.Capture = Capture;
@@ -11,39 +11,127 @@ var utils = require('../utils');
  * 0x0000   Priority Device 0
  * 0x0004   Priority Device 1
  * ....
+ * 0x1000   pending bitmask
  * 0x2000   enable bitmask 32-bit * 32 entries for handler 0
  * 0x2080   enable for handler 1
  * 0x200000 hart threshold
  * 0x200004 hart claim
  * 0x201000 hart threshold
  * ...
+ *
+ * Handler (context) n raises the supervisor external interrupt of hart n.
+ * Only the first 32 interrupt lines are supported.
  */
 
 var IRQ_S_EXT = 9;
 
-function PLICDev(cpuirqhandler) {
-    this.cpuirqhandler = cpuirqhandler
+function PLICDev(cpuirqhandler, ncores) {
+    this.cpuirqhandler = cpuirqhandler;
+    this.ncores = ncores | 0;
+    if (this.ncores < 1) this.ncores = 1;
     this.Reset();
 }
 
 PLICDev.prototype.Reset = function() {
-    // 32-Bit registers
-    this.regs = new Uint32Array(0x3000);
-    this.mask = 0x0;
+    this.priority = new Uint32Array(32);
+    this.enable = new Int32Array(this.ncores);
+    this.threshold = new Uint32Array(this.ncores);
+    this.mask = 0x0; // pending interrupt lines
+    this.claimed = 0x0; // lines which are claimed, but not completed
+    this.raised = 0x0; // one bit for each handler with a raised interrupt
+}
+
+// returns the pending line with the highest priority for this handler or 0
+PLICDev.prototype.GetBestLine = function (context) {
+    var pending = this.mask & ~this.claimed & this.enable[context];
+    var best = 0;
+    var bestpriority = this.threshold[context];
+    for(var i=1; i<32; i++) {
+        if (!(pending & (1<<i))) continue;
+        if (this.priority[i] > bestpriority) {
+            best = i;
+            bestpriority = this.priority[i];
+        }
+    }
+    return best;
+}
+
+// raises or clears the external interrupt of each hart
+PLICDev.prototype.Update = function () {
+    for(var i=0; i<this.ncores; i++) {
+        var raise = this.GetBestLine(i) != 0;
+        if (raise == ((this.raised >> i) & 1)) continue;
+        if (raise) {
+            this.raised |= 1 << i;
+            this.cpuirqhandler.RaiseInterrupt(IRQ_S_EXT, i);
+        } else {
+            this.raised &= ~(1 << i);
+            this.cpuirqhandler.ClearInterrupt(IRQ_S_EXT, i);
+        }
+    }
 }
 
 PLICDev.prototype.ReadReg32 = function (addr) {
-    //message.Debug("PLIC: unknown ReadReg32: " + utils.ToHex(addr));
-    var i = 0;
-    if (addr == 0x00200004) {
-        for(i=0; i<32; i++)
-            if (this.mask & (1<<i)) return i;
+    //message.Debug("PLIC: ReadReg32: " + utils.ToHex(addr));
+    var context = 0;
+    if (addr < 0x80) {
+        return this.priority[addr >> 2];
+    }
+    if (addr == 0x1000) {
+        return this.mask;
+    }
+    if ((addr >= 0x2000) && (addr < 0x200000)) {
+        context = (addr - 0x2000) >> 7;
+        if ((context >= this.ncores) || (addr & 0x7F)) return 0x0;
+        return this.enable[context];
+    }
+    context = (addr - 0x200000) >> 12;
+    if ((addr < 0x200000) || (context >= this.ncores)) return 0x0;
+    switch(addr & 0xFFF) {
+        case 0x0:
+            return this.threshold[context];
+
+        case 0x4:
+            // claim
+            var line = this.GetBestLine(context);
+            if (line == 0) return 0x0;
+            this.claimed |= 1 << line;
+            this.Update();
+            return line;
     }
     return 0x0;
 }
 
 PLICDev.prototype.WriteReg32 = function (addr, value) {
-    //message.Debug("PLIC: unknown WriteReg32: " + utils.ToHex(addr) + ": " + utils.ToHex(value));
+    //message.Debug("PLIC: WriteReg32: " + utils.ToHex(addr) + ": " + utils.ToHex(value));
+    var context = 0;
+    if (addr < 0x80) {
+        this.priority[addr >> 2] = value & 0x7;
+        this.Update();
+        return;
+    }
+    if ((addr >= 0x2000) && (addr < 0x200000)) {
+        context = (addr - 0x2000) >> 7;
+        if ((context >= this.ncores) || (addr & 0x7F)) return;
+        this.enable[context] = value;
+        this.Update();
+        return;
+    }
+    context = (addr - 0x200000) >> 12;
+    if ((addr < 0x200000) || (context >= this.ncores)) return;
+    switch(addr & 0xFFF) {
+        case 0x0:
+            this.threshold[context] = value & 0x7;
+            this.Update();
+            break;
+
+        case 0x4:
+            // complete
+            if ((value|0) <= 0 || (value|0) >= 32) break;
+            this.claimed &= ~(1 << value);
+            this.Update();
+            break;
+    }
 }
 
 PLICDev.prototype.RaiseInterrupt = function (line) {
@@ -51,16 +139,14 @@ PLICDev.prototype.RaiseInterrupt = function (line) {
     if (line == 0x1) return; // HTIF
     //message.Debug("PLIC: Raise line " + line);
     this.mask |= 1 << line;
-    this.cpuirqhandler.RaiseInterrupt(IRQ_S_EXT, -1);
+    this.Update();
 }
 
 PLICDev.prototype.ClearInterrupt = function (line) {
     line = line | 0;
     //message.Debug("PLIC: Clear line " + line);
     this.mask &= ~(1 << line);
-    if (this.mask == 0x0) {
-        this.cpuirqhandler.ClearInterrupt(IRQ_S_EXT, -1);
-    }
+    this.Update();
 }
 
 module.exports = PLICDev;
@@ -3,25 +3,30 @@
 // -------------------------------------------------
 // Implementation of the 9p filesystem device following the 
 // 9P2000.L protocol ( https://code.google.com/p/diod/wiki/protocol )
+// The filesystem is an FS object or a provider object with the same methods.
+// The guest mounts it with "mount -t 9p <tag> <dir>"
 
 "use strict";
 
 var marshall = require('./marshall');
 var message = require('../../messagehandler');
 var utils = require('../../utils');
+var UTF8 = require('../../../lib/utf8');
 
-// TODO
-// flush
-// lock?
-// correct hard links
-
+var S_IFMT = 0xF000;
 var S_IFDIR = 0x4000;
 
 var EPERM = 1;       /* Operation not permitted */
 var ENOENT = 2;      /* No such file or directory */
+var EINTR = 4;       /* Interrupted system call */
+var E2BIG = 7;       /* Argument list too long */
+var EEXIST = 17;     /* File exists */
 var EINVAL = 22;     /* Invalid argument */
+var EOPNOTSUPP = 95; /* Operation not supported on transport endpoint */
 var ENOTSUPP = 524;  /* Operation is not supported */
+var EROFS = 30;      /* Read-only file system */
 var ENOTEMPTY = 39;  /* Directory not empty */
+var ENODATA = 61;    /* No data available */
 var EPROTO    = 71   /* Protocol error */
 
 var P9_SETATTR_MODE = 0x00000001;
@@ -49,19 +54,53 @@ var P9_STAT_MODE_SETUID = 0x00080000;
 var P9_STAT_MODE_SETGID = 0x00040000;
 var P9_STAT_MODE_SETVTX = 0x00010000;
 
+var XATTR_CREATE = 0x1; // set value, fail if attribute already exists
+var XATTR_REPLACE = 0x2; // set value, fail if attribute does not exist
+var XATTR_SIZE_MAX = 65536;
+
+var P9_LOCK_TYPE_UNLCK = 2;
+
+var P9_LOCK_SUCCESS = 0;
+var P9_LOCK_BLOCKED = 1;
+
+var O_ACCMODE = 0x0003; // mask for the access mode of tlopen
+var O_TRUNC = 0x0200;
+
+// requests, which change the filesystem:
+// lcreate, symlink, mknod, rename, setattr, xattrcreate, link, mkdir, renameat, unlinkat, write
+var MODIFYING_REQUESTS = [14, 16, 18, 20, 26, 32, 70, 72, 74, 76, 118];
+
 var FID_NONE = -1;
 var FID_INODE = 1;
 var FID_XATTR = 2;
 
+// The "d" type of marshall only uses the low word. The ranges of locks
+// are decoded as two words, because they often reach the end of the file
+function Join64(low, high) {
+    return low + high * 0x100000000;
+}
+
+function Split64(value) {
+    return [value % 0x100000000, Math.floor(value / 0x100000000)];
+}
+
 // small 9p device
-function Virtio9p(ramdev, filesystem) {
+// tag is the mount tag, "/dev/root" by default
+function Virtio9p(ramdev, filesystem, tag, readonly) {
     this.fs = filesystem;
+    this.tag = tag || "/dev/root";
+    this.readonly = !!readonly;
     this.SendReply = function() {};
     this.deviceid = 0x9; // 9p filesystem
     this.hostfeature = 0x1; // mountpoint
-    this.configspace = [0x9, 0x0, 0x2F, 0x64, 0x65, 0x76, 0x2F, 0x72, 0x6F, 0x6F, 0x74 ]; // length of string and "/dev/root" string
+    // length of the string and the tag
+    this.configspace = [this.tag.length & 0xFF, this.tag.length >> 8];
+    for(var i=0; i<this.tag.length; i++) {
+        this.configspace.push(this.tag.charCodeAt(i));
+    }
     this.VERSION = "9P2000.L";
     this.BLOCKSIZE = 8192; // Let's define one page.
+    this.MAXMSIZE = 512*1024; // upper limit of the message size negotiated by the client
     this.msize = 8192; // maximum message size
     this.replybuffer = new Uint8Array(this.msize*2); // Twice the msize to stay on the safe site
     this.replybuffersize = 0;
@@ -69,14 +108,48 @@ function Virtio9p(ramdev, filesystem) {
 }
 
 Virtio9p.prototype.Createfid = function(inode, type, uid) {
-    return {inodeid: inode, type: type, uid: uid};
+    // xattr contains {name, data, create} for fids of the type FID_XATTR
+    return {inodeid: inode, type: type, uid: uid, xattr: null};
+}
+
+// Returns the names of the extended attributes separated by zeros
+Virtio9p.prototype.GetXattrList = function(inodeid) {
+    var names = this.fs.ListXattr(inodeid);
+    var bytes = [];
+    for(var i=0; i<names.length; i++) {
+        for(var j=0; j<names[i].length; j++) {
+            var utf8 = UTF8.UnicodeToUTF8Stream(names[i].charCodeAt(j));
+            for(var k=0; k<utf8.length; k++) bytes.push(utf8[k]);
+        }
+        bytes.push(0);
+    }
+    return new Uint8Array(bytes);
 }
 
 Virtio9p.prototype.Reset = function() {
     this.fids = [];
+    this.pending = {}; // requests waiting for a file to load, by tag
+    this.fs.ClearLocks();
 }
 
 
+// Calls OnReady when the data of the inode is available. Until then
+// the request is pending and can be cancelled with tflush.
+Virtio9p.prototype.Defer = function(tag, index, inodeid, OnReady) {
+    if (!this.fs.IsLoading(inodeid)) {
+        OnReady();
+        return;
+    }
+    this.fs.LoadFile(inodeid);
+    var request = {index: index};
+    this.pending[tag] = request;
+    this.fs.AddEvent(inodeid, function() {
+        if (this.pending[tag] !== request) return; // flushed in the meantime
+        delete this.pending[tag];
+        OnReady();
+    }.bind(this));
+}
+
 Virtio9p.prototype.BuildReply = function(id, tag, payloadsize) {
     marshall.Marshall(["w", "b", "h"], [payloadsize+7, id+1, tag], this.replybuffer, 0);
     if ((payloadsize+7) >= this.replybuffer.length) {
@@ -101,6 +174,12 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
     var tag = header[2];
     //message.Debug("size:" + size + " id:" + id + " tag:" + tag);
 
+    if (this.readonly && (MODIFYING_REQUESTS.indexOf(id) != -1)) {
+        this.SendError(tag, "Read-only file system", EROFS);
+        this.SendReply(0, index);
+        return;
+    }
+
     switch(id)
     {
         case 8: // statfs
@@ -127,52 +206,47 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
             var fid = req[0];
             var mode = req[1];
             //message.Debug("[open] fid=" + fid + ", mode=" + mode + ", tag=" + tag);
+            if (this.readonly && (((mode & O_ACCMODE) != 0) || (mode & O_TRUNC))) {
+                this.SendError(tag, "Read-only file system", EROFS);
+                this.SendReply(0, index);
+                break;
+            }
             var idx = this.fids[fid].inodeid;
             var inode = this.fs.GetInode(idx);
             //message.Debug("file open " + inode.name);
             var ret = this.fs.OpenInode(idx, mode);
 
-            var evfunction = 
-                (function(idx, id, tag, index){
-                    return function() {
-                        var inode = this.fs.GetInode(idx);
-                        //message.Debug("file opened " + inode.name + " tag:"+tag);
-                        req[0] = inode.qid;
-                        req[1] = this.msize - 24;
-                        marshall.Marshall(["Q", "w"], req, this.replybuffer, 7);
-                        this.BuildReply(id, tag, 13+4);
-                        this.SendReply(0, index);
-                    }.bind(this);
-                }.bind(this))(idx, id, tag, index);
-
-            this.fs.AddEvent(idx, evfunction);
+            this.Defer(tag, index, idx, function() {
+                var inode = this.fs.GetInode(idx);
+                //message.Debug("file opened " + inode.name + " tag:"+tag);
+                req[0] = inode.qid;
+                req[1] = this.msize - 24;
+                marshall.Marshall(["Q", "w"], req, this.replybuffer, 7);
+                this.BuildReply(id, tag, 13+4);
+                this.SendReply(0, index);
+            }.bind(this));
             break;
 
-        case 70: // link (just copying)
+        case 70: // link
             var req = marshall.Unmarshall2(["w", "w", "s"], GetByte);
             var dfid = req[0];
             var fid = req[1];
             var name = req[2];
             //message.Debug("[link] dfid=" + dfid + ", name=" + name);
-            var inode = this.fs.CreateInode();
-            var inodetarget = this.fs.GetInode(this.fids[fid].inodeid);
-            //inode = inodetarget;
-            inode.mode = inodetarget.mode;
-            inode.size = inodetarget.size;
-            inode.symlink = inodetarget.symlink;
-            inode.data = new Uint8Array(inode.size);
-            for(var i=0; i<inode.size; i++) {
-                inode.data[i] = this.fs.ReadByte(inodetarget, i);
+            var inode = this.fs.GetInode(this.fids[fid].inodeid);
+            // host directories cannot store hard links
+            if (((inode.mode&S_IFMT) == S_IFDIR) || !this.fs.IsSupported("link")) {
+                this.SendError(tag, "Operation not permitted", EPERM);
+                this.SendReply(0, index);
+                break;
+            }
+            if (!this.fs.Link(this.fids[dfid].inodeid, name, this.fids[fid].inodeid)) {
+                this.SendError(tag, "File exists", EEXIST);
+                this.SendReply(0, index);
+                break;
             }
-            inode.name = name;
-            inode.parentid = this.fids[dfid].inodeid;
-            this.fs.PushInode(inode);
-            
-            //inode.uid = inodetarget.uid;
-            //inode.gid = inodetarget.gid;
-            //inode.mode = inodetarget.mode | S_IFLNK;
             this.BuildReply(id, tag, 0);
-            this.SendReply(0, index);       
+            this.SendReply(0, index);
             break;
 
         case 16: // symlink
@@ -182,6 +256,11 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
             var symgt = req[2];
             var gid = req[3];
             //message.Debug("[symlink] fid=" + fid + ", name=" + name + ", symgt=" + symgt + ", gid=" + gid); 
+            if (!this.fs.IsSupported("symlink")) {
+                this.SendError(tag, "Operation not supported", EOPNOTSUPP);
+                this.SendReply(0, index);
+                break;
+            }
             var idx = this.fs.CreateSymlink(name, this.fids[fid].inodeid, symgt);
             var inode = this.fs.GetInode(idx);
             inode.uid = this.fids[fid].uid;
@@ -200,6 +279,11 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
             var minor = req[4];
             var gid = req[5];
             //message.Debug("[mknod] fid=" + fid + ", name=" + name + ", major=" + major + ", minor=" + minor+ "");
+            if (!this.fs.IsSupported("mknod")) {
+                this.SendError(tag, "Operation not supported", EOPNOTSUPP);
+                this.SendReply(0, index);
+                break;
+            }
             var idx = this.fs.CreateNode(name, this.fids[fid].inodeid, major, minor);
             var inode = this.fs.GetInode(idx);
             inode.mode = mode;
@@ -259,17 +343,36 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
             this.SendReply(0, index);
             break;
 
-        case 52: // lock always suceed
-            //message.Debug("lock file\n");
-            marshall.Marshall(["w"], [0], this.replybuffer, 7);
+        case 52: // lock
+            var req = marshall.Unmarshall2(["w", "b", "w", "w", "w", "w", "w", "w", "s"], GetByte);
+            var fid = req[0];
+            var start = Join64(req[3], req[4]);
+            var length = Join64(req[5], req[6]);
+            var lock = this.fs.CreateLock(req[1], start, length, req[7], req[8]);
+            //message.Debug("[lock]: fid=" + fid + " type=" + req[1] + " flags=" + req[2] + " start=" + start + " length=" + length + " proc_id=" + req[7]);
+            // the client repeats blocking requests until the lock is acquired
+            var status = this.fs.Lock(this.fids[fid].inodeid, lock) ? P9_LOCK_SUCCESS : P9_LOCK_BLOCKED;
+            marshall.Marshall(["b"], [status], this.replybuffer, 7);
             this.BuildReply(id, tag, 1);
             this.SendReply(0, index);
             break;
 
-        /*
         case 54: // getlock
-            break;        
-        */
+            var req = marshall.Unmarshall2(["w", "b", "w", "w", "w", "w", "w", "s"], GetByte);
+            var fid = req[0];
+            var lock = this.fs.CreateLock(req[1], Join64(req[2], req[3]), Join64(req[4], req[5]), req[6], req[7]);
+            //message.Debug("[getlock]: fid=" + fid + " type=" + lock.type + " start=" + lock.start + " end=" + lock.end + " proc_id=" + lock.procid);
+            var conflict = this.fs.GetLock(this.fids[fid].inodeid, lock);
+            if (conflict) lock = conflict;
+            else lock.type = P9_LOCK_TYPE_UNLCK; // the lock could be placed
+            var start = Split64(lock.start);
+            var length = Split64(this.fs.GetLockLength(lock));
+            var size = marshall.Marshall(["b", "w", "w", "w", "w", "w", "s"],
+                [lock.type, start[0], start[1], length[0], length[1], lock.procid, lock.clientid],
+                this.replybuffer, 7);
+            this.BuildReply(id, tag, size);
+            this.SendReply(0, index);
+            break;
 
         case 24: // getattr
             var req = marshall.Unmarshall2(["w", "d"], GetByte);
@@ -325,37 +428,47 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
                 "d", "d"] // mtime
             , GetByte);
             var fid = req[0];
-            var inode = this.fs.GetInode(this.fids[fid].inodeid);
-            //message.Debug("[setattr]: fid=" + fid + " request mask=" + req[1] + " name=" +inode.name);
-            if (req[1] & P9_SETATTR_MODE) {
-                inode.mode = req[2];
-            }
-            if (req[1] & P9_SETATTR_UID) {
-                inode.uid = req[3];
-            }
-            if (req[1] & P9_SETATTR_GID) {
-                inode.gid = req[4];
-            }
-            if (req[1] & P9_SETATTR_ATIME_SET) {
-                inode.atime = req[6];
-            }
-            if (req[1] & P9_SETATTR_MTIME_SET) {
-                inode.atime = req[8];
-            }
-            if (req[1] & P9_SETATTR_ATIME) {
-                inode.atime = Math.floor((new Date()).getTime()/1000);
-            }
-            if (req[1] & P9_SETATTR_MTIME) {
-                inode.mtime = Math.floor((new Date()).getTime()/1000);
-            }
-            if (req[1] & P9_SETATTR_CTIME) {
-                inode.ctime = Math.floor((new Date()).getTime()/1000);
-            }
+            var idx = this.fids[fid].inodeid;
+            // the data has to be loaded, before the size is changed
+            var SetAttr = function() {
+                var inode = this.fs.GetInode(idx);
+                //message.Debug("[setattr]: fid=" + fid + " request mask=" + req[1] + " name=" +inode.name);
+                if (req[1] & P9_SETATTR_MODE) {
+                    inode.mode = req[2];
+                }
+                if (req[1] & P9_SETATTR_UID) {
+                    inode.uid = req[3];
+                }
+                if (req[1] & P9_SETATTR_GID) {
+                    inode.gid = req[4];
+                }
+                if (req[1] & P9_SETATTR_ATIME_SET) {
+                    inode.atime = req[6];
+                }
+                if (req[1] & P9_SETATTR_MTIME_SET) {
+                    inode.atime = req[8];
+                }
+                if (req[1] & P9_SETATTR_ATIME) {
+                    inode.atime = Math.floor((new Date()).getTime()/1000);
+                }
+                if (req[1] & P9_SETATTR_MTIME) {
+                    inode.mtime = Math.floor((new Date()).getTime()/1000);
+                }
+                if (req[1] & P9_SETATTR_CTIME) {
+                    inode.ctime = Math.floor((new Date()).getTime()/1000);
+                }
+                if (req[1] & P9_SETATTR_SIZE) {
+                    this.fs.ChangeSize(idx, req[5]);
+                }
+                this.fs.NotifyListeners(idx, 'setattr');
+                this.BuildReply(id, tag, 0);
+                this.SendReply(0, index);
+            }.bind(this);
             if (req[1] & P9_SETATTR_SIZE) {
-                this.fs.ChangeSize(this.fids[fid].inodeid, req[5]);
+                this.Defer(tag, index, idx, SetAttr);
+            } else {
+                SetAttr();
             }
-            this.BuildReply(id, tag, 0);
-            this.SendReply(0, index);
             break;
 
         case 50: // fsync
@@ -373,19 +486,27 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
             var count = req[2];
             //if (id == 40) message.Debug("[treaddir]: fid=" + fid + " offset=" + offset + " count=" + count);
             //if (id == 116) message.Debug("[read]: fid=" + fid + " offset=" + offset + " count=" + count);
-            var inode = this.fs.GetInode(this.fids[fid].inodeid);
             if (this.fids[fid].type == FID_XATTR) {
-                if (inode.caps.length < offset+count) count = inode.caps.length - offset;
+                var data = this.fids[fid].xattr.data;
+                if (data.length < offset+count) count = Math.max(data.length - offset, 0);
                 for(var i=0; i<count; i++)
-                    this.replybuffer[7+4+i] = inode.caps[offset+i];
-            } else {
-                if (inode.size < offset+count) count = inode.size - offset;
+                    this.replybuffer[7+4+i] = data[offset+i];
+                marshall.Marshall(["w"], [count], this.replybuffer, 7);
+                this.BuildReply(id, tag, 4 + count);
+                this.SendReply(0, index);
+                break;
+            }
+            // the file is loaded again after a restored snapshot
+            var idx = this.fids[fid].inodeid;
+            this.Defer(tag, index, idx, function() {
+                var inode = this.fs.GetInode(idx);
+                if (inode.size < offset+count) count = Math.max(inode.size - offset, 0);
                 for(var i=0; i<count; i++)
                     this.replybuffer[7+4+i] = this.fs.ReadByte(inode, offset+i);
-            }
-            marshall.Marshall(["w"], [count], this.replybuffer, 7);
-            this.BuildReply(id, tag, 4 + count);
-            this.SendReply(0, index);
+                marshall.Marshall(["w"], [count], this.replybuffer, 7);
+                this.BuildReply(id, tag, 4 + count);
+                this.SendReply(0, index);
+            }.bind(this));
             break;
 
         case 118: // write
@@ -394,10 +515,27 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
             var offset = req[1];
             var count = req[2];
             //message.Debug("[write]: fid=" + fid + " offset=" + offset + " count=" + count);
-            this.fs.Write(this.fids[fid].inodeid, offset, count, GetByte);
-            marshall.Marshall(["w"], [count], this.replybuffer, 7);
-            this.BuildReply(id, tag, 4);
-            this.SendReply(0, index);
+            if (this.fids[fid].type == FID_XATTR) {
+                var data = this.fids[fid].xattr.data;
+                if (offset+count > data.length) {
+                    this.SendError(tag, "Invalid argument", EINVAL);
+                    this.SendReply(0, index);
+                    break;
+                }
+                for(var i=0; i<count; i++)
+                    data[offset+i] = GetByte();
+                marshall.Marshall(["w"], [count], this.replybuffer, 7);
+                this.BuildReply(id, tag, 4);
+                this.SendReply(0, index);
+                break;
+            }
+            var idx = this.fids[fid].inodeid;
+            this.Defer(tag, index, idx, function() {
+                this.fs.Write(idx, offset, count, GetByte);
+                marshall.Marshall(["w"], [count], this.replybuffer, 7);
+                this.BuildReply(id, tag, 4);
+                this.SendReply(0, index);
+            }.bind(this));
             break;
 
         case 74: // RENAMEAT
@@ -423,13 +561,12 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
             var name = req[1];
             var flags = req[2];
             //message.Debug("[unlink]: dirfd=" + dirfd + " name=" + name + " flags=" + flags);
-            var id = this.fs.Search(this.fids[dirfd].inodeid, name);
-            if (id == -1) {
+            if (this.fs.Search(this.fids[dirfd].inodeid, name) == -1) {
                    this.SendError(tag, "No such file or directory", ENOENT);
                    this.SendReply(0, index);
                    break;
             }
-            var ret = this.fs.Unlink(id);
+            var ret = this.fs.Unlink(this.fids[dirfd].inodeid, name);
             if (!ret) {
                 this.SendError(tag, "Directory not empty", ENOTEMPTY);
                 this.SendReply(0, index);
@@ -442,7 +579,10 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
         case 100: // version
             var version = marshall.Unmarshall2(["w", "s"], GetByte);
             //message.Debug("[version]: msize=" + version[0] + " version=" + version[1]);
-            this.msize = version[0];
+            this.msize = Math.min(version[0], this.MAXMSIZE);
+            if (this.replybuffer.length < this.msize*2) {
+                this.replybuffer = new Uint8Array(this.msize*2);
+            }
             var size = marshall.Marshall(["w", "s"], [this.msize, this.VERSION], this.replybuffer, 7);
             this.BuildReply(id, tag, size);
             this.SendReply(0, index);
@@ -464,8 +604,14 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
         case 108: // tflush
             var req = marshall.Unmarshall2(["h"], GetByte);
             var oldtag = req[0];
-            //message.Debug("[flush] " + tag);
-            //marshall.Marshall(["Q"], [inode.qid], this.replybuffer, 7);
+            //message.Debug("[flush] " + tag + " oldtag=" + oldtag);
+            var request = this.pending[oldtag];
+            if (request) {
+                // the descriptor of the cancelled request is returned before the flush is answered
+                delete this.pending[oldtag];
+                this.SendError(oldtag, "Interrupted system call", EINTR);
+                this.SendReply(0, request.index);
+            }
             this.BuildReply(id, tag, 0);
             this.SendReply(0, index);
             break;
@@ -491,35 +637,57 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
             }
             var walk = marshall.Unmarshall2(wnames, GetByte);                        
             var idx = this.fids[fid].inodeid;
-            var offset = 7+2;
-            var nwidx = 0;
+            var qids = [];
             //message.Debug("walk in dir " + this.fs.inodes[idx].name  + " to :" + walk.toString());
-            for(var i=0; i<nwname; i++) {
-                idx = this.fs.Search(idx, walk[i]);
-                
-                if (idx == -1) {
-                   //message.Debug("Could not find :" + walk[i]);
-                   break;
+            var WalkNext = function() {
+                while(qids.length < nwname) {
+                    // the entries of a host directory are read on demand
+                    if (((this.fs.inodes[idx].mode&S_IFMT) == S_IFDIR) && this.fs.IsLoading(idx)) {
+                        this.Defer(tag, index, idx, WalkNext);
+                        return;
+                    }
+                    var nextidx = this.fs.Search(idx, walk[qids.length]);
+                    if (nextidx == -1) {
+                       //message.Debug("Could not find :" + walk[qids.length]);
+                       break;
+                    }
+                    idx = nextidx;
+                    qids.push(this.fs.inodes[idx].qid);
+                    //message.Debug(this.fids[nwfid].inodeid);
+                    this.fids[nwfid] = this.Createfid(idx, FID_INODE, this.fids[fid].uid);
                 }
-                offset += marshall.Marshall(["Q"], [this.fs.inodes[idx].qid], this.replybuffer, offset);
-                nwidx++;
-                //message.Debug(this.fids[nwfid].inodeid);
-                this.fids[nwfid] = this.Createfid(idx, FID_INODE, this.fids[fid].uid);
-            }
-            marshall.Marshall(["h"], [nwidx], this.replybuffer, 7);
-            this.BuildReply(id, tag, offset-7);
-            this.SendReply(0, index);
+                var offset = 7+2;
+                for(var i=0; i<qids.length; i++) {
+                    offset += marshall.Marshall(["Q"], [qids[i]], this.replybuffer, offset);
+                }
+                marshall.Marshall(["h"], [qids.length], this.replybuffer, 7);
+                this.BuildReply(id, tag, offset-7);
+                this.SendReply(0, index);
+            }.bind(this);
+            WalkNext();
             break;
 
         case 120: // clunk
             var req = marshall.Unmarshall2(["w"], GetByte);
             //message.Debug("[clunk]: fid=" + req[0]);
             
-            if (this.fids[req[0]]) 
-            if (this.fids[req[0]].inodeid >=  0) {
-                this.fs.CloseInode(this.fids[req[0]].inodeid);
-                this.fids[req[0]].inodeid = -1;
-                this.fids[req[0]].type = FID_NONE;
+            var f = this.fids[req[0]];
+            if (f && (f.inodeid >= 0)) {
+                if (f.type == FID_XATTR) {
+                    // the attribute is set, when all data has been written
+                    if (f.xattr.create) {
+                        if (f.xattr.data.length == 0) {
+                            this.fs.RemoveXattr(f.inodeid, f.xattr.name);
+                        } else {
+                            this.fs.SetXattr(f.inodeid, f.xattr.name, f.xattr.data);
+                        }
+                    }
+                } else {
+                    this.fs.CloseInode(f.inodeid);
+                }
+                f.inodeid = -1;
+                f.type = FID_NONE;
+                f.xattr = null;
             }
             this.BuildReply(id, tag, 0);
             this.SendReply(0, index);
@@ -531,17 +699,51 @@ Virtio9p.prototype.ReceiveRequest = function (ringidx, index, GetByte) {
             var newfid = req[1];
             var name = req[2];
             //message.Debug("[xattrwalk]: fid=" + req[0] + " newfid=" + req[1] + " name=" + req[2]);
-            this.fids[newfid] = this.Createfid(this.fids[fid].inodeid, FID_NONE, this.fids[fid].uid);
-            var length = 0;
-            if (name == "security.capability") {
-                length = this.fs.PrepareCAPs(this.fids[fid].inodeid);
-                this.fids[newfid].type = FID_XATTR;
+            var inodeid = this.fids[fid].inodeid;
+            // without name the list of attributes is read
+            var data = (name.length == 0) ? this.GetXattrList(inodeid) : this.fs.GetXattr(inodeid, name);
+            if (!data) {
+                this.SendError(tag, "No data available", ENODATA);
+                this.SendReply(0, index);
+                break;
             }
-            marshall.Marshall(["d"], [length], this.replybuffer, 7);
+            this.fids[newfid] = this.Createfid(inodeid, FID_XATTR, this.fids[fid].uid);
+            this.fids[newfid].xattr = {name: name, data: data, create: false};
+            marshall.Marshall(["d"], [data.length], this.replybuffer, 7);
             this.BuildReply(id, tag, 8);
             this.SendReply(0, index);
             break; 
 
+        case 32: // xattrcreate
+            var req = marshall.Unmarshall2(["w", "s", "d", "w"], GetByte);
+            var fid = req[0];
+            var name = req[1];
+            var size = req[2];
+            var flags = req[3];
+            //message.Debug("[xattrcreate]: fid=" + fid + " name=" + name + " size=" + size + " flags=" + flags);
+            var exists = this.fs.ListXattr(this.fids[fid].inodeid).indexOf(name) != -1;
+            if ((flags & XATTR_CREATE) && exists) {
+                this.SendError(tag, "File exists", EEXIST);
+                this.SendReply(0, index);
+                break;
+            }
+            if ((flags & XATTR_REPLACE) && !exists) {
+                this.SendError(tag, "No data available", ENODATA);
+                this.SendReply(0, index);
+                break;
+            }
+            if (size > XATTR_SIZE_MAX) {
+                this.SendError(tag, "Argument list too long", E2BIG);
+                this.SendReply(0, index);
+                break;
+            }
+            // the fid is used to write the value
+            this.fids[fid].type = FID_XATTR;
+            this.fids[fid].xattr = {name: name, data: new Uint8Array(size), create: true};
+            this.BuildReply(id, tag, 0);
+            this.SendReply(0, index);
+            break;
+
         default:
             message.Debug("Error in Virtio9p: Unknown id " + id + " received");
             message.Abort();
@@ -1,6 +1,7 @@
 // -------------------------------------------------
 // ------------- Block Virtio Device ---------------
 // -------------------------------------------------
+// The data is stored in a DiskImage (see ../diskimage.js)
 
 "use strict";
 
@@ -13,23 +14,30 @@ var VIRTIO_BLK_T_OUT         = 1;
 var VIRTIO_BLK_T_FLUSH       = 4;
 var VIRTIO_BLK_T_FLUSH_OUT   = 5;
 
-var VIRTIO_BLK_S_OK        = 0; 
+var VIRTIO_BLK_S_OK        = 0;
 var VIRTIO_BLK_S_IOERR     = 1;
 var VIRTIO_BLK_S_UNSUPP    = 2;
 
-function VirtioBlock(ramdev) {
-    this.blocks = 100;
+var VIRTIO_BLK_F_RO        = (1<<5);
+var VIRTIO_BLK_F_FLUSH     = (1<<9);
+
+var SECTOR_SIZE = 512;
+
+function VirtioBlock(ramdev, image) {
+    this.image = image;
+    var blocks = image.sectors;
     this.configspace = [
-        (this.blocks >> 0)&0xFF,
-        (this.blocks >> 8)&0xFF,
-        (this.blocks >> 16)&0xFF,
-        0x0, 0x0, 0x0, 0x0, 0x0]; // the size in little endian
+        (blocks >>> 0)&0xFF,
+        (blocks >>> 8)&0xFF,
+        (blocks >>> 16)&0xFF,
+        (blocks >>> 24)&0xFF,
+        Math.floor(blocks / 0x100000000)&0xFF,
+        0x0, 0x0, 0x0]; // the size in little endian
 
     this.deviceid = 0x2;
-    this.hostfeature = 0x0;
-    this.replybuffer = new Uint8Array(0x10000); // there is no size limit
+    this.hostfeature = VIRTIO_BLK_F_FLUSH | (image.readonly ? VIRTIO_BLK_F_RO : 0);
+    this.replybuffer = new Uint8Array(0x10000); // grows with the requests
     this.replybuffersize = 0;
-    this.buffer = new Uint8Array(this.blocks*512);
     this.Reset();
 }
 
@@ -41,40 +49,50 @@ VirtioBlock.prototype.ReceiveRequest = function (queueidx, index, GetByte, size)
     var request  = marshall.Unmarshall2(["w", "w", "d"], GetByte);
     var type = request[0];
     var sector = request[2];
+    var status = VIRTIO_BLK_S_OK;
     //message.Debug("type: " + type + " sector: " + sector);
 
+    if (size.write > this.replybuffer.length) {
+        this.replybuffer = new Uint8Array(size.write);
+    }
+
     switch(type) {
         case VIRTIO_BLK_T_IN:
-            if (size.write > 0x10000) {
-                message.Debug("Error in virtioblock: replybuffer too small");
-                message.Abort();
-            }
-            for(var i=0; i<size.write-1; i++) {
-                this.replybuffer[i] = this.buffer[sector*512+i];
+            // the last byte is the status
+            var count = Math.floor((size.write-1) / SECTOR_SIZE);
+            if (!this.image.Read(sector, count, this.replybuffer, 0)) {
+                status = VIRTIO_BLK_S_IOERR;
             }
             this.replybuffersize = size.write;
-            this.replybuffer[size.write-1] = VIRTIO_BLK_S_OK;
+            this.replybuffer[size.write-1] = status;
             this.SendReply(0, index);
             break;
 
         case VIRTIO_BLK_T_OUT:
-            for(var i=0; i<size.read-16; i++) {
-                this.buffer[sector*512+i] = GetByte();
+            var data = new Uint8Array(size.read-16);
+            for(var i=0; i<data.length; i++) {
+                data[i] = GetByte();
+            }
+            if (!this.image.Write(sector, Math.floor(data.length / SECTOR_SIZE), data, 0)) {
+                status = VIRTIO_BLK_S_IOERR;
             }
             this.replybuffersize = 1;
-            this.replybuffer[0] = VIRTIO_BLK_S_OK;
+            this.replybuffer[0] = status;
             this.SendReply(0, index);
             break;
 
         case VIRTIO_BLK_T_FLUSH:
-            break;
-
         case VIRTIO_BLK_T_FLUSH_OUT:
+            this.replybuffersize = 1;
+            this.replybuffer[0] = this.image.Flush() ? VIRTIO_BLK_S_OK : VIRTIO_BLK_S_IOERR;
+            this.SendReply(0, index);
             break;
-        
+
         default:
-            message.Debug("Error in VirtioBlock: Unknown request type " + type);
-            message.Abort();
+            // e.g. the request for the serial number
+            this.replybuffersize = size.write;
+            if (size.write > 0) this.replybuffer[size.write-1] = VIRTIO_BLK_S_UNSUPP;
+            this.SendReply(0, index);
             break;
     }
 
@@ -7,6 +7,7 @@
 var message = require('../../messagehandler');
 var utils = require('../../utils');
 var marshall = require('./marshall');
+var pcap = require('../pcap');
 
 function VirtioNET(ramdev) {
     this.configspace = [0x00, 0x0, 0x0, 0x0, 0x0, 0x0]; // mac address
@@ -34,6 +35,7 @@ VirtioNET.prototype.Reset = function() {
 
 VirtioNET.prototype.Receive = function(buffer) {
     //message.Debug("Received packet of size " + buffer.byteLength);
+    pcap.Capture(buffer);
     this.receivebuffer.push(buffer);
     this.HandleReceive();
 }
@@ -99,6 +101,7 @@ VirtioNET.prototype.ReceiveRequest = function (queueidx, index, GetByte, size) {
     for(var i=0; i<size.read-12; i++) {
         frame[i] = GetByte();
     }
+    pcap.Capture(frame.buffer);
     message.Send("ethmac", frame.buffer);
 
     this.replybuffersize = 0;
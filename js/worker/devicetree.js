@@ -0,0 +1,310 @@
+// -------------------------------------------------
+// ---------------- DEVICE TREE --------------------
+// -------------------------------------------------
+// Generates the device tree from the devices, which have been added to the RAM
+// by InitOpenRISC or InitRISCV. So the memory size, the number of cores and the
+// devices can be changed without rebuilding the kernel.
+//
+// OpenRISC: The blob is copied to the end of the RAM and its physical address is passed in r3.
+// RISC-V: The blob is copied into the boot ROM and its address is passed in a1.
+// See System.LoadDeviceTree
+
+"use strict";
+
+var message = require('./messagehandler');
+var FDT = require('./fdt');
+
+var UARTDev = require('./dev/uart');
+var IRQDev = require('./dev/irq');
+var FBDev = require('./dev/framebuffer');
+var EthDev = require('./dev/ethmac');
+var ATADev = require('./dev/ata');
+var RTCDev = require('./dev/rtc');
+var TouchscreenDev = require('./dev/touchscreen');
+var KeyboardDev = require('./dev/keyboard');
+var SoundDev = require('./dev/sound');
+var VirtIODev = require('./dev/virtio');
+var CLINTDev = require('./dev/clint');
+var PLICDev = require('./dev/plic');
+
+// interrupt lines, which are hard coded in the devices
+var IRQ_OMPIC = 0x1;
+var IRQ_ETHMAC = 0x4;
+var IRQ_KEYBOARD = 0x5;
+var IRQ_SOUND = 0x7;
+var IRQ_TOUCHSCREEN = 0x9;
+var IRQ_ATA = 0xF;
+
+// interrupt causes of the RISC-V cpu
+var IRQ_M_SOFT = 3;
+var IRQ_M_TIMER = 7;
+var IRQ_S_EXT = 9;
+
+function NodeName(name, addr) {
+    return name + "@" + (addr >>> 0).toString(16);
+}
+
+// Calls f for each device with its physical address
+function ForEachDevice(system, f) {
+    for(var i=0; i<system.ram.devices.length; i++) {
+        if (typeof system.ram.devices[i] === "undefined") continue;
+        f(system.ram.devices[i], (i << 24) >>> 0);
+    }
+}
+
+// The stdout-path is set when uartdev0 is added
+// initrd contains the physical start and end address of the initial ram disk
+function AddChosen(root, initdata, initrd) {
+    return SetChosen(root.AddNode("chosen"), initdata, initrd);
+}
+
+function SetChosen(chosen, initdata, initrd) {
+    // without bootargs the kernel uses its built-in command line
+    if (initdata.bootargs) chosen.SetProperty("bootargs", initdata.bootargs);
+    if (initrd) {
+        chosen.SetProperty("linux,initrd-start", initrd.start);
+        chosen.SetProperty("linux,initrd-end", initrd.end);
+    }
+    return chosen;
+}
+
+// ----- OpenRISC -----
+
+function GenerateOpenRISC(system, initdata, initrd) {
+    var fdt = new FDT();
+    var root = fdt.root;
+    var frequency = system.ticksperms * 1000;
+
+    root.SetProperty("compatible", "opencores,or1ksim");
+    root.SetProperty("#address-cells", 1);
+    root.SetProperty("#size-cells", 1);
+
+    var chosen = AddChosen(root, initdata, initrd);
+
+    root.AddNode("memory@0")
+        .SetProperty("device_type", "memory")
+        .SetProperty("reg", [0x0, system.memorysize*0x100000]);
+
+    var cpus = root.AddNode("cpus");
+    cpus.SetProperty("#address-cells", 1);
+    cpus.SetProperty("#size-cells", 0);
+    for(var i=0; i<system.ncores; i++) {
+        cpus.AddNode("cpu@" + i)
+            .SetProperty("compatible", "opencores,or1200-rtlsvn481")
+            .SetProperty("reg", i)
+            .SetProperty("clock-frequency", frequency);
+    }
+
+    // The pic is part of the cpu and accessed via special purpose registers
+    var pic = root.AddNode("pic");
+    pic.SetProperty("compatible", "opencores,or1k-pic");
+    pic.SetProperty("#interrupt-cells", 1);
+    pic.SetProperty("interrupt-controller");
+    root.SetProperty("interrupt-parent", pic.GetPHandle());
+
+    ForEachDevice(system, function(device, addr) {
+        if (device instanceof UARTDev) {
+            var node = root.AddNode(NodeName("serial", addr))
+                .SetProperty("compatible", ["opencores,uart16550-rtlsvn105", "ns16550a"])
+                .SetProperty("reg", [addr, 0x100])
+                .SetProperty("interrupts", device.intno)
+                .SetProperty("clock-frequency", frequency);
+            if (device === system.uartdev0) chosen.SetProperty("stdout-path", "/" + node.name);
+        } else
+        if (device instanceof FBDev) {
+            root.AddNode(NodeName("ocfb", addr))
+                .SetProperty("compatible", "opencores,ocfb")
+                .SetProperty("reg", [addr, 0x1000]);
+        } else
+        if (device instanceof EthDev) {
+            root.AddNode(NodeName("ethoc", addr))
+                .SetProperty("compatible", "opencores,ethoc")
+                .SetProperty("reg", [addr, 0x1000])
+                .SetProperty("interrupts", IRQ_ETHMAC);
+        } else
+        if (device instanceof TouchscreenDev) {
+            root.AddNode(NodeName("tsc", addr))
+                .SetProperty("compatible", "nxp,lpc3220-tsc")
+                .SetProperty("reg", [addr, 0x1000])
+                .SetProperty("interrupts", IRQ_TOUCHSCREEN);
+        } else
+        if (device instanceof KeyboardDev) {
+            root.AddNode(NodeName("keyboard", addr))
+                .SetProperty("compatible", "opencores,kbd")
+                .SetProperty("reg", [addr, 0x100])
+                .SetProperty("interrupts", IRQ_KEYBOARD);
+        } else
+        if (device instanceof SoundDev) {
+            // virtual device, only supported by the jor1k kernel
+            root.AddNode(NodeName("sound", addr))
+                .SetProperty("compatible", "jor1k,sound")
+                .SetProperty("reg", [addr, 0x400])
+                .SetProperty("interrupts", IRQ_SOUND);
+        } else
+        if (device instanceof RTCDev) {
+            root.AddNode(NodeName("rtc", addr))
+                .SetProperty("compatible", "nxp,lpc3220-rtc")
+                .SetProperty("reg", [addr, 0x1000]);
+        } else
+        if (device instanceof IRQDev) {
+            // 8 bytes per core
+            root.AddNode(NodeName("ompic", addr))
+                .SetProperty("compatible", "openrisc,ompic")
+                .SetProperty("reg", [addr, system.ncores*8])
+                .SetProperty("interrupt-controller")
+                .SetProperty("#interrupt-cells", 0)
+                .SetProperty("interrupts", IRQ_OMPIC);
+        } else
+        if (device instanceof ATADev) {
+            root.AddNode(NodeName("ata", addr))
+                .SetProperty("compatible", "ata-generic")
+                .SetProperty("reg", [addr, 0x100, addr+0x100, 0xF00])
+                .SetProperty("pio-mode", 4)
+                .SetProperty("reg-shift", 2)
+                .SetProperty("interrupts", IRQ_ATA);
+        } else
+        if (device instanceof VirtIODev) {
+            root.AddNode(NodeName("virtio", addr))
+                .SetProperty("compatible", "virtio,mmio")
+                .SetProperty("reg", [addr, 0x1000])
+                .SetProperty("interrupts", device.intno);
+        }
+        // the timer device has no binding and is skipped
+    });
+
+    return fdt;
+}
+
+// ----- RISC-V -----
+
+function GenerateRISCV(system, initdata, initrd) {
+    var fdt = new FDT();
+    var root = fdt.root;
+    var frequency = system.ticksperms * 1000;
+    var ncores = system.cpu.ncores;
+    var is64 = initdata.cpu === "safe64";
+
+    root.SetProperty("#address-cells", 2);
+    root.SetProperty("#size-cells", 2);
+    root.SetProperty("compatible", "ucbbar,spike-bare-dev");
+    root.SetProperty("model", "ucbbar,spike-bare");
+
+    var chosen = AddChosen(root, initdata, initrd);
+
+    var cpus = root.AddNode("cpus");
+    cpus.SetProperty("#address-cells", 1);
+    cpus.SetProperty("#size-cells", 0);
+    cpus.SetProperty("timebase-frequency", frequency);
+    var intcs = [];
+    for(var i=0; i<ncores; i++) {
+        var cpu = cpus.AddNode("cpu@" + i)
+            .SetProperty("device_type", "cpu")
+            .SetProperty("reg", i)
+            .SetProperty("status", "okay")
+            .SetProperty("compatible", "riscv")
+            .SetProperty("riscv,isa", is64 ? "rv64imafdc" : "rv32imafdc")
+            .SetProperty("mmu-type", is64 ? "riscv,sv39" : "riscv,sv32")
+            .SetProperty("clock-frequency", frequency);
+        var intc = cpu.AddNode("interrupt-controller")
+            .SetProperty("#interrupt-cells", 1)
+            .SetProperty("interrupt-controller")
+            .SetProperty("compatible", "riscv,cpu-intc");
+        intcs.push(intc.GetPHandle());
+    }
+
+    root.AddNode("memory@80000000")
+        .SetProperty("device_type", "memory")
+        .SetProperty("reg", [0x0, 0x80000000, 0x0, system.memorysize*0x100000]);
+
+    if (system.htif) {
+        root.AddNode("htif").SetProperty("compatible", "ucb,htif0");
+    }
+
+    // the interrupt controller must be known before the other devices are added
+    var plic = null;
+    ForEachDevice(system, function(device, addr) {
+        if (!(device instanceof PLICDev)) return;
+        var interrupts = [];
+        for(var i=0; i<ncores; i++) interrupts.push(intcs[i], IRQ_S_EXT); // one context per hart
+        plic = root.AddNode(NodeName("interrupt-controller", addr))
+            .SetProperty("#interrupt-cells", 1)
+            .SetProperty("compatible", "riscv,plic0")
+            .SetProperty("interrupt-controller")
+            .SetProperty("interrupts-extended", interrupts)
+            .SetProperty("reg", [0x0, addr, 0x0, 0x200000 + ncores*0x1000])
+            .SetProperty("riscv,ndev", 31)
+            .SetProperty("riscv,max-priority", 7);
+    });
+    if (!plic) {
+        message.Debug("Error in GenerateRISCV: The SoC has no PLIC");
+        message.Abort();
+    }
+
+    ForEachDevice(system, function(device, addr) {
+        if (device instanceof CLINTDev) {
+            var interrupts = [];
+            for(var i=0; i<ncores; i++) interrupts.push(intcs[i], IRQ_M_SOFT, intcs[i], IRQ_M_TIMER);
+            root.AddNode(NodeName("clint", addr))
+                .SetProperty("compatible", "riscv,clint0")
+                .SetProperty("interrupts-extended", interrupts)
+                .SetProperty("reg", [0x0, addr, 0x0, 0xC000]);
+        } else
+        if (device instanceof UARTDev) {
+            var node = root.AddNode(NodeName("uart", addr))
+                .SetProperty("compatible", "ns16550a")
+                .SetProperty("reg", [0x0, addr, 0x0, 0x100])
+                .SetProperty("interrupt-parent", plic.GetPHandle())
+                .SetProperty("interrupts", device.intno)
+                .SetProperty("clock-frequency", frequency);
+            if (device === system.uartdev0) chosen.SetProperty("stdout-path", "/" + node.name);
+        } else
+        if (device instanceof VirtIODev) {
+            root.AddNode(NodeName("virtio", addr))
+                .SetProperty("compatible", "virtio,mmio")
+                .SetProperty("reg", [0x0, addr, 0x0, 0x1000])
+                .SetProperty("interrupt-parent", plic.GetPHandle())
+                .SetProperty("interrupts", device.intno);
+        }
+    });
+
+    return fdt;
+}
+
+// ----- Given blob -----
+
+function GetCellsProperty(node, name, defaultvalue) {
+    var value = node.GetProperty(name);
+    return value ? FDT.GetCells(value, 0, 1) : defaultvalue;
+}
+
+// Returns the tree of the blob given by dtbURL or null if it is not valid.
+// The bootargs and the initrd are added to its chosen node. The blob is
+// not generated, so it is compared with the emulated machine
+function ParseRISCV(system, dtb, initdata, initrd) {
+    var fdt = FDT.Parse(dtb);
+    if (!fdt) return null;
+    var root = fdt.root;
+    SetChosen(root.GetNode("chosen") || root.AddNode("chosen"), initdata, initrd);
+
+    var cpus = root.GetNode("cpus");
+    var ncores = cpus ? cpus.children.filter(function(node) {
+        return node.name.split("@")[0] == "cpu";
+    }).length : 0;
+    if (ncores != system.cpu.ncores) {
+        message.Warning("The device tree given by dtbURL describes " + ncores + " harts, but " + system.cpu.ncores + " are emulated");
+    }
+
+    var memory = root.GetNode("memory");
+    var reg = memory ? memory.GetProperty("reg") : undefined;
+    var addresscells = GetCellsProperty(root, "#address-cells", 2);
+    var sizecells = GetCellsProperty(root, "#size-cells", 1);
+    var size = (reg && (reg.length >= (addresscells+sizecells)*4)) ? FDT.GetCells(reg, addresscells, sizecells) : 0;
+    if (size != system.memorysize*0x100000) {
+        message.Warning("The device tree given by dtbURL describes " + (size/0x100000) + " MB of memory, but " + system.memorysize + " MB are emulated");
+    }
+    return fdt;
+}
+
+module.exports.GenerateOpenRISC = GenerateOpenRISC;
+module.exports.GenerateRISCV = GenerateRISCV;
+module.exports.ParseRISCV = ParseRISCV;
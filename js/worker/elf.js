@@ -20,10 +20,14 @@ elf.Extract = function(srcbuffer, ram) {
     var output = [];
     output = marshall.Unmarshall(["w", "b", "b", "b", "b"], srcbuffer, offset);
     var ei_class = output[1];
-    if (ei_class != 1) {
-        message.Debug("Error reading elf binary: 64-Bit not supported");
+    if ((ei_class != 1) && (ei_class != 2)) {
+        message.Debug("Error reading elf binary: unknown class " + ei_class);
         message.Abort();
     }
+    // The addresses and offsets of 64-Bit binaries are read as 64-Bit values.
+    // Only the lower 32 bits are used
+    var is64 = ei_class == 2;
+    var addr = is64 ? "d" : "w";
 
 /*
     output[0] // magic
@@ -34,7 +38,7 @@ elf.Extract = function(srcbuffer, ram) {
 */
 
     offset = 0x10;
-    output = marshall.Unmarshall(["h", "h", "w", "w", "w", "w"], srcbuffer, offset);
+    output = marshall.Unmarshall(["h", "h", "w", addr, addr, addr], srcbuffer, offset);
     var e_entry = output[3]; // virtual address of entry point into program
     var e_phoff = output[4]; // offset for program header
     var e_shoff = output[5]; // offset for section header
@@ -42,13 +46,13 @@ elf.Extract = function(srcbuffer, ram) {
     //message.Debug("e_phoff: " +  utils.ToHex(e_phoff));
     //message.Debug("e_shoff: " +  utils.ToHex(e_shoff));
 
-    offset = 0x28;
+    offset = is64 ? 0x34 : 0x28;
     output = marshall.Unmarshall(["h", "h", "h"], srcbuffer, offset);
     var e_ehsize = output[0]; // size of each individual entry in program header table
     var e_phentsize = output[1]; // Contains the size of a program header table entry.
     var e_phnum = output[2]; // Contains the number of entries in the program header table.
 
-    offset = 0x2E;
+    offset = is64 ? 0x3A : 0x2E;
     output = marshall.Unmarshall(["h", "h", "h"], srcbuffer, offset);
     var e_shentsize = output[0]; // size of each individual entry in section header table
     var e_shnum = output[1]; // number of entries in section header table
@@ -62,17 +66,29 @@ elf.Extract = function(srcbuffer, ram) {
     for (var i = 0; i < e_phnum; i++) {
 
         offset = e_phoff + i*e_phentsize;
-        output = marshall.Unmarshall(["w", "w", "w", "w", "w", "w", "w", "w"], srcbuffer, offset);
-
         var section = {};
-        section.type = output[0];
-        section.offset = output[1];
-        section.vaddr = output[2];
-        section.paddr = output[3];
-        section.filesz = output[4];
-        section.memsz = output[5];
-        section.flags = output[6];
-        section.align = output[7];
+        if (is64) {
+            // the flags are moved to the front because of the alignment
+            output = marshall.Unmarshall(["w", "w", "d", "d", "d", "d", "d", "d"], srcbuffer, offset);
+            section.type = output[0];
+            section.flags = output[1];
+            section.offset = output[2];
+            section.vaddr = output[3];
+            section.paddr = output[4];
+            section.filesz = output[5];
+            section.memsz = output[6];
+            section.align = output[7];
+        } else {
+            output = marshall.Unmarshall(["w", "w", "w", "w", "w", "w", "w", "w"], srcbuffer, offset);
+            section.type = output[0];
+            section.offset = output[1];
+            section.vaddr = output[2];
+            section.paddr = output[3];
+            section.filesz = output[4];
+            section.memsz = output[5];
+            section.flags = output[6];
+            section.align = output[7];
+        }
 /*
         message.Debug("elf program section"
                 + " type:" + section.type
@@ -91,7 +107,7 @@ elf.Extract = function(srcbuffer, ram) {
    for (var i = 0; i < e_shnum; i++) {
 
         offset = e_shoff + i*e_shentsize;
-        output = marshall.Unmarshall(["w", "w", "w", "w", "w", "w"], srcbuffer, offset);
+        output = marshall.Unmarshall(["w", "w", addr, addr, addr, addr], srcbuffer, offset);
 
         var section = {};
         section.name = output[0];
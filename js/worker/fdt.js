@@ -0,0 +1,267 @@
+// -------------------------------------------------
+// -------------------- FDT ------------------------
+// -------------------------------------------------
+// Builds a flattened device tree blob (dtb) as it is expected by the Linux kernel.
+// Existing blobs can be parsed, changed and built again.
+// See the devicetree specification, chapter 5 "Flattened Devicetree (DTB) Format"
+
+"use strict";
+
+var FDT_MAGIC      = 0xD00DFEED;
+var FDT_BEGIN_NODE = 0x1;
+var FDT_END_NODE   = 0x2;
+var FDT_PROP       = 0x3;
+var FDT_NOP        = 0x4;
+var FDT_END        = 0x9;
+
+var HEADER_SIZE = 40;
+
+// ----- Node -----
+
+function FDTNode(tree, name) {
+    this.tree = tree;
+    this.name = name;
+    this.properties = []; // {name, value}
+    this.children = [];
+    this.phandle = 0;
+}
+
+FDTNode.prototype.AddNode = function(name) {
+    var node = new FDTNode(this.tree, name);
+    this.children.push(node);
+    return node;
+}
+
+// The value can be
+//   - a string or an array of strings, e.g. for compatible
+//   - a number or an array of numbers, which are stored as 32 bit cells
+//   - a Uint8Array
+//   - undefined for properties without value, e.g. interrupt-controller
+FDTNode.prototype.SetProperty = function(name, value) {
+    for(var i=0; i<this.properties.length; i++) {
+        if (this.properties[i].name == name) {
+            this.properties[i].value = value;
+            return this;
+        }
+    }
+    this.properties.push({name: name, value: value});
+    return this;
+}
+
+// Returns the child with the given name. The unit address can be omitted
+FDTNode.prototype.GetNode = function(name) {
+    for(var i=0; i<this.children.length; i++) {
+        var childname = this.children[i].name;
+        if ((childname == name) || (childname.split("@")[0] == name)) return this.children[i];
+    }
+    return null;
+}
+
+FDTNode.prototype.GetProperty = function(name) {
+    for(var i=0; i<this.properties.length; i++) {
+        if (this.properties[i].name == name) return this.properties[i].value;
+    }
+    return undefined;
+}
+
+// Returns the phandle of this node, which is used to reference it in other properties
+FDTNode.prototype.GetPHandle = function() {
+    if (this.phandle == 0) {
+        this.phandle = ++this.tree.lastphandle;
+        this.SetProperty("phandle", this.phandle);
+    }
+    return this.phandle;
+}
+
+// ----- Tree -----
+
+function FDT() {
+    this.root = new FDTNode(this, "");
+    this.lastphandle = 0;
+    this.reserved = []; // {address, size}
+}
+
+// Adds an entry to the memory reservation block
+FDT.prototype.Reserve = function(address, size) {
+    this.reserved.push({address: address, size: size});
+}
+
+function EncodeString(str) {
+    var bytes = [];
+    for(var i=0; i<str.length; i++) {
+        bytes.push(str.charCodeAt(i) & 0xFF);
+    }
+    bytes.push(0);
+    return bytes;
+}
+
+function EncodeValue(value) {
+    if (typeof value === "undefined") return [];
+    if (value instanceof Uint8Array) return Array.prototype.slice.call(value);
+    if (!Array.isArray(value)) value = [value];
+    var bytes = [];
+    for(var i=0; i<value.length; i++) {
+        if (typeof value[i] === "string") {
+            bytes = bytes.concat(EncodeString(value[i]));
+        } else {
+            var x = value[i];
+            bytes.push((x >>> 24)&0xFF, (x >>> 16)&0xFF, (x >>> 8)&0xFF, x&0xFF);
+        }
+    }
+    return bytes;
+}
+
+// Returns the blob as Uint8Array
+FDT.prototype.Build = function() {
+    var struct = [];
+    var strings = [];
+    var stringoffsets = {};
+
+    function Push32(x) {
+        struct.push((x >>> 24)&0xFF, (x >>> 16)&0xFF, (x >>> 8)&0xFF, x&0xFF);
+    }
+    function PushBytes(bytes) {
+        for(var i=0; i<bytes.length; i++) struct.push(bytes[i]);
+        while(struct.length & 3) struct.push(0);
+    }
+    function GetStringOffset(name) {
+        if (typeof stringoffsets[name] === "undefined") {
+            stringoffsets[name] = strings.length;
+            strings = strings.concat(EncodeString(name));
+        }
+        return stringoffsets[name];
+    }
+    function PushNode(node) {
+        Push32(FDT_BEGIN_NODE);
+        PushBytes(EncodeString(node.name));
+        for(var i=0; i<node.properties.length; i++) {
+            var value = EncodeValue(node.properties[i].value);
+            Push32(FDT_PROP);
+            Push32(value.length);
+            Push32(GetStringOffset(node.properties[i].name));
+            PushBytes(value);
+        }
+        for(var i=0; i<node.children.length; i++) {
+            PushNode(node.children[i]);
+        }
+        Push32(FDT_END_NODE);
+    }
+    PushNode(this.root);
+    Push32(FDT_END);
+
+    var rsvmapoffset = HEADER_SIZE;
+    var structoffset = rsvmapoffset + (this.reserved.length+1)*16;
+    var stringsoffset = structoffset + struct.length;
+    var totalsize = stringsoffset + strings.length;
+
+    var buffer = new Uint8Array(totalsize);
+    var view = new DataView(buffer.buffer);
+    view.setUint32(0, FDT_MAGIC);
+    view.setUint32(4, totalsize);
+    view.setUint32(8, structoffset);
+    view.setUint32(12, stringsoffset);
+    view.setUint32(16, rsvmapoffset);
+    view.setUint32(20, 17); // version
+    view.setUint32(24, 16); // last compatible version
+    view.setUint32(28, 0); // physical id of the boot cpu
+    view.setUint32(32, strings.length);
+    view.setUint32(36, struct.length);
+
+    // the last entry of the memory reservation block is zero
+    for(var i=0; i<this.reserved.length; i++) {
+        var entry = this.reserved[i];
+        view.setUint32(rsvmapoffset + i*16 + 0, Math.floor(entry.address / 0x100000000));
+        view.setUint32(rsvmapoffset + i*16 + 4, entry.address >>> 0);
+        view.setUint32(rsvmapoffset + i*16 + 8, Math.floor(entry.size / 0x100000000));
+        view.setUint32(rsvmapoffset + i*16 + 12, entry.size >>> 0);
+    }
+    buffer.set(struct, structoffset);
+    buffer.set(strings, stringsoffset);
+
+    return buffer;
+}
+
+// Returns the tree of a blob or null if it is not valid.
+// The values of the properties are Uint8Arrays
+FDT.Parse = function(buffer) {
+    var view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    if ((buffer.length < HEADER_SIZE) || (view.getUint32(0) != FDT_MAGIC)) return null;
+    var structoffset = view.getUint32(8);
+    var stringsoffset = view.getUint32(12);
+    var rsvmapoffset = view.getUint32(16);
+
+    var fdt = new FDT();
+    for(var entry=rsvmapoffset; entry+16 <= buffer.length; entry += 16) {
+        var address = view.getUint32(entry)*0x100000000 + view.getUint32(entry+4);
+        var size = view.getUint32(entry+8)*0x100000000 + view.getUint32(entry+12);
+        if ((address == 0) && (size == 0)) break;
+        fdt.Reserve(address, size);
+    }
+
+    function ReadString(offset) {
+        var str = "";
+        while((offset < buffer.length) && (buffer[offset] != 0)) {
+            str += String.fromCharCode(buffer[offset++]);
+        }
+        return str;
+    }
+
+    var node = null;
+    var parents = [];
+    var offset = structoffset;
+    while(offset+4 <= buffer.length) {
+        var token = view.getUint32(offset);
+        offset += 4;
+        switch(token) {
+            case FDT_BEGIN_NODE:
+                var nodename = ReadString(offset);
+                offset = (offset + nodename.length + 1 + 3) & ~3;
+                if (node) {
+                    parents.push(node);
+                    node = node.AddNode(nodename);
+                } else {
+                    node = fdt.root;
+                }
+                break;
+
+            case FDT_END_NODE:
+                node = parents.pop();
+                break;
+
+            case FDT_PROP:
+                if (!node) return null;
+                var length = view.getUint32(offset);
+                var name = ReadString(stringsoffset + view.getUint32(offset+4));
+                offset += 8;
+                node.SetProperty(name, buffer.slice(offset, offset+length));
+                if ((name == "phandle") && (length == 4)) {
+                    node.phandle = view.getUint32(offset);
+                    fdt.lastphandle = Math.max(fdt.lastphandle, node.phandle);
+                }
+                offset = (offset + length + 3) & ~3;
+                break;
+
+            case FDT_NOP:
+                break;
+
+            case FDT_END:
+                return fdt;
+
+            default:
+                return null;
+        }
+    }
+    return null;
+}
+
+// Returns the number, which is stored in the cells of the Uint8Array
+FDT.GetCells = function(value, offset, ncells) {
+    var x = 0;
+    for(var i=0; i<ncells; i++) {
+        var o = (offset+i)*4;
+        x = x*0x100000000 + (((value[o] << 24) | (value[o+1] << 16) | (value[o+2] << 8) | value[o+3]) >>> 0);
+    }
+    return x;
+}
+
+module.exports = FDT;
@@ -8,11 +8,15 @@
 var TAR = require('./tar');
 var FSLoader = require('./fsloader');
 var utils = require('../utils');
-var bzip2 = require('../bzip2');
+var decompress = require('../decompress');
+var fsjson = require('./fsjson');
 var marshall = require('../dev/virtio/marshall');
 var UTF8 = require('../../lib/utf8');
 var message = require('../messagehandler');
 var LazyUint8Array = require("./lazyUint8Array");
+var snapshot = require('../snapshot');
+var Persistence = require('./persistence');
+var HostDirectory = require('./hostdirectory');
 
 var S_IRWXUGO = 0x1FF;
 var S_IFMT = 0xF000;
@@ -40,8 +44,16 @@ var STATUS_ON_SERVER = 0x2;
 var STATUS_LOADING = 0x3;
 var STATUS_UNLINKED = 0x4;
 
+var F_RDLCK = 0; // shared lock
+var F_WRLCK = 1; // exclusive lock
+var F_UNLCK = 2; // unlock
+var OFFSET_MAX = 0x20000000000000; // end of locks up to the end of the file
 
-function FS() {
+
+// share is the mount tag of an additional 9p share. Its messages
+// are prefixed with the tag, e.g. "scratch.ReadFile"
+function FS(share) {
+    this.prefix = share ? share + "." : "";
     this.inodes = [];
     this.events = [];
 
@@ -51,23 +63,29 @@ function FS() {
 
     this.tar = new TAR(this);
     this.fsloader = new FSLoader(this);
+    this.persistence = null;
+    this.host = null; // HostDirectory, if the files are passed through
     this.userinfo = [];
 
     this.watchFiles = {};
     this.watchDirectories = {};
 
-    message.Register("LoadFilesystem", this.LoadFilesystem.bind(this) );
-    message.Register("MergeFile", this.MergeFile.bind(this) );
-    message.Register("DeleteNode", this.DeleteNode.bind(this) );
-    message.Register("DeleteDirContents", this.RecursiveDelete.bind(this) );
-    message.Register("CreateDirectory", 
+    message.Register(this.prefix + "LoadFilesystem", this.LoadFilesystem.bind(this) );
+    message.RegisterRequest(this.prefix + "MergeFile",
+        function(file) {
+            if (!this.MergeFile(file)) throw new Error("Cannot create file " + file.name);
+        }.bind(this)
+    );
+    message.Register(this.prefix + "DeleteNode", this.DeleteNode.bind(this) );
+    message.Register(this.prefix + "DeleteDirContents", this.RecursiveDelete.bind(this) );
+    message.Register(this.prefix + "CreateDirectory", 
         function(newDirPath){
             var ids = this.SearchPath(newDirPath);
             if(ids.id == -1 && ids.parentid != -1)
                 this.CreateDirectory(ids.name, ids.parentid);
         }.bind(this)
     );
-    message.Register("Rename",
+    message.Register(this.prefix + "Rename",
         function(info) {
             var oldNodeInfo = this.SearchPath(info.oldPath);
             var newNodeInfo = this.SearchPath(info.newPath);
@@ -75,49 +93,52 @@ function FS() {
             // old node DNE or new node has invalid directory path
             if(oldNodeInfo.id == -1 || newNodeInfo.parentid == -1) 
                 return;
-               
-            if(newNodeInfo.id==-1){ //create
-                //parent must be directory
-                if(((this.inodes[newNodeInfo.parentid].mode)&S_IFMT) != S_IFDIR)
-                    return;
-                    
-                this.Rename(this.inodes[oldNodeInfo.id].parentid, this.inodes[oldNodeInfo.id].name, 
-                                newNodeInfo.parentid, newNodeInfo.name);
-            }
-            else { //overwrite 
-                this.Rename(this.inodes[oldNodeInfo.id].parentid, this.inodes[oldNodeInfo.id].name, 
-                                this.inodes[newNodeInfo.id].parentid, this.inodes[newNodeInfo.id].name);
-            }                
+
+            //parent must be directory
+            if(((this.inodes[newNodeInfo.parentid].mode)&S_IFMT) != S_IFDIR)
+                return;
+
+            // overwrites the new node if it exists
+            this.Rename(oldNodeInfo.parentid, oldNodeInfo.name, newNodeInfo.parentid, newNodeInfo.name);
         }.bind(this)
     );
-    message.Register("WatchFile",
+    // the paths are counted, because several listeners can watch the same path
+    message.Register(this.prefix + "WatchFile",
         function(file) {
             //message.Debug("watching file: " + file.name);
-            this.watchFiles[file.name] = true;
+            this.watchFiles[file.name] = (this.watchFiles[file.name] || 0) + 1;
         }.bind(this)
     );
-
-    message.Register("WatchDirectory",
+    message.Register(this.prefix + "UnwatchFile",
         function(file) {
-            this.watchDirectories[file.name] = true;
+            if (--this.watchFiles[file.name] <= 0) delete this.watchFiles[file.name];
         }.bind(this)
     );
 
-    message.Register("ReadFile",
+    message.Register(this.prefix + "WatchDirectory",
         function(file) {
-            message.Send("ReadFile", (this.ReadFile.bind(this))(file));
+            this.watchDirectories[file.name] = (this.watchDirectories[file.name] || 0) + 1;
+        }.bind(this)
+    );
+    message.Register(this.prefix + "UnwatchDirectory",
+        function(file) {
+            if (--this.watchDirectories[file.name] <= 0) delete this.watchDirectories[file.name];
         }.bind(this)
     );
 
-    message.Register("tar",
+    message.RegisterRequest(this.prefix + "ReadFile", this.ReadFile.bind(this));
+    message.RegisterRequest(this.prefix + "ReadDirectory", this.ReadDirectory.bind(this));
+    message.RegisterRequest(this.prefix + "Stat", this.Stat.bind(this));
+
+    message.RegisterRequest(this.prefix + "tar",
         function(data) {
-            message.Send("tar", this.tar.Pack(data));
+            return this.tar.Pack(data);
         }.bind(this)
     );
 
-    message.Register("sync",
+    message.RegisterRequest(this.prefix + "sync",
         function(data) {
-            message.Send("sync", this.tar.Pack(data));
+            return this.tar.Pack(data);
         }.bind(this)
     );
 
@@ -130,18 +151,40 @@ function FS() {
 FS.prototype.LoadFilesystem = function(userinfo)
 {
     this.userinfo = userinfo;
-    this.fsloader.LoadJSON(this.userinfo.basefsURL);
+    var paths = this.userinfo.persistentpaths || [];
+    if ((paths.length > 0) && (!this.persistence)) {
+        this.persistence = new Persistence(this, this.userinfo.persistentdb || "jor1k", paths);
+        this.persistence.Open();
+    }
+    // the stored files overwrite the files from the json files,
+    // so they are restored once after the last json file
+    var OnJSONLoaded = function() {
+        if (this.persistence) this.persistence.Restore();
+    }.bind(this);
+    this.fsloader.LoadJSON(this.userinfo.basefsURL, this.userinfo.extendedfsURL ? undefined : OnJSONLoaded);
     this.OnLoaded = function() { // the basic filesystem is loaded, so download the rest
         if (this.userinfo.extendedfsURL) {
-            this.fsloader.LoadJSON(this.userinfo.extendedfsURL);
+            this.fsloader.LoadJSON(this.userinfo.extendedfsURL, OnJSONLoaded);
         }
-        for(var i=0; i<this.userinfo.lazyloadimages.length; i++) {
-            this.LoadImage(this.userinfo.lazyloadimages[i]);
+        var images = this.userinfo.lazyloadimages || [];
+        for(var i=0; i<images.length; i++) {
+            this.LoadImage(images[i]);
         }
     }.bind(this);
 
 }
 
+// Passes the filesystem through to a directory of the host.
+// directory is a FileSystemDirectoryHandle or a backend object
+FS.prototype.LoadHostDirectory = function(directory) {
+    this.host = new HostDirectory(this, directory);
+}
+
+// Returns false, if the operation "symlink", "mknod" or "link" cannot be stored
+FS.prototype.IsSupported = function(operation) {
+    return this.host ? this.host.IsSupported(operation) : true;
+}
+
 // -----------------------------------------------------
 
 FS.prototype.AddEvent = function(id, OnEvent) {
@@ -153,6 +196,12 @@ FS.prototype.AddEvent = function(id, OnEvent) {
     this.events.push({id: id, OnEvent: OnEvent});    
 }
 
+// Returns true if the data of the file has not been loaded yet
+FS.prototype.IsLoading = function(id) {
+    var status = this.GetInode(id).status;
+    return (status == STATUS_ON_SERVER) || (status == STATUS_LOADING);
+}
+
 FS.prototype.HandleEvent = function(id) {
 
     if (this.filesinloadingqueue == 0) {
@@ -189,7 +238,8 @@ FS.prototype.LoadImage = function(url)
     function(buffer){
         var buffer8 = new Uint8Array(buffer);
         if (buffer.byteLength == 0) return;
-        bzip2.simple(buffer8, this.tar.Unpack.bind(this.tar));
+        // the tarball can be compressed with any supported format or uncompressed
+        decompress.simple(buffer8, this.tar.Unpack.bind(this.tar));
     }.bind(this),
     function(error){
         message.Debug("Error: Could not load " + url + ". Skipping.");
@@ -246,6 +296,11 @@ FS.prototype.LoadFile = function(idx) {
     inode.status = STATUS_LOADING;
     this.filesinloadingqueue++;
 
+    if (this.host) {
+        this.host.Load(idx);
+        return;
+    }
+
     if (inode.compressed) {
         inode.data = new Uint8Array(inode.size);
 
@@ -255,14 +310,14 @@ FS.prototype.LoadFile = function(idx) {
                 var inode = this.GetInode(idx);
                 var buffer8 = new Uint8Array(buffer);
                 var ofs = 0;
-                bzip2.simple(buffer8, function(x){inode.data[ofs++] = x;}.bind(this) );
+                decompress.simple(buffer8, function(x){inode.data[ofs++] = x;}.bind(this) );
                 inode.status = STATUS_OK;
                 this.filesinloadingqueue--;
                 this.HandleEvent(idx);
             }.bind(this) 
         }.bind(this))(idx);
 
-        utils.LoadBinaryResource(inode.url + ".bz2", 
+        utils.LoadBinaryResource(inode.url + "." + fsjson.GetExtension(inode.compressed), 
         succfunction,
         function(error){throw error;});
         return;
@@ -301,12 +356,11 @@ FS.prototype.LoadFile = function(idx) {
 
 // -----------------------------------------------------
 
+// Adds the inode and its directory entry given by name and parentid
 FS.prototype.PushInode = function(inode) {
     if (inode.parentid != -1) {
         this.inodes.push(inode);
-        this.inodes[inode.parentid].updatedir = true;
-        inode.nextid = this.inodes[inode.parentid].firstid;
-        this.inodes[inode.parentid].firstid = this.inodes.length-1;
+        this.AddEntry(inode.parentid, inode.name, this.inodes.length-1);
         return;
     } else {
         if (this.inodes.length == 0) { // if root directory
@@ -325,11 +379,10 @@ FS.prototype.CreateInode = function() {
     this.qidnumber++;
     return {
         updatedir : false, // did the directory listing changed?
-        parentid: -1,
-        firstid : -1, // first file id in directory
-        nextid : -1, // next id in directory
+        parentid: -1, // directory of the first name of the inode
+        entries : [], // directory entries {name, id}
         status : 0,
-        name : "",
+        name : "", // first name of the inode. Further names are hard links
         size : 0x0,
         uid : 0x0,
         gid : 0x0,
@@ -344,7 +397,9 @@ FS.prototype.CreateInode = function() {
         mode : 0x01ED,
         qid: {type: 0, version: 0, path: this.qidnumber},
         url: "", // url to download the file
-        compressed: false
+        compressed: false,
+        xattrs: {}, // extended attributes
+        locks: [] // POSIX advisory locks
     };
 }
 
@@ -394,6 +449,7 @@ FS.prototype.CreateNode = function(filename, parentid, major, minor) {
     x.qid.type = S_IFSOCK >> 8;
     x.mode = (this.inodes[parentid].mode & 0x1B6);
     this.PushInode(x);
+    this.NotifyListeners(this.inodes.length-1, 'newfile');
     return this.inodes.length-1;
 }
      
@@ -408,6 +464,7 @@ FS.prototype.CreateSymlink = function(filename, parentid, symlink) {
     x.symlink = symlink;
     x.mode = S_IFLNK;
     this.PushInode(x);
+    this.NotifyListeners(this.inodes.length-1, 'newfile');
     return this.inodes.length-1;
 }
 
@@ -424,6 +481,7 @@ FS.prototype.CreateTextFile = function(filename, parentid, str) {
 
 FS.prototype.OpenInode = function(id, mode) {
     var inode = this.GetInode(id);
+    if (this.host) this.host.OnOpen(id);
     if ((inode.mode&S_IFMT) == S_IFDIR) {
         this.FillDirectory(id);
     }
@@ -466,43 +524,35 @@ FS.prototype.Rename = function(olddirid, oldname, newdirid, newname) {
         return true;
     }
     var oldid = this.Search(olddirid, oldname);
-    var oldpath = this.GetFullPath(oldid);
+    var oldpath = this.GetEntryPath(olddirid, oldname);
     if (oldid == -1) {
         return false;
     }
     var newid = this.Search(newdirid, newname);
+    if (newid == oldid) {
+        return true; // both names are hard links of the same inode
+    }
     if (newid != -1) {
-        this.Unlink(newid);
+        if (!this.Unlink(newdirid, newname)) return false;
     }
 
     var idx = oldid; // idx contains the id which we want to rename
     var inode = this.inodes[idx];
 
-    // remove inode ids
-    if (this.inodes[inode.parentid].firstid == idx) {
-        this.inodes[inode.parentid].firstid = inode.nextid;
-    } else {
-        var id = this.FindPreviousID(idx);
-        if (id == -1) {
-            message.Debug("Error in Filesystem: Cannot find previous id of inode");
-            message.Abort();
-        }
-        this.inodes[id].nextid = inode.nextid;
-    }
+    this.RemoveEntry(olddirid, oldname);
+    this.AddEntry(newdirid, newname, idx);
 
-    inode.parentid = newdirid;
-    inode.name = newname;
+    // hard links of the inode keep their names
+    if ((inode.parentid == olddirid) && (inode.name == oldname)) {
+        inode.parentid = newdirid;
+        inode.name = newname;
+    }
     inode.qid.version++;
 
-    inode.nextid = this.inodes[inode.parentid].firstid;
-    this.inodes[inode.parentid].firstid = idx;
-
-    this.inodes[olddirid].updatedir = true;
-    this.inodes[newdirid].updatedir = true;
     this.inodes[olddirid].nlinks--;
     this.inodes[newdirid].nlinks++;
 
-    this.NotifyListeners(idx, "rename", {oldpath: oldpath});
+    this.NotifyListeners(idx, "rename", {oldpath: oldpath, path: this.GetEntryPath(newdirid, newname)});
     
     return true;
 }
@@ -527,17 +577,42 @@ FS.prototype.Write = function(id, offset, count, GetByte) {
 }
 
 FS.prototype.Search = function(parentid, name) {
-    var id = this.inodes[parentid].firstid;
-    while(id != -1) {
-        if (this.inodes[id].parentid != parentid) { // consistency check
-            message.Debug("Error in Filesystem: Found inode with wrong parent id");
-        }
-        if (this.inodes[id].name == name) return id;
-        id = this.inodes[id].nextid;
+    var entries = this.inodes[parentid].entries;
+    for(var i=0; i<entries.length; i++) {
+        if (entries[i].name == name) return entries[i].id;
     }
     return -1;
 }
 
+FS.prototype.AddEntry = function(parentid, name, id) {
+    var parent = this.inodes[parentid];
+    parent.entries.push({name: name, id: id});
+    parent.updatedir = true;
+}
+
+FS.prototype.RemoveEntry = function(parentid, name) {
+    var parent = this.inodes[parentid];
+    for(var i=0; i<parent.entries.length; i++) {
+        if (parent.entries[i].name != name) continue;
+        parent.entries.splice(i, 1);
+        parent.updatedir = true;
+        return;
+    }
+    message.Debug("Error in Filesystem: Cannot find directory entry " + name);
+    message.Abort();
+}
+
+// Returns the id of a directory, which contains an entry for the inode
+FS.prototype.FindParent = function(idx) {
+    for(var i=0; i<this.inodes.length; i++) {
+        var entries = this.inodes[i].entries;
+        for(var j=0; j<entries.length; j++) {
+            if (entries[j].id == idx) return {parentid: i, name: entries[j].name};
+        }
+    }
+    return null;
+}
+
 FS.prototype.GetTotalSize = function() {
     var size = 0;
     for(var i=0; i<this.inodes.length; i++) {
@@ -549,57 +624,81 @@ FS.prototype.GetTotalSize = function() {
 FS.prototype.GetFullPath = function(idx) {
     var path = "";
 
-    while(idx != 0) {
+    // unlinked inodes have no parent
+    while(idx > 0) {
         path = "/" + this.inodes[idx].name + path;
         idx = this.inodes[idx].parentid;
     }
     return path.substring(1);
 }
 
-// no double linked list. So, we need this
-FS.prototype.FindPreviousID = function(idx) {
-    var inode = this.GetInode(idx);
-    var id = this.inodes[inode.parentid].firstid;
-    while(id != -1) {
-        if (this.inodes[id].nextid == idx) return id;
-        id = this.inodes[id].nextid;
-    }
-    return id;
+FS.prototype.GetEntryPath = function(parentid, name) {
+    var path = this.GetFullPath(parentid);
+    return (path.length ? path + "/" : "") + name;
 }
 
-FS.prototype.Unlink = function(idx) {
-    this.NotifyListeners(idx, 'delete');
-    if (idx == 0) return false; // root node cannot be deleted
+// Removes the directory entry. The inode is deleted, when it has no names left
+FS.prototype.Unlink = function(parentid, name) {
+    var idx = this.Search(parentid, name);
+    if (idx <= 0) return false; // root node cannot be deleted
     var inode = this.GetInode(idx);
+    var path = this.GetEntryPath(parentid, name);
     //message.Debug("Unlink " + inode.name);
 
     // check if directory is not empty
     if ((inode.mode&S_IFMT) == S_IFDIR) {
-       if (inode.firstid != -1) return false;
+       if (inode.entries.length != 0) return false;
     }
 
-    // update ids
-    if (this.inodes[inode.parentid].firstid == idx) {
-        this.inodes[inode.parentid].firstid = inode.nextid;
-    } else {
-        var id = this.FindPreviousID(idx);
-        if (id == -1) {
-            message.Debug("Error in Filesystem: Cannot find previous id of inode");
-            message.Abort();
-        }
-        this.inodes[id].nextid = inode.nextid;
-    }
-    // don't delete the content. The file is still accessible
-    this.inodes[inode.parentid].updatedir = true;
-    this.inodes[inode.parentid].nlinks--;
-    inode.status = STATUS_UNLINKED;
-    inode.nextid = -1;
-    inode.firstid = -1;
-    inode.parentid = -1;
+    this.RemoveEntry(parentid, name);
+    this.inodes[parentid].nlinks--;
     inode.nlinks--;
+    inode.ctime = Math.floor((new Date()).getTime()/1000);
+
+    if ((inode.parentid == parentid) && (inode.name == name)) {
+        // the first name has been removed, so use one of the hard links
+        var link = ((inode.mode&S_IFMT) != S_IFDIR) && (inode.nlinks > 0) ? this.FindParent(idx) : null;
+        if (link) {
+            inode.parentid = link.parentid;
+            inode.name = link.name;
+        } else {
+            // don't delete the content. The file is still accessible
+            inode.status = STATUS_UNLINKED;
+            inode.parentid = -1;
+        }
+    }
+    this.NotifyListeners(idx, 'delete', {path: path});
     return true;
 }
 
+// Adds the inode with another name. Directories cannot have hard links
+FS.prototype.Link = function(parentid, name, idx) {
+    var inode = this.GetInode(idx);
+    if ((inode.mode&S_IFMT) == S_IFDIR) return false;
+    if (this.Search(parentid, name) != -1) return false;
+    this.AddEntry(parentid, name, idx);
+    this.inodes[parentid].nlinks++;
+    inode.nlinks++;
+    inode.ctime = Math.floor((new Date()).getTime()/1000);
+    this.NotifyListeners(idx, 'link', {path: this.GetEntryPath(parentid, name)});
+    return true;
+}
+
+// Removes the entry and everything below it
+FS.prototype.UnlinkRecursive = function(parentid, name) {
+    var id = this.Search(parentid, name);
+    if (id == -1) return;
+    this.DeleteDirContents(id);
+    this.Unlink(parentid, name);
+}
+
+FS.prototype.DeleteDirContents = function(dirid) {
+    var entries = this.inodes[dirid].entries;
+    while(entries.length > 0) {
+        this.UnlinkRecursive(dirid, entries[entries.length-1].name);
+    }
+}
+
 FS.prototype.GetInode = function(idx)
 {
     if (isNaN(idx)) {
@@ -653,20 +752,22 @@ FS.prototype.SearchPath = function(path) {
             if (i < n-1) return {id: -1, parentid: -1, name: walk[i]}; // one name of the path cannot be found
             return {id: -1, parentid: parentid, name: walk[i]}; // the last element in the path does not exist, but the parent
         }
-        parentid = id;
+        if (i < n-1) parentid = id;
     }
-    return {id: id, parentid: parentid, name: walk[i]};
+    // parentid is the directory, which contains the entry
+    return {id: id, parentid: parentid, name: walk[n-1]};
 }
 // -----------------------------------------------------
 
+// Hard linked inodes are added once for each name
 FS.prototype.GetRecursiveList = function(dirid, list) {
-    var id = this.inodes[dirid].firstid;
-    while(id != -1) {
+    var entries = this.inodes[dirid].entries;
+    for(var i=0; i<entries.length; i++) {
+        var id = entries[i].id;
         list.push(id);
         if ((this.inodes[id].mode&S_IFMT) == S_IFDIR) {
             this.GetRecursiveList(id, list);
         }
-        id = this.inodes[id].nextid;
     }
 }
 
@@ -685,7 +786,7 @@ FS.prototype.ReadFile = function(file) {
 FS.prototype.MergeFile = function(file) {
     message.Debug("Merge path:" + file.name);
     var ids = this.SearchPath(file.name);
-    if (ids.parentid == -1) return; // not even the path seems to exist
+    if (ids.parentid == -1) return false; // not even the path seems to exist
     if (ids.id == -1) {
         ids.id = this.CreateFile(ids.name, ids.parentid); 
     }
@@ -695,19 +796,51 @@ FS.prototype.MergeFile = function(file) {
     this.inodes[ids.id].mtime = Math.floor((new Date()).getTime()/1000);
     this.inodes[ids.id].atime = this.inodes[ids.id].mtime;
     this.inodes[ids.id].ctime = this.inodes[ids.id].mtime;
+    return true;
+}
+
+// SearchPath does not find the root directory
+FS.prototype.SearchPathID = function(path) {
+    if (path.replace(/\//g, "") == "") return 0;
+    return this.SearchPath(path).id;
+}
+
+// Returns the names of the entries of a directory
+FS.prototype.ReadDirectory = function(path) {
+    var dirid = this.SearchPathID(path);
+    if (dirid == -1) throw new Error("No such directory: " + path);
+    if ((this.inodes[dirid].mode&S_IFMT) != S_IFDIR) throw new Error("Not a directory: " + path);
+    return this.inodes[dirid].entries.map(function(entry) {
+        return entry.name;
+    });
+}
+
+FS.prototype.Stat = function(path) {
+    var id = this.SearchPathID(path);
+    if (id == -1) throw new Error("No such file or directory: " + path);
+    var inode = this.inodes[id];
+    return {
+        name: path.split("/").filter(function(name) { return name.length; }).pop() || "",
+        size: inode.size,
+        nlinks: inode.nlinks,
+        mode: inode.mode,
+        uid: inode.uid,
+        gid: inode.gid,
+        atime: inode.atime,
+        mtime: inode.mtime,
+        ctime: inode.ctime,
+        symlink: inode.symlink,
+        isDirectory: (inode.mode&S_IFMT) == S_IFDIR,
+        isFile: (inode.mode&S_IFMT) == S_IFREG
+    };
 }
 
 
 FS.prototype.RecursiveDelete = function(path) {
-    var toDelete = []
     var ids = this.SearchPath(path);
     if (ids.parentid == -1 || ids.id == -1) return;
-    
-    this.GetRecursiveList(ids.id, toDelete);
-
-    for(var i=toDelete.length-1; i>=0; i--)
-        this.Unlink(toDelete[i]);
-
+    if ((this.inodes[ids.id].mode&S_IFMT) != S_IFDIR) return;
+    this.DeleteDirContents(ids.id);
 }
 
 FS.prototype.DeleteNode = function(path) {
@@ -715,15 +848,11 @@ FS.prototype.DeleteNode = function(path) {
     if (ids.parentid == -1 || ids.id == -1) return;
     
     if ((this.inodes[ids.id].mode&S_IFMT) == S_IFREG){
-        this.Unlink(ids.id);
+        this.Unlink(ids.parentid, ids.name);
         return;
     }
     if ((this.inodes[ids.id].mode&S_IFMT) == S_IFDIR){
-        var toDelete = []
-        this.GetRecursiveList(ids.id, toDelete);
-        for(var i=toDelete.length-1; i>=0; i--)
-            this.Unlink(toDelete[i]);
-        this.Unlink(ids.id);
+        this.UnlinkRecursive(ids.parentid, ids.name);
         return;
     }
 }
@@ -732,15 +861,20 @@ FS.prototype.NotifyListeners = function(id, action, info) {
     if(info==undefined)
         info = {};
 
-    var path = this.GetFullPath(id);
-    if (this.watchFiles[path] == true && action=='write') {
-      message.Send("WatchFileEvent", path);
+    if (this.persistence) this.persistence.OnChange(id, action, info);
+    if (this.host) this.host.OnChange(id, action, info);
+
+    // hard links and deleted entries are given with their path
+    var path = info.path || this.GetFullPath(id);
+    if (this.watchFiles[path] && action=='write') {
+      message.Send(this.prefix + "WatchFileEvent", path);
     }
+    // the event is sent once, even if several watched directories contain the path
     for (var directory in this.watchDirectories) {
-        if (this.watchDirectories.hasOwnProperty(directory)) {
-            var indexOf = path.indexOf(directory)
-            if(indexOf == 0 || indexOf == 1)
-                message.Send("WatchDirectoryEvent", {path: path, event: action, info: info});         
+        if (!this.watchDirectories.hasOwnProperty(directory)) continue;
+        if ((directory == "") || (path == directory) || (path.indexOf(directory + "/") == 0)) {
+            message.Send(this.prefix + "WatchDirectoryEvent", {path: path, event: action, info: info});
+            break;
         }
     }
 }
@@ -749,12 +883,15 @@ FS.prototype.Check = function() {
     for(var i=1; i<this.inodes.length; i++)
     {
         if (this.inodes[i].status == STATUS_INVALID) continue;
-        if (this.inodes[i].nextid == i) {
-            message.Debug("Error in filesystem: file points to itself");
-            message.Abort();
-        }
 
         var inode = this.GetInode(i);
+        for(var j=0; j<inode.entries.length; j++) {
+            var id = inode.entries[j].id;
+            if ((id <= 0) || (id >= this.inodes.length) || (id == i)) {
+                message.Debug("Error in filesystem: directory " + i + " contains invalid id " + id);
+                message.Abort();
+            }
+        }
         if (inode.parentid < 0) {
             message.Debug("Error in filesystem: negative parent id " + i);
         }
@@ -780,10 +917,9 @@ FS.prototype.FillDirectory = function(dirid) {
 
     // first get size
     var size = 0;
-    var id = this.inodes[dirid].firstid;
-    while(id != -1) {
-        size += 13 + 8 + 1 + 2 + UTF8.UTF8Length(this.inodes[id].name);
-        id = this.inodes[id].nextid;
+    var entries = this.inodes[dirid].entries;
+    for(var i=0; i<entries.length; i++) {
+        size += 13 + 8 + 1 + 2 + UTF8.UTF8Length(entries[i].name);
     }
 
     size += 13 + 8 + 1 + 2 + 1; // "." entry
@@ -809,18 +945,17 @@ FS.prototype.FillDirectory = function(dirid) {
         ".."],
         inode.data, offset);
 
-    var id = this.inodes[dirid].firstid;
-    while(id != -1) {
+    for(var i=0; i<entries.length; i++) {
+        var id = entries[i].id;
         offset += marshall.Marshall(
         ["Q", "d", "b", "s"],
         [
             this.inodes[id].qid,
-            offset+13+8+1+2+UTF8.UTF8Length(this.inodes[id].name),
+            offset+13+8+1+2+UTF8.UTF8Length(entries[i].name),
             this.inodes[id].mode >> 12,
-            this.inodes[id].name
+            entries[i].name
         ],
         inode.data, offset);
-        id = this.inodes[id].nextid;
     }
     inode.updatedir = false;
 }
@@ -828,8 +963,12 @@ FS.prototype.FillDirectory = function(dirid) {
 
 // -----------------------------------------------------
 
-// only support for security.capabilities
-// should return a  "struct vfs_cap_data" defined in
+// ----- extended attributes -----
+// The attributes are stored per inode as name -> Uint8Array,
+// so that hard links share them.
+
+// The default for security.capability, if the attribute is not set.
+// It should return a "struct vfs_cap_data" defined in
 // linux/capability for format
 // check also:
 //   sys/capability.h
@@ -837,29 +976,164 @@ FS.prototype.FillDirectory = function(dirid) {
 //   http://man7.org/linux/man-pages/man7/capabilities.7.html
 //   http://man7.org/linux/man-pages/man8/getcap.8.html
 //   http://man7.org/linux/man-pages/man3/libcap.3.html
-FS.prototype.PrepareCAPs = function(id) {
-    var inode = this.GetInode(id);
-    if (inode.caps) return inode.caps.length;
-    inode.caps = new Uint8Array(12);
+function GetDefaultCAPs() {
+    var caps = new Uint8Array(12);
     // format is little endian
     // magic_etc (revision=0x01: 12 bytes)
-    inode.caps[0]  = 0x00;
-    inode.caps[1]  = 0x00;
-    inode.caps[2]  = 0x00;
-    inode.caps[3]  = 0x01;
+    caps[0]  = 0x00;
+    caps[1]  = 0x00;
+    caps[2]  = 0x00;
+    caps[3]  = 0x01;
     // permitted (full capabilities)
-    inode.caps[4]  = 0xFF;
-    inode.caps[5]  = 0xFF;
-    inode.caps[6]  = 0xFF;
-    inode.caps[7]  = 0xFF;
+    caps[4]  = 0xFF;
+    caps[5]  = 0xFF;
+    caps[6]  = 0xFF;
+    caps[7]  = 0xFF;
     // inheritable (full capabilities
-    inode.caps[8]  = 0xFF;
-    inode.caps[9]  = 0xFF;
-    inode.caps[10] = 0xFF;
-    inode.caps[11] = 0xFF;
+    caps[8]  = 0xFF;
+    caps[9]  = 0xFF;
+    caps[10] = 0xFF;
+    caps[11] = 0xFF;
+    return caps;
+}
+
+// Returns the value as Uint8Array or null if the attribute does not exist
+FS.prototype.GetXattr = function(id, name) {
+    var inode = this.GetInode(id);
+    if (inode.xattrs.hasOwnProperty(name)) return inode.xattrs[name];
+    if (name == "security.capability") return GetDefaultCAPs();
+    return null;
+}
+
+FS.prototype.SetXattr = function(id, name, value) {
+    var inode = this.GetInode(id);
+    inode.xattrs[name] = new Uint8Array(value);
+    inode.ctime = Math.floor((new Date()).getTime()/1000);
+    this.NotifyListeners(id, 'setxattr');
+}
+
+// Returns false if the attribute does not exist
+FS.prototype.RemoveXattr = function(id, name) {
+    var inode = this.GetInode(id);
+    if (!inode.xattrs.hasOwnProperty(name)) return false;
+    delete inode.xattrs[name];
+    inode.ctime = Math.floor((new Date()).getTime()/1000);
+    this.NotifyListeners(id, 'setxattr');
+    return true;
+}
+
+FS.prototype.ListXattr = function(id) {
+    return Object.keys(this.GetInode(id).xattrs);
+}
+
+// ----- POSIX advisory locks -----
+// Byte range locks {type, start, end, procid, clientid} of an inode.
+// end is exclusive. A finite maximum is used, so that the locks are part of snapshots.
+// Each lock belongs to the process procid of the client clientid.
+
+function IsSameOwner(a, b) {
+    return (a.procid == b.procid) && (a.clientid == b.clientid);
+}
+
+function Overlaps(a, b) {
+    return (a.start < b.end) && (b.start < a.end);
+}
 
-    return inode.caps.length;
+function CopyLock(lock, start, end) {
+    return {type: lock.type, start: start, end: end, procid: lock.procid, clientid: lock.clientid};
 }
 
+// length 0 locks up to the end of the file
+FS.prototype.CreateLock = function(type, start, length, procid, clientid) {
+    var end = (length == 0) ? OFFSET_MAX : start + length;
+    return {type: type, start: start, end: end, procid: procid, clientid: clientid};
+}
+
+// Returns the lock of another owner, which prevents the lock, or null
+FS.prototype.GetLock = function(id, lock) {
+    var locks = this.GetInode(id).locks;
+    for(var i=0; i<locks.length; i++) {
+        if (IsSameOwner(locks[i], lock)) continue;
+        if (!Overlaps(locks[i], lock)) continue;
+        if ((locks[i].type == F_WRLCK) || (lock.type == F_WRLCK)) return locks[i];
+    }
+    return null;
+}
+
+// Sets the lock or unlocks the range for F_UNLCK.
+// Returns false if the lock conflicts with a lock of another owner.
+FS.prototype.Lock = function(id, lock) {
+    var inode = this.GetInode(id);
+    if ((lock.type != F_UNLCK) && (this.GetLock(id, lock) != null)) return false;
+
+    // the range replaces the previous locks of the owner
+    var locks = [];
+    for(var i=0; i<inode.locks.length; i++) {
+        var l = inode.locks[i];
+        if (!IsSameOwner(l, lock) || !Overlaps(l, lock)) {
+            locks.push(l);
+            continue;
+        }
+        if (l.start < lock.start) locks.push(CopyLock(l, l.start, lock.start));
+        if (l.end > lock.end) locks.push(CopyLock(l, lock.end, l.end));
+    }
+    if (lock.type != F_UNLCK) locks.push(CopyLock(lock, lock.start, lock.end));
+    inode.locks = locks;
+    return true;
+}
+
+// Returns the length of the lock as in the 9p messages, 0 up to the end of the file
+FS.prototype.GetLockLength = function(lock) {
+    return (lock.end == OFFSET_MAX) ? 0 : lock.end - lock.start;
+}
+
+// Removes the locks of all clients, e.g. after a reset of the guest
+FS.prototype.ClearLocks = function() {
+    for(var i=0; i<this.inodes.length; i++) {
+        this.inodes[i].locks = [];
+    }
+}
+
+
+// -----------------------------------------------------
+
+// Files which are still loading or are lazily loaded
+// are downloaded again after the state has been restored
+FS.prototype.GetState = function() {
+    var inodes = [];
+    for(var i=0; i<this.inodes.length; i++) {
+        var inode = snapshot.GetObjectState(this.inodes[i]);
+        if ((inode.status == STATUS_LOADING) || (inode.data === undefined)) {
+            inode.status = STATUS_ON_SERVER;
+            inode.data = new Uint8Array(0);
+        }
+        inodes.push(inode);
+    }
+    return {
+        inodes: inodes,
+        qidnumber: this.qidnumber,
+        userinfo: snapshot.GetObjectState(this.userinfo),
+        watchFiles: this.watchFiles,
+        watchDirectories: this.watchDirectories
+    };
+}
+
+FS.prototype.SetState = function(state) {
+    this.inodes = [];
+    for(var i=0; i<state.inodes.length; i++) {
+        var inode = {};
+        snapshot.SetObjectState(inode, state.inodes[i]);
+        this.inodes.push(inode);
+    }
+    this.qidnumber = state.qidnumber;
+    this.userinfo = state.userinfo;
+    this.watchFiles = state.watchFiles;
+    this.watchDirectories = state.watchDirectories;
+    if (this.persistence) this.persistence.Reset();
+    if (this.host) this.host.Reset();
+    this.events = [];
+    this.filesinloadingqueue = 0;
+    this.OnLoaded = function() {};
+}
 
 module.exports = FS;
@@ -0,0 +1,157 @@
+// -------------------------------------------------
+// ------------- FILE SYSTEM ACCESS ----------------
+// -------------------------------------------------
+// Backend of HostDirectory for a FileSystemDirectoryHandle of the
+// File System Access API, e.g. from window.showDirectoryPicker().
+// The API knows neither permissions nor symbolic links, so files get
+// the mode 0666 and directories 0777.
+
+"use strict";
+
+var S_IFREG = 0x8000;
+var S_IFDIR = 0x4000;
+
+function FSADirectory(handle) {
+    this.root = handle;
+}
+
+// Calls callback(error, result) when the promise is settled
+function Complete(promise, callback) {
+    promise.then(function(result) {
+        callback(null, result);
+    }, function(error) {
+        callback(error);
+    });
+}
+
+function SplitPath(path) {
+    var names = path.split("/").filter(function(name) { return name.length > 0; });
+    return {dir: names.slice(0, -1).join("/"), name: names[names.length-1]};
+}
+
+// Returns a promise for the handle of the directory
+FSADirectory.prototype.GetDirectory = function(path) {
+    var promise = Promise.resolve(this.root);
+    path.split("/").forEach(function(name) {
+        if (name.length == 0) return;
+        promise = promise.then(function(dir) {
+            return dir.getDirectoryHandle(name);
+        });
+    });
+    return promise;
+}
+
+// Returns a promise for the handle of the file or directory
+FSADirectory.prototype.GetHandle = function(path) {
+    var split = SplitPath(path);
+    return this.GetDirectory(split.dir).then(function(dir) {
+        return dir.getFileHandle(split.name).catch(function(error) {
+            if (error.name != "TypeMismatchError") throw error;
+            return dir.getDirectoryHandle(split.name);
+        });
+    });
+}
+
+FSADirectory.prototype.ReadDirectory = function(path, callback) {
+    var entries = [];
+    var promise = this.GetDirectory(path).then(function(dir) {
+        var iterator = dir.values();
+        function Next() {
+            return iterator.next().then(function(item) {
+                if (item.done) return entries;
+                var handle = item.value;
+                if (handle.kind == "directory") {
+                    entries.push({name: handle.name, mode: S_IFDIR | 0x1FF, size: 0, mtime: 0});
+                    return Next();
+                }
+                return handle.getFile().then(function(file) {
+                    entries.push({
+                        name: handle.name,
+                        mode: S_IFREG | 0x1B6,
+                        size: file.size,
+                        mtime: Math.floor(file.lastModified/1000)
+                    });
+                    return Next();
+                });
+            });
+        }
+        return Next();
+    });
+    Complete(promise, callback);
+}
+
+FSADirectory.prototype.ReadFile = function(path, callback) {
+    var split = SplitPath(path);
+    var promise = this.GetDirectory(split.dir).then(function(dir) {
+        return dir.getFileHandle(split.name);
+    }).then(function(handle) {
+        return handle.getFile();
+    }).then(function(file) {
+        return file.arrayBuffer();
+    }).then(function(buffer) {
+        return new Uint8Array(buffer);
+    });
+    Complete(promise, callback);
+}
+
+FSADirectory.prototype.WriteFile = function(path, data, callback) {
+    var split = SplitPath(path);
+    var promise = this.GetDirectory(split.dir).then(function(dir) {
+        return dir.getFileHandle(split.name, {create: true});
+    }).then(function(handle) {
+        return handle.createWritable();
+    }).then(function(writable) {
+        return writable.write(data).then(function() {
+            return writable.close();
+        });
+    });
+    Complete(promise, callback);
+}
+
+FSADirectory.prototype.MakeDirectory = function(path, callback) {
+    var split = SplitPath(path);
+    var promise = this.GetDirectory(split.dir).then(function(dir) {
+        return dir.getDirectoryHandle(split.name, {create: true});
+    });
+    Complete(promise, callback);
+}
+
+FSADirectory.prototype.Remove = function(path, callback) {
+    var split = SplitPath(path);
+    var promise = this.GetDirectory(split.dir).then(function(dir) {
+        return dir.removeEntry(split.name);
+    });
+    Complete(promise, callback);
+}
+
+// Handles can be moved in newer browsers. Otherwise only files
+// can be renamed by copying them
+FSADirectory.prototype.Rename = function(oldpath, newpath, callback) {
+    var split = SplitPath(newpath);
+    var promise = Promise.all([this.GetHandle(oldpath), this.GetDirectory(split.dir)]).then(function(handles) {
+        var handle = handles[0];
+        if (typeof handle.move === "function") {
+            return handle.move(handles[1], split.name);
+        }
+        if (handle.kind != "file") {
+            throw new Error("Directories cannot be renamed by this browser");
+        }
+        return handle.getFile().then(function(file) {
+            return file.arrayBuffer();
+        }).then(function(buffer) {
+            return new Promise(function(resolve, reject) {
+                this.WriteFile(newpath, new Uint8Array(buffer), function(error) {
+                    if (error) reject(error); else resolve();
+                });
+            }.bind(this));
+        }.bind(this)).then(function() {
+            var oldsplit = SplitPath(oldpath);
+            return this.GetDirectory(oldsplit.dir).then(function(dir) {
+                return dir.removeEntry(oldsplit.name);
+            });
+        }.bind(this));
+    }.bind(this));
+    Complete(promise, callback);
+}
+
+module.exports = FSADirectory;
@@ -0,0 +1,110 @@
+// -------------------------------------------------
+// ---------------- FILESYSTEM JSON ----------------
+// -------------------------------------------------
+// Schema of the json files, which describe the basic and the extended filesystem.
+// Used by FSLoader and by the generator js/node/buildfs.js
+//
+// {"src": "fs", "fs": [entries]} with the files relative to src.
+// Each entry is one of
+//   directory: {name, mode, uid, gid, child: [entries]}
+//   file:      {name, mode, size, uid, gid, c, load, lazy, src}
+//   link:      {name, mode, path}
+//   hard link: {name, link} with the path of the linked file relative to the root
+// mode is an octal string including the file type bits. uid and gid are zero if omitted.
+// c marks a compressed file. It is either 1 for bzip2 or the extension of the compressed file.
+// load loads the file at startup, lazy loads it in chunks with range requests.
+// src overrides the path of the file relative to src of the filesystem.
+
+"use strict";
+
+var TYPE_DIR = 1;
+var TYPE_FILE = 2;
+var TYPE_LINK = 3;
+var TYPE_HARDLINK = 4;
+
+var fsjson = {};
+
+fsjson.TYPE_DIR = TYPE_DIR;
+fsjson.TYPE_FILE = TYPE_FILE;
+fsjson.TYPE_LINK = TYPE_LINK;
+fsjson.TYPE_HARDLINK = TYPE_HARDLINK;
+
+fsjson.GetType = function(tag) {
+    if (tag.path) return TYPE_LINK;
+    if (tag.link) return TYPE_HARDLINK;
+    if (typeof tag.size === "undefined") return TYPE_DIR;
+    return TYPE_FILE;
+}
+
+// Returns the extension of the compressed file
+fsjson.GetExtension = function(c) {
+    return (typeof c === "string") ? c : "bz2";
+}
+
+function SetOwner(tag, uid, gid) {
+    if (uid) tag.uid = uid;
+    if (gid) tag.gid = gid;
+    return tag;
+}
+
+fsjson.CreateDir = function(name, mode, uid, gid) {
+    return SetOwner({name: name, mode: mode.toString(8)}, uid, gid);
+}
+
+fsjson.CreateFile = function(name, mode, size, uid, gid) {
+    return SetOwner({name: name, mode: mode.toString(8), size: size}, uid, gid);
+}
+
+fsjson.CreateLink = function(name, mode, path) {
+    return {name: name, mode: mode.toString(8), path: path};
+}
+
+fsjson.CreateHardLink = function(name, link) {
+    return {name: name, link: link};
+}
+
+// Calls f(tag, path) for every entry. The path is relative to the root without leading slash.
+fsjson.Walk = function(list, f, path) {
+    path = path || "";
+    for(var i=0; i<list.length; i++) {
+        var tag = list[i];
+        var fullpath = path + tag.name;
+        f(tag, fullpath);
+        if (tag.child) fsjson.Walk(tag.child, f, fullpath + "/");
+    }
+}
+
+// Returns the json string with one entry per line
+fsjson.Stringify = function(root) {
+    var lines = [];
+    function Entry(tag) {
+        var copy = {};
+        for (var key in tag) {
+            if (key != "child") copy[key] = tag[key];
+        }
+        return JSON.stringify(copy);
+    }
+    function Dump(list, indent) {
+        for(var i=0; i<list.length; i++) {
+            var tag = list[i];
+            var comma = (i < list.length-1) ? "," : "";
+            if (!tag.child) {
+                lines.push(indent + Entry(tag) + comma);
+                continue;
+            }
+            if (tag.child.length == 0) {
+                lines.push(indent + Entry(tag).slice(0, -1) + ",\"child\":[]}" + comma);
+                continue;
+            }
+            lines.push(indent + Entry(tag).slice(0, -1) + ",\"child\":[");
+            Dump(tag.child, indent + "\t");
+            lines.push(indent + "]}" + comma);
+        }
+    }
+    lines.push("{\"src\":" + JSON.stringify(root.src) + ", \"fs\":[");
+    Dump(root.fs, "\t");
+    lines.push("]}");
+    return lines.join("\n") + "\n";
+}
+
+module.exports = fsjson;
@@ -6,6 +6,7 @@
 
 var message = require('../messagehandler');
 var utils = require('../utils');
+var fsjson = require('./fsjson');
 
 var S_IRWXUGO = 0x1FF;
 var S_IFMT = 0xF000;
@@ -25,12 +26,19 @@ var STATUS_UNLINKED = 0x4;
 
 function FSLoader(filesystem) {
     this.fs = filesystem;
+    this.hardlinks = []; // {parentid, name, link}, created after all files
 }
 
 FSLoader.prototype.HandleDirContents = function(list, parentid) {
     for (var i in list) {
          var tag = list[i];
 
+         var type = fsjson.GetType(tag);
+         if (type == fsjson.TYPE_HARDLINK) {
+             this.hardlinks.push({parentid: parentid, name: tag.name, link: tag.link});
+             continue;
+         }
+
          var id = this.fs.Search(parentid, tag.name);
          if (id != -1) {
              if (!tag.path && !tag.size) {
@@ -49,11 +57,11 @@ FSLoader.prototype.HandleDirContents = function(list, parentid) {
          this.fs.inodes[inode.parentid].nlinks++;
          inode.mode = parseInt(tag.mode, 8);
 
-         if (tag.path) { // link
+         if (type == fsjson.TYPE_LINK) {
              inode.mode = S_IFLNK | S_IRWXUGO;
              inode.symlink = tag.path;
              this.fs.PushInode(inode);
-         } else if (typeof tag.size === "undefined") { // dir
+         } else if (type == fsjson.TYPE_DIR) {
              inode.mode |= S_IFDIR;
              inode.updatedir = true;
              inode.nlinks = 2; // . and ..
@@ -65,7 +73,7 @@ FSLoader.prototype.HandleDirContents = function(list, parentid) {
              inode.mode |= S_IFREG;
              var idx = this.fs.inodes.length;
              inode.status = STATUS_ON_SERVER;
-             inode.compressed = !!tag.c;
+             inode.compressed = tag.c || false;
              inode.size = tag.size|0;
              this.fs.PushInode(inode);
              var url = this.sysrootdir + (!tag.src?this.fs.GetFullPath(idx):tag.src);
@@ -78,7 +86,18 @@ FSLoader.prototype.HandleDirContents = function(list, parentid) {
     }
 }
 
-FSLoader.prototype.OnJSONLoaded = function(fsxml)
+FSLoader.prototype.CreateHardLinks = function() {
+    for(var i=0; i<this.hardlinks.length; i++) {
+        var hardlink = this.hardlinks[i];
+        var id = this.fs.SearchPathID(hardlink.link);
+        if ((id == -1) || !this.fs.Link(hardlink.parentid, hardlink.name, id)) {
+            message.Debug("Cannot create hard link " + hardlink.name + " to " + hardlink.link);
+        }
+    }
+    this.hardlinks = [];
+}
+
+FSLoader.prototype.OnJSONLoaded = function(fsxml, OnLoaded)
 {
     var t = JSON.parse(fsxml);
 
@@ -86,16 +105,22 @@ FSLoader.prototype.OnJSONLoaded = function(fsxml)
     if (String(this.sysrootdir) !== this.sysrootdir) message.Debug("No sysroot (src tag)!");
     this.sysrootdir = this.fs.userinfo.path + this.sysrootdir + "/";
 
+    this.hardlinks = [];
     this.HandleDirContents(t.fs, 0);
+    this.CreateHardLinks();
 
     message.Debug("processed " + this.fs.inodes.length + " inodes");
     this.fs.Check();
+    if (OnLoaded) OnLoaded();
 }
 
-FSLoader.prototype.LoadJSON = function(url)
+// OnLoaded is called after the inodes have been created
+FSLoader.prototype.LoadJSON = function(url, OnLoaded)
 {
     message.Debug("Load filesystem information from " + url);
-    utils.LoadTextResource(url, this.OnJSONLoaded.bind(this), function(error){throw error;});
+    utils.LoadTextResource(url, function(fsxml) {
+        this.OnJSONLoaded(fsxml, OnLoaded);
+    }.bind(this), function(error){throw error;});
 }
 
 module.exports = FSLoader;
@@ -0,0 +1,281 @@
+// -------------------------------------------------
+// ---------------- HOST DIRECTORY -----------------
+// -------------------------------------------------
+// Passes the filesystem through to a directory of the host.
+// The inodes are a cache of the host directory. Directories are read
+// when they are opened, files when their data is needed. The changes
+// of the guest are forwarded to the host in the order they happened.
+// File data is collected and written after a short delay.
+//
+// The backend accesses the host directory. Paths are relative to
+// the directory without leading slash. All methods call
+// callback(error, result) when they are done.
+//   ReadDirectory(path, callback) with a list of entries
+//       {name, mode, size, mtime, symlink}. mode includes the file type bits
+//   ReadFile(path, callback) with an Uint8Array
+//   WriteFile(path, data, callback) creates or replaces the file
+//   MakeDirectory(path, callback)
+//   Remove(path, callback) removes a file or an empty directory
+//   Rename(oldpath, newpath, callback)
+//   SetMode(path, mode, callback) optional
+//   Symlink(path, target, callback) optional
+// FSADirectory implements it for the File System Access API,
+// js/node/nodedirectory.js for Node.js.
+
+"use strict";
+
+var message = require('../messagehandler');
+var FSADirectory = require('./fsadirectory');
+
+var S_IFMT = 0xF000;
+var S_IFLNK = 0xA000;
+var S_IFREG = 0x8000;
+var S_IFDIR = 0x4000;
+
+var STATUS_OK = 0x0;
+var STATUS_ON_SERVER = 0x2;
+var STATUS_LOADING = 0x3;
+
+var FLUSH_DELAY = 1000; // in ms. Writes to the same file are collected
+
+// directory is a FileSystemDirectoryHandle or a backend object
+function HostDirectory(fs, directory) {
+    this.fs = fs;
+    this.backend = (typeof directory.getDirectoryHandle === "function") ? new FSADirectory(directory) : directory;
+    this.queue = []; // host operations, which are executed one after another
+    this.syncing = false;
+    this.timer = null;
+    this.Reset();
+}
+
+// Called after the inodes have been replaced by a snapshot.
+// The loaded files are compared with the host again
+HostDirectory.prototype.Reset = function() {
+    if (this.timer !== null) {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    this.dirty = {}; // ids of the files with unwritten data
+    this.versions = {}; // modification time and size of the files on the host
+
+    // the root directory is read when it is opened
+    this.fs.inodes[0].status = STATUS_ON_SERVER;
+}
+
+HostDirectory.prototype.Enqueue = function(f) {
+    this.queue.push(f);
+    if (this.queue.length == 1) this.Next();
+}
+
+HostDirectory.prototype.Next = function() {
+    this.queue[0](function() {
+        this.queue.shift();
+        if (this.queue.length > 0) this.Next();
+    }.bind(this));
+}
+
+// Executes a method of the backend. The guest has already got its reply,
+// so errors can only be reported
+HostDirectory.prototype.Run = function(method, args) {
+    this.Enqueue(function(done) {
+        this.backend[method].apply(this.backend, args.concat(function(error) {
+            if (error) message.Warning("Host directory: " + method + " of " + args[0] + " failed: " + error);
+            done();
+        }));
+    }.bind(this));
+}
+
+// Called by FS.LoadFile with status STATUS_LOADING
+HostDirectory.prototype.Load = function(id) {
+    var inode = this.fs.inodes[id];
+    var path = this.fs.GetFullPath(id);
+
+    var OnLoaded = function(done) {
+        if (inode.status == STATUS_LOADING) inode.status = STATUS_OK;
+        this.fs.filesinloadingqueue--;
+        this.fs.HandleEvent(id);
+        done();
+    }.bind(this);
+
+    // the host has to see the changes of the guest before it is read
+    this.Flush();
+
+    if ((inode.mode&S_IFMT) == S_IFDIR) {
+        this.Enqueue(function(done) {
+            this.backend.ReadDirectory(path, function(error, entries) {
+                if (error) {
+                    message.Warning("Host directory: Cannot read directory " + path + ": " + error);
+                } else if (inode.status == STATUS_LOADING) {
+                    this.Merge(id, entries);
+                    this.fs.FillDirectory(id);
+                }
+                OnLoaded(done);
+            }.bind(this));
+        }.bind(this));
+        return;
+    }
+
+    this.Enqueue(function(done) {
+        this.backend.ReadFile(path, function(error, data) {
+            if (error) {
+                message.Warning("Host directory: Cannot read file " + path + ": " + error);
+                data = new Uint8Array(0);
+            }
+            inode.data = data;
+            inode.size = data.length;
+            OnLoaded(done);
+        }.bind(this));
+    }.bind(this));
+}
+
+// Updates the directory with the entries read from the host
+HostDirectory.prototype.Merge = function(dirid, entries) {
+    var fs = this.fs;
+    var names = {};
+    this.syncing = true;
+    for(var i=0; i<entries.length; i++) {
+        var entry = entries[i];
+        names[entry.name] = true;
+        var id = fs.Search(dirid, entry.name);
+        if ((id != -1) && ((fs.inodes[id].mode&S_IFMT) != (entry.mode&S_IFMT))) {
+            fs.UnlinkRecursive(dirid, entry.name);
+            id = -1;
+        }
+        if (id == -1) {
+            this.CreateInode(dirid, entry);
+        } else {
+            this.UpdateInode(id, entry);
+        }
+    }
+
+    // remove the entries, which have been deleted on the host
+    var list = fs.inodes[dirid].entries.slice();
+    for(var i=0; i<list.length; i++) {
+        if (!names[list[i].name]) fs.UnlinkRecursive(dirid, list[i].name);
+    }
+    this.syncing = false;
+}
+
+HostDirectory.prototype.CreateInode = function(dirid, entry) {
+    var id = -1;
+    switch(entry.mode&S_IFMT) {
+        case S_IFDIR:
+            id = this.fs.CreateDirectory(entry.name, dirid);
+            this.fs.inodes[id].status = STATUS_ON_SERVER;
+            break;
+        case S_IFLNK:
+            id = this.fs.CreateSymlink(entry.name, dirid, entry.symlink);
+            break;
+        case S_IFREG:
+            id = this.fs.CreateFile(entry.name, dirid);
+            this.fs.inodes[id].status = STATUS_ON_SERVER;
+            this.fs.inodes[id].size = entry.size;
+            this.versions[id] = entry.mtime + ":" + entry.size;
+            break;
+        default:
+            return;
+    }
+    var inode = this.fs.inodes[id];
+    inode.mode = entry.mode;
+    inode.mtime = inode.atime = inode.ctime = entry.mtime;
+}
+
+HostDirectory.prototype.UpdateInode = function(id, entry) {
+    var inode = this.fs.inodes[id];
+    inode.mode = entry.mode;
+    if ((entry.mode&S_IFMT) == S_IFLNK) {
+        inode.symlink = entry.symlink;
+        return;
+    }
+    if ((entry.mode&S_IFMT) != S_IFREG) return;
+    var version = entry.mtime + ":" + entry.size;
+    if (this.versions[id] === version) return;
+    this.versions[id] = version;
+    inode.mtime = entry.mtime;
+    // the file has been changed on the host, so read it again when it is needed
+    if ((inode.status == STATUS_OK) && (!this.dirty[id])) {
+        inode.status = STATUS_ON_SERVER;
+        inode.size = entry.size;
+        inode.data = new Uint8Array(0);
+    }
+}
+
+// Device nodes and hard links have no counterpart on the host
+// and symbolic links only if the backend can create them
+HostDirectory.prototype.IsSupported = function(operation) {
+    return (operation == "symlink") && !!this.backend.Symlink;
+}
+
+// Called by FS.OpenInode. Directories are read again on every open,
+// so that the guest sees the changes on the host
+HostDirectory.prototype.OnOpen = function(id) {
+    var inode = this.fs.inodes[id];
+    if (((inode.mode&S_IFMT) == S_IFDIR) && (inode.status == STATUS_OK)) {
+        inode.status = STATUS_ON_SERVER;
+    }
+}
+
+// Called by the filesystem for every change
+HostDirectory.prototype.OnChange = function(id, action, info) {
+    if (this.syncing) return;
+    var inode = this.fs.inodes[id];
+    switch(action) {
+        case "newdir":
+            this.Run("MakeDirectory", [this.fs.GetFullPath(id)]);
+            break;
+
+        case "newfile":
+            if ((inode.mode&S_IFMT) == S_IFREG) {
+                this.MarkDirty(id);
+            } else if (((inode.mode&S_IFMT) == S_IFLNK) && this.IsSupported("symlink")) {
+                this.Run("Symlink", [this.fs.GetFullPath(id), inode.symlink]);
+            }
+            break;
+
+        case "write":
+            this.MarkDirty(id);
+            break;
+
+        case "setattr":
+            if (((inode.mode&S_IFMT) == S_IFREG) && (inode.status == STATUS_OK)) {
+                this.MarkDirty(id); // the size might have changed
+            }
+            if (this.backend.SetMode && (inode.parentid != -1)) {
+                this.Run("SetMode", [this.fs.GetFullPath(id), inode.mode & 0xFFF]);
+            }
+            break;
+
+        case "delete":
+            if (inode.parentid == -1) delete this.dirty[id];
+            this.Run("Remove", [info.path]);
+            break;
+
+        case "rename":
+            this.Run("Rename", [info.oldpath, info.path]);
+            break;
+    }
+}
+
+HostDirectory.prototype.MarkDirty = function(id) {
+    this.dirty[id] = true;
+    if (this.timer === null) {
+        this.timer = setTimeout(this.Flush.bind(this), FLUSH_DELAY);
+    }
+}
+
+// Writes the data of the changed files to the host
+HostDirectory.prototype.Flush = function() {
+    if (this.timer !== null) {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    for(var id in this.dirty) {
+        var inode = this.fs.inodes[id];
+        // unlinked files are not written
+        if ((inode.status != STATUS_OK) || (inode.parentid == -1)) continue;
+        this.Run("WriteFile", [this.fs.GetFullPath(id), inode.data.slice(0, inode.size)]);
+    }
+    this.dirty = {};
+}
+
+module.exports = HostDirectory;
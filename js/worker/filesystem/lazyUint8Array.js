@@ -2,6 +2,9 @@
 
 var message = require("../messagehandler");
 
+// Node.js has no XMLHttpRequest. There the file is read from the local file system.
+var fs = (typeof XMLHttpRequest === "undefined") ? require("fs") : null;
+
 function LazyUint8Array_length_getter() {
     if (!this.lengthKnown) {
         this.CacheLength();
@@ -47,6 +50,14 @@ LazyUint8Array.prototype.DoXHR = function LazyUint8Array_DoXHR(from, to) {
     if (from > to) message.Error("Invalid range (" + from + ", " + to + ") or no bytes requested!");
     if (to > this._length-1) message.Error("Only " + this._length + " bytes available! programmer error!");
 
+    if (fs) {
+        var data = new Uint8Array(to - from + 1);
+        var fd = fs.openSync(this.url, "r");
+        fs.readSync(fd, data, 0, data.length, from);
+        fs.closeSync(fd);
+        return data;
+    }
+
     var xhr = new XMLHttpRequest();
     xhr.open('GET', this.url, false);
     if (this._length !== this._chunkSize) xhr.setRequestHeader("Range", "bytes=" + from + "-" + to);
@@ -70,6 +81,12 @@ LazyUint8Array.prototype.GetChunk = function LazyUint8Array_GetChunk(chunkNum) {
 
 LazyUint8Array.prototype.CacheLength = function LazyUint8Array_CacheLength() {
     // Find length
+    if (fs) {
+        this._length = fs.statSync(this.url).size;
+        this._chunkSize = 1024*1024;
+        this.lengthKnown = true;
+        return;
+    }
     var xhr = new XMLHttpRequest();
     xhr.open('HEAD', this.url + "?" + new Date().getTime(), false);
     xhr.send(null);
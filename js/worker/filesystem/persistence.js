@@ -0,0 +1,255 @@
+// -------------------------------------------------
+// ------------ PERSISTENT FILESYSTEM --------------
+// -------------------------------------------------
+// Stores the inodes below certain paths of the filesystem in IndexedDB
+// and restores them after the basic filesystem has been loaded.
+// Each inode is one record with its full path as key. Hard linked inodes
+// are stored once under the path of their first name.
+// Deleted inodes are kept as records with the deleted flag,
+// so that they are removed from the basic filesystem as well.
+
+"use strict";
+
+var message = require('../messagehandler');
+
+var S_IFMT = 0xF000;
+var S_IFLNK = 0xA000;
+var S_IFREG = 0x8000;
+var S_IFDIR = 0x4000;
+
+var STATUS_OK = 0x0;
+var STATUS_ON_SERVER = 0x2;
+var STATUS_UNLINKED = 0x4;
+
+var DB_VERSION = 1;
+var STORE = "inodes";
+var FLUSH_DELAY = 1000; // in ms. Changes are collected and written together
+
+function Persistence(fs, dbname, paths) {
+    this.fs = fs;
+    this.dbname = dbname;
+    this.paths = paths.map(function(path) {
+        return path.replace(/^\/+|\/+$/g, "");
+    });
+    this.db = null;
+    this.restorepending = false;
+    this.restoring = false;
+    this.timer = null;
+    this.Reset();
+}
+
+// forget all changes, which are not written yet
+Persistence.prototype.Reset = function() {
+    this.dirty = {}; // ids of the changed inodes
+    this.removed = {}; // paths of the deleted or renamed inodes
+}
+
+Persistence.prototype.IsPersistent = function(path) {
+    for(var i=0; i<this.paths.length; i++) {
+        if ((path == this.paths[i]) || (path.indexOf(this.paths[i] + "/") == 0)) return true;
+    }
+    return false;
+}
+
+Persistence.prototype.Open = function() {
+    if (typeof indexedDB === "undefined") {
+        message.Warning("IndexedDB is not available. The filesystem is not persistent.");
+        return;
+    }
+    var request = indexedDB.open(this.dbname, DB_VERSION);
+    request.onupgradeneeded = function(e) {
+        e.target.result.createObjectStore(STORE, {keyPath: "path"});
+    };
+    request.onsuccess = function(e) {
+        this.db = e.target.result;
+        if (this.restorepending) this.Restore();
+    }.bind(this);
+    request.onerror = function(e) {
+        message.Warning("Could not open the IndexedDB database " + this.dbname);
+    }.bind(this);
+}
+
+// Called by the filesystem for every change
+Persistence.prototype.OnChange = function(id, action, info) {
+    if (this.restoring) return;
+    var inode = this.fs.inodes[id];
+    switch(action) {
+        case "delete":
+            if (this.IsPersistent(info.path)) this.removed[info.path] = true;
+            // the inode is still stored under the name of one of its hard links
+            if (inode.parentid != -1) {
+                this.dirty[id] = true;
+            } else {
+                delete this.dirty[id];
+            }
+            break;
+
+        case "rename":
+            if (this.IsPersistent(info.oldpath)) this.removed[info.oldpath] = true;
+            // the paths of all children have changed as well
+            this.MarkDirty(id);
+            break;
+
+        default:
+            this.dirty[id] = true;
+            break;
+    }
+    if (this.timer === null) {
+        this.timer = setTimeout(this.Flush.bind(this), FLUSH_DELAY);
+    }
+}
+
+Persistence.prototype.MarkDirty = function(id) {
+    this.dirty[id] = true;
+    if ((this.fs.inodes[id].mode&S_IFMT) != S_IFDIR) return;
+    var list = [];
+    this.fs.GetRecursiveList(id, list);
+    for(var i=0; i<list.length; i++) this.dirty[list[i]] = true;
+}
+
+Persistence.prototype.GetRecord = function(inode, path) {
+    var record = {
+        path: path,
+        mode: inode.mode,
+        uid: inode.uid,
+        gid: inode.gid,
+        atime: inode.atime,
+        mtime: inode.mtime,
+        ctime: inode.ctime,
+        major: inode.major,
+        minor: inode.minor,
+        symlink: inode.symlink,
+        size: inode.size,
+        xattrs: inode.xattrs
+    };
+    if ((inode.mode&S_IFMT) != S_IFREG) return record;
+
+    // files of the basic filesystem, which have not been loaded yet, are stored with their url
+    if (inode.status != STATUS_OK) {
+        record.url = inode.url;
+        record.compressed = inode.compressed;
+        record.lazy = inode.lazy;
+        return record;
+    }
+    var data = new Uint8Array(inode.size);
+    for(var i=0; i<inode.size; i++) {
+        data[i] = this.fs.ReadByte(inode, i);
+    }
+    record.data = data;
+    return record;
+}
+
+Persistence.prototype.Flush = function() {
+    this.timer = null;
+    if (!this.db) return;
+    var transaction = this.db.transaction(STORE, "readwrite");
+    var store = transaction.objectStore(STORE);
+    transaction.onerror = function(e) {
+        message.Warning("Could not write the filesystem into IndexedDB");
+    };
+
+    for (var path in this.removed) {
+        if (!this.removed.hasOwnProperty(path)) continue;
+        store.delete(IDBKeyRange.bound(path + "/", path + "/\uffff"));
+        store.put({path: path, deleted: true});
+    }
+    for (var id in this.dirty) {
+        if (!this.dirty.hasOwnProperty(id)) continue;
+        var inode = this.fs.inodes[id];
+        if ((!inode) || (inode.status == STATUS_UNLINKED) || (inode.parentid == -1)) continue;
+        var path = this.fs.GetFullPath(id);
+        if (!this.IsPersistent(path)) continue;
+        store.put(this.GetRecord(inode, path));
+    }
+    this.Reset();
+}
+
+// Called after the basic filesystem has been loaded
+Persistence.prototype.Restore = function() {
+    if (!this.db) {
+        this.restorepending = true;
+        return;
+    }
+    this.restorepending = false;
+    var records = [];
+    var request = this.db.transaction(STORE, "readonly").objectStore(STORE).openCursor();
+    request.onsuccess = function(e) {
+        var cursor = e.target.result;
+        if (cursor) {
+            records.push(cursor.value);
+            cursor.continue();
+            return;
+        }
+        // the records are sorted by their path, so the parents are restored first
+        message.Debug("Restore " + records.length + " inodes from IndexedDB");
+        this.restoring = true;
+        for(var i=0; i<records.length; i++) {
+            if (this.IsPersistent(records[i].path)) this.RestoreRecord(records[i]);
+        }
+        this.restoring = false;
+    }.bind(this);
+    request.onerror = function(e) {
+        message.Warning("Could not read the filesystem from IndexedDB");
+    };
+}
+
+
+Persistence.prototype.RestoreRecord = function(record) {
+    var fs = this.fs;
+    var ids = fs.SearchPath(record.path);
+    if (record.deleted) {
+        if (ids.id != -1) fs.UnlinkRecursive(ids.parentid, ids.name);
+        return;
+    }
+    if (ids.parentid == -1) {
+        message.Debug("Persistence: Cannot restore " + record.path);
+        return;
+    }
+    var id = ids.id;
+    if ((id != -1) && ((fs.inodes[id].mode&S_IFMT) != (record.mode&S_IFMT))) {
+        fs.UnlinkRecursive(ids.parentid, ids.name);
+        id = -1;
+    }
+    if (id == -1) {
+        switch(record.mode&S_IFMT) {
+            case S_IFDIR:
+                id = fs.CreateDirectory(ids.name, ids.parentid);
+                break;
+            case S_IFREG:
+                id = fs.CreateFile(ids.name, ids.parentid);
+                break;
+            case S_IFLNK:
+                id = fs.CreateSymlink(ids.name, ids.parentid, record.symlink);
+                break;
+            default:
+                id = fs.CreateNode(ids.name, ids.parentid, record.major, record.minor);
+                break;
+        }
+    }
+    var inode = fs.inodes[id];
+    inode.mode = record.mode;
+    inode.uid = record.uid;
+    inode.gid = record.gid;
+    inode.atime = record.atime;
+    inode.mtime = record.mtime;
+    inode.ctime = record.ctime;
+    inode.major = record.major;
+    inode.minor = record.minor;
+    inode.symlink = record.symlink;
+    if (record.xattrs) inode.xattrs = record.xattrs;
+    if ((record.mode&S_IFMT) != S_IFREG) return;
+
+    inode.size = record.size;
+    if (record.data) {
+        inode.data = record.data;
+        inode.status = STATUS_OK;
+        return;
+    }
+    inode.data = new Uint8Array(0);
+    inode.url = record.url;
+    inode.compressed = record.compressed;
+    if (record.lazy) inode.lazy = record.lazy;
+    inode.status = STATUS_ON_SERVER;
+}
+
+module.exports = Persistence;
@@ -22,6 +22,8 @@ function TAR(filesystem) {
     this.tarbufferofs = 0;
     this.tarmode = 0; // mode = 0: header, mode!=0: file
     this.tarfileoffset = 0;
+    this.tarpax = false; // the file buffer contains pax extended header records
+    this.pax = null; // records of the last pax header, which apply to the next entry
 }
 
 function ReadStringFromBinary(buffer, offset, numBytes) {
@@ -41,6 +43,63 @@ function WriteStringToBinary(str, buffer, offset, numBytes) {
     buffer[offset+n-1] = 0;
 };
 
+// Parses the records "<length> <key>=<value>\n" of a pax extended header
+function ParsePax(buffer) {
+    var records = {};
+    var offset = 0;
+    while(offset < buffer.length) {
+        var length = 0;
+        var i = offset;
+        while((i < buffer.length) && (buffer[i] != 32)) {
+            length = length*10 + buffer[i++] - 48;
+        }
+        if ((length <= 0) || (offset+length > buffer.length)) break;
+        var key = "";
+        for(i++; (i < offset+length) && (buffer[i] != 61); i++) {
+            key = key + String.fromCharCode(buffer[i]);
+        }
+        records[key] = buffer.slice(i+1, offset+length-1);
+        offset += length;
+    }
+    return records;
+}
+
+// Returns the pax records of the extended attributes or null
+function CreatePax(xattrs) {
+    var bytes = [];
+    for(var name in xattrs) {
+        var key = " SCHILY.xattr." + name + "=";
+        var value = xattrs[name];
+        // the length includes its own digits
+        var length = key.length + value.length + 1;
+        length += (length + length.toString().length).toString().length;
+        var record = length.toString() + key;
+        for(var i=0; i<record.length; i++) bytes.push(record.charCodeAt(i) & 0xFF);
+        for(var i=0; i<value.length; i++) bytes.push(value[i]);
+        bytes.push(10);
+    }
+    return (bytes.length > 0) ? new Uint8Array(bytes) : null;
+}
+
+// Copies the extended attributes of the pax records to the inode
+function ApplyPax(inode, pax) {
+    for(var key in pax) {
+        if (key.indexOf("SCHILY.xattr.") != 0) continue;
+        inode.xattrs[key.substr(13)] = pax[key];
+    }
+}
+
+function WriteChecksum(buffer, offset) {
+    for(var j=0; j<8; j++) {
+        buffer[offset+148+j] = 32; // chksum blank to calculate the checksum
+    }
+    var chksum = 0;
+    for(var j=0; j<512; j++) {
+        chksum += buffer[offset + j];
+    }
+    WriteStringToBinary(chksum.toString(8), buffer, offset+148, 7);
+}
+
 // Receives a stream of bytes
 TAR.prototype.Unpack = function(x) {
     this.tarbuffer[this.tarbufferofs++] = x;
@@ -52,7 +111,7 @@ TAR.prototype.Unpack = function(x) {
         for(var i=0; i<n; i++) {
             this.tarfilebuffer[this.tarfileoffset++] = this.tarbuffer[i];
         }
-        if (this.tarfileoffset >= this.tarfilebuffer.length) this.tarmode = 0; // file finished loading, change mode
+        if (this.tarfileoffset >= this.tarfilebuffer.length) this.FinishFile();
         return;
     }
 
@@ -61,7 +120,21 @@ TAR.prototype.Unpack = function(x) {
     if (magic != "ustar") return;
 
     var typeflag = String.fromCharCode(this.tarbuffer[156]);
+    if ((typeflag == "x") || (typeflag == "g")) {
+        // pax extended header, the records are in the data of this entry
+        var size = parseInt(ReadStringFromBinary(this.tarbuffer, 124, 12), 8);
+        this.tarpax = (typeflag == "x");
+        this.tarfilebuffer = new Uint8Array(size);
+        this.tarfileoffset = 0;
+        this.tarmode = 1;
+        if (size == 0) this.FinishFile();
+        return;
+    }
+    var pax = this.pax || {};
+    this.pax = null;
+
     var name = ReadStringFromBinary(this.tarbuffer, 0, 100);    
+    if (pax.path) name = String.fromCharCode.apply(null, pax.path);
     //message.Debug("name:" + name);
     //TODO: use searchpath function
     var walk = name.split("/");
@@ -89,6 +162,16 @@ TAR.prototype.Unpack = function(x) {
         return;
     }
 
+    if (typeflag == "1") {
+        // hard link to a file, which has been unpacked before
+        var target = this.fs.SearchPath(ReadStringFromBinary(this.tarbuffer, 157, 100)).id;
+        if (target != -1) {
+            this.fs.Link(parentid, walk[n-1], target);
+            ApplyPax(this.fs.inodes[target], pax);
+            return;
+        }
+    }
+
     var inode = this.fs.CreateInode();
     inode.name = walk[n-1];
     inode.parentid = parentid;
@@ -115,7 +198,7 @@ TAR.prototype.Unpack = function(x) {
         this.tarfilebuffer = inode.data;
         break;
 
-    case "1":
+    case "1": // the target of the hard link is missing
         inode.mode |= S_IFLNK;
         inode.symlink = "/"+ReadStringFromBinary(this.tarbuffer, 157, 100);
         break;
@@ -125,18 +208,56 @@ TAR.prototype.Unpack = function(x) {
         inode.symlink = ReadStringFromBinary(this.tarbuffer, 157, 100);
         break;
     }
+    ApplyPax(inode, pax);
     this.fs.PushInode(inode);
 }
 
+TAR.prototype.FinishFile = function() {
+    this.tarmode = 0; // file finished loading, change mode
+    if (this.tarpax) this.pax = ParsePax(this.tarfilebuffer);
+    this.tarpax = false;
+}
+
+// Adds the id and the path of each entry below the directory
+TAR.prototype.GetEntries = function(dirid, path, list) {
+    var entries = this.fs.inodes[dirid].entries;
+    for(var i=0; i<entries.length; i++) {
+        var entrypath = (path.length ? path + "/" : "") + entries[i].name;
+        list.push({id: entries[i].id, path: entrypath});
+        if ((this.fs.inodes[entries[i].id].mode&S_IFMT) == S_IFDIR) {
+            this.GetEntries(entries[i].id, entrypath, list);
+        }
+    }
+}
+
 TAR.prototype.Pack = function(path) {
     message.Debug("tar: " + path);
     var id = this.fs.SearchPath(path).id;
     if (id == -1) return new Uint8Array(0);
     var filelist = [];
-    this.fs.GetRecursiveList(id, filelist);
+    this.GetEntries(id, this.fs.GetFullPath(id), filelist);
+
+    // further names of a file are stored as hard links to the first name
+    var linkpaths = {};
+    for(var i=0; i<filelist.length; i++) {
+        var inode = this.fs.inodes[filelist[i].id];
+        if (((inode.mode&S_IFMT) != S_IFREG) || (inode.nlinks < 2)) continue;
+        if (typeof linkpaths[filelist[i].id] === "undefined") {
+            linkpaths[filelist[i].id] = filelist[i].path;
+        } else {
+            filelist[i].link = linkpaths[filelist[i].id];
+        }
+    }
+
     var size = 0;
     for(var i=0; i<filelist.length; i++) {
-        switch(this.fs.inodes[filelist[i]].mode&S_IFMT)
+        // extended attributes are stored in a pax header in front of the entry
+        filelist[i].pax = CreatePax(this.fs.inodes[filelist[i].id].xattrs);
+        if (filelist[i].pax) {
+            size += 512 + filelist[i].pax.length;
+            if (size & 511) {size = size & (~0x1FF); size += 512;}
+        }
+        switch(this.fs.inodes[filelist[i].id].mode&S_IFMT)
         {
             case S_IFLNK:
             case S_IFDIR:
@@ -144,38 +265,43 @@ TAR.prototype.Pack = function(path) {
                break;
             case S_IFREG:
                 size += 512;
-                size += this.fs.inodes[filelist[i]].size;
+                if (filelist[i].link) break;
+                size += this.fs.inodes[filelist[i].id].size;
                 if (size & 511) {size = size & (~0x1FF); size += 512;}
                 break;
         }
     }    
     message.Debug("tar: " + this.fs.GetFullPath(id) + " size: " + size + " files: " + filelist.length);
-    message.Debug(filelist);
     
     var buffer = new Uint8Array(size);
     var offset = 0;
     for(var i=0; i<filelist.length; i++) {
-        var inode = this.fs.inodes[filelist[i]];
+        var inode = this.fs.inodes[filelist[i].id];
         var type = inode.mode&S_IFMT;
         if ((type != S_IFLNK) && (type != S_IFDIR) && (type != S_IFREG)) continue;
+        var pax = filelist[i].pax;
+        if (pax) {
+            WriteStringToBinary("ustar  ", buffer, offset+257, 8);
+            WriteStringToBinary(("PaxHeaders/" + filelist[i].path).substr(0, 99), buffer, offset+0, 100);
+            WriteStringToBinary("644", buffer, offset+100, 8);
+            WriteStringToBinary(pax.length.toString(8), buffer, offset+124, 12);
+            WriteStringToBinary((inode.mtime).toString(8), buffer, offset+136, 12);
+            buffer[offset+156] = "x".charCodeAt(0);
+            WriteChecksum(buffer, offset);
+            offset += 512;
+            buffer.set(pax, offset);
+            offset += pax.length;
+            if (offset & 511) {offset = offset & (~0x1FF); offset += 512;}
+        }
         WriteStringToBinary("ustar  ", buffer, offset+257, 8);
-        WriteStringToBinary(this.fs.GetFullPath(filelist[i]), buffer, offset+0, 100);
+        WriteStringToBinary(filelist[i].path, buffer, offset+0, 100);
         WriteStringToBinary("00000000000", buffer, offset+124, 12); // size
         WriteStringToBinary((inode.mode&0xFFF).toString(8), buffer, offset+100, 8); // mode
         WriteStringToBinary(inode.uid.toString(8), buffer, offset+108, 8); // uid
         WriteStringToBinary(inode.gid.toString(8), buffer, offset+116, 8); // gid
         WriteStringToBinary((inode.mtime).toString(8), buffer, offset+136, 12); // mtime        
         //WriteStringToBinary("root", buffer, offset+265, 7);
-        //WriteStringToBinary("root", buffer, offset+297, 7); // chksum blank to calculate the checksum
-        
-        buffer[offset+148+0] = 32; // chksum
-        buffer[offset+148+1] = 32;
-        buffer[offset+148+2] = 32;
-        buffer[offset+148+3] = 32;
-        buffer[offset+148+4] = 32;
-        buffer[offset+148+5] = 32;
-        buffer[offset+148+6] = 32;
-        buffer[offset+148+7] = 32;
+        //WriteStringToBinary("root", buffer, offset+297, 7);
 
         switch(type)
         {
@@ -189,18 +315,19 @@ TAR.prototype.Pack = function(path) {
                 break;
 
             case S_IFREG:
+                if (filelist[i].link) {
+                    buffer[offset+156] = "1".charCodeAt(0);
+                    WriteStringToBinary(filelist[i].link, buffer, offset+157, 100);
+                    break;
+                }
                 buffer[offset+156] = "0".charCodeAt(0);
                 WriteStringToBinary(inode.size.toString(8), buffer, offset+124, 12);
                 break;
         }
-        var chksum = 0;
-        for(var j=0; j<512; j++) {
-            chksum += buffer[offset + j];
-        }
-        WriteStringToBinary(chksum.toString(8), buffer, offset+148, 7);
+        WriteChecksum(buffer, offset);
         offset += 512;
         
-        if (type == S_IFREG) { // copy the file
+        if ((type == S_IFREG) && !filelist[i].link) { // copy the file
             for(var j=0; j<inode.size; j++) {
                 buffer[offset++] = inode.data[j];
             }
@@ -0,0 +1,287 @@
+// -------------------------------------------------
+// ------------------ GDB STUB ---------------------
+// -------------------------------------------------
+// Implements the GDB remote serial protocol
+// https://sourceware.org/gdb/onlinedocs/gdb/Remote-Protocol.html
+//
+// The stub talks only to the CPU facade, so it does not need to know which core is used.
+// The connection is an object with the functions Send(string) and Close().
+// Received data is passed to Receive(string). Both strings contain one byte per character.
+
+"use strict";
+var message = require('./messagehandler');
+var utils = require('./utils');
+
+var SIGINT = 2;
+var SIGTRAP = 5;
+
+function ToHex8(x) {
+    return ("0" + (x & 0xFF).toString(16)).substr(-2);
+}
+
+// hex encoding of a register in target byte order
+function RegisterToHex(x, littleendian) {
+    x = utils.uint32(x);
+    if (littleendian) x = utils.Swap32(x);
+    return ("00000000" + utils.uint32(x).toString(16)).substr(-8);
+}
+
+function HexToRegister(str, littleendian) {
+    var x = parseInt(str, 16) | 0;
+    if (littleendian) x = utils.Swap32(x);
+    return x;
+}
+
+function Checksum(str) {
+    var sum = 0;
+    for(var i=0; i<str.length; i++) {
+        sum = (sum + str.charCodeAt(i)) & 0xFF;
+    }
+    return sum;
+}
+
+function GDBStub(system) {
+    this.system = system;
+    this.connection = null;
+    this.noack = false;
+    this.inbuffer = "";
+    this.stopped = false; // GDB expects that the system does not run
+}
+
+GDBStub.prototype.IsStopped = function() {
+    return (this.connection != null) && this.stopped;
+};
+
+GDBStub.prototype.Attach = function(connection) {
+    if (!this.system.cpu.CanDebug()) {
+        message.Debug("Error in GDB stub: The cpu \"" + this.system.cpu.name + "\" does not support debugging");
+        connection.Close();
+        return;
+    }
+    if (this.connection) this.connection.Close();
+    message.Debug("GDB connected");
+    this.connection = connection;
+    this.noack = false;
+    this.inbuffer = "";
+    this.stopped = true;
+    this.system.Break();
+};
+
+// removes all breakpoints and lets the system run
+GDBStub.prototype.Detach = function() {
+    if (!this.connection) return;
+    message.Debug("GDB disconnected");
+    this.connection = null;
+    this.system.cpu.RemoveAllBreakpoints();
+    this.system.Continue();
+};
+
+// The browser connects over a WebSocket, e.g. to websockify which forwards to a local TCP port
+GDBStub.prototype.ConnectWebSocket = function(url) {
+    var socket = new WebSocket(url);
+    socket.binaryType = "arraybuffer";
+    var connection = {
+        Send: function(data) {
+            var buffer = new Uint8Array(data.length);
+            for(var i=0; i<data.length; i++) buffer[i] = data.charCodeAt(i);
+            socket.send(buffer);
+        },
+        Close: function() {
+            socket.close();
+        }
+    };
+    socket.onopen = function() {
+        this.Attach(connection);
+    }.bind(this);
+    socket.onmessage = function(e) {
+        if (typeof e.data == "string") {
+            this.Receive(e.data);
+            return;
+        }
+        var buffer = new Uint8Array(e.data);
+        var data = "";
+        for(var i=0; i<buffer.length; i++) data += String.fromCharCode(buffer[i]);
+        this.Receive(data);
+    }.bind(this);
+    socket.onclose = function() {
+        if (this.connection == connection) this.Detach();
+    }.bind(this);
+    socket.onerror = function() {
+        message.Debug("Error in GDB stub: Could not connect to " + url);
+    };
+};
+
+// called by the system when a breakpoint has been hit
+GDBStub.prototype.OnBreak = function() {
+    this.stopped = true;
+    this.SendPacket("S" + ToHex8(SIGTRAP));
+};
+
+GDBStub.prototype.SendPacket = function(data) {
+    if (!this.connection) return;
+    this.connection.Send("$" + data + "#" + ToHex8(Checksum(data)));
+};
+
+GDBStub.prototype.Receive = function(data) {
+    this.inbuffer += data;
+    while(this.inbuffer.length > 0) {
+        var c = this.inbuffer.charAt(0);
+        if (c == "\x03") { // Ctrl-C
+            this.inbuffer = this.inbuffer.substr(1);
+            if (this.stopped) continue;
+            this.stopped = true;
+            this.system.Break();
+            this.SendPacket("S" + ToHex8(SIGINT));
+            continue;
+        }
+        if (c != "$") { // acknowledgments and garbage
+            this.inbuffer = this.inbuffer.substr(1);
+            continue;
+        }
+        var end = this.inbuffer.indexOf("#");
+        if ((end == -1) || (end+3 > this.inbuffer.length)) return; // packet incomplete
+        var packet = this.inbuffer.substring(1, end);
+        var checksum = parseInt(this.inbuffer.substr(end+1, 2), 16);
+        this.inbuffer = this.inbuffer.substr(end+3);
+        if (checksum != Checksum(packet)) {
+            if (!this.noack) this.connection.Send("-");
+            continue;
+        }
+        if (!this.noack) this.connection.Send("+");
+        this.HandlePacket(packet);
+        if (!this.connection) return;
+    }
+};
+
+GDBStub.prototype.HandlePacket = function(packet) {
+    var cpu = this.system.cpu;
+    var littleendian = cpu.littleendian;
+    var args = packet.substr(1);
+
+    switch(packet.charAt(0)) {
+        case "?":
+            this.SendPacket("S" + ToHex8(SIGTRAP));
+            return;
+
+        case "g":
+            var regs = cpu.GetRegisters();
+            var str = "";
+            for(var i=0; i<regs.length; i++) {
+                str += RegisterToHex(regs[i], littleendian);
+            }
+            this.SendPacket(str);
+            return;
+
+        case "G":
+            for(var i=0; i*8 < args.length; i++) {
+                cpu.SetRegister(i, HexToRegister(args.substr(i*8, 8), littleendian));
+            }
+            this.SendPacket("OK");
+            return;
+
+        case "p":
+            var regs = cpu.GetRegisters();
+            var idx = parseInt(args, 16);
+            if (idx >= regs.length) {
+                this.SendPacket("E01");
+                return;
+            }
+            this.SendPacket(RegisterToHex(regs[idx], littleendian));
+            return;
+
+        case "P":
+            var pos = args.indexOf("=");
+            cpu.SetRegister(parseInt(args.substr(0, pos), 16), HexToRegister(args.substr(pos+1), littleendian));
+            this.SendPacket("OK");
+            return;
+
+        case "m":
+            var pos = args.indexOf(",");
+            var addr = parseInt(args.substr(0, pos), 16);
+            var length = parseInt(args.substr(pos+1), 16);
+            var str = "";
+            for(var i=0; i<length; i++) {
+                var x = cpu.ReadMemory8((addr + i) >>> 0);
+                if (x == -1) break;
+                str += ToHex8(x);
+            }
+            this.SendPacket((str.length == 0 && length != 0) ? "E14" : str);
+            return;
+
+        case "M":
+            var pos = args.indexOf(",");
+            var pos2 = args.indexOf(":");
+            var addr = parseInt(args.substr(0, pos), 16);
+            var length = parseInt(args.substring(pos+1, pos2), 16);
+            for(var i=0; i<length; i++) {
+                if (!cpu.WriteMemory8((addr + i) >>> 0, parseInt(args.substr(pos2+1+i*2, 2), 16))) {
+                    this.SendPacket("E14");
+                    return;
+                }
+            }
+            this.SendPacket("OK");
+            return;
+
+        case "c":
+            if (args.length) cpu.SetPC(parseInt(args, 16));
+            this.stopped = false;
+            this.system.Continue();
+            return; // the answer is sent when the system stops
+
+        case "s":
+            if (args.length) cpu.SetPC(parseInt(args, 16));
+            this.system.SingleStep();
+            this.SendPacket("S" + ToHex8(SIGTRAP));
+            return;
+
+        case "Z":
+        case "z":
+            // only software breakpoints are supported
+            var params = args.split(",");
+            if (params[0] != "0") break;
+            if (packet.charAt(0) == "Z") {
+                cpu.SetBreakpoint(parseInt(params[1], 16));
+            } else {
+                cpu.RemoveBreakpoint(parseInt(params[1], 16));
+            }
+            this.SendPacket("OK");
+            return;
+
+        case "H": // set thread
+            this.SendPacket("OK");
+            return;
+
+        case "D": // detach
+            this.SendPacket("OK");
+            this.connection.Close();
+            this.Detach();
+            return;
+
+        case "k": // kill, there is no reply
+            this.connection.Close();
+            this.Detach();
+            return;
+
+        case "q":
+            if (packet.substr(0, 10) == "qSupported") {
+                this.SendPacket("PacketSize=4000;QStartNoAckMode+");
+                return;
+            }
+            if (packet == "qAttached") {
+                this.SendPacket("1");
+                return;
+            }
+            break;
+
+        case "Q":
+            if (packet == "QStartNoAckMode") {
+                this.SendPacket("OK");
+                this.noack = true;
+                return;
+            }
+            break;
+    }
+    this.SendPacket(""); // not supported
+};
+
+module.exports = GDBStub;
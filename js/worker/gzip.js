@@ -0,0 +1,287 @@
+// -------------------------------------------------
+// -------------------- GZIP -----------------------
+// -------------------------------------------------
+// Decompression of gzip files (RFC 1952) with the deflate algorithm (RFC 1951).
+// The output is streamed byte by byte like in bzip2.js.
+
+"use strict";
+
+var message = require('./messagehandler');
+
+var WINDOW_SIZE = 0x8000;
+
+// base values and extra bits of the length and distance codes
+var LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+var LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+var DIST_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+var DIST_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// order of the code lengths of the code length alphabet
+var CLEN_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// gzip header flags
+var FHCRC    = 0x02;
+var FEXTRA   = 0x04;
+var FNAME    = 0x08;
+var FCOMMENT = 0x10;
+
+function Fail(msg) {
+    message.Debug("Error in gzip: " + msg);
+    message.Abort();
+}
+
+// Builds a lookup table for the canonical huffman code given by the code lengths.
+// Each entry contains the symbol and the length of the code.
+function HuffmanTable(lengths) {
+    var maxbits = 0;
+    var count = new Uint16Array(16);
+    for(var i=0; i<lengths.length; i++) {
+        count[lengths[i]]++;
+        if (lengths[i] > maxbits) maxbits = lengths[i];
+    }
+    count[0] = 0;
+    var nextcode = new Uint16Array(16);
+    var code = 0;
+    for(var i=1; i<16; i++) {
+        code = (code + count[i-1]) << 1;
+        nextcode[i] = code;
+    }
+
+    this.bits = maxbits;
+    this.table = new Uint32Array(1 << maxbits);
+    for(var sym=0; sym<lengths.length; sym++) {
+        var len = lengths[sym];
+        if (len == 0) continue;
+        // the bits are read starting with the least significant bit, so reverse the code
+        var c = nextcode[len]++;
+        var reversed = 0;
+        for(var i=0; i<len; i++) {
+            reversed = (reversed << 1) | ((c >> i) & 1);
+        }
+        for(var j=reversed; j<this.table.length; j+=(1 << len)) {
+            this.table[j] = (sym << 4) | len;
+        }
+    }
+}
+
+var fixedlitlen = null;
+var fixeddist = null;
+
+function GetFixedTables() {
+    if (fixedlitlen) return;
+    var lengths = new Uint8Array(288);
+    for(var i=0; i<144; i++) lengths[i] = 8;
+    for(var i=144; i<256; i++) lengths[i] = 9;
+    for(var i=256; i<280; i++) lengths[i] = 7;
+    for(var i=280; i<288; i++) lengths[i] = 8;
+    fixedlitlen = new HuffmanTable(lengths);
+    lengths = new Uint8Array(30);
+    for(var i=0; i<30; i++) lengths[i] = 5;
+    fixeddist = new HuffmanTable(lengths);
+}
+
+// ----- Inflate -----
+
+function Inflate(src, offset, stream) {
+    this.src = src;
+    this.pos = offset;
+    this.bitbuf = 0;
+    this.bitcnt = 0;
+    this.window = new Uint8Array(WINDOW_SIZE);
+    this.wpos = 0;
+    this.stream = stream;
+    this.length = 0; // number of decompressed bytes
+}
+
+Inflate.prototype.Fill = function(n) {
+    while (this.bitcnt < n) {
+        // at the end of the data zeros are read. This is checked in Run.
+        var x = (this.pos < this.src.length) ? this.src[this.pos] : 0;
+        this.pos++;
+        this.bitbuf |= x << this.bitcnt;
+        this.bitcnt += 8;
+    }
+}
+
+Inflate.prototype.Bits = function(n) {
+    if (n == 0) return 0;
+    this.Fill(n);
+    var x = this.bitbuf & ((1 << n) - 1);
+    this.bitbuf >>>= n;
+    this.bitcnt -= n;
+    return x;
+}
+
+Inflate.prototype.Decode = function(huffman) {
+    this.Fill(huffman.bits);
+    var entry = huffman.table[this.bitbuf & ((1 << huffman.bits) - 1)];
+    var len = entry & 0xF;
+    if (len == 0) Fail("Invalid huffman code");
+    this.bitbuf >>>= len;
+    this.bitcnt -= len;
+    return entry >>> 4;
+}
+
+Inflate.prototype.Put = function(x) {
+    this.window[this.wpos] = x;
+    this.wpos = (this.wpos + 1) & (WINDOW_SIZE - 1);
+    this.length++;
+    this.stream(x);
+}
+
+// Returns the unused bytes in the bit buffer to the input
+Inflate.prototype.AlignToByte = function() {
+    this.pos -= this.bitcnt >> 3;
+    this.bitbuf = 0;
+    this.bitcnt = 0;
+}
+
+Inflate.prototype.Stored = function() {
+    this.AlignToByte();
+    var src = this.src;
+    var len = src[this.pos] | (src[this.pos+1] << 8);
+    var nlen = src[this.pos+2] | (src[this.pos+3] << 8);
+    if ((len ^ 0xFFFF) != nlen) Fail("Invalid length of stored block");
+    this.pos += 4;
+    if (this.pos + len > src.length) Fail("Unexpected end of data");
+    for(var i=0; i<len; i++) {
+        this.Put(src[this.pos++]);
+    }
+}
+
+Inflate.prototype.Codes = function(litlen, dist) {
+    for(;;) {
+        var sym = this.Decode(litlen);
+        if (sym < 256) {
+            this.Put(sym);
+            continue;
+        }
+        if (sym == 256) return;
+        sym -= 257;
+        if (sym >= 29) Fail("Invalid length code");
+        var len = LENGTH_BASE[sym] + this.Bits(LENGTH_EXTRA[sym]);
+        sym = this.Decode(dist);
+        if (sym >= 30) Fail("Invalid distance code");
+        var d = DIST_BASE[sym] + this.Bits(DIST_EXTRA[sym]);
+        if (d > this.length) Fail("Distance too far back");
+        var from = (this.wpos - d) & (WINDOW_SIZE - 1);
+        for(var i=0; i<len; i++) {
+            this.Put(this.window[from]);
+            from = (from + 1) & (WINDOW_SIZE - 1);
+        }
+    }
+}
+
+Inflate.prototype.Dynamic = function() {
+    var nlen = this.Bits(5) + 257;
+    var ndist = this.Bits(5) + 1;
+    var ncode = this.Bits(4) + 4;
+    var lengths = new Uint8Array(19);
+    for(var i=0; i<ncode; i++) {
+        lengths[CLEN_ORDER[i]] = this.Bits(3);
+    }
+    var clen = new HuffmanTable(lengths);
+
+    lengths = new Uint8Array(nlen + ndist);
+    var i = 0;
+    while (i < nlen + ndist) {
+        var sym = this.Decode(clen);
+        if (sym < 16) {
+            lengths[i++] = sym;
+            continue;
+        }
+        var repeat = 0;
+        var len = 0;
+        if (sym == 16) {
+            if (i == 0) Fail("Repeat without previous length");
+            len = lengths[i-1];
+            repeat = 3 + this.Bits(2);
+        } else
+        if (sym == 17) {
+            repeat = 3 + this.Bits(3);
+        } else {
+            repeat = 11 + this.Bits(7);
+        }
+        if (i + repeat > nlen + ndist) Fail("Too many code lengths");
+        while (repeat--) lengths[i++] = len;
+    }
+    if (lengths[256] == 0) Fail("No end of block code");
+    this.Codes(new HuffmanTable(lengths.subarray(0, nlen)), new HuffmanTable(lengths.subarray(nlen)));
+}
+
+// Decompresses all blocks. Afterwards pos points to the byte after the deflate data.
+Inflate.prototype.Run = function() {
+    var last = 0;
+    do {
+        last = this.Bits(1);
+        var type = this.Bits(2);
+        switch(type) {
+            case 0:
+                this.Stored();
+                break;
+            case 1:
+                GetFixedTables();
+                this.Codes(fixedlitlen, fixeddist);
+                break;
+            case 2:
+                this.Dynamic();
+                break;
+            default:
+                Fail("Invalid block type");
+                break;
+        }
+        if (this.pos - (this.bitcnt >> 3) > this.src.length) Fail("Unexpected end of data");
+    } while(!last);
+    this.AlignToByte();
+}
+
+// ----- gzip -----
+
+var gzip = {};
+
+gzip.IsGZIP = function(buffer) {
+    return (buffer[0] == 0x1F) && (buffer[1] == 0x8B);
+}
+
+// Decompresses all members of the file and calls stream for every byte
+gzip.simple = function(srcbuffer, stream) {
+    var offset = 0;
+    do {
+        if ((srcbuffer[offset] != 0x1F) || (srcbuffer[offset+1] != 0x8B)) Fail("No magic number found");
+        if (srcbuffer[offset+2] != 8) Fail("Unknown compression method");
+        var flags = srcbuffer[offset+3];
+        offset += 10;
+        if (flags & FEXTRA) {
+            offset += 2 + (srcbuffer[offset] | (srcbuffer[offset+1] << 8));
+        }
+        if (flags & FNAME) {
+            while (srcbuffer[offset++] != 0);
+        }
+        if (flags & FCOMMENT) {
+            while (srcbuffer[offset++] != 0);
+        }
+        if (flags & FHCRC) offset += 2;
+
+        var inflate = new Inflate(srcbuffer, offset, stream);
+        inflate.Run();
+        offset = inflate.pos;
+
+        // crc32 and size of the uncompressed data
+        var size =
+            (srcbuffer[offset+4] | (srcbuffer[offset+5] << 8) |
+            (srcbuffer[offset+6] << 16) | (srcbuffer[offset+7] << 24)) >>> 0;
+        if (size != (inflate.length >>> 0)) Fail("Wrong size of the decompressed data");
+        offset += 8;
+    // several gzip files can be concatenated
+    } while (offset + 18 <= srcbuffer.length && gzip.IsGZIP(srcbuffer.subarray(offset)));
+}
+
+module.exports = gzip;
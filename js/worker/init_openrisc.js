@@ -28,6 +28,7 @@ var VirtioNET = require('./dev/virtio/net');
 var VirtioBlock = require('./dev/virtio/block');
 var VirtioGPU = require('./dev/virtio/gpu');
 var VirtioConsole = require('./dev/virtio/console');
+var DiskImage = require('./dev/diskimage');
 
 /*
     Heap Layout for OpenRISC emulation
@@ -64,6 +65,7 @@ function InitOpenRISC(system, initdata) {
         message.Debug("Error: failed to create CPU:" + e);
     }
     system.devices.push(system.cpu);
+    if (initdata.trace) system.cpu.EnableTrace(initdata.trace);
 
     system.irqdev = new IRQDev(irqhandler);
     system.timerdev = new TimerDev();
@@ -75,7 +77,18 @@ function InitOpenRISC(system, initdata) {
     };
 
     system.fbdev = new FBDev(system.ram);
-    system.atadev = new ATADev(irqhandler);
+    var ataimage = null;
+    if (initdata.ata) {
+        ataimage = new DiskImage(initdata.ata.image, initdata.ata.readonly);
+        // the written sectors are lost on reset unless they are kept
+        if (initdata.ata.keepoverlay && system.atadev) {
+            ataimage.SetOverlay(system.atadev.image.GetOverlay());
+        } else
+        if (initdata.ata.overlay) {
+            ataimage.SetOverlay(initdata.ata.overlay);
+        }
+    }
+    system.atadev = new ATADev(irqhandler, ataimage);
     system.tsdev = new TouchscreenDev(irqhandler);
     system.kbddev = new KeyboardDev(irqhandler);
     system.snddev = new SoundDev(irqhandler, system.ram);
@@ -83,13 +96,21 @@ function InitOpenRISC(system, initdata) {
 
     //system.virtioinputdev = new VirtioInput(system.ram);
     //system.virtionetdev = new VirtioNET(system.ram);
-    //system.virtioblockdev = new VirtioBlock(system.ram);
+    system.virtioblockdev = null;
+    if (initdata.virtioblock) {
+        var image = new DiskImage(initdata.virtioblock.image, initdata.virtioblock.readonly);
+        system.virtioblockdev = new VirtioBlock(system.ram, image);
+    }
     system.virtiodummydev = new VirtioDummy(system.ram);
     //system.virtiogpudev = new VirtioGPU(system.ram);
     //system.virtioconsoledev = new VirtioConsole(system.ram);
     system.virtiodev1 = new VirtIODev(irqhandler, 0x6, system.ram, system.virtio9pdev);
-    system.virtiodev2 = new VirtIODev(irqhandler, 0xB, system.ram, system.virtiodummydev);
-    system.virtiodev3 = new VirtIODev(irqhandler, 0xC, system.ram, system.virtiodummydev);
+    system.virtiodev2 = new VirtIODev(irqhandler, 0xB, system.ram, system.virtioblockdev || system.virtiodummydev);
+    // the additional 9p shares replace the dummy device and use a free slot
+    var shares = system.shares;
+    if (shares.length > 2) throw "Only two additional 9p shares are supported";
+    system.virtiodev3 = new VirtIODev(irqhandler, 0xC, system.ram, shares[0] ? shares[0].virtio9pdev : system.virtiodummydev);
+    system.virtiodev4 = shares[1] ? new VirtIODev(irqhandler, 0xD, system.ram, shares[1].virtio9pdev) : null;
 
     system.devices.push(system.irqdev);
     system.devices.push(system.timerdev);
@@ -106,10 +127,14 @@ function InitOpenRISC(system, initdata) {
     system.devices.push(system.virtiodev1);
     system.devices.push(system.virtiodev2);
     system.devices.push(system.virtiodev3);
+    if (system.virtiodev4) system.devices.push(system.virtiodev4);
+    for(var i=0; i<shares.length; i++) {
+        system.devices.push(shares[i].virtio9pdev);
+    }
 
     //system.devices.push(system.virtioinputdev);
     //system.devices.push(system.virtionetdev);
-    //system.devices.push(system.virtioblockdev);
+    if (system.virtioblockdev) system.devices.push(system.virtioblockdev);
     system.devices.push(system.virtiodummydev);
     //system.devices.push(system.virtiogpudev);
     //system.devices.push(system.virtioconsoledev);
@@ -128,7 +153,7 @@ function InitOpenRISC(system, initdata) {
     system.ram.AddDevice(system.virtiodev2, 0x9C000000, 0x1000);
     system.ram.AddDevice(system.virtiodev3, 0x9D000000, 0x1000);
     system.ram.AddDevice(system.atadev,     0x9E000000, 0x1000);
-
+    if (system.virtiodev4) system.ram.AddDevice(system.virtiodev4, 0x9F000000, 0x1000);
 }
 
 module.exports = InitOpenRISC;
@@ -3,9 +3,9 @@
 // -------------------------------------------------
 
 /*
-compile dts file via
+The device tree is generated from the devices when the kernel is loaded (see devicetree.js),
+unless a compiled dts file is given by dtbURL:
 dtc -O dtb riscv.dts > riscv.dtb
-od -A n -t x1 -v riscv.dtb | sed 's/ /,0x/g'
 */
 
 "use strict";
@@ -36,8 +36,9 @@ var VirtIODev = require('./dev/virtio');
 var Virtio9p = require('./dev/virtio/9p');
 var VirtioDummy = require('./dev/virtio/dummy');
 var VirtioNET = require('./dev/virtio/net');
+var DiskImage = require('./dev/diskimage');
 //var VirtioInput = require('./dev/virtio/input');
-//var VirtioBlock = require('./dev/virtio/block');
+var VirtioBlock = require('./dev/virtio/block');
 //var VirtioGPU = require('./dev/virtio/gpu');
 //var VirtioConsole = require('./dev/virtio/console');
 
@@ -49,13 +50,14 @@ function InitRISCV(system, initdata) {
     // However, it uses uartdev0
     system.htif = new HTIF(system.ram, system);
    
-    system.cpu = new RISCVCPU(initdata.cpu, system.ram, system.htif, system.heap, system.ncores);
+    // only the smp cpu supports more than one hart
+    var ncores = (initdata.cpu === "smp") ? system.ncores : 1;
+    system.cpu = new RISCVCPU(initdata.cpu, system.ram, system.htif, system.heap, ncores);
 
     system.devices.push(system.cpu);
 
-    system.rom = new ArrayBuffer(0x2000);
+    system.rom = new ArrayBuffer(0x10000);
     var buffer32view = new Int32Array(system.rom);
-    var buffer8view = new Uint8Array(system.rom);
     // boot process starts at 0x1000
     buffer32view[0x400] = 0x297 + 0x80000000 - 0x1000; // auipc t0, DRAM_BASE=0x80000000
     buffer32view[0x401] = 0x597; // auipc a1, 0 // a1 = 0x1004
@@ -66,32 +68,51 @@ function InitRISCV(system, initdata) {
     buffer32view[0x406] = 0x00000000; // trap vector
     buffer32view[0x407] = 0x00000000; // trap vector
 
-    message.Debug("Load DTB");
-    utils.LoadBinaryResourceII(initdata.dtbURL,
-    function(buffer) {
-        var configstring = new Uint8Array(buffer);
-        for(var i=0; i<configstring.length; i++) buffer8view[0x1020+i] = configstring[i];
-    }.bind(this)
-    , false, function(error){throw error;});
+    // the blob is copied into the ROM by System.LoadDeviceTree
+    system.dtb = null;
+    if (initdata.dtbURL) {
+        message.Debug("Load DTB");
+        system.dtbloading = true;
+        utils.LoadBinaryResourceII(initdata.dtbURL,
+        function(buffer) {
+            system.dtb = new Uint8Array(buffer);
+            system.dtbloading = false;
+            if (system.bootpending) system.Boot();
+        }
+        , false, function(error){message.Debug(String(error)); message.Abort();});
+    }
 
 
     system.virtionetdev = new VirtioNET(system.ram);
     system.virtiodummydev = new VirtioDummy(system.ram);
     //system.virtioinputdev = new VirtioInput(system.ram);
-    //system.virtioblockdev = new VirtioBlock(system.ram);
+    system.atadev = null; // only the OpenRISC machine has an ATA disk
+    system.virtioblockdev = null;
+    if (initdata.virtioblock) {
+        var image = new DiskImage(initdata.virtioblock.image, initdata.virtioblock.readonly);
+        system.virtioblockdev = new VirtioBlock(system.ram, image);
+    }
     //system.virtiogpudev = new VirtioGPU(system.ram);
     //system.virtioconsoledev = new VirtioConsole(system.ram);
 
     system.virtiodev1 = new VirtIODev(irqhandler, 0x3, system.ram, system.virtio9pdev);
     system.virtiodev2 = new VirtIODev(irqhandler, 0x4, system.ram, system.virtionetdev);
-    system.virtiodev3 = new VirtIODev(irqhandler, 0x5, system.ram, system.virtiodummydev);
-    system.virtiodev4 = new VirtIODev(irqhandler, 0x6, system.ram, system.virtiodummydev);
-    system.virtiodev5 = new VirtIODev(irqhandler, 0x7, system.ram, system.virtiodummydev);
+    system.virtiodev3 = new VirtIODev(irqhandler, 0x5, system.ram, system.virtioblockdev || system.virtiodummydev);
+    // the additional 9p shares replace the dummy devices
+    var shares = system.shares;
+    if (shares.length > 2) throw "Only two additional 9p shares are supported";
+    system.virtiodev4 = new VirtIODev(irqhandler, 0x6, system.ram, shares[0] ? shares[0].virtio9pdev : system.virtiodummydev);
+    system.virtiodev5 = new VirtIODev(irqhandler, 0x7, system.ram, shares[1] ? shares[1].virtio9pdev : system.virtiodummydev);
 
     system.romdev = new ROMDev(system.rom);
     system.uartdev0 = new UARTDev(0, irqhandler, 2);
-    system.clintdev = new CLINTDev(system.csr);
-    system.plicdev = new PLICDev(system.cpu);
+    // the CLINT accesses the timer compare registers in the CSRs of each hart
+    var csrs = [system.csr];
+    for(var i=1; i<system.cpu.ncores; i++) {
+        csrs.push(new Int32Array(system.heap, (i << 15) + 0x2000, 4096));
+    }
+    system.clintdev = new CLINTDev(csrs, system.cpu);
+    system.plicdev = new PLICDev(system.cpu, system.cpu.ncores);
 
     system.devices.push(system.romdev);
     system.devices.push(system.uartdev0);
@@ -103,6 +124,10 @@ function InitRISCV(system, initdata) {
     system.devices.push(system.virtiodev4);
     system.devices.push(system.virtiodev5);
     system.devices.push(system.virtio9pdev);
+    for(var i=0; i<shares.length; i++) {
+        system.devices.push(shares[i].virtio9pdev);
+    }
+    if (system.virtioblockdev) system.devices.push(system.virtioblockdev);
 
     system.ram.AddDevice(system.romdev,      0x00000000, 0x7);
     system.ram.AddDevice(system.uartdev0,    0x03000000, 0x2000);
@@ -0,0 +1,171 @@
+// -------------------------------------------------
+// --------------------- LZ4 -----------------------
+// -------------------------------------------------
+// Decompression of lz4 files in the frame format and in the legacy format,
+// which is used for compressed Linux kernels.
+// The format is described in https://github.com/lz4/lz4/tree/dev/doc
+// The output is streamed byte by byte like in bzip2.js. Checksums are skipped.
+
+"use strict";
+
+var message = require('./messagehandler');
+
+var MAGIC_FRAME = 0x184D2204;
+var MAGIC_LEGACY = 0x184C2102;
+var LEGACY_BLOCK_SIZE = 8*1024*1024;
+
+var WINDOW_SIZE = 0x10000;
+
+function Fail(msg) {
+    message.Debug("Error in lz4: " + msg);
+    message.Abort();
+}
+
+function Read32(src, offset) {
+    return (src[offset] | (src[offset+1] << 8) | (src[offset+2] << 16) | (src[offset+3] << 24)) >>> 0;
+}
+
+function IsSkippable(magic) {
+    return (magic & 0xFFFFFFF0) >>> 0 == 0x184D2A50;
+}
+
+// ----- Block decoder -----
+
+function Decoder(stream) {
+    this.window = new Uint8Array(WINDOW_SIZE);
+    this.wpos = 0;
+    this.length = 0;
+    this.stream = stream;
+}
+
+Decoder.prototype.Put = function(x) {
+    this.window[this.wpos] = x;
+    this.wpos = (this.wpos + 1) & (WINDOW_SIZE - 1);
+    this.length++;
+    this.stream(x);
+};
+
+Decoder.prototype.Raw = function(src, offset, size) {
+    for(var i=0; i<size; i++) {
+        this.Put(src[offset+i]);
+    }
+};
+
+// Decodes a compressed block of size bytes
+Decoder.prototype.Block = function(src, offset, size) {
+    var end = offset + size;
+    if (end > src.length) Fail("Unexpected end of data");
+    var x = 0;
+    while (offset < end) {
+        var token = src[offset++];
+        var len = token >> 4;
+        if (len == 15) {
+            do {
+                x = src[offset++];
+                len += x;
+            } while (x == 255);
+        }
+        for(var i=0; i<len; i++) {
+            this.Put(src[offset++]);
+        }
+        // the last sequence contains only literals
+        if (offset >= end) break;
+
+        var dist = src[offset] | (src[offset+1] << 8);
+        offset += 2;
+        if ((dist == 0) || (dist > this.length)) Fail("Invalid offset");
+        len = token & 0xF;
+        if (len == 15) {
+            do {
+                x = src[offset++];
+                len += x;
+            } while (x == 255);
+        }
+        len += 4;
+        var from = (this.wpos - dist) & (WINDOW_SIZE - 1);
+        for(var j=0; j<len; j++) {
+            this.Put(this.window[from]);
+            from = (from + 1) & (WINDOW_SIZE - 1);
+        }
+    }
+};
+
+// ----- Frames -----
+
+// Returns the offset after the frame
+function DecodeFrame(src, offset, stream) {
+    var flags = src[offset+4];
+    if ((flags >> 6) != 1) Fail("Unsupported version");
+    var blockchecksum = flags & 0x10;
+    var contentsize = flags & 0x08;
+    var contentchecksum = flags & 0x04;
+    var dictid = flags & 0x01;
+    offset += 6;
+    if (contentsize) offset += 8;
+    if (dictid) Fail("Dictionaries are not supported");
+    offset++; // header checksum
+
+    var decoder = new Decoder(stream);
+    for(;;) {
+        var size = Read32(src, offset);
+        offset += 4;
+        if (size == 0) break; // end mark
+        if (size & 0x80000000) {
+            size &= 0x7FFFFFFF;
+            decoder.Raw(src, offset, size);
+        } else {
+            decoder.Block(src, offset, size);
+        }
+        offset += size;
+        if (blockchecksum) offset += 4;
+    }
+    if (contentchecksum) offset += 4;
+    return offset;
+}
+
+// The legacy frame has no end mark and ends with the data or another magic number
+function DecodeLegacyFrame(src, offset, stream) {
+    offset += 4;
+    var decoder = new Decoder(stream);
+    while (offset + 4 <= src.length) {
+        var size = Read32(src, offset);
+        if ((size == MAGIC_LEGACY) || (size == MAGIC_FRAME) || IsSkippable(size)) break;
+        if (size > LEGACY_BLOCK_SIZE) break; // probably some garbage after the data
+        offset += 4;
+        decoder.Block(src, offset, size);
+        // blocks are independent of each other
+        decoder.length = 0;
+        offset += size;
+    }
+    return offset;
+}
+
+var lz4 = {};
+
+lz4.IsLZ4 = function(buffer) {
+    if (buffer.length < 4) return false;
+    var magic = Read32(buffer, 0);
+    return (magic == MAGIC_FRAME) || (magic == MAGIC_LEGACY);
+};
+
+// Decompresses all frames of the file and calls stream for every byte
+lz4.simple = function(srcbuffer, stream) {
+    var offset = 0;
+    while (offset + 4 <= srcbuffer.length) {
+        var magic = Read32(srcbuffer, offset);
+        if (magic == MAGIC_FRAME) {
+            offset = DecodeFrame(srcbuffer, offset, stream);
+        } else
+        if (magic == MAGIC_LEGACY) {
+            offset = DecodeLegacyFrame(srcbuffer, offset, stream);
+        } else
+        if (IsSkippable(magic)) {
+            offset += 8 + Read32(srcbuffer, offset+4);
+        } else {
+            if (offset == 0) Fail("No magic number found");
+            break;
+        }
+    }
+};
+
+module.exports = lz4;
@@ -6,27 +6,36 @@
 
 var run = true;
 var workingpath = '';
+var sendhandler = null; // replaces postMessage, if the system does not run inside a worker
 
 function Send(command, data) {
-    postMessage(
-    {
+    var e = {
         "command" : command,
         "data" : data
+    };
+    if (sendhandler) {
+        sendhandler(e);
+        return;
     }
-    );
+    postMessage(e);
 }
 
 function Debug(message) {
     Send("Debug", message);
 }
 
-function Abort() {
+// tells the master to stop and ignores all further messages
+function Stop() {
     Debug("Worker: Abort execution.");
     if (typeof messagemap["PrintOnAbort"] == 'function') {
             messagemap["PrintOnAbort"]();
     }    
     Send("Abort", {});
     run = false;
+}
+
+function Abort() {
+    Stop();
     throw new Error('Kill worker'); // Don't return
 }
 
@@ -40,34 +49,85 @@ function Warning(message) {
 }
 
 var messagemap = new Object();
+var requestmap = new Object();
 
 function Register(message, OnReceive) {
     messagemap[message] = OnReceive;
 }
 
-// this is a global object of the worker
-onmessage = function(e) {
+// Registers a handler for requests of the master.
+// The return value of the handler, or the value of the returned promise, is sent back as response.
+// Exceptions are sent back as error.
+function RegisterRequest(message, OnRequest) {
+    requestmap[message] = OnRequest;
+}
+
+// Requests without id are sent by older code and are answered with a message of the same name
+function Reply(command, id, result, error) {
+    if (id === undefined) {
+        if (error === undefined) Send(command, result);
+        return;
+    }
+    if (error !== undefined) {
+        Send("Response", {id: id, error: String(error && error.message || error)});
+        return;
+    }
+    Send("Response", {id: id, result: result});
+}
+
+function HandleRequest(command, data, id) {
+    var result;
+    try {
+        result = requestmap[command](data);
+    } catch (error) {
+        Debug("Worker: Exception in request \"" + command + "\": " + error.message);
+        Reply(command, id, undefined, error);
+        return;
+    }
+    if (result && typeof result.then == 'function') {
+        result.then(
+            function(result) { Reply(command, id, result); },
+            function(error) { Reply(command, id, undefined, error); });
+        return;
+    }
+    Reply(command, id, result);
+}
+
+function OnMessage(e) {
     if (!run) return; // ignore all messages after an error
 
     var command = e.data.command;
+    if (typeof requestmap[command] == 'function') {
+        HandleRequest(command, e.data.data, e.data.id);
+        return;
+    }
     if (typeof messagemap[command] == 'function') {
         try {
             messagemap[command](e.data.data);
         } catch (error) {
-            Debug("Worker: Unhandled exception in command \"" + command + "\": " + error.message);
-            run = false;
+            if (!run) return; // the handler has called Abort
+            Send("Debug", "Error: Worker: Unhandled exception in command \"" + command + "\": " + error.message);
+            Stop();
         }
         return;
     }
 }
 
+// this is a global object of the worker
+if (typeof onmessage !== 'undefined') onmessage = OnMessage;
+
 Register("Abort", function(){ run = false; });
 Register("WorkingPath", function(data){ workingpath = data; });
 
 module.exports.Register = Register;
+module.exports.RegisterRequest = RegisterRequest;
 module.exports.Debug = Debug;
 module.exports.Error = DoError;
 module.exports.Warning = Warning;
 module.exports.Abort = Abort;
 module.exports.Send = Send;
+module.exports.SetSendHandler = function(handler) { sendhandler = handler; };
+module.exports.Receive = function(command, data, id) {
+    OnMessage({data: {"command" : command, "data" : data, "id" : id}});
+};
 module.exports.GetWorkingPath = function() { return workingpath; };
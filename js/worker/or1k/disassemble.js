@@ -0,0 +1,184 @@
+// -------------------------------------------------
+// ---------------- DISASSEMBLER -------------------
+// -------------------------------------------------
+// Converts OpenRISC 1000 instructions into text in the syntax of objdump
+
+"use strict";
+var utils = require('../utils');
+
+var SFNAMES = {
+    0x0: "eq", 0x1: "ne", 0x2: "gtu", 0x3: "geu", 0x4: "ltu", 0x5: "leu",
+    0xa: "gts", 0xb: "ges", 0xc: "lts", 0xd: "les"};
+
+// opcode 0x38, ins & 0x3CF
+var ALUNAMES = {
+    0x0: "add", 0x1: "addc", 0x2: "sub", 0x3: "and", 0x4: "or", 0x5: "xor",
+    0x8: "sll", 0x48: "srl", 0x88: "sra", 0xc8: "ror", 0xe: "cmov",
+    0x306: "mul", 0x307: "muld", 0x30b: "mulu", 0x30c: "muldu", 0x309: "div", 0x30a: "divu"};
+
+// opcode 0x38 with only one source register
+var ALU2NAMES = {
+    0xc: "exths", 0x4c: "extbs", 0x8c: "exthz", 0xcc: "extbz",
+    0xd: "extws", 0x4d: "extwz", 0xf: "ff1", 0x10f: "fl1"};
+
+// opcode 0x32, ins & 0xF. Bit 4 selects the double precision variant.
+var FNAMES = {
+    0x0: "add", 0x1: "sub", 0x2: "mul", 0x3: "div", 0x4: "itof", 0x5: "ftoi",
+    0x6: "rem", 0x7: "madd", 0x8: "sfeq", 0x9: "sfne", 0xa: "sfgt", 0xb: "sfge",
+    0xc: "sflt", 0xd: "sfle"};
+
+var LOADNAMES = {
+    0x1B: "lwa", 0x21: "lwz", 0x22: "lws", 0x23: "lbz", 0x24: "lbs", 0x25: "lhz", 0x26: "lhs"};
+
+var STORENAMES = {
+    0x33: "swa", 0x35: "sw", 0x36: "sb", 0x37: "sh"};
+
+function Hex(x) {
+    return "0x" + (x >>> 0).toString(16);
+}
+
+// Returns the instruction ins at address pc as text
+function Disassemble(ins, pc) {
+    var rD = "r" + ((ins >> 21) & 0x1F);
+    var rA = "r" + ((ins >> 16) & 0x1F);
+    var rB = "r" + ((ins >> 11) & 0x1F);
+    var imm = (ins << 16) >> 16;
+    var storeimm = ((((ins >> 10) & 0xF800) | (ins & 0x7FF)) << 16) >> 16;
+    var opcode = (ins >> 26) & 0x3F;
+    var name = "";
+
+    switch (opcode) {
+        case 0x0:
+            return "l.j " + Hex(pc + (((ins << 6) >> 6) << 2));
+        case 0x1:
+            return "l.jal " + Hex(pc + (((ins << 6) >> 6) << 2));
+        case 0x3:
+            return "l.bnf " + Hex(pc + (((ins << 6) >> 6) << 2));
+        case 0x4:
+            return "l.bf " + Hex(pc + (((ins << 6) >> 6) << 2));
+        case 0x5:
+            return "l.nop " + Hex(ins & 0xFFFF);
+        case 0x6:
+            if (ins & 0x10000) return "l.macrc " + rD;
+            return "l.movhi " + rD + "," + Hex(ins & 0xFFFF);
+        case 0x8:
+            switch((ins >> 16) & 0x3FF) {
+                case 0x000: return "l.sys " + Hex(ins & 0xFFFF);
+                case 0x100: return "l.trap " + Hex(ins & 0xFFFF);
+                case 0x200: return "l.msync";
+                case 0x280: return "l.psync";
+                case 0x300: return "l.csync";
+            }
+            break;
+        case 0x9:
+            return "l.rfe";
+        case 0x11:
+            return "l.jr " + rB;
+        case 0x12:
+            return "l.jalr " + rB;
+        case 0x1B:
+        case 0x21:
+        case 0x22:
+        case 0x23:
+        case 0x24:
+        case 0x25:
+        case 0x26:
+            return "l." + LOADNAMES[opcode] + " " + rD + "," + imm + "(" + rA + ")";
+        case 0x27:
+            return "l.addi " + rD + "," + rA + "," + imm;
+        case 0x28:
+            return "l.addic " + rD + "," + rA + "," + imm;
+        case 0x29:
+            return "l.andi " + rD + "," + rA + "," + Hex(ins & 0xFFFF);
+        case 0x2A:
+            return "l.ori " + rD + "," + rA + "," + Hex(ins & 0xFFFF);
+        case 0x2B:
+            return "l.xori " + rD + "," + rA + "," + imm;
+        case 0x2C:
+            return "l.muli " + rD + "," + rA + "," + imm;
+        case 0x2D:
+            return "l.mfspr " + rD + "," + rA + "," + Hex(ins & 0xFFFF);
+        case 0x2E:
+            name = ["slli", "srli", "srai", "rori"][(ins >> 6) & 0x3];
+            return "l." + name + " " + rD + "," + rA + "," + Hex(ins & 0x3F);
+        case 0x2F:
+            name = SFNAMES[(ins >> 21) & 0x1F];
+            if (name === undefined) break;
+            return "l.sf" + name + "i " + rA + "," + imm;
+        case 0x30:
+            return "l.mtspr " + rA + "," + rB + "," + Hex(((ins >> 10) & 0xF800) | (ins & 0x7FF));
+        case 0x32:
+            name = FNAMES[ins & 0xF];
+            if ((name === undefined) || (ins & 0xE0)) break;
+            name = "lf." + name + ((ins & 0x10) ? ".d " : ".s ");
+            if ((ins & 0xF) == 0x4 || (ins & 0xF) == 0x5) return name + rD + "," + rA;
+            if ((ins & 0xF) >= 0x8) return name + rA + "," + rB;
+            return name + rD + "," + rA + "," + rB;
+        case 0x33:
+        case 0x35:
+        case 0x36:
+        case 0x37:
+            return "l." + STORENAMES[opcode] + " " + storeimm + "(" + rA + ")," + rB;
+        case 0x38:
+            name = ALUNAMES[ins & 0x3CF];
+            if (name !== undefined) return "l." + name + " " + rD + "," + rA + "," + rB;
+            name = ALU2NAMES[ins & 0x3CF];
+            if (name !== undefined) return "l." + name + " " + rD + "," + rA;
+            break;
+        case 0x39:
+            name = SFNAMES[(ins >> 21) & 0x1F];
+            if (name === undefined) break;
+            return "l.sf" + name + " " + rA + "," + rB;
+    }
+    return ".word " + utils.ToHex(ins);
+}
+
+// Returns the index of the general purpose register written by the instruction or -1.
+// The floating point registers share the register file with the general purpose registers.
+function GetDestinationRegister(ins) {
+    switch ((ins >> 26) & 0x3F) {
+        case 0x1:
+        case 0x12:
+            return 9; // jal, jalr
+        case 0x6:
+        case 0x1B:
+        case 0x21:
+        case 0x22:
+        case 0x23:
+        case 0x24:
+        case 0x25:
+        case 0x26:
+        case 0x27:
+        case 0x28:
+        case 0x29:
+        case 0x2A:
+        case 0x2B:
+        case 0x2C:
+        case 0x2D:
+        case 0x2E:
+        case 0x38:
+            return (ins >> 21) & 0x1F;
+        case 0x32:
+            if ((ins & 0xF) >= 0x8) return -1; // lf.sf...
+            return (ins >> 21) & 0x1F;
+    }
+    return -1;
+}
+
+// Returns true for the jump and branch instructions, which are followed by a delay slot
+function HasDelaySlot(ins) {
+    switch ((ins >> 26) & 0x3F) {
+        case 0x0:
+        case 0x1:
+        case 0x3:
+        case 0x4:
+        case 0x11:
+        case 0x12:
+            return true;
+    }
+    return false;
+}
+
+module.exports.Disassemble = Disassemble;
+module.exports.GetDestinationRegister = GetDestinationRegister;
+module.exports.HasDelaySlot = HasDelaySlot;
@@ -194,6 +194,96 @@ function GetStat() {
     return (pc>>>2)|0;
 }
 
+// Store the internal state in the heap, so that a snapshot of the heap
+// contains the whole cpu. Uses the same layout as the smp core.
+function SaveState() {
+    h[0x100 >>2] = TTMR;
+    h[0x104 >>2] = TTCR;
+    h[0x108 >>2] = PICMR;
+    h[0x10C >>2] = PICSR;
+    h[0x110 >>2] = raise_interrupt;
+    h[0x114 >>2] = EA;
+    h[0x118 >>2] = doze;
+
+    h[0x120 >>2] = GetFlags()|0;
+    h[0x124 >>2] = pc;
+    h[0x128 >>2] = ppc;
+    h[0x12C >>2] = ppcorigin;
+    h[0x130 >>2] = pcbase;
+    h[0x134 >>2] = fence;
+    h[0x138 >>2] = nextpc;
+    h[0x13C >>2] = jump;
+    h[0x190 >>2] = delayedins;
+    h[0x194 >>2] = delayedins_at_page_boundary;
+
+    h[0x140 >>2] = instlblookup;
+    h[0x144 >>2] = read32tlblookup;
+    h[0x148 >>2] = read8stlblookup;
+    h[0x14C >>2] = read8utlblookup;
+    h[0x150 >>2] = read16stlblookup;
+    h[0x154 >>2] = read16utlblookup;
+    h[0x158 >>2] = write32tlblookup;
+    h[0x15C >>2] = write8tlblookup;
+    h[0x160 >>2] = write16tlblookup;
+    h[0x164 >>2] = instlbcheck;
+    h[0x168 >>2] = read32tlbcheck;
+    h[0x16C >>2] = read8stlbcheck;
+    h[0x170 >>2] = read8utlbcheck;
+    h[0x174 >>2] = read16stlbcheck;
+    h[0x178 >>2] = read16utlbcheck;
+    h[0x17C >>2] = write32tlbcheck;
+    h[0x180 >>2] = write8tlbcheck;
+    h[0x184 >>2] = write16tlbcheck;
+
+    h[0x1A0 >>2] = boot_dtlb_misshandler_address;
+    h[0x1A4 >>2] = boot_itlb_misshandler_address;
+    h[0x1A8 >>2] = current_pgd;
+}
+
+function LoadState() {
+    TTMR            = h[0x100 >>2]|0;
+    TTCR            = h[0x104 >>2]|0;
+    PICMR           = h[0x108 >>2]|0;
+    PICSR           = h[0x10C >>2]|0;
+    raise_interrupt = h[0x110 >>2]|0;
+    EA              = h[0x114 >>2]|0;
+    doze            = h[0x118 >>2]|0;
+
+    SetFlags(h[0x120 >>2]|0);
+    pc          = h[0x124 >>2]|0;
+    ppc         = h[0x128 >>2]|0;
+    ppcorigin   = h[0x12C >>2]|0;
+    pcbase      = h[0x130 >>2]|0;
+    fence       = h[0x134 >>2]|0;
+    nextpc      = h[0x138 >>2]|0;
+    jump        = h[0x13C >>2]|0;
+    delayedins  = h[0x190 >>2]|0;
+    delayedins_at_page_boundary  = h[0x194 >>2]|0;
+
+    instlblookup     = h[0x140 >>2]|0;
+    read32tlblookup  = h[0x144 >>2]|0;
+    read8stlblookup  = h[0x148 >>2]|0;
+    read8utlblookup  = h[0x14C >>2]|0;
+    read16stlblookup = h[0x150 >>2]|0;
+    read16utlblookup = h[0x154 >>2]|0;
+    write32tlblookup = h[0x158 >>2]|0;
+    write8tlblookup  = h[0x15C >>2]|0;
+    write16tlblookup = h[0x160 >>2]|0;
+    instlbcheck      = h[0x164 >>2]|0;
+    read32tlbcheck   = h[0x168 >>2]|0;
+    read8stlbcheck   = h[0x16C >>2]|0;
+    read8utlbcheck   = h[0x170 >>2]|0;
+    read16stlbcheck  = h[0x174 >>2]|0;
+    read16utlbcheck  = h[0x178 >>2]|0;
+    write32tlbcheck  = h[0x17C >>2]|0;
+    write8tlbcheck   = h[0x180 >>2]|0;
+    write16tlbcheck  = h[0x184 >>2]|0;
+
+    boot_dtlb_misshandler_address = h[0x1A0 >>2]|0;
+    boot_itlb_misshandler_address = h[0x1A4 >>2]|0;
+    current_pgd                   = h[0x1A8 >>2]|0;
+}
+
 function GetTimeToNextInterrupt() {
     var delta = 0x0;
     if ((TTMR >> 30) == 0) return -1;
@@ -1600,7 +1690,9 @@ return {
     RaiseInterrupt: RaiseInterrupt,
     ClearInterrupt: ClearInterrupt,
     AnalyzeImage: AnalyzeImage,
-    GetStat : GetStat
+    GetStat : GetStat,
+    SaveState: SaveState,
+    LoadState: LoadState
 };
 
 }
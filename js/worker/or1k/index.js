@@ -6,6 +6,7 @@
 var message = require('../messagehandler'); // global variable
 var toHex = require('../utils').ToHex;
 var imul = require('../imul');
+var snapshot = require('../snapshot');
 
 // CPUs
 var FastCPU = require('./fastcpu');
@@ -142,9 +143,139 @@ CPU.prototype.toString = function() {
     if (this.cpu.SR_OV) {
         str += "overflow set\n";
     }
+    if (this.cpu.trace) {
+        str += this.cpu.trace.toString();
+    }
     return str;
 };
 
+// The asm.js cores keep their state in local variables,
+// which are stored in the heap before a snapshot is taken
+CPU.prototype.GetState = function() {
+    if (this.cpu.SaveState) this.cpu.SaveState();
+    return snapshot.GetObjectState(this.cpu, this.heap);
+};
+
+// must be called after the heap has been restored
+CPU.prototype.SetState = function(state) {
+    snapshot.SetObjectState(this.cpu, state);
+    if (this.cpu.LoadState) this.cpu.LoadState();
+};
+
+// Records the last n executed instructions, which are printed by toString.
+// Only the safe cpu supports tracing
+CPU.prototype.EnableTrace = function(n) {
+    if (this.name !== "safe") {
+        message.Debug("Warning: Tracing is not supported by the " + this.name + " cpu");
+        return;
+    }
+    this.cpu.EnableTrace(n);
+};
+
+// ---------- Debugging interface used by the GDB stub ----------
+// Only the safe cpu supports breakpoints
+
+CPU.prototype.CanDebug = function() {
+    return this.name === "safe";
+};
+
+// address of the next instruction to execute
+CPU.prototype.GetPC = function() {
+    return this.cpu.pc << 2;
+};
+
+CPU.prototype.SetPC = function(addr) {
+    this.cpu.pc = addr >>> 2;
+    this.cpu.nextpc = this.cpu.pc + 1;
+    this.cpu.delayedins = false;
+};
+
+// r0-r31, ppc, npc, sr in the order GDB expects them
+CPU.prototype.GetRegisters = function() {
+    var regs = [];
+    for(var i=0; i<32; i++) {
+        regs.push(this.cpu.r[i]);
+    }
+    regs.push((this.cpu.pc - 1) << 2); // the previous pc is not stored by the cpu
+    regs.push(this.cpu.pc << 2);
+    regs.push(this.cpu.GetFlags());
+    return regs;
+};
+
+CPU.prototype.SetRegister = function(idx, x) {
+    if (idx < 32) {
+        this.cpu.r[idx] = x;
+    } else
+    if (idx == 33) {
+        this.SetPC(x);
+    } else
+    if (idx == 34) {
+        this.cpu.SetFlags(x);
+    }
+};
+
+// Translates a virtual address without raising an exception.
+// Returns -1 if the address is not mapped.
+CPU.prototype.Translate = function(addr) {
+    if (!this.cpu.SR_DME) return addr | 0;
+    var setindex = (addr >> 13) & 63;
+    var tlbs = [this.cpu.group1, this.cpu.group2]; // data and instruction tlb
+    for(var i=0; i<tlbs.length; i++) {
+        var tlmbr = tlbs[i][0x200 | setindex];
+        if ((tlmbr & 1) && ((tlmbr >> 19) == (addr >> 19))) {
+            return (tlbs[i][0x280 | setindex] & 0xFFFFE000) | (addr & 0x1FFF);
+        }
+    }
+    // the kernel maps the physical memory linearly to 0xC0000000
+    if ((addr >>> 0) >= 0xC0000000) return (addr >>> 0) - 0xC0000000;
+    return -1;
+};
+
+CPU.prototype.IsMapped = function(paddr) {
+    if (paddr >= 0) return paddr < this.ram.uint8mem.length;
+    return this.ram.devices[(paddr >> 24) & 0xFF] !== undefined;
+};
+
+// returns -1 on failure
+CPU.prototype.ReadMemory8 = function(addr) {
+    var paddr = this.Translate(addr);
+    if ((paddr == -1) || (!this.IsMapped(paddr))) return -1;
+    return this.ram.Read8Big(paddr);
+};
+
+CPU.prototype.WriteMemory8 = function(addr, x) {
+    var paddr = this.Translate(addr);
+    if ((paddr == -1) || (!this.IsMapped(paddr))) return false;
+    this.ram.Write8Big(paddr, x);
+    return true;
+};
+
+CPU.prototype.SetBreakpoint = function(addr) {
+    addr = addr | 0;
+    if (this.cpu.breakpoints[addr]) return;
+    this.cpu.breakpoints[addr] = true;
+    this.cpu.nbreakpoints++;
+};
+
+CPU.prototype.RemoveBreakpoint = function(addr) {
+    addr = addr | 0;
+    if (!this.cpu.breakpoints[addr]) return;
+    delete this.cpu.breakpoints[addr];
+    this.cpu.nbreakpoints--;
+};
+
+CPU.prototype.RemoveAllBreakpoints = function() {
+    if (!this.CanDebug()) return;
+    this.cpu.breakpoints = {};
+    this.cpu.nbreakpoints = 0;
+};
+
+// true if the next instruction to execute is at a breakpoint
+CPU.prototype.IsBreakpoint = function() {
+    if (!this.cpu.nbreakpoints) return false;
+    return this.cpu.breakpoints[this.GetPC()] === true;
+};
+
 // forward a couple of methods to the CPU implementation
 var forwardedMethods = [
     "Reset", 
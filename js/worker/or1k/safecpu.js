@@ -5,6 +5,7 @@
 "use strict";
 var message = require('../messagehandler');
 var utils = require('../utils');
+var TraceBuffer = require('./trace');
 
 // special purpose register index
 var SPR_UPR = 1; // unit present register
@@ -86,9 +87,20 @@ function SafeCPU(ram) {
     this.SR_SUMRA = false; // SPRS User Mode Read Access, or TRAP exception disable?
     this.SR_CID = 0x0; //Context ID
 
+    // breakpoints set by the debugger. The key is the address.
+    this.breakpoints = {};
+    this.nbreakpoints = 0;
+
+    // ring buffer of the last executed instructions, if enabled
+    this.trace = null;
+
     this.Reset();
 }
 
+SafeCPU.prototype.EnableTrace = function(n) {
+    this.trace = (n > 0) ? new TraceBuffer(n, this.r) : null;
+}
+
 SafeCPU.prototype.Reset = function() {
     this.TTMR = 0x0;
     this.TTCR = 0x0;
@@ -538,6 +550,7 @@ SafeCPU.prototype.Step = function (steps, clockspeed) {
             this.pc = this.nextpc++;
             continue;
         }
+        if (this.trace) this.trace.Add(this.pc<<2, ins, this.delayedins);
 
         switch ((ins >> 26)&0x3F) {
         case 0x0:
@@ -1153,8 +1166,8 @@ SafeCPU.prototype.Step = function (steps, clockspeed) {
         this.pc = this.nextpc++;
         this.delayedins = false;
 
-    } while (--steps); // main loop
-    return 0;
+    } while (--steps && !(this.nbreakpoints && this.breakpoints[this.pc<<2])); // main loop
+    return steps;
 };
 
 
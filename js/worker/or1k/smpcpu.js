@@ -221,6 +221,16 @@ function ChangeCore()
 
     if ((newcoreid|0) == (coreid|0)) return; // nothing changed, so just return back
 
+    SaveCoreState();
+
+    coreid = newcoreid|0;
+    corep = coreid << 15;
+
+    LoadCoreState();
+}
+
+// Store the internal state of the active core in its memory area
+function SaveCoreState() {
     h[corep + 0x120 >>2] = GetFlags()|0;
     h[corep + 0x124 >>2] = pc;
     h[corep + 0x128 >>2] = ppc;
@@ -251,10 +261,9 @@ function ChangeCore()
     h[corep + 0x17C >>2] = write32tlbcheck;
     h[corep + 0x180 >>2] = write8tlbcheck;
     h[corep + 0x184 >>2] = write16tlbcheck;
+}
 
-    coreid = newcoreid|0;
-    corep = coreid << 15;
-
+function LoadCoreState() {
     SetFlagsQuiet(h[corep + 0x120 >>2]|0);
     pc          = h[corep + 0x124 >>2]|0;
     ppc         = h[corep + 0x128 >>2]|0;
@@ -286,6 +295,29 @@ function ChangeCore()
     write16tlbcheck  = h[corep + 0x184 >>2]|0;
 }
 
+// Store the internal state in the heap, so that a snapshot of the heap
+// contains all cores.
+function SaveState() {
+    SaveCoreState();
+    h[0x1A0 >>2] = boot_dtlb_misshandler_address;
+    h[0x1A4 >>2] = boot_itlb_misshandler_address;
+    h[0x1A8 >>2] = current_pgd;
+    h[0x1AC >>2] = coreid;
+    h[0x1B0 >>2] = activebitfield;
+    h[0x1B4 >>2] = snoopbitfield;
+}
+
+function LoadState() {
+    boot_dtlb_misshandler_address = h[0x1A0 >>2]|0;
+    boot_itlb_misshandler_address = h[0x1A4 >>2]|0;
+    current_pgd                   = h[0x1A8 >>2]|0;
+    coreid                        = h[0x1AC >>2]|0;
+    activebitfield                = h[0x1B0 >>2]|0;
+    snoopbitfield                 = h[0x1B4 >>2]|0;
+    corep = coreid << 15;
+    LoadCoreState();
+}
+
 function InvalidateTLB() {
     instlblookup = -1;
     read32tlblookup = -1;
@@ -1818,7 +1850,9 @@ return {
     GetTicks: GetTicks,
     RaiseInterrupt: RaiseInterrupt,
     ClearInterrupt: ClearInterrupt,
-    AnalyzeImage: AnalyzeImage
+    AnalyzeImage: AnalyzeImage,
+    SaveState: SaveState,
+    LoadState: LoadState
 };
 
 }
@@ -0,0 +1,65 @@
+// -------------------------------------------------
+// -------------------- TRACE ----------------------
+// -------------------------------------------------
+// Ring buffer of the last executed instructions of the OpenRISC safe cpu.
+// Each entry contains the address, the instruction and
+// the value written into the destination register.
+
+"use strict";
+var utils = require('../utils');
+var Disassembler = require('./disassemble');
+
+// r are the registers of the cpu
+function TraceBuffer(n, r) {
+    this.n = n | 0;
+    this.r = r;
+    this.pc = new Int32Array(this.n);
+    this.ins = new Int32Array(this.n);
+    this.flags = new Uint8Array(this.n); // bit 0: delay slot
+    this.rindex = new Int8Array(this.n); // destination register or -1
+    this.value = new Int32Array(this.n);
+    this.Reset();
+}
+
+TraceBuffer.prototype.Reset = function() {
+    this.pos = 0; // index of the next entry
+    this.count = 0;
+}
+
+// The destination register of the previous instruction is written by now
+TraceBuffer.prototype.UpdateLast = function() {
+    if (this.count == 0) return;
+    var last = (this.pos + this.n - 1) % this.n;
+    if (this.rindex[last] >= 0) this.value[last] = this.r[this.rindex[last]];
+}
+
+TraceBuffer.prototype.Add = function(pc, ins, delayslot) {
+    this.UpdateLast();
+    var pos = this.pos;
+    this.pc[pos] = pc;
+    this.ins[pos] = ins;
+    this.flags[pos] = delayslot ? 1 : 0;
+    this.rindex[pos] = Disassembler.GetDestinationRegister(ins);
+    this.pos = (pos + 1) % this.n;
+    if (this.count < this.n) this.count++;
+}
+
+// Returns the entries with the oldest entry first
+TraceBuffer.prototype.toString = function() {
+    this.UpdateLast();
+    var str = "Last " + this.count + " executed instructions\n";
+    for(var i=this.count; i>0; i--) {
+        var pos = (this.pos + this.n - i) % this.n;
+        var line = utils.ToHex(this.pc[pos]) + ": " + utils.ToHex(this.ins[pos]) + "  " +
+            ((this.flags[pos] & 1) ? " " : "") +
+            Disassembler.Disassemble(this.ins[pos], this.pc[pos]);
+        if (this.rindex[pos] > 0) {
+            while (line.length < 56) line += " ";
+            line += "r" + this.rindex[pos] + "=" + utils.ToHex(this.value[pos]);
+        }
+        str += line + "\n";
+    }
+    return str;
+}
+
+module.exports = TraceBuffer;
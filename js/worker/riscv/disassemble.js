@@ -604,5 +604,152 @@ function Disassemble(ins,r,csr,pc) {
 
 };
 
+// compressed instructions of the C extension
+function DisassembleCompressed(ins,r,csr,pc) {
+    message.Debug("pc=" + utils.ToHex(pc) + " ins=" + utils.ToHex(ins & 0xFFFF));
+
+    // funct3 and quadrant
+    switch(((ins >> 11) & 0x1C) | (ins & 0x3)) {
+
+        case 0x00:
+            message.Debug("c.addi4spn");
+            break;
+
+        case 0x04:
+            message.Debug("c.fld");
+            break;
+
+        case 0x08:
+            message.Debug("c.lw");
+            break;
+
+        case 0x0C:
+            message.Debug("c.flw");
+            break;
+
+        case 0x14:
+            message.Debug("c.fsd");
+            break;
+
+        case 0x18:
+            message.Debug("c.sw");
+            break;
+
+        case 0x1C:
+            message.Debug("c.fsw");
+            break;
+
+        case 0x01:
+            if (((ins >> 7) & 0x1F) == 0) {
+                message.Debug("c.nop");
+                break;
+            }
+            message.Debug("c.addi");
+            break;
+
+        case 0x05:
+            message.Debug("c.jal");
+            break;
+
+        case 0x09:
+            message.Debug("c.li");
+            break;
+
+        case 0x0D:
+            if (((ins >> 7) & 0x1F) == 2) {
+                message.Debug("c.addi16sp");
+                break;
+            }
+            message.Debug("c.lui");
+            break;
+
+        case 0x11:
+            switch((ins >> 10) & 0x3) {
+                case 0x0:
+                    message.Debug("c.srli");
+                    break;
+
+                case 0x1:
+                    message.Debug("c.srai");
+                    break;
+
+                case 0x2:
+                    message.Debug("c.andi");
+                    break;
+
+                case 0x3:
+                    if (ins & 0x1000) {
+                        message.Debug("Error in disassemble: Compressed instruction " + utils.ToHex(ins & 0xFFFF) + " not found");
+                        break;
+                    }
+                    message.Debug(["c.sub", "c.xor", "c.or", "c.and"][(ins >> 5) & 0x3]);
+                    break;
+            }
+            break;
+
+        case 0x15:
+            message.Debug("c.j");
+            break;
+
+        case 0x19:
+            message.Debug("c.beqz");
+            break;
+
+        case 0x1D:
+            message.Debug("c.bnez");
+            break;
+
+        case 0x02:
+            message.Debug("c.slli");
+            break;
+
+        case 0x06:
+            message.Debug("c.fldsp");
+            break;
+
+        case 0x0A:
+            message.Debug("c.lwsp");
+            break;
+
+        case 0x0E:
+            message.Debug("c.flwsp");
+            break;
+
+        case 0x12:
+            if (((ins >> 2) & 0x1F) == 0) {
+                if ((ins & 0x1000) == 0) {
+                    message.Debug("c.jr");
+                    break;
+                }
+                if (((ins >> 7) & 0x1F) == 0) {
+                    message.Debug("c.ebreak");
+                    break;
+                }
+                message.Debug("c.jalr");
+                break;
+            }
+            message.Debug((ins & 0x1000) ? "c.add" : "c.mv");
+            break;
+
+        case 0x16:
+            message.Debug("c.fsdsp");
+            break;
+
+        case 0x1A:
+            message.Debug("c.swsp");
+            break;
+
+        case 0x1E:
+            message.Debug("c.fswsp");
+            break;
+
+        default:
+            message.Debug("Error in disassemble: Compressed instruction " + utils.ToHex(ins & 0xFFFF) + " not found");
+            break;
+    }
+
+};
+
 module.exports.Disassemble = Disassemble;
+module.exports.DisassembleCompressed = DisassembleCompressed;
 
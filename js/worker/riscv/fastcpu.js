@@ -160,6 +160,7 @@ var CSR_UARCH15   = 0x3333C;
 
     0x0       32 CPU registers
     0x80      Floating Point Registers
+    0x1000    Internal state, written by SaveState
     0x2000    CSR Registers
     ------- RAM --------
     0x100000  RAM
@@ -196,6 +197,7 @@ var amoaddr = 0, amovalue = 0;
 var fence = 0x200; // Has the next page address in case of normal operation, it is made equal to ppc in insts like branch, jump etc
 var ppc = 0x200; // Physical PC
 var ppcorigin = 0x200;
+var inslen = 4; // length of the current instruction in bytes
 
 
 // tlb_index contains the virutal address and tlb_entry will have the correponding Phsysical Address
@@ -262,6 +264,86 @@ function GetPC() {
     return pc|0;
 }
 
+// Store the internal state in the heap, so that a snapshot of the heap
+// contains the whole cpu
+function SaveState() {
+    r[0x1000 >> 2] = pc|0;
+    r[0x1004 >> 2] = pcorigin|0;
+    r[0x1008 >> 2] = pc_change|0;
+    r[0x100C >> 2] = ticks|0;
+    r[0x1010 >> 2] = amoaddr|0;
+    r[0x1014 >> 2] = amovalue|0;
+    r[0x1018 >> 2] = fence|0;
+    r[0x101C >> 2] = ppc|0;
+    r[0x1020 >> 2] = ppcorigin|0;
+    r[0x1024 >> 2] = instlb_index|0;
+    r[0x1028 >> 2] = instlb_entry|0;
+    r[0x102C >> 2] = read8tlb_index|0;
+    r[0x1030 >> 2] = read8tlb_entry|0;
+    r[0x1034 >> 2] = read8utlb_index|0;
+    r[0x1038 >> 2] = read8utlb_entry|0;
+    r[0x103C >> 2] = read16tlb_index|0;
+    r[0x1040 >> 2] = read16tlb_entry|0;
+    r[0x1044 >> 2] = read16utlb_index|0;
+    r[0x1048 >> 2] = read16utlb_entry|0;
+    r[0x104C >> 2] = read32tlb_index|0;
+    r[0x1050 >> 2] = read32tlb_entry|0;
+    r[0x1054 >> 2] = store8tlb_index|0;
+    r[0x1058 >> 2] = store8tlb_entry|0;
+    r[0x105C >> 2] = store16tlb_index|0;
+    r[0x1060 >> 2] = store16tlb_entry|0;
+    r[0x1064 >> 2] = store32tlb_index|0;
+    r[0x1068 >> 2] = store32tlb_entry|0;
+    r[0x106C >> 2] = float_read32tlb_index|0;
+    r[0x1070 >> 2] = float_read32tlb_entry|0;
+    r[0x1074 >> 2] = float_read64tlb_index|0;
+    r[0x1078 >> 2] = float_read64tlb_entry|0;
+    r[0x107C >> 2] = float_store32tlb_index|0;
+    r[0x1080 >> 2] = float_store32tlb_entry|0;
+    r[0x1084 >> 2] = float_store64tlb_index|0;
+    r[0x1088 >> 2] = float_store64tlb_entry|0;
+    r[0x108C >> 2] = queue_status|0;
+}
+
+function LoadState() {
+    pc                     = r[0x1000 >> 2]|0;
+    pcorigin               = r[0x1004 >> 2]|0;
+    pc_change              = r[0x1008 >> 2]|0;
+    ticks                  = r[0x100C >> 2]|0;
+    amoaddr                = r[0x1010 >> 2]|0;
+    amovalue               = r[0x1014 >> 2]|0;
+    fence                  = r[0x1018 >> 2]|0;
+    ppc                    = r[0x101C >> 2]|0;
+    ppcorigin              = r[0x1020 >> 2]|0;
+    instlb_index           = r[0x1024 >> 2]|0;
+    instlb_entry           = r[0x1028 >> 2]|0;
+    read8tlb_index         = r[0x102C >> 2]|0;
+    read8tlb_entry         = r[0x1030 >> 2]|0;
+    read8utlb_index        = r[0x1034 >> 2]|0;
+    read8utlb_entry        = r[0x1038 >> 2]|0;
+    read16tlb_index        = r[0x103C >> 2]|0;
+    read16tlb_entry        = r[0x1040 >> 2]|0;
+    read16utlb_index       = r[0x1044 >> 2]|0;
+    read16utlb_entry       = r[0x1048 >> 2]|0;
+    read32tlb_index        = r[0x104C >> 2]|0;
+    read32tlb_entry        = r[0x1050 >> 2]|0;
+    store8tlb_index        = r[0x1054 >> 2]|0;
+    store8tlb_entry        = r[0x1058 >> 2]|0;
+    store16tlb_index       = r[0x105C >> 2]|0;
+    store16tlb_entry       = r[0x1060 >> 2]|0;
+    store32tlb_index       = r[0x1064 >> 2]|0;
+    store32tlb_entry       = r[0x1068 >> 2]|0;
+    float_read32tlb_index  = r[0x106C >> 2]|0;
+    float_read32tlb_entry  = r[0x1070 >> 2]|0;
+    float_read64tlb_index  = r[0x1074 >> 2]|0;
+    float_read64tlb_entry  = r[0x1078 >> 2]|0;
+    float_store32tlb_index = r[0x107C >> 2]|0;
+    float_store32tlb_entry = r[0x1080 >> 2]|0;
+    float_store64tlb_index = r[0x1084 >> 2]|0;
+    float_store64tlb_entry = r[0x1088 >> 2]|0;
+    queue_status           = r[0x108C >> 2]|0;
+}
+
 function GetTimeToNextInterrupt() {
     var delta = 0x0;
     delta = (csr[(csrp + 0xC84)>> 2]>>>0) - (ticks & 0xFFFFFFFF) |0;
@@ -324,11 +406,11 @@ function MemTrap(addr, op) {
     csr[(csrp + CSR_MBADADDR)>>2] = addr;
     switch (op|0) {
         case 0: //VM_READ
-            Trap(CAUSE_LOAD_ACCESS_FAULT, pc - 4|0);
+            Trap(CAUSE_LOAD_ACCESS_FAULT, pc - inslen|0);
             break;
 
         case 1: //VM_WRITE
-            Trap(CAUSE_STORE_ACCESS_FAULT, pc - 4|0);
+            Trap(CAUSE_STORE_ACCESS_FAULT, pc - inslen|0);
             break;
 
         case 2: //VM_FETCH
@@ -1027,6 +1109,194 @@ function PopPrivilegeStack(){
     InvalidateTLB();
 };
 
+// Expands a 16-bit compressed instruction into the equivalent 32-bit instruction.
+// Returns 0 if the instruction is illegal.
+function Decompress(ins) {
+    ins = ins|0;
+    var rd = 0;
+    var rs2 = 0;
+    var rdp = 0;
+    var rs1p = 0;
+    var imm = 0;
+
+    rd = (ins >> 7) & 0x1F; // also rs1
+    rs2 = (ins >> 2) & 0x1F;
+    rdp = ((ins >> 2) & 0x7) + 8|0; // also rs2'
+    rs1p = ((ins >> 7) & 0x7) + 8|0;
+
+    // funct3 and quadrant
+    switch(((ins >> 11) & 0x1C) | (ins & 0x3)) {
+
+        case 0x00:
+            // c.addi4spn
+            imm = ((ins >> 7) & 0x30) | ((ins >> 1) & 0x3C0) | ((ins >> 4) & 0x4) | ((ins >> 2) & 0x8);
+            if ((imm|0) == 0) return 0;
+            return (imm << 20) | (2 << 15) | (rdp << 7) | 0x13;
+
+        case 0x04:
+            // c.fld
+            imm = ((ins >> 7) & 0x38) | ((ins << 1) & 0xC0);
+            return (imm << 20) | (rs1p << 15) | (0x3 << 12) | (rdp << 7) | 0x07;
+
+        case 0x08:
+            // c.lw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return (imm << 20) | (rs1p << 15) | (0x2 << 12) | (rdp << 7) | 0x03;
+
+        case 0x0C:
+            // c.flw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return (imm << 20) | (rs1p << 15) | (0x2 << 12) | (rdp << 7) | 0x07;
+
+        case 0x14:
+            // c.fsd
+            imm = ((ins >> 7) & 0x38) | ((ins << 1) & 0xC0);
+            return ((imm >> 5) << 25) | (rdp << 20) | (rs1p << 15) | (0x3 << 12) | ((imm & 0x1F) << 7) | 0x27;
+
+        case 0x18:
+            // c.sw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return ((imm >> 5) << 25) | (rdp << 20) | (rs1p << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x23;
+
+        case 0x1C:
+            // c.fsw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return ((imm >> 5) << 25) | (rdp << 20) | (rs1p << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x27;
+
+        case 0x01:
+            // c.addi, c.nop
+            imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+            return (imm << 20) | (rd << 15) | (rd << 7) | 0x13;
+
+        case 0x05:
+            // c.jal
+            imm = ((ins >> 1) & 0x800) | ((ins >> 7) & 0x10) | ((ins >> 1) & 0x300) | ((ins << 2) & 0x400) |
+                  ((ins >> 1) & 0x40) | ((ins << 1) & 0x80) | ((ins >> 2) & 0xE) | ((ins << 3) & 0x20);
+            imm = (imm << 20) >> 20;
+            return ((imm & 0x100000) << 11) | ((imm & 0x7FE) << 20) | ((imm & 0x800) << 9) | (imm & 0xFF000) | (1 << 7) | 0x6F;
+
+        case 0x09:
+            // c.li
+            imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+            return (imm << 20) | (rd << 7) | 0x13;
+
+        case 0x0D:
+            if ((rd|0) == 2) {
+                // c.addi16sp
+                imm = ((ins >> 3) & 0x200) | ((ins >> 2) & 0x10) | ((ins << 1) & 0x40) | ((ins << 4) & 0x180) | ((ins << 3) & 0x20);
+                imm = (imm << 22) >> 22;
+                if ((imm|0) == 0) return 0;
+                return (imm << 20) | (2 << 15) | (2 << 7) | 0x13;
+            }
+            // c.lui
+            imm = (((ins << 5) & 0x20000) | ((ins << 10) & 0x1F000)) << 14 >> 14;
+            if ((imm|0) == 0) return 0;
+            return imm | (rd << 7) | 0x37;
+
+        case 0x11:
+            switch((ins >> 10) & 0x3) {
+                case 0x0:
+                    // c.srli
+                    return (rs2 << 20) | (rs1p << 15) | (0x5 << 12) | (rs1p << 7) | 0x13;
+
+                case 0x1:
+                    // c.srai
+                    return 0x40000000 | (rs2 << 20) | (rs1p << 15) | (0x5 << 12) | (rs1p << 7) | 0x13;
+
+                case 0x2:
+                    // c.andi
+                    imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+                    return (imm << 20) | (rs1p << 15) | (0x7 << 12) | (rs1p << 7) | 0x13;
+            }
+            if (ins & 0x1000) return 0; // subw and addw are only defined for RV64
+            switch((ins >> 5) & 0x3) {
+                case 0x0:
+                    // c.sub
+                    return 0x40000000 | (rdp << 20) | (rs1p << 15) | (rs1p << 7) | 0x33;
+
+                case 0x1:
+                    // c.xor
+                    return (rdp << 20) | (rs1p << 15) | (0x4 << 12) | (rs1p << 7) | 0x33;
+
+                case 0x2:
+                    // c.or
+                    return (rdp << 20) | (rs1p << 15) | (0x6 << 12) | (rs1p << 7) | 0x33;
+            }
+            // c.and
+            return (rdp << 20) | (rs1p << 15) | (0x7 << 12) | (rs1p << 7) | 0x33;
+
+        case 0x15:
+            // c.j
+            imm = ((ins >> 1) & 0x800) | ((ins >> 7) & 0x10) | ((ins >> 1) & 0x300) | ((ins << 2) & 0x400) |
+                  ((ins >> 1) & 0x40) | ((ins << 1) & 0x80) | ((ins >> 2) & 0xE) | ((ins << 3) & 0x20);
+            imm = (imm << 20) >> 20;
+            return ((imm & 0x100000) << 11) | ((imm & 0x7FE) << 20) | ((imm & 0x800) << 9) | (imm & 0xFF000) | 0x6F;
+
+        case 0x19:
+        case 0x1D:
+            // c.beqz, c.bnez
+            imm = ((ins >> 4) & 0x100) | ((ins >> 7) & 0x18) | ((ins << 1) & 0xC0) | ((ins >> 2) & 0x6) | ((ins << 3) & 0x20);
+            imm = (imm << 23) >> 23;
+            return ((imm & 0x1000) << 19) | ((imm & 0x7E0) << 20) | (rs1p << 15) | (((ins >> 13) & 0x1) << 12) |
+                   ((imm & 0x1E) << 7) | ((imm & 0x800) >> 4) | 0x63;
+
+        case 0x02:
+            // c.slli
+            return (rs2 << 20) | (rd << 15) | (0x1 << 12) | (rd << 7) | 0x13;
+
+        case 0x06:
+            // c.fldsp
+            imm = ((ins >> 7) & 0x20) | ((ins >> 2) & 0x18) | ((ins << 4) & 0x1C0);
+            return (imm << 20) | (2 << 15) | (0x3 << 12) | (rd << 7) | 0x07;
+
+        case 0x0A:
+            // c.lwsp
+            if ((rd|0) == 0) return 0;
+            imm = ((ins >> 7) & 0x20) | ((ins >> 2) & 0x1C) | ((ins << 4) & 0xC0);
+            return (imm << 20) | (2 << 15) | (0x2 << 12) | (rd << 7) | 0x03;
+
+        case 0x0E:
+            // c.flwsp
+            imm = ((ins >> 7) & 0x20) | ((ins >> 2) & 0x1C) | ((ins << 4) & 0xC0);
+            return (imm << 20) | (2 << 15) | (0x2 << 12) | (rd << 7) | 0x07;
+
+        case 0x12:
+            if ((ins & 0x1000) == 0) {
+                if ((rs2|0) == 0) {
+                    // c.jr
+                    if ((rd|0) == 0) return 0;
+                    return (rd << 15) | 0x67;
+                }
+                // c.mv
+                return (rs2 << 20) | (rd << 7) | 0x33;
+            }
+            if ((rs2|0) == 0) {
+                // c.ebreak
+                if ((rd|0) == 0) return 0x00100073;
+                // c.jalr
+                return (rd << 15) | (1 << 7) | 0x67;
+            }
+            // c.add
+            return (rs2 << 20) | (rd << 15) | (rd << 7) | 0x33;
+
+        case 0x16:
+            // c.fsdsp
+            imm = ((ins >> 7) & 0x38) | ((ins >> 1) & 0x1C0);
+            return ((imm >> 5) << 25) | (rs2 << 20) | (2 << 15) | (0x3 << 12) | ((imm & 0x1F) << 7) | 0x27;
+
+        case 0x1A:
+            // c.swsp
+            imm = ((ins >> 7) & 0x3C) | ((ins >> 1) & 0xC0);
+            return ((imm >> 5) << 25) | (rs2 << 20) | (2 << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x23;
+
+        case 0x1E:
+            // c.fswsp
+            imm = ((ins >> 7) & 0x3C) | ((ins >> 1) & 0xC0);
+            return ((imm >> 5) << 25) | (rs2 << 20) | (2 << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x27;
+    }
+    return 0;
+}
+
 function Step(steps, clockspeed) {
 
     steps = steps|0;
@@ -1057,8 +1327,29 @@ function Step(steps, clockspeed) {
 
     if ((fence|0) != (ppc|0)) {
 
-        ins = ram[ppc >> 2]|0;
-        ppc = ppc + 4|0;
+        if (ppc & 2) {
+            ins = (ram16[ppc >> 1] & 0xFFFF) | (ram16[ppc + 2 >> 1] << 16);
+        } else {
+            ins = ram[ppc >> 2]|0;
+        }
+        if ((ins & 3) == 3) {
+            if ((ppc + 2|0) == (fence|0)) {
+                // the upper half of the instruction is on the next page
+                pc = pcorigin + (ppc-ppcorigin)|0;
+                paddr = TranslateVM(pc + 2|0, VM_FETCH)|0;
+                if ((paddr|0) == -1) continue;
+                ins = (ins & 0xFFFF) | (ram16[(ramp + paddr) >> 1] << 16);
+                ppc = ppc + 4|0;
+                fence = ppc; // ppc points beyond the page, so translate the next pc again
+            } else {
+                ppc = ppc + 4|0;
+            }
+            inslen = 4;
+        } else {
+            ins = Decompress(ins & 0xFFFF)|0;
+            ppc = ppc + 2|0;
+            inslen = 2;
+        }
 
         switch (ins&0x7F) {
 
@@ -1418,7 +1709,7 @@ function Step(steps, clockspeed) {
             case 0x17:
                 // auipc
                 pc = pcorigin + (ppc-ppcorigin)|0;
-                r[((ins >> 5) & 0x7C) >> 2] = (pc + (ins & 0xFFFFF000) - 4)|0;
+                r[((ins >> 5) & 0x7C) >> 2] = (pc + (ins & 0xFFFFF000) - inslen)|0;
                 continue;
 
             case 0x6F:
@@ -1430,7 +1721,7 @@ function Step(steps, clockspeed) {
                     (((ins >> 20) & 0x1) << 10) | 
                     (((ins >> 12) & 0xFF) << 11) | 
                     ((ins >> 31) << 19) ) << 1;
-                pc = pc + imm - 4|0;
+                pc = pc + imm - inslen|0;
                 fence = ppc;
                 pc_change = 1;
                 r[0] = 0;
@@ -1460,7 +1751,7 @@ function Step(steps, clockspeed) {
                         pc_change = 1;
                         imm = ((((ins >> 31) << 11) | (((ins >> 25) & 0x3F) << 4) | ((ins >> 8) & 0x0F) | (((ins >> 7) & 0x01) << 10)) << 1 );
                         pc = pcorigin + (ppc-ppcorigin)|0;
-                        pc = pc + imm - 4|0;
+                        pc = pc + imm - inslen|0;
                         continue;
 
                     case 0x01:
@@ -1470,7 +1761,7 @@ function Step(steps, clockspeed) {
                         pc_change = 1;
                         imm = ((((ins >> 31) << 11) | (((ins >> 25) & 0x3F) << 4) | ((ins >> 8) & 0x0F) | (((ins >> 7) & 0x01) << 10)) << 1 );
                         pc = pcorigin + (ppc-ppcorigin)|0;
-                        pc = pc + imm - 4|0;
+                        pc = pc + imm - inslen|0;
                         continue;
 
                     case 0x04:
@@ -1480,7 +1771,7 @@ function Step(steps, clockspeed) {
                         pc_change = 1;
                         imm = ((((ins >> 31) << 11) | (((ins >> 25) & 0x3F) << 4) | ((ins >> 8) & 0x0F) | (((ins >> 7) & 0x01) << 10)) << 1 );
                         pc = pcorigin + (ppc-ppcorigin)|0;
-                        pc = pc + imm - 4|0;
+                        pc = pc + imm - inslen|0;
                         continue;
 
                     case 0x05:
@@ -1490,7 +1781,7 @@ function Step(steps, clockspeed) {
                         pc_change = 1;
                         imm = ((((ins >> 31) << 11) | (((ins >> 25) & 0x3F) << 4) | ((ins >> 8) & 0x0F) | (((ins >> 7) & 0x01) << 10)) << 1 );
                         pc = pcorigin + (ppc-ppcorigin)|0;
-                        pc = pc + imm - 4|0;
+                        pc = pc + imm - inslen|0;
                         continue;
 
                     case 0x06:
@@ -1500,7 +1791,7 @@ function Step(steps, clockspeed) {
                         pc_change = 1;
                         imm = ((((ins >> 31) << 11) | (((ins >> 25) & 0x3F) << 4) | ((ins >> 8) & 0x0F) | (((ins >> 7) & 0x01) << 10)) << 1 );
                         pc = pcorigin + (ppc-ppcorigin)|0;
-                        pc = pc + imm - 4|0;
+                        pc = pc + imm - inslen|0;
                         continue;
 
                     case 0x07:
@@ -1510,7 +1801,7 @@ function Step(steps, clockspeed) {
                         pc_change = 1;
                         imm = ((((ins >> 31) << 11) | (((ins >> 25) & 0x3F) << 4) | ((ins >> 8) & 0x0F) | (((ins >> 7) & 0x01) << 10)) << 1 );
                         pc = pcorigin + (ppc-ppcorigin)|0;
-                        pc = pc + imm - 4|0;
+                        pc = pc + imm - inslen|0;
                         continue;
 
                     default:
@@ -1582,20 +1873,20 @@ function Step(steps, clockspeed) {
                                 pc = pcorigin + (ppc-ppcorigin)|0;
                                 switch (current_privilege_level|0) {
                                     case 0x00: // PRV_U
-                                        Trap(CAUSE_ENVCALL_UMODE, pc - 4|0);
+                                        Trap(CAUSE_ENVCALL_UMODE, pc - inslen|0);
                                         break;
 
                                     case 0x01: // PRV_S
-                                        Trap(CAUSE_ENVCALL_SMODE, pc - 4|0);
+                                        Trap(CAUSE_ENVCALL_SMODE, pc - inslen|0);
                                         break;
 
                                     case 0x02: // PRV_H
-                                        Trap(CAUSE_ENVCALL_HMODE, pc - 4|0);
+                                        Trap(CAUSE_ENVCALL_HMODE, pc - inslen|0);
                                         abort();
                                         break;
 
                                     case 0x03: // PRV_M
-                                        Trap(CAUSE_ENVCALL_MMODE, pc - 4|0);
+                                        Trap(CAUSE_ENVCALL_MMODE, pc - inslen|0);
                                         break;
 
                                     default:
@@ -1608,7 +1899,7 @@ function Step(steps, clockspeed) {
                             case 0x001:
                                 // ebreak
                                 pc = pcorigin + (ppc-ppcorigin)|0;
-                                Trap(CAUSE_BREAKPOINT, pc - 4|0);
+                                Trap(CAUSE_BREAKPOINT, pc - inslen|0);
                                 continue;
 
                             case 0x100:
@@ -2102,7 +2393,7 @@ function Step(steps, clockspeed) {
         // pc_change is set to one when pc is calculated in instrctions like branch, jump etc
         if (!(pc_change|0)) pc = pcorigin + (ppc-ppcorigin)|0;
 
-        dsteps = dsteps - ((ppc-ppcorigin) >> 2)|0;
+        dsteps = dsteps - ((ppc-ppcorigin+2|0) >> 2)|0; // rounded up, because of compressed instructions
         if ((dsteps|0) < 0) {
 
             dsteps = dsteps + 64|0;
@@ -2185,7 +2476,9 @@ return {
     GetPC: GetPC,
     AnalyzeImage: AnalyzeImage,
     RaiseInterrupt: RaiseInterrupt,
-    ClearInterrupt: ClearInterrupt
+    ClearInterrupt: ClearInterrupt,
+    SaveState: SaveState,
+    LoadState: LoadState
 };
 
 }
@@ -6,11 +6,18 @@
 var message = require('../messagehandler'); // global variable
 var utils = require('../utils');
 var imul = require('../imul');
+var snapshot = require('../snapshot');
 
 // CPUs
 var SafeCPU = require('./safecpu');
+var SafeCPU64 = require('./safecpu64');
+var SMPCPU = require('./smpcpu');
 var FastCPU = require('./fastcpu');
 
+var PRV_M = 0x03; // machine mode
+var CSR_SPTBR = 0x180; // page-table base register
+var PTE_V = 0x001; // valid
+
 var stdlib = {
     Int32Array : Int32Array,
     Int8Array : Int8Array,
@@ -46,7 +53,13 @@ function createCPU(cpuname, ram, htif, heap, ncores) {
     };
 
     if (cpuname === "safe") {
-        return new SafeCPU(ram, htif);
+        return new SafeCPU(ram, htif, 0);
+    }
+    else if (cpuname === "smp") {
+        return new SMPCPU(ram, htif, ncores);
+    }
+    else if (cpuname === "safe64") {
+        return new SafeCPU64(ram, htif);
     }
     else if (cpuname === "asm") {
         cpu = FastCPU(stdlib, foreign, heap);
@@ -77,18 +90,31 @@ CPU.prototype.toString = function() {
     str += "Current state of the machine\n";
 
 
-    if (typeof this.cpu.pc != 'undefined') {
-        str += "PC: " + utils.ToHex(this.cpu.pc) + "\n"; 
+    if (this.name === "safe64") {
+        // the registers are stored as pairs of 32-bit values
+        str += "PC: " + utils.ToHex(this.cpu.pch) + utils.ToHex(this.cpu.pc).substr(2) + "\n";
+        for (var i = 0; i < 32; i += 2) {
+            str += "   r" + (i + 0) + ": " +
+                utils.ToHex(r[2*i + 1]) + utils.ToHex(r[2*i + 0]).substr(2) + "   r" + (i + 1) + ": " +
+                utils.ToHex(r[2*i + 3]) + utils.ToHex(r[2*i + 2]).substr(2) + "\n";
+        }
     } else {
-        str += "PC: " + utils.ToHex(this.cpu.GetPC()) + "\n"; 
-    }
+        if (this.name === "smp") {
+            str += "PC: " + utils.ToHex(this.cpu.harts[0].pc) + " (hart 0)\n";
+        } else
+        if (typeof this.cpu.pc != 'undefined') {
+            str += "PC: " + utils.ToHex(this.cpu.pc) + "\n"; 
+        } else {
+            str += "PC: " + utils.ToHex(this.cpu.GetPC()) + "\n"; 
+        }
 
-    for (var i = 0; i < 32; i += 4) {
-        str += "   r" + (i + 0) + ": " +
-            utils.ToHex(r[i + 0]) + "   r" + (i + 1) + ": " +
-            utils.ToHex(r[i + 1]) + "   r" + (i + 2) + ": " +
-            utils.ToHex(r[i + 2]) + "   r" + (i + 3) + ": " +
-            utils.ToHex(r[i + 3]) + "\n";
+        for (var i = 0; i < 32; i += 4) {
+            str += "   r" + (i + 0) + ": " +
+                utils.ToHex(r[i + 0]) + "   r" + (i + 1) + ": " +
+                utils.ToHex(r[i + 1]) + "   r" + (i + 2) + ": " +
+                utils.ToHex(r[i + 2]) + "   r" + (i + 3) + ": " +
+                utils.ToHex(r[i + 3]) + "\n";
+        }
     }
     str += "mstatus: " + utils.ToBin(csr[0x300]) + "\n";
     str += 
@@ -98,6 +124,120 @@ CPU.prototype.toString = function() {
     return str;
 };
 
+// The asm.js cores keep their state in local variables,
+// which are stored in the heap before a snapshot is taken
+// The smp cpu stores the state of each hart by itself
+CPU.prototype.GetState = function() {
+    if (this.cpu.SaveState) this.cpu.SaveState();
+    if (this.cpu.GetState) return this.cpu.GetState(this.heap);
+    return snapshot.GetObjectState(this.cpu, this.heap);
+};
+
+// must be called after the heap has been restored
+CPU.prototype.SetState = function(state) {
+    if (this.cpu.SetState) {
+        this.cpu.SetState(state);
+        return;
+    }
+    snapshot.SetObjectState(this.cpu, state);
+    if (this.cpu.LoadState) this.cpu.LoadState();
+};
+
+// ---------- Debugging interface used by the GDB stub ----------
+// Only the safe cpu supports breakpoints
+
+CPU.prototype.CanDebug = function() {
+    return this.name === "safe";
+};
+
+CPU.prototype.GetPC = function() {
+    return this.cpu.pc;
+};
+
+CPU.prototype.SetPC = function(addr) {
+    this.cpu.pc = addr | 0;
+};
+
+// x0-x31, pc in the order GDB expects them
+CPU.prototype.GetRegisters = function() {
+    var regs = [];
+    for(var i=0; i<32; i++) {
+        regs.push(this.cpu.r[i]);
+    }
+    regs.push(this.cpu.pc);
+    return regs;
+};
+
+CPU.prototype.SetRegister = function(idx, x) {
+    if ((idx > 0) && (idx < 32)) {
+        this.cpu.r[idx] = x;
+    } else
+    if (idx == 32) {
+        this.SetPC(x);
+    }
+};
+
+// Walks through the page table like TranslateVM but without raising a trap or checking the rights.
+// Returns -1 if the address is not mapped.
+CPU.prototype.Translate = function(addr) {
+    var csr = this.cpu.csr;
+    if ((!(csr[CSR_SPTBR] >>> 31)) || (this.cpu.prv == PRV_M)) return addr | 0;
+
+    var pte = this.ram.Read32(((csr[CSR_SPTBR] & 0x003FFFFF) << 12) + ((addr >>> 22) << 2));
+    if (!(pte & PTE_V)) return -1;
+    if ((pte & 0xF) != 0x1) {
+        return ((pte >> 10) << 12) | (addr & 0x3FFFFF); // 4 MB page
+    }
+    pte = this.ram.Read32(((pte & 0xFFFFFC00) << 2) + (((addr >> 12) & 0x3FF) << 2));
+    if (!(pte & PTE_V)) return -1;
+    return ((pte >> 10) << 12) | (addr & 0xFFF);
+};
+
+CPU.prototype.IsMapped = function(paddr) {
+    if (paddr < 0) return (paddr ^ 0x80000000) < this.ram.uint8mem.length;
+    return this.ram.devices[(paddr >> 24) & 0xFF] !== undefined;
+};
+
+// returns -1 on failure
+CPU.prototype.ReadMemory8 = function(addr) {
+    var paddr = this.Translate(addr);
+    if ((paddr == -1) || (!this.IsMapped(paddr))) return -1;
+    return this.ram.Read8(paddr);
+};
+
+CPU.prototype.WriteMemory8 = function(addr, x) {
+    var paddr = this.Translate(addr);
+    if ((paddr == -1) || (!this.IsMapped(paddr))) return false;
+    this.ram.Write8(paddr, x);
+    return true;
+};
+
+CPU.prototype.SetBreakpoint = function(addr) {
+    addr = addr | 0;
+    if (this.cpu.breakpoints[addr]) return;
+    this.cpu.breakpoints[addr] = true;
+    this.cpu.nbreakpoints++;
+};
+
+CPU.prototype.RemoveBreakpoint = function(addr) {
+    addr = addr | 0;
+    if (!this.cpu.breakpoints[addr]) return;
+    delete this.cpu.breakpoints[addr];
+    this.cpu.nbreakpoints--;
+};
+
+CPU.prototype.RemoveAllBreakpoints = function() {
+    if (!this.CanDebug()) return;
+    this.cpu.breakpoints = {};
+    this.cpu.nbreakpoints = 0;
+};
+
+// true if the next instruction to execute is at a breakpoint
+CPU.prototype.IsBreakpoint = function() {
+    if (!this.cpu.nbreakpoints) return false;
+    return this.cpu.breakpoints[this.GetPC()] === true;
+};
+
 // forward a couple of methods to the CPU implementation
 var forwardedMethods = [
     "Reset", 
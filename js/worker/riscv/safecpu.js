@@ -159,20 +159,31 @@ var QUIET_NAN = 0xFFFFFFFF;
 var SIGNALLING_NAN = 0x7FFFFFFF;
 
 // constructor
-function SafeCPU(ram, htif) {
+// Each hart has its own 32 kB area for the registers and CSRs in the heap
+function SafeCPU(ram, htif, hartid) {
     message.Debug("Initialize RISCV CPU");
 
     this.ram = ram;
 
     this.htif = htif;
 
+    this.hartid = hartid | 0;
+    var base = this.hartid << 15;
+
     // registers
-    this.r = new Int32Array(this.ram.heap, 0, 32);
-    this.f = new Float64Array(this.ram.heap, 32<<2, 32); 
-    this.fi = new Int32Array(this.ram.heap, 32<<2, 64); // for copying operations
-    this.ff = new Float32Array(this.ram.heap, 0, 1); // the zero register is used to convert to single precision
+    this.r = new Int32Array(this.ram.heap, base, 32);
+    this.f = new Float64Array(this.ram.heap, base + (32<<2), 32); 
+    this.fi = new Int32Array(this.ram.heap, base + (32<<2), 64); // for copying operations
+    this.ff = new Float32Array(this.ram.heap, base, 1); // the zero register is used to convert to single precision
+
+    this.csr = new Int32Array(this.ram.heap, base + 0x2000, 4096);
+
+    // all harts of a smp system. Needed to clear the reservations of the other harts.
+    this.harts = null;
 
-    this.csr = new Int32Array(this.ram.heap, 0x2000, 4096);
+    // breakpoints set by the debugger. The key is the address.
+    this.breakpoints = {};
+    this.nbreakpoints = 0;
 
     this.Reset();
 }
@@ -194,8 +205,8 @@ SafeCPU.prototype.Reset = function() {
     this.ticks = 0;
     this.prv = PRV_M;
     this.csr[CSR_MSTATUS]  = (0x0 << 24); // mbare vm mode, no mie, noe mprv
-    this.csr[CSR_MHARTID]  = 0x00; // hardware thread id is fixed to zero (= cpu id)
-    this.csr[CSR_MISA]     = (1<<8) | (1<<12) | (1<<0) | (1<<30) | (1<<5) | (1<<3); // base ISA, multiply mul/div, atomic instructions, 32-Bit, single precision, double precision
+    this.csr[CSR_MHARTID]  = this.hartid; // hardware thread id (= cpu id)
+    this.csr[CSR_MISA]     = (1<<8) | (1<<12) | (1<<0) | (1<<30) | (1<<5) | (1<<3) | (1<<2); // base ISA, multiply mul/div, atomic instructions, 32-Bit, single precision, double precision, compressed
     this.csr[CSR_MCAUSE]   = 0x00; // cause of the reset, hard reset
 
     // for atomic load & store instructions
@@ -203,6 +214,7 @@ SafeCPU.prototype.Reset = function() {
     this.amovalue = 0x00;
 
     this.pc = 0x1000; // implementation defined start address, boot into ROM
+    this.inslen = 4; // length of the current instruction in bytes
 }
 
 SafeCPU.prototype.InvalidateTLB = function() {
@@ -234,6 +246,194 @@ SafeCPU.prototype.ProgressTime = function (delta) {
 SafeCPU.prototype.AnalyzeImage = function() {
 }
 
+// Expands a 16-bit compressed instruction into the equivalent 32-bit instruction.
+// Returns 0 if the instruction is illegal.
+function Decompress(ins) {
+    ins = ins|0;
+    var rd = 0;
+    var rs2 = 0;
+    var rdp = 0;
+    var rs1p = 0;
+    var imm = 0;
+
+    rd = (ins >> 7) & 0x1F; // also rs1
+    rs2 = (ins >> 2) & 0x1F;
+    rdp = ((ins >> 2) & 0x7) + 8|0; // also rs2'
+    rs1p = ((ins >> 7) & 0x7) + 8|0;
+
+    // funct3 and quadrant
+    switch(((ins >> 11) & 0x1C) | (ins & 0x3)) {
+
+        case 0x00:
+            // c.addi4spn
+            imm = ((ins >> 7) & 0x30) | ((ins >> 1) & 0x3C0) | ((ins >> 4) & 0x4) | ((ins >> 2) & 0x8);
+            if ((imm|0) == 0) return 0;
+            return (imm << 20) | (2 << 15) | (rdp << 7) | 0x13;
+
+        case 0x04:
+            // c.fld
+            imm = ((ins >> 7) & 0x38) | ((ins << 1) & 0xC0);
+            return (imm << 20) | (rs1p << 15) | (0x3 << 12) | (rdp << 7) | 0x07;
+
+        case 0x08:
+            // c.lw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return (imm << 20) | (rs1p << 15) | (0x2 << 12) | (rdp << 7) | 0x03;
+
+        case 0x0C:
+            // c.flw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return (imm << 20) | (rs1p << 15) | (0x2 << 12) | (rdp << 7) | 0x07;
+
+        case 0x14:
+            // c.fsd
+            imm = ((ins >> 7) & 0x38) | ((ins << 1) & 0xC0);
+            return ((imm >> 5) << 25) | (rdp << 20) | (rs1p << 15) | (0x3 << 12) | ((imm & 0x1F) << 7) | 0x27;
+
+        case 0x18:
+            // c.sw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return ((imm >> 5) << 25) | (rdp << 20) | (rs1p << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x23;
+
+        case 0x1C:
+            // c.fsw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return ((imm >> 5) << 25) | (rdp << 20) | (rs1p << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x27;
+
+        case 0x01:
+            // c.addi, c.nop
+            imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+            return (imm << 20) | (rd << 15) | (rd << 7) | 0x13;
+
+        case 0x05:
+            // c.jal
+            imm = ((ins >> 1) & 0x800) | ((ins >> 7) & 0x10) | ((ins >> 1) & 0x300) | ((ins << 2) & 0x400) |
+                  ((ins >> 1) & 0x40) | ((ins << 1) & 0x80) | ((ins >> 2) & 0xE) | ((ins << 3) & 0x20);
+            imm = (imm << 20) >> 20;
+            return ((imm & 0x100000) << 11) | ((imm & 0x7FE) << 20) | ((imm & 0x800) << 9) | (imm & 0xFF000) | (1 << 7) | 0x6F;
+
+        case 0x09:
+            // c.li
+            imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+            return (imm << 20) | (rd << 7) | 0x13;
+
+        case 0x0D:
+            if ((rd|0) == 2) {
+                // c.addi16sp
+                imm = ((ins >> 3) & 0x200) | ((ins >> 2) & 0x10) | ((ins << 1) & 0x40) | ((ins << 4) & 0x180) | ((ins << 3) & 0x20);
+                imm = (imm << 22) >> 22;
+                if ((imm|0) == 0) return 0;
+                return (imm << 20) | (2 << 15) | (2 << 7) | 0x13;
+            }
+            // c.lui
+            imm = (((ins << 5) & 0x20000) | ((ins << 10) & 0x1F000)) << 14 >> 14;
+            if ((imm|0) == 0) return 0;
+            return imm | (rd << 7) | 0x37;
+
+        case 0x11:
+            switch((ins >> 10) & 0x3) {
+                case 0x0:
+                    // c.srli
+                    return (rs2 << 20) | (rs1p << 15) | (0x5 << 12) | (rs1p << 7) | 0x13;
+
+                case 0x1:
+                    // c.srai
+                    return 0x40000000 | (rs2 << 20) | (rs1p << 15) | (0x5 << 12) | (rs1p << 7) | 0x13;
+
+                case 0x2:
+                    // c.andi
+                    imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+                    return (imm << 20) | (rs1p << 15) | (0x7 << 12) | (rs1p << 7) | 0x13;
+            }
+            if (ins & 0x1000) return 0; // subw and addw are only defined for RV64
+            switch((ins >> 5) & 0x3) {
+                case 0x0:
+                    // c.sub
+                    return 0x40000000 | (rdp << 20) | (rs1p << 15) | (rs1p << 7) | 0x33;
+
+                case 0x1:
+                    // c.xor
+                    return (rdp << 20) | (rs1p << 15) | (0x4 << 12) | (rs1p << 7) | 0x33;
+
+                case 0x2:
+                    // c.or
+                    return (rdp << 20) | (rs1p << 15) | (0x6 << 12) | (rs1p << 7) | 0x33;
+            }
+            // c.and
+            return (rdp << 20) | (rs1p << 15) | (0x7 << 12) | (rs1p << 7) | 0x33;
+
+        case 0x15:
+            // c.j
+            imm = ((ins >> 1) & 0x800) | ((ins >> 7) & 0x10) | ((ins >> 1) & 0x300) | ((ins << 2) & 0x400) |
+                  ((ins >> 1) & 0x40) | ((ins << 1) & 0x80) | ((ins >> 2) & 0xE) | ((ins << 3) & 0x20);
+            imm = (imm << 20) >> 20;
+            return ((imm & 0x100000) << 11) | ((imm & 0x7FE) << 20) | ((imm & 0x800) << 9) | (imm & 0xFF000) | 0x6F;
+
+        case 0x19:
+        case 0x1D:
+            // c.beqz, c.bnez
+            imm = ((ins >> 4) & 0x100) | ((ins >> 7) & 0x18) | ((ins << 1) & 0xC0) | ((ins >> 2) & 0x6) | ((ins << 3) & 0x20);
+            imm = (imm << 23) >> 23;
+            return ((imm & 0x1000) << 19) | ((imm & 0x7E0) << 20) | (rs1p << 15) | (((ins >> 13) & 0x1) << 12) |
+                   ((imm & 0x1E) << 7) | ((imm & 0x800) >> 4) | 0x63;
+
+        case 0x02:
+            // c.slli
+            return (rs2 << 20) | (rd << 15) | (0x1 << 12) | (rd << 7) | 0x13;
+
+        case 0x06:
+            // c.fldsp
+            imm = ((ins >> 7) & 0x20) | ((ins >> 2) & 0x18) | ((ins << 4) & 0x1C0);
+            return (imm << 20) | (2 << 15) | (0x3 << 12) | (rd << 7) | 0x07;
+
+        case 0x0A:
+            // c.lwsp
+            if ((rd|0) == 0) return 0;
+            imm = ((ins >> 7) & 0x20) | ((ins >> 2) & 0x1C) | ((ins << 4) & 0xC0);
+            return (imm << 20) | (2 << 15) | (0x2 << 12) | (rd << 7) | 0x03;
+
+        case 0x0E:
+            // c.flwsp
+            imm = ((ins >> 7) & 0x20) | ((ins >> 2) & 0x1C) | ((ins << 4) & 0xC0);
+            return (imm << 20) | (2 << 15) | (0x2 << 12) | (rd << 7) | 0x07;
+
+        case 0x12:
+            if ((ins & 0x1000) == 0) {
+                if ((rs2|0) == 0) {
+                    // c.jr
+                    if ((rd|0) == 0) return 0;
+                    return (rd << 15) | 0x67;
+                }
+                // c.mv
+                return (rs2 << 20) | (rd << 7) | 0x33;
+            }
+            if ((rs2|0) == 0) {
+                // c.ebreak
+                if ((rd|0) == 0) return 0x00100073;
+                // c.jalr
+                return (rd << 15) | (1 << 7) | 0x67;
+            }
+            // c.add
+            return (rs2 << 20) | (rd << 15) | (rd << 7) | 0x33;
+
+        case 0x16:
+            // c.fsdsp
+            imm = ((ins >> 7) & 0x38) | ((ins >> 1) & 0x1C0);
+            return ((imm >> 5) << 25) | (rs2 << 20) | (2 << 15) | (0x3 << 12) | ((imm & 0x1F) << 7) | 0x27;
+
+        case 0x1A:
+            // c.swsp
+            imm = ((ins >> 7) & 0x3C) | ((ins >> 1) & 0xC0);
+            return ((imm >> 5) << 25) | (rs2 << 20) | (2 << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x23;
+
+        case 0x1E:
+            // c.fswsp
+            imm = ((ins >> 7) & 0x3C) | ((ins >> 1) & 0xC0);
+            return ((imm >> 5) << 25) | (rs2 << 20) | (2 << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x27;
+    }
+    return 0;
+}
+
 // Count number of contiguous 0 bits starting from the LSB.
 function ctz(val)
 {
@@ -253,6 +453,9 @@ SafeCPU.prototype.RaiseInterrupt = function (line, cpuid) {
     if (line == IRQ_S_EXT) {
         this.csr[CSR_MIP] |= MIP_SEIP; // EXT
     }
+    if (line == IRQ_M_SOFT) {
+        this.csr[CSR_MIP] |= MIP_MSIP; // IPI
+    }
 };
 
 SafeCPU.prototype.ClearInterrupt = function (line, cpuid) {
@@ -260,6 +463,18 @@ SafeCPU.prototype.ClearInterrupt = function (line, cpuid) {
     if (line == IRQ_S_EXT) {
         this.csr[CSR_MIP] &= ~MIP_SEIP; // EXT
     }
+    if (line == IRQ_M_SOFT) {
+        this.csr[CSR_MIP] &= ~MIP_MSIP; // IPI
+    }
+};
+
+// A store clears the reservations of the other harts for the same address
+SafeCPU.prototype.Snoop = function (paddr) {
+    paddr = paddr & (~3);
+    for(var i=0; i<this.harts.length; i++) {
+        if (this.harts[i] === this) continue;
+        if (this.harts[i].amoaddr == paddr) this.harts[i].amoaddr = 0x00;
+    }
 };
 
 SafeCPU.prototype.CheckForInterrupt = function () {
@@ -344,11 +559,11 @@ SafeCPU.prototype.Trap = function (cause, epc, addr) {
 SafeCPU.prototype.MemAccessTrap = function(addr, op) {
     switch(op) {
         case VM_READ:
-            this.Trap(CAUSE_LOAD_PAGE_FAULT, this.pc - 4|0, addr);
+            this.Trap(CAUSE_LOAD_PAGE_FAULT, this.pc - this.inslen|0, addr);
             break;
 
         case VM_WRITE:
-            this.Trap(CAUSE_STORE_PAGE_FAULT, this.pc - 4|0, addr);
+            this.Trap(CAUSE_STORE_PAGE_FAULT, this.pc - this.inslen|0, addr);
             break;
 
         case VM_FETCH:
@@ -816,9 +1031,26 @@ this.n = 0;
             continue;
         }
 
-        ins = this.ram.Read32(paddr);
-        //DebugIns.Disassemble(ins, r, csr, this.pc);
-        this.pc = this.pc + 4|0;
+        ins = this.ram.Read16(paddr) & 0xFFFF;
+        if ((ins & 3) == 3) {
+            // the upper half of a 32-bit instruction can be on the next page
+            if ((this.pc & 0xFFF) == 0xFFE) {
+                paddr = this.TranslateVM(this.pc + 2|0, VM_FETCH)|0;
+                if(paddr == -1) {
+                    continue;
+                }
+                paddr = paddr - 2|0;
+            }
+            ins = ins | (this.ram.Read16(paddr + 2|0) << 16);
+            //DebugIns.Disassemble(ins, r, csr, this.pc);
+            this.pc = this.pc + 4|0;
+            this.inslen = 4;
+        } else {
+            //DebugIns.DisassembleCompressed(ins, r, csr, this.pc);
+            ins = Decompress(ins);
+            this.pc = this.pc + 2|0;
+            this.inslen = 2;
+        }
 
         switch(ins&0x7F) {
 
@@ -839,7 +1071,7 @@ this.n = 0;
                     case 0x01:
                         // lh
                         if (rs1+imm & 1) {
-                             this.Trap(CAUSE_MISALIGNED_LOAD, this.pc - 4|0, rs1+imm|0);
+                             this.Trap(CAUSE_MISALIGNED_LOAD, this.pc - this.inslen|0, rs1+imm|0);
                              //message.Debug("Error in lh: unaligned address");
                              //message.Abort();
                              break;
@@ -852,7 +1084,7 @@ this.n = 0;
                     case 0x02:
                         // lw
                         if (rs1+imm & 3) {
-                             this.Trap(CAUSE_MISALIGNED_LOAD, this.pc - 4|0, rs1+imm|0);
+                             this.Trap(CAUSE_MISALIGNED_LOAD, this.pc - this.inslen|0, rs1+imm|0);
                              //message.Debug("Error in lw: unaligned address");
                              //message.Abort();
                              break;
@@ -910,12 +1142,13 @@ this.n = 0;
                         paddr = this.TranslateVM(rs1 + imm|0, VM_WRITE)|0;
                         if(paddr == -1) break;
                         this.ram.Write8(paddr, (r[rindex] & 0xFF));
+                        if (this.harts) this.Snoop(paddr);
                         break;
 
                     case 0x01:
                         // sh
                         if (rs1+imm & 1) {
-                             this.Trap(CAUSE_MISALIGNED_STORE, this.pc - 4|0, rs1+imm|0);
+                             this.Trap(CAUSE_MISALIGNED_STORE, this.pc - this.inslen|0, rs1+imm|0);
                              //message.Debug("Error in sh: unaligned address");
                              //message.Abort();
                              break;
@@ -923,12 +1156,13 @@ this.n = 0;
                         paddr = this.TranslateVM(rs1 + imm|0, VM_WRITE)|0;
                         if(paddr == -1) break;
                         this.ram.Write16(paddr, (r[rindex] & 0xFFFF));
+                        if (this.harts) this.Snoop(paddr);
                         break;
 
                     case 0x02:
                         // sw
                         if (rs1+imm & 3) {
-                             this.Trap(CAUSE_MISALIGNED_STORE, this.pc - 4|0, rs1+imm|0);
+                             this.Trap(CAUSE_MISALIGNED_STORE, this.pc - this.inslen|0, rs1+imm|0);
                              //message.Debug("Error in sw: unaligned address");
                              //message.Abort();
                              break;
@@ -936,6 +1170,7 @@ this.n = 0;
                         paddr = this.TranslateVM(rs1 + imm|0, VM_WRITE)|0;
                         if(paddr == -1) break;
                         this.ram.Write32(paddr, r[rindex]);
+                        if (this.harts) this.Snoop(paddr);
                         if ((paddr>>>0) == 0x8000a00c) {
                             //message.Debug("Write tohost at " + utils.ToHex(this.pc));
                             this.htif.WriteDEVCMDToHost(this.ram.Read32(paddr));
@@ -1184,7 +1419,7 @@ this.n = 0;
                 // auipc
                 imm = ins & 0xFFFFF000;
                 rindex = (ins >> 7) & 0x1F;
-                r[rindex] = this.pc + imm - 4|0;
+                r[rindex] = this.pc + imm - this.inslen|0;
                 break;
 
             case 0x6F:
@@ -1196,7 +1431,7 @@ this.n = 0;
                 imm =  (imm1 | imm2 | imm3 | imm4 ) << 1; 
                 rindex = (ins >> 7) & 0x1F;
                 r[rindex] = this.pc;
-                this.pc = this.pc + imm - 4|0;
+                this.pc = this.pc + imm - this.inslen|0;
                 break; 
 
             case 0x67:
@@ -1224,32 +1459,32 @@ this.n = 0;
                     
                     case 0x00:
                         // beq
-                        if(rs1 == rs2) this.pc = this.pc + imm - 4|0;
+                        if(rs1 == rs2) this.pc = this.pc + imm - this.inslen|0;
                         break;
 
                     case 0x01:
                         // bne
-                        if(rs1 != rs2) this.pc = this.pc + imm - 4|0;
+                        if(rs1 != rs2) this.pc = this.pc + imm - this.inslen|0;
                         break;
 
                     case 0x04:
                         // blt
-                        if(rs1 < rs2) this.pc = this.pc + imm - 4|0;
+                        if(rs1 < rs2) this.pc = this.pc + imm - this.inslen|0;
                         break;
 
                     case 0x05:
                         // bge
-                        if(rs1 >= rs2) this.pc = this.pc + imm - 4|0;
+                        if(rs1 >= rs2) this.pc = this.pc + imm - this.inslen|0;
                         break;
 
                     case 0x06:
                         // bltu
-                        if((rs1>>>0) < (rs2>>>0)) this.pc = this.pc + imm - 4|0;
+                        if((rs1>>>0) < (rs2>>>0)) this.pc = this.pc + imm - this.inslen|0;
                         break;
 
                     case 0x07:
                         // bgeu
-                        if((rs1>>>0) >= (rs2>>>0)) this.pc = this.pc + imm - 4|0;
+                        if((rs1>>>0) >= (rs2>>>0)) this.pc = this.pc + imm - this.inslen|0;
                         break;
 
                     default:
@@ -1323,20 +1558,20 @@ this.n = 0;
                                 switch(this.prv)
                                 {
                                     case PRV_U:
-                                        this.Trap(CAUSE_USER_ECALL, this.pc - 4|0, -1);
+                                        this.Trap(CAUSE_USER_ECALL, this.pc - this.inslen|0, -1);
                                         break;
 
                                     case PRV_S:
-                                        this.Trap(CAUSE_SUPERVISOR_ECALL, this.pc - 4|0, -1);
+                                        this.Trap(CAUSE_SUPERVISOR_ECALL, this.pc - this.inslen|0, -1);
                                         break;
 
                                     case PRV_H:
-                                        this.Trap(CAUSE_HYPERVISOR_ECALL, this.pc - 4|0, -1);
+                                        this.Trap(CAUSE_HYPERVISOR_ECALL, this.pc - this.inslen|0, -1);
                                         this.Abort();
                                         break;
 
                                     case PRV_M:
-                                        this.Trap(CAUSE_MACHINE_ECALL, this.pc - 4|0, -1);
+                                        this.Trap(CAUSE_MACHINE_ECALL, this.pc - this.inslen|0, -1);
                                         break;
                                     
                                     default:
@@ -1348,7 +1583,7 @@ this.n = 0;
 
                             case 0x001:
                                 // ebreak
-                                this.Trap(CAUSE_BREAKPOINT, this.pc - 4|0, -1);
+                                this.Trap(CAUSE_BREAKPOINT, this.pc - this.inslen|0, -1);
                                 break;
 
                             case 0x102:
@@ -1473,6 +1708,7 @@ this.n = 0;
                         paddr = this.TranslateVM(rs1 + imm|0, VM_WRITE)|0;
                         if(paddr == -1) break;
                         this.ram.Write32(paddr, r[0]);
+                        if (this.harts) this.Snoop(paddr);
                         break;
 
                     case 0x03:
@@ -1485,6 +1721,10 @@ this.n = 0;
                         if (paddr == -1) break;
                         this.ram.Write32(paddr+0, fi[(rindex<<1) + 0]);
                         this.ram.Write32(paddr+4, fi[(rindex<<1) + 1]);
+                        if (this.harts) {
+                            this.Snoop(paddr);
+                            this.Snoop(paddr+4);
+                        }
                         break;
 
                     default:
@@ -1672,6 +1912,8 @@ this.n = 0;
                 rindex = (ins >> 7) & 0x1F;
                 paddr = this.TranslateVM(rs1|0, VM_READ)|0;
                 if (paddr == -1) break;
+                // all instructions except lr and sc write to the memory
+                if (this.harts && (((ins >> 27) & 0x1E) != 0x02)) this.Snoop(paddr);
 
                 switch((ins >> 27)&0x1F) {
                     
@@ -1758,13 +2000,13 @@ this.n = 0;
                     case 0x02:
                         // lr.d
                         r[rindex] = this.ram.Read32(paddr);
-                        this.amoaddr = rs1;
+                        this.amoaddr = paddr;
                         this.amovalue = r[rindex];
                         break;
 
                     case 0x03:
                         // sc.d
-                        if(rs1 != this.amoaddr) {
+                        if(paddr != this.amoaddr) {
                             r[rindex] = 0x01;
                             break;
                         }
@@ -1776,6 +2018,8 @@ this.n = 0;
                         paddr = this.TranslateVM(rs1, VM_WRITE)|0;
                         if (paddr == -1) break;
                         this.ram.Write32(paddr, rs2);
+                        this.amoaddr = 0x00;
+                        if (this.harts) this.Snoop(paddr);
                         break;
 
                     default:
@@ -1792,18 +2036,14 @@ this.n = 0;
 
 
             default:
-                if ((ins&3) != 3) {
-                    message.Debug("Error in safecpu: Compressed Instruction " + utils.ToHex(ins&0xFFFF) + " not supported at "+utils.ToHex(this.pc-4));
-                } else {
-                    message.Debug("Error in safecpu: Instruction " + utils.ToHex(ins) + " not found at "+utils.ToHex(this.pc-4));
-                }
+                message.Debug("Error in safecpu: Instruction " + utils.ToHex(ins) + " not found at "+utils.ToHex(this.pc - this.inslen));
                 message.Abort();
                 break;
         }
 
-    } while(steps=steps-1|0);
+    } while((steps=steps-1|0) && !(this.nbreakpoints && this.breakpoints[this.pc]));
 
-    return 0;
+    return steps;
 };
 
 module.exports = SafeCPU;
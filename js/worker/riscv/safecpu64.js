@@ -0,0 +1,2619 @@
+// -------------------------------------------------
+// ------------------ CPU 64-Bit -------------------
+// -------------------------------------------------
+// RV64IMAFDC core with Sv39 paging.
+// The 64-bit registers are stored as pairs of 32-bit integers,
+// the lower half at the even index and the upper half at the odd index.
+
+"use strict";
+var message = require('../messagehandler');
+var utils = require('../utils');
+var imul = require('../imul');
+
+var PRV_U = 0x00;  // user mode
+var PRV_S = 0x01;  // supervisor mode
+var PRV_H = 0x02;  // hypervisor mode
+var PRV_M = 0x03;  // machine mode
+
+var VM_READ  = 0;
+var VM_WRITE = 1;
+var VM_FETCH = 2;
+
+var CAUSE_MISALIGNED_FETCH    = 0x0;
+var CAUSE_FETCH_ACCESS        = 0x1;
+var CAUSE_ILLEGAL_INSTRUCTION = 0x2;
+var CAUSE_BREAKPOINT          = 0x3;
+var CAUSE_MISALIGNED_LOAD     = 0x4;
+var CAUSE_LOAD_ACCESS         = 0x5;
+var CAUSE_MISALIGNED_STORE    = 0x6;
+var CAUSE_STORE_ACCESS        = 0x7;
+var CAUSE_USER_ECALL          = 0x8;
+var CAUSE_SUPERVISOR_ECALL    = 0x9;
+var CAUSE_HYPERVISOR_ECALL    = 0xa;
+var CAUSE_MACHINE_ECALL       = 0xb;
+var CAUSE_FETCH_PAGE_FAULT    = 0xc;
+var CAUSE_LOAD_PAGE_FAULT     = 0xd;
+var CAUSE_STORE_PAGE_FAULT    = 0xf;
+
+// indexed by the type of the memory access
+var PAGE_FAULT = [CAUSE_LOAD_PAGE_FAULT, CAUSE_STORE_PAGE_FAULT, CAUSE_FETCH_PAGE_FAULT];
+var ACCESS_FAULT = [CAUSE_LOAD_ACCESS, CAUSE_STORE_ACCESS, CAUSE_FETCH_ACCESS];
+
+var MSTATUS_UIE     = 0x00000001; // interrupt enable bits
+var MSTATUS_SIE     = 0x00000002;
+var MSTATUS_HIE     = 0x00000004;
+var MSTATUS_MIE     = 0x00000008; // machine
+var MSTATUS_UPIE    = 0x00000010; // interrupt-enable bit active prior to the trap
+var MSTATUS_SPIE    = 0x00000020;
+var MSTATUS_HPIE    = 0x00000040;
+var MSTATUS_MPIE    = 0x00000080;
+var MSTATUS_SPP     = 0x00000100; // previous privilege  mode
+var MSTATUS_HPP     = 0x00000600;
+var MSTATUS_MPP     = 0x00001800; // privilege mode
+var MSTATUS_FS      = 0x00006000; // tracking current state of floating point unit
+var MSTATUS_XS      = 0x00018000; // status of user-mode extensions
+var MSTATUS_MPRV    = 0x00020000; // priviege level at which loads and stores execute
+var MSTATUS_SUM     = 0x00040000; // supervisor may access user memory
+var MSTATUS_MXR     = 0x00080000; // make executable readable
+var MSTATUS_TVM     = 0x00100000;
+var MSTATUS_TW      = 0x00200000;
+var MSTATUS_TSR     = 0x00400000;
+
+// upper 32 bits of mstatus
+var MSTATUSH_UXL    = 0x00000003; // xlen of user mode
+var MSTATUSH_SXL    = 0x0000000C; // xlen of supervisor mode
+var MSTATUSH_SD     = 0x80000000;
+
+var SSTATUS_MASK = MSTATUS_SIE | MSTATUS_SPIE | MSTATUS_SPP | MSTATUS_FS | MSTATUS_XS | MSTATUS_SUM | MSTATUS_MXR;
+
+var SATP_MODE_OFF  = 0;
+var SATP_MODE_SV39 = 8;
+
+// page table entry (PTE) fields
+var PTE_V     = 0x001 // Valid
+var PTE_R     = 0x002 // Read
+var PTE_W     = 0x004 // Write
+var PTE_X     = 0x008 // Execute
+var PTE_U     = 0x010 // User
+var PTE_G     = 0x020 // Global
+var PTE_A     = 0x040 // Accessed
+var PTE_D     = 0x080 // Dirty
+var PTE_SOFT  = 0x300 // Reserved for Software
+
+var IRQ_S_SOFT  = 1;
+var IRQ_H_SOFT  = 2;
+var IRQ_M_SOFT  = 3;
+var IRQ_S_TIMER = 5;
+var IRQ_H_TIMER = 6;
+var IRQ_M_TIMER = 7;
+var IRQ_S_EXT   = 9;
+var IRQ_H_EXT   = 10;
+var IRQ_M_EXT   = 11;
+
+var MIP_SSIP = (1 << IRQ_S_SOFT);
+var MIP_MSIP = (1 << IRQ_M_SOFT);
+var MIP_STIP = (1 << IRQ_S_TIMER);
+var MIP_MTIP = (1 << IRQ_M_TIMER);
+var MIP_SEIP = (1 << IRQ_S_EXT);
+var MIP_MEIP = (1 << IRQ_M_EXT);
+
+// interrupts in the order of their priority
+var IRQ_PRIORITY = [IRQ_M_EXT, IRQ_M_SOFT, IRQ_M_TIMER, IRQ_S_EXT, IRQ_S_SOFT, IRQ_S_TIMER];
+
+// User CSRs standard read/write
+var CSR_FFLAGS    = 0x001; // Floating-Point Accrued Exceptions
+var CSR_FRM       = 0x002; // Floating-Point Dynamic Rounding Mode
+var CSR_FCSR      = 0x003; // Floating-Point Control and Status Register
+
+// Supervisor CSRs standard read/write
+var CSR_SSTATUS    = 0x100; // Supervisor status register
+var CSR_SIE        = 0x104; // Supervisor interrupt-enable register
+var CSR_STVEC      = 0x105; // Supervisor trap handler base address.
+var CSR_SCOUNTEREN = 0x106; // machine counter enable register (supervisor)
+var CSR_SSCRATCH   = 0x140; // Scratch register for supervisor trap handlers.
+var CSR_SEPC       = 0x141; // Supervisor exception program counter
+var CSR_SCAUSE     = 0x142; // Supervisor trap cause
+var CSR_STVAL      = 0x143; // Supervisor bad address or instruction
+var CSR_SIP        = 0x144; // Supervisor interrupt pending
+var CSR_SATP       = 0x180; // Supervisor address translation and protection
+
+// Machine CSRs standard read/write
+var CSR_MSTATUS   = 0x300; // Machine status register
+var CSR_MISA      = 0x301; // ISA and extensions supported
+var CSR_MEDELEG   = 0x302; // Machine exception delegation register.
+var CSR_MIDELEG   = 0x303; // Machine interrupt delegation register.
+var CSR_MIE       = 0x304; // Machine interrupt-enable register
+var CSR_MTVEC     = 0x305; // Machine trap-handler base address.
+var CSR_MCOUNTEREN = 0x306; // machine counter enable register (user)
+var CSR_MCOUNTINHIBIT = 0x320;
+
+var CSR_MSCRATCH  = 0x340; // Scratch register for machine trap handlers
+var CSR_MEPC      = 0x341; // Machine exception program counter
+var CSR_MCAUSE    = 0x342; // Machine trap cause
+var CSR_MTVAL     = 0x343; // Machine bad address or instruction
+var CSR_MIP       = 0x344; // Machine interrupt pending
+
+var CSR_PMPCFG0   = 0x3a0;
+var CSR_PMPCFG15  = 0x3af;
+var CSR_PMPADDR0  = 0x3b0;
+var CSR_PMPADDR63 = 0x3ef;
+
+// debug trigger registers
+var CSR_TSELECT   = 0x7A0;
+var CSR_TDATA1    = 0x7A1;
+var CSR_TDATA2    = 0x7A2;
+var CSR_TDATA3    = 0x7A3;
+
+var CSR_MCYCLE    = 0xB00;
+var CSR_MINSTRET  = 0xB02;
+var CSR_MHPMCOUNTER3  = 0xB03;
+var CSR_MHPMCOUNTER31 = 0xB1F;
+var CSR_MHPMEVENT3    = 0x323;
+var CSR_MHPMEVENT31   = 0x33F;
+
+// user CSRs standard read only
+var CSR_CYCLE     = 0xC00; // Cycle counter for RDCYCLE instruction
+var CSR_TIME      = 0xC01; // Timer for RDTIME instruction
+var CSR_INSTRET   = 0xC02; // Instructions-retired counter for RDINSTRET instruction
+var CSR_HPMCOUNTER31 = 0xC1F;
+
+// These are special CSRs just for this emulator to connect the CLINT to the CPU
+// because the timer is handled in the CPU part
+var CSR_TIMECMP   = 0xC41;
+var CSR_TIMEH     = 0xC81; // upper 32 bits of time
+var CSR_TIMECMPH  = 0xCC1; // upper 32 bits of timecmp
+
+// machine CSRs standard read-only
+var CSR_MVENDORID  = 0xF11;
+var CSR_MARCHID    = 0xF12;
+var CSR_MIMPID     = 0xF13;
+var CSR_MHARTID    = 0xF14;
+var CSR_MCONFIGPTR = 0xF15;
+
+var QUIET_NAN = 0x7FC00000; // canonical single precision NaN
+
+// the functions for 64-bit arithmetic return the lower 32 bits
+// and store the upper 32 bits in this variable
+var high = 0;
+
+function Add64(alo, ahi, blo, bhi) {
+    var lo = (alo + blo)|0;
+    high = (ahi + bhi + (((lo >>> 0) < (alo >>> 0))?1:0))|0;
+    return lo;
+}
+
+function Sub64(alo, ahi, blo, bhi) {
+    var lo = (alo - blo)|0;
+    high = (ahi - bhi - (((alo >>> 0) < (blo >>> 0))?1:0))|0;
+    return lo;
+}
+
+function Neg64(lo, hi) {
+    return Sub64(0, 0, lo, hi);
+}
+
+function Sll64(lo, hi, shift) {
+    shift = shift & 0x3F;
+    if (shift == 0) {
+        high = hi;
+        return lo;
+    }
+    if (shift >= 32) {
+        high = lo << (shift - 32);
+        return 0;
+    }
+    high = (hi << shift) | (lo >>> (32 - shift));
+    return lo << shift;
+}
+
+function Srl64(lo, hi, shift) {
+    shift = shift & 0x3F;
+    if (shift == 0) {
+        high = hi;
+        return lo;
+    }
+    if (shift >= 32) {
+        high = 0;
+        return hi >>> (shift - 32);
+    }
+    high = hi >>> shift;
+    return (lo >>> shift) | (hi << (32 - shift));
+}
+
+function Sra64(lo, hi, shift) {
+    shift = shift & 0x3F;
+    if (shift == 0) {
+        high = hi;
+        return lo;
+    }
+    if (shift >= 32) {
+        high = hi >> 31;
+        return hi >> (shift - 32);
+    }
+    high = hi >> shift;
+    return (lo >>> shift) | (hi << (32 - shift));
+}
+
+function Less64(alo, ahi, blo, bhi) {
+    return (ahi < bhi) || ((ahi == bhi) && ((alo >>> 0) < (blo >>> 0)));
+}
+
+function LessU64(alo, ahi, blo, bhi) {
+    return ((ahi >>> 0) < (bhi >>> 0)) || ((ahi == bhi) && ((alo >>> 0) < (blo >>> 0)));
+}
+
+// unsigned 32-bit x 32-bit multiplication with 64-bit result
+function UMul32(a, b) {
+    a >>>= 0;
+    b >>>= 0;
+
+    var a00 = a & 0xFFFF, a16 = a >>> 16;
+    var b00 = b & 0xFFFF, b16 = b >>> 16;
+
+    var c00 = a00 * b00;
+    var c16 = (c00 >>> 16) + (a16 * b00);
+    var c32 = c16 >>> 16;
+    c16 = (c16 & 0xFFFF) + (a00 * b16);
+    c32 += c16 >>> 16;
+    var c48 = c32 >>> 16;
+    c32 = (c32 & 0xFFFF) + (a16 * b16);
+    c48 += c32 >>> 16;
+
+    high = ((c48 & 0xFFFF) << 16) | (c32 & 0xFFFF);
+    return ((c16 & 0xFFFF) << 16) | (c00 & 0xFFFF);
+}
+
+// lower 64 bits of the product, which are the same for signed and unsigned numbers
+function Mul64(alo, ahi, blo, bhi) {
+    var lo = UMul32(alo, blo);
+    high = (high + imul(alo, bhi) + imul(ahi, blo))|0;
+    return lo;
+}
+
+// upper 64 bits of the unsigned 128-bit product
+function MulHU64(alo, ahi, blo, bhi) {
+    var p00 = UMul32(alo, blo), p00h = high;
+    var p01 = UMul32(alo, bhi), p01h = high;
+    var p10 = UMul32(ahi, blo), p10h = high;
+    var p11 = UMul32(ahi, bhi), p11h = high;
+
+    var w1 = (p00h >>> 0) + (p01 >>> 0) + (p10 >>> 0);
+    var w2 = (p01h >>> 0) + (p10h >>> 0) + (p11 >>> 0) + Math.floor(w1 / 4294967296);
+    high = (p11h + Math.floor(w2 / 4294967296))|0;
+    return w2|0;
+}
+
+// upper 64 bits of the signed x unsigned 128-bit product
+function MulHSU64(alo, ahi, blo, bhi) {
+    var lo = MulHU64(alo, ahi, blo, bhi);
+    if (ahi < 0) lo = Sub64(lo, high, blo, bhi);
+    return lo;
+}
+
+// upper 64 bits of the signed 128-bit product
+function MulH64(alo, ahi, blo, bhi) {
+    var lo = MulHSU64(alo, ahi, blo, bhi);
+    if (bhi < 0) lo = Sub64(lo, high, alo, ahi);
+    return lo;
+}
+
+// quotient and remainder of the last division
+var quotient = new Int32Array(2);
+var remainder = new Int32Array(2);
+
+function DivRemU64(alo, ahi, blo, bhi) {
+    if ((ahi == 0) && (bhi == 0)) {
+        var q = Math.floor((alo >>> 0) / (blo >>> 0));
+        quotient[0] = q|0;
+        quotient[1] = 0;
+        remainder[0] = ((alo >>> 0) - q * (blo >>> 0))|0;
+        remainder[1] = 0;
+        return;
+    }
+    // long division bit by bit
+    var qlo = 0, qhi = 0, rlo = 0, rhi = 0;
+    var carry = 0;
+    for(var i=63; i>=0; i--) {
+        carry = rhi >>> 31;
+        rhi = (rhi << 1) | (rlo >>> 31);
+        rlo = (rlo << 1) | (((i >= 32) ? (ahi >>> (i - 32)) : (alo >>> i)) & 1);
+        if (carry || !LessU64(rlo, rhi, blo, bhi)) {
+            rlo = Sub64(rlo, rhi, blo, bhi);
+            rhi = high;
+            if (i >= 32) qhi = qhi | (1 << (i - 32)); else qlo = qlo | (1 << i);
+        }
+    }
+    quotient[0] = qlo;
+    quotient[1] = qhi;
+    remainder[0] = rlo;
+    remainder[1] = rhi;
+}
+
+// The overflow case -2^63 / -1 results in -2^63 by itself
+function DivRem64(alo, ahi, blo, bhi) {
+    var negquo = (ahi ^ bhi) < 0;
+    var negrem = ahi < 0;
+    if (ahi < 0) {
+        alo = Neg64(alo, ahi);
+        ahi = high;
+    }
+    if (bhi < 0) {
+        blo = Neg64(blo, bhi);
+        bhi = high;
+    }
+    DivRemU64(alo, ahi, blo, bhi);
+    if (negquo) {
+        quotient[0] = Neg64(quotient[0], quotient[1]);
+        quotient[1] = high;
+    }
+    if (negrem) {
+        remainder[0] = Neg64(remainder[0], remainder[1]);
+        remainder[1] = high;
+    }
+}
+
+function RoundToInteger(x, rm) {
+    switch(rm) {
+        case 1: // towards zero
+            return (x < 0) ? Math.ceil(x) : Math.floor(x);
+        case 2: // down
+            return Math.floor(x);
+        case 3: // up
+            return Math.ceil(x);
+        case 4: // to nearest, ties to max magnitude
+            return (x < 0) ? -Math.floor(-x + 0.5) : Math.floor(x + 0.5);
+    }
+    // to nearest, ties to even
+    var y = Math.floor(x);
+    var d = x - y;
+    if ((d > 0.5) || ((d == 0.5) && (y % 2 != 0))) y = y + 1;
+    return y;
+}
+
+function FMin(a, b) {
+    if (a != a) return b;
+    if (b != b) return a;
+    if ((a == 0) && (b == 0)) return (1/a < 0) ? a : b;
+    return (a < b) ? a : b;
+}
+
+function FMax(a, b) {
+    if (a != a) return b;
+    if (b != b) return a;
+    if ((a == 0) && (b == 0)) return (1/a > 0) ? a : b;
+    return (a > b) ? a : b;
+}
+
+// min is the smallest normal number
+function FClass(x, sign, quiet, min) {
+    if (x != x) return quiet ? (1 << 9) : (1 << 8);
+    if (x == Infinity) return (1 << 7);
+    if (x == -Infinity) return (1 << 0);
+    if (x == 0) return sign ? (1 << 3) : (1 << 4);
+    if (Math.abs(x) < min) return sign ? (1 << 2) : (1 << 5);
+    return sign ? (1 << 1) : (1 << 6);
+}
+
+// constructor
+function SafeCPU64(ram, htif) {
+    message.Debug("Initialize RISCV 64-Bit CPU");
+
+    this.ram = ram;
+
+    this.htif = htif;
+
+    // registers
+    this.r = new Int32Array(this.ram.heap, 0, 64);
+    this.f = new Float64Array(this.ram.heap, 64<<2, 32);
+    this.fi = new Int32Array(this.ram.heap, 64<<2, 64); // for copying operations
+    this.fs = new Float32Array(this.ram.heap, 64<<2, 64); // single precision values in the lower halves
+
+    this.csr = new Int32Array(this.ram.heap, 0x2000, 4096);
+    this.csrh = new Int32Array(this.ram.heap, 0x6000, 4096); // upper 32 bits
+
+    // one translation for each type of access: valid, virtual page, upper half of the virtual page, physical page
+    this.tlb = new Int32Array(3*4);
+
+    this.Reset();
+}
+
+function get_field(reg, mask) {
+    var reg  = reg|0;
+    var mask = mask|0;
+    return ((reg & mask) / (mask & ~(mask << 1)))|0;
+}
+
+function set_field(reg, mask, val) {
+    var reg  = reg | 0;
+    var mask = mask | 0;
+    var val  = val | 0;
+    return (reg & ~mask) | ((val * (mask & ~(mask << 1))) & mask);
+}
+
+SafeCPU64.prototype.Reset = function() {
+    for(var i=0; i<4096; i++) {
+        this.csr[i] = 0x0;
+        this.csrh[i] = 0x0;
+    }
+    this.ticks = 0;
+    this.ticksh = 0;
+    this.prv = PRV_M;
+    this.csr[CSR_MSTATUS]  = 0x0; // mbare vm mode, no mie, noe mprv
+    this.csrh[CSR_MSTATUS] = (2 << 2) | 2; // 64-Bit supervisor and user mode
+    this.csr[CSR_MHARTID]  = 0x00; // hardware thread id is fixed to zero (= cpu id)
+    // base ISA, multiply mul/div, atomic instructions, single precision, double precision, compressed, supervisor mode, user mode
+    this.csr[CSR_MISA]     = (1<<8) | (1<<12) | (1<<0) | (1<<5) | (1<<3) | (1<<2) | (1<<18) | (1<<20);
+    this.csrh[CSR_MISA]    = 2 << 30; // 64-Bit
+    this.csr[CSR_MCAUSE]   = 0x00; // cause of the reset, hard reset
+
+    // for atomic load & store instructions
+    this.amoaddr = 0x00;
+    this.amovalue = 0x00;
+    this.amovalueh = 0x00;
+
+    this.pc = 0x1000; // implementation defined start address, boot into ROM
+    this.pch = 0x0;
+    this.inslen = 4; // length of the current instruction in bytes
+    this.InvalidateTLB();
+}
+
+SafeCPU64.prototype.InvalidateTLB = function() {
+    this.tlb[0] = 0;
+    this.tlb[4] = 0;
+    this.tlb[8] = 0;
+}
+
+SafeCPU64.prototype.GetTimeToNextInterrupt = function () {
+    var csr = this.csr;
+    if (!LessU64(this.ticks, this.ticksh, csr[CSR_TIMECMP], csr[CSR_TIMECMPH])) return 0;
+    var delta = Sub64(csr[CSR_TIMECMP], csr[CSR_TIMECMPH], this.ticks, this.ticksh);
+    if ((high != 0) || (delta < 0)) return 0x7FFFFFFF;
+    return delta|0;
+}
+
+SafeCPU64.prototype.GetTicks = function () {
+    return this.ticks | 0;
+}
+
+// mtip is set as long as time >= timecmp
+SafeCPU64.prototype.UpdateTimer = function () {
+    var csr = this.csr;
+    csr[CSR_TIME] = this.ticks;
+    csr[CSR_TIMEH] = this.ticksh;
+    if (LessU64(this.ticks, this.ticksh, csr[CSR_TIMECMP], csr[CSR_TIMECMPH])) {
+        csr[CSR_MIP] = csr[CSR_MIP] & ~MIP_MTIP;
+    } else {
+        csr[CSR_MIP] = csr[CSR_MIP] | MIP_MTIP;
+    }
+}
+
+SafeCPU64.prototype.ProgressTime = function (delta) {
+    delta = delta | 0;
+    this.ticks = Add64(this.ticks, this.ticksh, delta, 0);
+    this.ticksh = high;
+    this.UpdateTimer();
+    this.CheckForInterrupt();
+}
+
+// we haveto define these to copy the cpus
+SafeCPU64.prototype.AnalyzeImage = function() {
+}
+
+// Expands a 16-bit compressed instruction into the equivalent 32-bit instruction.
+// Compared to RV32 c.jal, c.flw, c.fsw, c.flwsp and c.fswsp are replaced by
+// c.addiw, c.ld, c.sd, c.ldsp and c.sdsp, and the shift amounts have 6 bits.
+// Returns 0 if the instruction is illegal.
+function Decompress(ins) {
+    ins = ins|0;
+    var rd = 0;
+    var rs2 = 0;
+    var rdp = 0;
+    var rs1p = 0;
+    var imm = 0;
+
+    rd = (ins >> 7) & 0x1F; // also rs1
+    rs2 = (ins >> 2) & 0x1F;
+    rdp = ((ins >> 2) & 0x7) + 8|0; // also rs2'
+    rs1p = ((ins >> 7) & 0x7) + 8|0;
+
+    // funct3 and quadrant
+    switch(((ins >> 11) & 0x1C) | (ins & 0x3)) {
+
+        case 0x00:
+            // c.addi4spn
+            imm = ((ins >> 7) & 0x30) | ((ins >> 1) & 0x3C0) | ((ins >> 4) & 0x4) | ((ins >> 2) & 0x8);
+            if ((imm|0) == 0) return 0;
+            return (imm << 20) | (2 << 15) | (rdp << 7) | 0x13;
+
+        case 0x04:
+            // c.fld
+            imm = ((ins >> 7) & 0x38) | ((ins << 1) & 0xC0);
+            return (imm << 20) | (rs1p << 15) | (0x3 << 12) | (rdp << 7) | 0x07;
+
+        case 0x08:
+            // c.lw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return (imm << 20) | (rs1p << 15) | (0x2 << 12) | (rdp << 7) | 0x03;
+
+        case 0x0C:
+            // c.ld
+            imm = ((ins >> 7) & 0x38) | ((ins << 1) & 0xC0);
+            return (imm << 20) | (rs1p << 15) | (0x3 << 12) | (rdp << 7) | 0x03;
+
+        case 0x14:
+            // c.fsd
+            imm = ((ins >> 7) & 0x38) | ((ins << 1) & 0xC0);
+            return ((imm >> 5) << 25) | (rdp << 20) | (rs1p << 15) | (0x3 << 12) | ((imm & 0x1F) << 7) | 0x27;
+
+        case 0x18:
+            // c.sw
+            imm = ((ins >> 7) & 0x38) | ((ins >> 4) & 0x4) | ((ins << 1) & 0x40);
+            return ((imm >> 5) << 25) | (rdp << 20) | (rs1p << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x23;
+
+        case 0x1C:
+            // c.sd
+            imm = ((ins >> 7) & 0x38) | ((ins << 1) & 0xC0);
+            return ((imm >> 5) << 25) | (rdp << 20) | (rs1p << 15) | (0x3 << 12) | ((imm & 0x1F) << 7) | 0x23;
+
+        case 0x01:
+            // c.addi, c.nop
+            imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+            return (imm << 20) | (rd << 15) | (rd << 7) | 0x13;
+
+        case 0x05:
+            // c.addiw
+            if ((rd|0) == 0) return 0;
+            imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+            return (imm << 20) | (rd << 15) | (rd << 7) | 0x1B;
+
+        case 0x09:
+            // c.li
+            imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+            return (imm << 20) | (rd << 7) | 0x13;
+
+        case 0x0D:
+            if ((rd|0) == 2) {
+                // c.addi16sp
+                imm = ((ins >> 3) & 0x200) | ((ins >> 2) & 0x10) | ((ins << 1) & 0x40) | ((ins << 4) & 0x180) | ((ins << 3) & 0x20);
+                imm = (imm << 22) >> 22;
+                if ((imm|0) == 0) return 0;
+                return (imm << 20) | (2 << 15) | (2 << 7) | 0x13;
+            }
+            // c.lui
+            imm = (((ins << 5) & 0x20000) | ((ins << 10) & 0x1F000)) << 14 >> 14;
+            if ((imm|0) == 0) return 0;
+            return imm | (rd << 7) | 0x37;
+
+        case 0x11:
+            switch((ins >> 10) & 0x3) {
+                case 0x0:
+                    // c.srli
+                    return (((ins >> 7) & 0x20) << 20) | (rs2 << 20) | (rs1p << 15) | (0x5 << 12) | (rs1p << 7) | 0x13;
+
+                case 0x1:
+                    // c.srai
+                    return 0x40000000 | (((ins >> 7) & 0x20) << 20) | (rs2 << 20) | (rs1p << 15) | (0x5 << 12) | (rs1p << 7) | 0x13;
+
+                case 0x2:
+                    // c.andi
+                    imm = ((((ins >> 7) & 0x20) | ((ins >> 2) & 0x1F)) << 26) >> 26;
+                    return (imm << 20) | (rs1p << 15) | (0x7 << 12) | (rs1p << 7) | 0x13;
+            }
+            if (ins & 0x1000) {
+                switch((ins >> 5) & 0x3) {
+                    case 0x0:
+                        // c.subw
+                        return 0x40000000 | (rdp << 20) | (rs1p << 15) | (rs1p << 7) | 0x3B;
+
+                    case 0x1:
+                        // c.addw
+                        return (rdp << 20) | (rs1p << 15) | (rs1p << 7) | 0x3B;
+                }
+                return 0;
+            }
+            switch((ins >> 5) & 0x3) {
+                case 0x0:
+                    // c.sub
+                    return 0x40000000 | (rdp << 20) | (rs1p << 15) | (rs1p << 7) | 0x33;
+
+                case 0x1:
+                    // c.xor
+                    return (rdp << 20) | (rs1p << 15) | (0x4 << 12) | (rs1p << 7) | 0x33;
+
+                case 0x2:
+                    // c.or
+                    return (rdp << 20) | (rs1p << 15) | (0x6 << 12) | (rs1p << 7) | 0x33;
+            }
+            // c.and
+            return (rdp << 20) | (rs1p << 15) | (0x7 << 12) | (rs1p << 7) | 0x33;
+
+        case 0x15:
+            // c.j
+            imm = ((ins >> 1) & 0x800) | ((ins >> 7) & 0x10) | ((ins >> 1) & 0x300) | ((ins << 2) & 0x400) |
+                  ((ins >> 1) & 0x40) | ((ins << 1) & 0x80) | ((ins >> 2) & 0xE) | ((ins << 3) & 0x20);
+            imm = (imm << 20) >> 20;
+            return ((imm & 0x100000) << 11) | ((imm & 0x7FE) << 20) | ((imm & 0x800) << 9) | (imm & 0xFF000) | 0x6F;
+
+        case 0x19:
+        case 0x1D:
+            // c.beqz, c.bnez
+            imm = ((ins >> 4) & 0x100) | ((ins >> 7) & 0x18) | ((ins << 1) & 0xC0) | ((ins >> 2) & 0x6) | ((ins << 3) & 0x20);
+            imm = (imm << 23) >> 23;
+            return ((imm & 0x1000) << 19) | ((imm & 0x7E0) << 20) | (rs1p << 15) | (((ins >> 13) & 0x1) << 12) |
+                   ((imm & 0x1E) << 7) | ((imm & 0x800) >> 4) | 0x63;
+
+        case 0x02:
+            // c.slli
+            return (((ins >> 7) & 0x20) << 20) | (rs2 << 20) | (rd << 15) | (0x1 << 12) | (rd << 7) | 0x13;
+
+        case 0x06:
+            // c.fldsp
+            imm = ((ins >> 7) & 0x20) | ((ins >> 2) & 0x18) | ((ins << 4) & 0x1C0);
+            return (imm << 20) | (2 << 15) | (0x3 << 12) | (rd << 7) | 0x07;
+
+        case 0x0A:
+            // c.lwsp
+            if ((rd|0) == 0) return 0;
+            imm = ((ins >> 7) & 0x20) | ((ins >> 2) & 0x1C) | ((ins << 4) & 0xC0);
+            return (imm << 20) | (2 << 15) | (0x2 << 12) | (rd << 7) | 0x03;
+
+        case 0x0E:
+            // c.ldsp
+            if ((rd|0) == 0) return 0;
+            imm = ((ins >> 7) & 0x20) | ((ins >> 2) & 0x18) | ((ins << 4) & 0x1C0);
+            return (imm << 20) | (2 << 15) | (0x3 << 12) | (rd << 7) | 0x03;
+
+        case 0x12:
+            if ((ins & 0x1000) == 0) {
+                if ((rs2|0) == 0) {
+                    // c.jr
+                    if ((rd|0) == 0) return 0;
+                    return (rd << 15) | 0x67;
+                }
+                // c.mv
+                return (rs2 << 20) | (rd << 7) | 0x33;
+            }
+            if ((rs2|0) == 0) {
+                // c.ebreak
+                if ((rd|0) == 0) return 0x00100073;
+                // c.jalr
+                return (rd << 15) | (1 << 7) | 0x67;
+            }
+            // c.add
+            return (rs2 << 20) | (rd << 15) | (rd << 7) | 0x33;
+
+        case 0x16:
+            // c.fsdsp
+            imm = ((ins >> 7) & 0x38) | ((ins >> 1) & 0x1C0);
+            return ((imm >> 5) << 25) | (rs2 << 20) | (2 << 15) | (0x3 << 12) | ((imm & 0x1F) << 7) | 0x27;
+
+        case 0x1A:
+            // c.swsp
+            imm = ((ins >> 7) & 0x3C) | ((ins >> 1) & 0xC0);
+            return ((imm >> 5) << 25) | (rs2 << 20) | (2 << 15) | (0x2 << 12) | ((imm & 0x1F) << 7) | 0x23;
+
+        case 0x1E:
+            // c.sdsp
+            imm = ((ins >> 7) & 0x38) | ((ins >> 1) & 0x1C0);
+            return ((imm >> 5) << 25) | (rs2 << 20) | (2 << 15) | (0x3 << 12) | ((imm & 0x1F) << 7) | 0x23;
+    }
+    return 0;
+}
+
+SafeCPU64.prototype.RaiseInterrupt = function (line, cpuid) {
+    //message.Debug("raise int " + line);
+    if (line == IRQ_S_EXT) {
+        this.csr[CSR_MIP] |= MIP_SEIP; // EXT
+    }
+    if (line == IRQ_M_SOFT) {
+        this.csr[CSR_MIP] |= MIP_MSIP; // IPI
+    }
+};
+
+SafeCPU64.prototype.ClearInterrupt = function (line, cpuid) {
+    //message.Debug("clear int " + line);
+    if (line == IRQ_S_EXT) {
+        this.csr[CSR_MIP] &= ~MIP_SEIP; // EXT
+    }
+    if (line == IRQ_M_SOFT) {
+        this.csr[CSR_MIP] &= ~MIP_MSIP; // IPI
+    }
+};
+
+SafeCPU64.prototype.CheckForInterrupt = function () {
+    var pending_interrupts = this.csr[CSR_MIP] & this.csr[CSR_MIE];
+    if (pending_interrupts == 0) return;
+
+    var mie = get_field(this.csr[CSR_MSTATUS], MSTATUS_MIE);
+    var m_enabled = ((this.prv < PRV_M) || ((this.prv == PRV_M) && mie))?1:0;
+    var enabled_interrupts = pending_interrupts & ~this.csr[CSR_MIDELEG] & -m_enabled;
+
+    if (enabled_interrupts == 0) {
+        var sie = get_field(this.csr[CSR_MSTATUS], MSTATUS_SIE);
+        var s_enabled = ((this.prv < PRV_S) || ((this.prv == PRV_S) && sie))?1:0;
+        enabled_interrupts |= pending_interrupts & this.csr[CSR_MIDELEG] & -s_enabled;
+    }
+
+    for(var i=0; i<IRQ_PRIORITY.length; i++) {
+        if (enabled_interrupts & (1 << IRQ_PRIORITY[i])) {
+            //message.Debug("Take interrupt: " + IRQ_PRIORITY[i]);
+            this.Trap(0x80000000 | IRQ_PRIORITY[i], this.pc, this.pch, 0, 0);
+            return;
+        }
+    }
+};
+
+// The interrupt bit of the cause is bit 31 and is moved to bit 63
+SafeCPU64.prototype.Trap = function (cause, epc, epch, tval, tvalh) {
+    cause = cause|0;
+
+    //message.Debug("Trap cause=" + utils.ToHex(cause) + " at epc=" + utils.ToHex(epch) + utils.ToHex(epc).substr(2));
+
+    // by default, trap to M-mode, unless delegated to S-mode
+    var bit = cause;
+    var deleg = this.csr[CSR_MEDELEG];
+    var interrupt = (bit & (1<<31)) != 0;
+    if (interrupt) {
+        deleg = this.csr[CSR_MIDELEG];
+        bit &= ~(1<<31);
+    }
+    if (this.prv <= PRV_S && bit < 32 && ((deleg >> bit) & 1)) {
+        // handle the trap in S-mode
+        var vector = ((this.csr[CSR_STVEC] & 1) && interrupt) ? bit*4 : 0;
+        this.pc = Add64(this.csr[CSR_STVEC] & (~1), this.csrh[CSR_STVEC], vector, 0);
+        this.pch = high;
+        this.csr[CSR_SCAUSE] = bit;
+        this.csrh[CSR_SCAUSE] = interrupt ? 0x80000000 : 0;
+        this.csr[CSR_SEPC] = epc;
+        this.csrh[CSR_SEPC] = epch;
+        this.csr[CSR_STVAL] = tval;
+        this.csrh[CSR_STVAL] = tvalh;
+
+        var s = this.csr[CSR_MSTATUS] | 0;
+        s = set_field(s, MSTATUS_SPIE, get_field(s, MSTATUS_SIE))|0;
+        s = set_field(s, MSTATUS_SPP, this.prv)|0;
+        s = set_field(s, MSTATUS_SIE, 0)|0;
+        this.csr[CSR_MSTATUS] = s;
+
+        this.prv = PRV_S;
+    } else {
+        var vector = ((this.csr[CSR_MTVEC] & 1) && interrupt) ? bit*4 : 0;
+        this.pc = Add64(this.csr[CSR_MTVEC] & (~1), this.csrh[CSR_MTVEC], vector, 0);
+        this.pch = high;
+        this.csr[CSR_MCAUSE] = bit;
+        this.csrh[CSR_MCAUSE] = interrupt ? 0x80000000 : 0;
+        this.csr[CSR_MEPC] = epc;
+        this.csrh[CSR_MEPC] = epch;
+        this.csr[CSR_MTVAL] = tval;
+        this.csrh[CSR_MTVAL] = tvalh;
+
+        var s = this.csr[CSR_MSTATUS] | 0;
+        s = set_field(s, MSTATUS_MPIE, get_field(s, MSTATUS_MIE))|0;
+        s = set_field(s, MSTATUS_MPP, this.prv)|0;
+        s = set_field(s, MSTATUS_MIE, 0)|0;
+        this.csr[CSR_MSTATUS] = s;
+
+        this.prv = PRV_M;
+    }
+    this.InvalidateTLB();
+
+    this.amoaddr = 0x00;
+    this.amovalue = 0x00;
+    this.amovalueh = 0x00;
+};
+
+// causes is either PAGE_FAULT or ACCESS_FAULT
+SafeCPU64.prototype.MemAccessTrap = function(addr, addrh, op, causes) {
+    if (op == VM_FETCH) {
+        this.Trap(causes[op], this.pc, this.pch, addr, addrh);
+        return;
+    }
+    var epc = Sub64(this.pc, this.pch, this.inslen, 0);
+    this.Trap(causes[op], epc, high, addr, addrh);
+}
+
+// prv is the privilege level of the access
+SafeCPU64.prototype.CheckVMPrivilege = function (pte, op, prv) {
+    pte = pte | 0;
+    op = op | 0;
+    var sum = this.csr[CSR_MSTATUS] & MSTATUS_SUM; // protect user memory
+    var mxr = this.csr[CSR_MSTATUS] & MSTATUS_MXR; // make executable readable
+
+    if (pte & PTE_U) {
+        if (prv == PRV_S) {
+            if (op == VM_FETCH) return false;
+            if (!sum) return false;
+        }
+    } else {
+        if (prv == PRV_U) return false;
+    }
+
+    switch(op|0) {
+        case VM_FETCH:
+            return (pte & PTE_X) != 0;
+
+        case VM_READ:
+            return ((pte & PTE_R) != 0) || (mxr && (pte & PTE_X));
+
+        case VM_WRITE:
+            return (pte & PTE_W) != 0;
+    }
+    return false;
+}
+
+
+/*
+ * Translates a virtual address to a physical by walking through
+ * the three levels of the Sv39 page table and checking the rights.
+ * The accessed and dirty bits are set by the hardware.
+ * Only physical addresses with 32 bits are supported.
+ */
+SafeCPU64.prototype.TranslateVM = function (addr, addrh, op) {
+    op = op | 0;
+    addr = addr | 0;
+    addrh = addrh | 0;
+    var csr = this.csr;
+    var tlb = this.tlb;
+    var prv = this.prv;
+
+    // loads and stores in machine mode use the privilege level in MPP if MPRV is set
+    if ((op != VM_FETCH) && (prv == PRV_M) && (csr[CSR_MSTATUS] & MSTATUS_MPRV)) {
+        prv = get_field(csr[CSR_MSTATUS], MSTATUS_MPP);
+    }
+
+    // vm bare mode
+    if ((prv == PRV_M) || ((this.csrh[CSR_SATP] >>> 28) == SATP_MODE_OFF)) {
+        if (addrh != 0) {
+            this.MemAccessTrap(addr, addrh, op, ACCESS_FAULT);
+            return -1;
+        }
+        return addr;
+    }
+
+    var tlbindex = op << 2;
+    if (tlb[tlbindex] && (tlb[tlbindex+1] == (addr & ~0xFFF)) && (tlb[tlbindex+2] == addrh)) {
+        return tlb[tlbindex+3] | (addr & 0xFFF);
+    }
+
+    // bits 63 to 39 must be equal to bit 38
+    if (((addrh >> 6) != 0) && ((addrh >> 6) != -1)) {
+        this.MemAccessTrap(addr, addrh, op, PAGE_FAULT);
+        return -1;
+    }
+
+    var base = csr[CSR_SATP] << 12;
+    var pteaddr = 0;
+    var pte = 0;
+    var pteh = 0;
+    var level = 2;
+    var vpn = 0;
+
+    for(level = 2; level >= 0; level--) {
+        if (level == 2) {
+            vpn = ((addrh & 0x7F) << 2) | (addr >>> 30);
+        } else {
+            vpn = (addr >>> (12 + level*9)) & 0x1FF;
+        }
+        pteaddr = base + (vpn << 3)|0;
+        pte = this.ram.Read32(pteaddr);
+        pteh = this.ram.Read32(pteaddr + 4|0);
+        //message.Debug("VM level " + level + " " + utils.ToHex(addr) + " " + utils.ToHex(pteaddr) + " " + utils.ToHex(pte));
+
+        // not valid, reserved for future use or reserved bits set
+        if (!(pte & PTE_V) || (!(pte & PTE_R) && (pte & PTE_W)) || (pteh & 0xFFC00000)) {
+            this.MemAccessTrap(addr, addrh, op, PAGE_FAULT);
+            return -1;
+        }
+        // the physical address does not fit into 32 bits
+        if ((pteh & 0x3FFFFF) || (pte & 0xC0000000)) {
+            this.MemAccessTrap(addr, addrh, op, ACCESS_FAULT);
+            return -1;
+        }
+        if (pte & (PTE_R | PTE_X)) break; // leaf
+        if (level == 0) {
+            this.MemAccessTrap(addr, addrh, op, PAGE_FAULT);
+            return -1;
+        }
+        base = (pte >>> 10) << 12;
+    }
+
+    if (!this.CheckVMPrivilege(pte, op, prv)) {
+        this.MemAccessTrap(addr, addrh, op, PAGE_FAULT);
+        return -1;
+    }
+
+    // superpages must be aligned
+    var ppage = (pte >>> 10) << 12;
+    var mask = (level == 2) ? 0x3FFFF000 : ((level == 1) ? 0x1FF000 : 0x0);
+    if (ppage & mask) {
+        this.MemAccessTrap(addr, addrh, op, PAGE_FAULT);
+        return -1;
+    }
+    ppage = ppage | (addr & mask);
+
+    if (!(pte & PTE_A) || ((op == VM_WRITE) && !(pte & PTE_D))) {
+        this.ram.Write32(pteaddr, pte | PTE_A | ((op == VM_WRITE)?PTE_D:0));
+    }
+
+    tlb[tlbindex+0] = 1;
+    tlb[tlbindex+1] = addr & ~0xFFF;
+    tlb[tlbindex+2] = addrh;
+    tlb[tlbindex+3] = ppage;
+    return ppage | (addr & 0xFFF);
+};
+
+// The HTIF registers are read and written with 32-bit accesses
+SafeCPU64.prototype.ReadHTIF = function(paddr) {
+    if ((paddr>>>0) == 0x8000a008) {
+        this.ram.Write32(paddr+0, this.htif.ReadToHost());
+        this.ram.Write32(paddr+4, this.htif.ReadDEVCMDToHost());
+    }
+    if ((paddr>>>0) == 0x8000a000) {
+        this.ram.Write32(paddr+0, this.htif.ReadFromHost());
+        this.ram.Write32(paddr+4, this.htif.ReadDEVCMDFromHost());
+    }
+}
+
+SafeCPU64.prototype.WriteHTIF = function(paddr) {
+    if ((paddr>>>0) == 0x8000a00c) {
+        this.htif.WriteDEVCMDToHost(this.ram.Read32(paddr));
+        this.htif.WriteToHost(this.ram.Read32(paddr-4));
+    }
+    if ((paddr>>>0) == 0x8000a004) {
+        this.htif.WriteDEVCMDFromHost(this.ram.Read32(paddr));
+        this.htif.WriteFromHost(this.ram.Read32(paddr-4));
+    }
+}
+
+// returns false if the access raises an illegal instruction exception
+SafeCPU64.prototype.CheckCSR = function (addr, write) {
+    var csr = this.csr;
+    if (((addr >> 8) & 0x3) > this.prv) return false;
+    if (write && (((addr >> 10) & 0x3) == 0x3)) return false; // read only
+
+    switch(addr)
+    {
+        case CSR_FFLAGS:
+        case CSR_FRM:
+        case CSR_FCSR:
+            return (csr[CSR_MSTATUS] & MSTATUS_FS) != 0;
+
+        case CSR_SATP:
+            return !((this.prv == PRV_S) && (csr[CSR_MSTATUS] & MSTATUS_TVM));
+
+        case CSR_SSTATUS:
+        case CSR_SIE:
+        case CSR_STVEC:
+        case CSR_SCOUNTEREN:
+        case CSR_SSCRATCH:
+        case CSR_SEPC:
+        case CSR_SCAUSE:
+        case CSR_STVAL:
+        case CSR_SIP:
+        case CSR_MSTATUS:
+        case CSR_MISA:
+        case CSR_MEDELEG:
+        case CSR_MIDELEG:
+        case CSR_MIE:
+        case CSR_MTVEC:
+        case CSR_MCOUNTEREN:
+        case CSR_MCOUNTINHIBIT:
+        case CSR_MSCRATCH:
+        case CSR_MEPC:
+        case CSR_MCAUSE:
+        case CSR_MTVAL:
+        case CSR_MIP:
+        case CSR_TSELECT:
+        case CSR_TDATA1:
+        case CSR_TDATA2:
+        case CSR_TDATA3:
+        case CSR_MCYCLE:
+        case CSR_MINSTRET:
+        case CSR_MVENDORID:
+        case CSR_MARCHID:
+        case CSR_MIMPID:
+        case CSR_MHARTID:
+        case CSR_MCONFIGPTR:
+            return true;
+    }
+
+    // user counters must be enabled for the lower privilege levels
+    if ((addr >= CSR_CYCLE) && (addr <= CSR_HPMCOUNTER31)) {
+        if ((this.prv < PRV_M) && !((csr[CSR_MCOUNTEREN] >> (addr & 0x1F)) & 1)) return false;
+        if ((this.prv < PRV_S) && !((csr[CSR_SCOUNTEREN] >> (addr & 0x1F)) & 1)) return false;
+        return true;
+    }
+    if ((addr >= CSR_PMPCFG0) && (addr <= CSR_PMPADDR63)) return true;
+    if ((addr >= CSR_MHPMCOUNTER3) && (addr <= CSR_MHPMCOUNTER31)) return true;
+    if ((addr >= CSR_MHPMEVENT3) && (addr <= CSR_MHPMEVENT31)) return true;
+    return false;
+};
+
+// the access must have been checked with CheckCSR before
+SafeCPU64.prototype.SetCSR = function (addr, value, valueh) {
+
+    //message.Debug("SetCSR: Address:" + utils.ToHex(addr) + ", value " + utils.ToHex(valueh) + utils.ToHex(value).substr(2));
+    var csr = this.csr;
+    var csrh = this.csrh;
+
+    switch(addr)
+    {
+        case CSR_FFLAGS:
+            csr[CSR_FCSR] = (csr[CSR_FCSR] & ~0x1F) | (value & 0x1F);
+            csr[CSR_MSTATUS] |= MSTATUS_FS;
+            break;
+
+        case CSR_FRM:
+            csr[CSR_FCSR] = (csr[CSR_FCSR] & ~0xE0) | ((value & 0x7) << 5);
+            csr[CSR_MSTATUS] |= MSTATUS_FS;
+            break;
+
+        case CSR_FCSR:
+            csr[CSR_FCSR] = value & 0xFF;
+            csr[CSR_MSTATUS] |= MSTATUS_FS;
+            break;
+
+        case CSR_MSTATUS:
+            if ((value ^ csr[CSR_MSTATUS]) & (MSTATUS_MPP | MSTATUS_MPRV | MSTATUS_SUM | MSTATUS_MXR)) {
+                this.InvalidateTLB();
+            }
+            var mask = MSTATUS_SIE | MSTATUS_SPIE | MSTATUS_MIE | MSTATUS_MPIE
+                     | MSTATUS_SPP | MSTATUS_FS | MSTATUS_MPRV | MSTATUS_SUM
+                     | MSTATUS_MPP | MSTATUS_MXR | MSTATUS_TW | MSTATUS_TVM
+                     | MSTATUS_TSR;
+            csr[CSR_MSTATUS] = (csr[CSR_MSTATUS] & ~mask) | (value & mask);
+            break;
+
+        case CSR_SSTATUS:
+            var mask = SSTATUS_MASK & ~MSTATUS_XS;
+            this.SetCSR(CSR_MSTATUS, (csr[CSR_MSTATUS] & ~mask) | (value & mask), 0);
+            break;
+
+        case CSR_MIE:
+            var mask = MIP_SSIP | MIP_STIP | MIP_SEIP | MIP_MSIP | MIP_MTIP | MIP_MEIP;
+            csr[CSR_MIE] = (csr[CSR_MIE] & ~mask) | (value & mask);
+            break;
+
+        case CSR_SIE:
+            csr[CSR_MIE] = (csr[CSR_MIE] & ~csr[CSR_MIDELEG]) | (value & csr[CSR_MIDELEG]);
+            break;
+
+        case CSR_MIP:
+            var mask = MIP_SSIP | MIP_STIP;
+            csr[CSR_MIP] = (csr[CSR_MIP] & ~mask) | (value & mask);
+            break;
+
+        case CSR_SIP:
+            var mask = MIP_SSIP & csr[CSR_MIDELEG];
+            csr[CSR_MIP] = (csr[CSR_MIP] & ~mask) | (value & mask);
+            break;
+
+        case CSR_MEDELEG:
+            // all exceptions except the environment call from machine mode can be delegated
+            csr[addr] = value & 0xB3FF;
+            break;
+
+        case CSR_MIDELEG:
+            csr[addr] = value & (MIP_SSIP | MIP_STIP | MIP_SEIP);
+            break;
+
+        case CSR_SATP:
+            // only the modes bare and Sv39 are supported. Other modes are ignored.
+            if (((valueh >>> 28) != SATP_MODE_OFF) && ((valueh >>> 28) != SATP_MODE_SV39)) break;
+            this.InvalidateTLB();
+            csr[addr] = value;
+            csrh[addr] = valueh;
+            break;
+
+        case CSR_STVEC:
+        case CSR_MTVEC:
+            // direct or vectored mode
+            csr[addr] = value & (~2);
+            csrh[addr] = valueh;
+            break;
+
+        case CSR_SEPC:
+        case CSR_MEPC:
+            csr[addr] = value & (~1);
+            csrh[addr] = valueh;
+            break;
+
+        case CSR_MCOUNTEREN:
+        case CSR_SCOUNTEREN:
+            csr[addr] = value;
+            break;
+
+        case CSR_SSCRATCH:
+        case CSR_SCAUSE:
+        case CSR_STVAL:
+        case CSR_MSCRATCH:
+        case CSR_MCAUSE:
+        case CSR_MTVAL:
+            csr[addr] = value;
+            csrh[addr] = valueh;
+            break;
+
+        // read only or not implemented
+        default:
+            break;
+    }
+};
+
+// returns the lower 32 bits and stores the upper 32 bits in high
+SafeCPU64.prototype.GetCSR = function (addr) {
+
+    //message.Debug("GetCSR: Address:" + utils.ToHex(addr));
+    var csr = this.csr;
+    var csrh = this.csrh;
+    high = 0;
+    switch(addr)
+    {
+        case CSR_FFLAGS:
+            return csr[CSR_FCSR] & 0x1F;
+
+        case CSR_FRM:
+            return (csr[CSR_FCSR] >> 5) & 0x7;
+
+        case CSR_FCSR:
+            return csr[CSR_FCSR];
+
+        case CSR_MSTATUS:
+            high = csrh[CSR_MSTATUS];
+            if ((csr[CSR_MSTATUS] & MSTATUS_FS) == MSTATUS_FS) high = high | MSTATUSH_SD;
+            return csr[CSR_MSTATUS];
+
+        case CSR_SSTATUS:
+            high = csrh[CSR_MSTATUS] & MSTATUSH_UXL;
+            if ((csr[CSR_MSTATUS] & MSTATUS_FS) == MSTATUS_FS) high = high | MSTATUSH_SD;
+            return csr[CSR_MSTATUS] & SSTATUS_MASK;
+
+        case CSR_SIE:
+            return csr[CSR_MIE] & csr[CSR_MIDELEG];
+
+        case CSR_SIP:
+            return csr[CSR_MIP] & csr[CSR_MIDELEG];
+
+        case CSR_CYCLE:
+        case CSR_TIME:
+        case CSR_INSTRET:
+        case CSR_MCYCLE:
+        case CSR_MINSTRET:
+            high = this.ticksh;
+            return this.ticks;
+
+        case CSR_MISA:
+        case CSR_MHARTID:
+        case CSR_MEDELEG:
+        case CSR_MIDELEG:
+        case CSR_MIE:
+        case CSR_MIP:
+        case CSR_MCOUNTEREN:
+        case CSR_SCOUNTEREN:
+        case CSR_SATP:
+        case CSR_STVEC:
+        case CSR_MTVEC:
+        case CSR_SEPC:
+        case CSR_MEPC:
+        case CSR_SSCRATCH:
+        case CSR_SCAUSE:
+        case CSR_STVAL:
+        case CSR_MSCRATCH:
+        case CSR_MCAUSE:
+        case CSR_MTVAL:
+            high = csrh[addr];
+            return csr[addr];
+    }
+    // counters, pmp, triggers and ids are hardwired to zero
+    return 0x0;
+};
+
+SafeCPU64.prototype.ReadSingle = function (index) {
+    if (this.fi[(index << 1) + 1] != -1) return NaN; // not NaN-boxed
+    return this.fs[index << 1];
+};
+
+SafeCPU64.prototype.WriteSingle = function (index, x) {
+    this.fs[index << 1] = x;
+    this.fi[(index << 1) + 1] = -1;
+};
+
+// the raw bits of a single precision value
+SafeCPU64.prototype.ReadSingleBits = function (index) {
+    if (this.fi[(index << 1) + 1] != -1) return QUIET_NAN;
+    return this.fi[index << 1];
+};
+
+SafeCPU64.prototype.Step = function (steps, clockspeed) {
+    var r = this.r;
+    var fi = this.fi;
+    var f = this.f;
+    var csr = this.csr;
+    var rindex = 0x00;
+    var imm = 0x00;
+    var imm1 = 0x00;
+    var imm2 = 0x00;
+    var imm3 = 0x00;
+    var imm4 = 0x00;
+    var rs1 = 0x0;
+    var rs1h = 0x0;
+    var rs2 = 0x0;
+    var rs2h = 0x0;
+    var lo = 0x0;
+    var hi = 0x0;
+    var fs1 = 0.0;
+    var fs2 = 0.0;
+    var fs3 = 0.0;
+    var ins = 0x0;
+    var paddr = 0x0;
+    var vaddr = 0x0;
+    var vaddrh = 0x0;
+    var pc = 0x0; // address of the current instruction
+    var pch = 0x0;
+    var rm = 0x0;
+    var dp = 0x0; // double precision
+
+    steps = steps | 0;
+    clockspeed = clockspeed | 0;
+
+    do {
+        r[0] = 0x00;
+        r[1] = 0x00;
+
+        if (!(steps & 63)) {
+            // ---------- TICK ----------
+            this.ticks = Add64(this.ticks, this.ticksh, clockspeed, 0);
+            this.ticksh = high;
+            this.UpdateTimer();
+            this.CheckForInterrupt();
+        }
+
+        pc = this.pc;
+        pch = this.pch;
+        paddr = this.TranslateVM(pc, pch, VM_FETCH)|0;
+        if(paddr == -1) {
+            continue;
+        }
+
+        ins = this.ram.Read16(paddr) & 0xFFFF;
+        if ((ins & 3) == 3) {
+            // the upper half of a 32-bit instruction can be on the next page
+            if ((pc & 0xFFF) == 0xFFE) {
+                paddr = this.TranslateVM(pc + 2|0, pch + ((pc == -2)?1:0)|0, VM_FETCH)|0;
+                if(paddr == -1) {
+                    continue;
+                }
+                paddr = paddr - 2|0;
+            }
+            ins = ins | (this.ram.Read16(paddr + 2|0) << 16);
+            this.inslen = 4;
+        } else {
+            ins = Decompress(ins);
+            this.inslen = 2;
+        }
+        this.pc = Add64(pc, pch, this.inslen, 0);
+        this.pch = high;
+
+        switch(ins&0x7F) {
+
+            case 0x03:
+                // lb, lh, lw, ld, lbu, lhu, lwu
+                imm = (ins >> 20);
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs1h = r[((ins >> 14) & 0x3E) + 1];
+                rindex = (ins >> 6) & 0x3E;
+                vaddr = Add64(rs1, rs1h, imm, imm >> 31);
+                vaddrh = high;
+                switch((ins >> 12)&0x7) {
+
+                    case 0x00:
+                        // lb
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_READ)|0;
+                        if(paddr == -1) break;
+                        r[rindex] = (this.ram.Read8(paddr) << 24) >> 24;
+                        r[rindex + 1] = r[rindex] >> 31;
+                        break;
+
+                    case 0x01:
+                        // lh
+                        if (vaddr & 1) {
+                             this.Trap(CAUSE_MISALIGNED_LOAD, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_READ)|0;
+                        if(paddr == -1) break;
+                        r[rindex] = (this.ram.Read16(paddr) << 16) >> 16;
+                        r[rindex + 1] = r[rindex] >> 31;
+                        break;
+
+                    case 0x02:
+                        // lw
+                        if (vaddr & 3) {
+                             this.Trap(CAUSE_MISALIGNED_LOAD, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_READ)|0;
+                        if(paddr == -1) break;
+                        this.ReadHTIF(paddr);
+                        r[rindex] = this.ram.Read32(paddr);
+                        r[rindex + 1] = r[rindex] >> 31;
+                        break;
+
+                    case 0x03:
+                        // ld
+                        if (vaddr & 7) {
+                             this.Trap(CAUSE_MISALIGNED_LOAD, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_READ)|0;
+                        if(paddr == -1) break;
+                        this.ReadHTIF(paddr);
+                        r[rindex] = this.ram.Read32(paddr);
+                        r[rindex + 1] = this.ram.Read32(paddr + 4|0);
+                        break;
+
+                    case 0x04:
+                        // lbu
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_READ)|0;
+                        if(paddr == -1) break;
+                        r[rindex] = this.ram.Read8(paddr) & 0xFF;
+                        r[rindex + 1] = 0;
+                        break;
+
+                    case 0x05:
+                        // lhu
+                        if (vaddr & 1) {
+                             this.Trap(CAUSE_MISALIGNED_LOAD, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_READ)|0;
+                        if(paddr == -1) break;
+                        r[rindex] = this.ram.Read16(paddr) & 0xFFFF;
+                        r[rindex + 1] = 0;
+                        break;
+
+                    case 0x06:
+                        // lwu
+                        if (vaddr & 3) {
+                             this.Trap(CAUSE_MISALIGNED_LOAD, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_READ)|0;
+                        if(paddr == -1) break;
+                        this.ReadHTIF(paddr);
+                        r[rindex] = this.ram.Read32(paddr);
+                        r[rindex + 1] = 0;
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        break;
+
+                }
+                break;
+
+            case 0x23:
+                // sb, sh, sw, sd
+                imm1 = (ins >> 25);
+                imm2 = (ins >> 7) & 0x1F;
+                imm = (imm1 << 5) | imm2;
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs1h = r[((ins >> 14) & 0x3E) + 1];
+                rindex = (ins >> 19) & 0x3E;
+                vaddr = Add64(rs1, rs1h, imm, imm >> 31);
+                vaddrh = high;
+                switch((ins >> 12)&0x7) {
+
+                    case 0x00:
+                        // sb
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_WRITE)|0;
+                        if(paddr == -1) break;
+                        this.ram.Write8(paddr, (r[rindex] & 0xFF));
+                        break;
+
+                    case 0x01:
+                        // sh
+                        if (vaddr & 1) {
+                             this.Trap(CAUSE_MISALIGNED_STORE, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_WRITE)|0;
+                        if(paddr == -1) break;
+                        this.ram.Write16(paddr, (r[rindex] & 0xFFFF));
+                        break;
+
+                    case 0x02:
+                        // sw
+                        if (vaddr & 3) {
+                             this.Trap(CAUSE_MISALIGNED_STORE, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_WRITE)|0;
+                        if(paddr == -1) break;
+                        this.ram.Write32(paddr, r[rindex]);
+                        this.WriteHTIF(paddr);
+                        break;
+
+                    case 0x03:
+                        // sd
+                        if (vaddr & 7) {
+                             this.Trap(CAUSE_MISALIGNED_STORE, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_WRITE)|0;
+                        if(paddr == -1) break;
+                        this.ram.Write32(paddr, r[rindex]);
+                        this.ram.Write32(paddr + 4|0, r[rindex + 1]);
+                        this.WriteHTIF(paddr + 4|0);
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        break;
+
+                }
+                break;
+
+            case 0x13:
+                // addi, slti, sltiu, xori, ori, andi, slli, srli, srai
+                rindex = (ins >> 6) & 0x3E;
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs1h = r[((ins >> 14) & 0x3E) + 1];
+                imm = (ins >> 20);
+                switch((ins >> 12)&0x7) {
+
+                    case 0x00:
+                        // addi
+                        r[rindex] = Add64(rs1, rs1h, imm, imm >> 31);
+                        r[rindex + 1] = high;
+                        break;
+
+                    case 0x02:
+                        // slti
+                        r[rindex] = Less64(rs1, rs1h, imm, imm >> 31)?1:0;
+                        r[rindex + 1] = 0;
+                        break;
+
+                    case 0x03:
+                        // sltiu
+                        r[rindex] = LessU64(rs1, rs1h, imm, imm >> 31)?1:0;
+                        r[rindex + 1] = 0;
+                        break;
+
+                    case 0x04:
+                        // xori
+                        r[rindex] = rs1 ^ imm;
+                        r[rindex + 1] = rs1h ^ (imm >> 31);
+                        break;
+
+                    case 0x06:
+                        // ori
+                        r[rindex] = rs1 | imm;
+                        r[rindex + 1] = rs1h | (imm >> 31);
+                        break;
+
+                    case 0x07:
+                        // andi
+                        r[rindex] = rs1 & imm;
+                        r[rindex + 1] = rs1h & (imm >> 31);
+                        break;
+
+                    case 0x01:
+                        // slli
+                        if (((ins >> 26) & 0x3F) != 0x00) {
+                            this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                            break;
+                        }
+                        r[rindex] = Sll64(rs1, rs1h, imm);
+                        r[rindex + 1] = high;
+                        break;
+
+                    case 0x05:
+                        if(((ins >> 26) & 0x3F) == 0x00) {
+                            // srli
+                            r[rindex] = Srl64(rs1, rs1h, imm);
+                            r[rindex + 1] = high;
+                        }
+                        else if(((ins >> 26) & 0x3F) == 0x10) {
+                            // srai
+                            r[rindex] = Sra64(rs1, rs1h, imm);
+                            r[rindex + 1] = high;
+                        } else {
+                            this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        }
+                        break;
+
+                }
+                break;
+
+            case 0x1B:
+                // addiw, slliw, srliw, sraiw
+                rindex = (ins >> 6) & 0x3E;
+                rs1 = r[(ins >> 14) & 0x3E];
+                imm = (ins >> 20);
+                switch((ins >> 12)&0x7) {
+
+                    case 0x00:
+                        // addiw
+                        r[rindex] = rs1 + imm|0;
+                        break;
+
+                    case 0x01:
+                        // slliw
+                        if (((ins >> 25) & 0x7F) != 0x00) {
+                            this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                            break;
+                        }
+                        r[rindex] = rs1 << (imm & 0x1F);
+                        break;
+
+                    case 0x05:
+                        if(((ins >> 25) & 0x7F) == 0x00) {
+                            // srliw
+                            r[rindex] = rs1 >>> (imm & 0x1F);
+                        }
+                        else if(((ins >> 25) & 0x7F) == 0x20) {
+                            // sraiw
+                            r[rindex] = rs1 >> (imm & 0x1F);
+                        } else {
+                            this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                            break;
+                        }
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        break;
+                }
+                // the 32-bit result is sign extended
+                r[rindex + 1] = r[rindex] >> 31;
+                break;
+
+            case 0x33:
+                // add, sub, sll, slt, sltu, xor, srl, sra, or, and
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs1h = r[((ins >> 14) & 0x3E) + 1];
+                rs2 = r[(ins >> 19) & 0x3E];
+                rs2h = r[((ins >> 19) & 0x3E) + 1];
+                rindex = (ins >> 6) & 0x3E;
+                switch((ins >> 25)&0x7F) {
+
+                    case 0x00:
+                        // add, slt, sltu, or, xor, sll, srl
+                        switch((ins >> 12)&0x7) {
+                            case 0x00:
+                                // add
+                                lo = Add64(rs1, rs1h, rs2, rs2h);
+                                hi = high;
+                                break;
+
+                            case 0x01:
+                                // sll
+                                lo = Sll64(rs1, rs1h, rs2);
+                                hi = high;
+                                break;
+
+                            case 0x02:
+                                // slt
+                                lo = Less64(rs1, rs1h, rs2, rs2h)?1:0;
+                                hi = 0;
+                                break;
+
+                            case 0x03:
+                                // sltu
+                                lo = LessU64(rs1, rs1h, rs2, rs2h)?1:0;
+                                hi = 0;
+                                break;
+
+                            case 0x04:
+                                // xor
+                                lo = rs1 ^ rs2;
+                                hi = rs1h ^ rs2h;
+                                break;
+
+                            case 0x05:
+                                // srl
+                                lo = Srl64(rs1, rs1h, rs2);
+                                hi = high;
+                                break;
+
+                            case 0x06:
+                                // or
+                                lo = rs1 | rs2;
+                                hi = rs1h | rs2h;
+                                break;
+
+                            case 0x07:
+                                // and
+                                lo = rs1 & rs2;
+                                hi = rs1h & rs2h;
+                                break;
+                        }
+                        r[rindex] = lo;
+                        r[rindex + 1] = hi;
+                        break;
+
+                    case 0x20:
+                        switch((ins >> 12)&0x7) {
+                            case 0x00:
+                                // sub
+                                r[rindex] = Sub64(rs1, rs1h, rs2, rs2h);
+                                r[rindex + 1] = high;
+                                break;
+
+                            case 0x05:
+                                // sra
+                                r[rindex] = Sra64(rs1, rs1h, rs2);
+                                r[rindex + 1] = high;
+                                break;
+
+                            default:
+                                this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                                break;
+                        }
+                        break;
+
+                    case 0x01:
+                        // mul, mulh, mulhsu, mulhu, div, divu, rem, remu
+                        switch((ins >> 12)&0x7) {
+                            case 0x00:
+                                // mul
+                                lo = Mul64(rs1, rs1h, rs2, rs2h);
+                                hi = high;
+                                break;
+
+                            case 0x01:
+                                // mulh
+                                lo = MulH64(rs1, rs1h, rs2, rs2h);
+                                hi = high;
+                                break;
+
+                            case 0x02:
+                                // mulhsu
+                                lo = MulHSU64(rs1, rs1h, rs2, rs2h);
+                                hi = high;
+                                break;
+
+                            case 0x03:
+                                // mulhu
+                                lo = MulHU64(rs1, rs1h, rs2, rs2h);
+                                hi = high;
+                                break;
+
+                            case 0x04:
+                                // div
+                                if ((rs2 == 0) && (rs2h == 0)) {
+                                    lo = -1;
+                                    hi = -1;
+                                    break;
+                                }
+                                DivRem64(rs1, rs1h, rs2, rs2h);
+                                lo = quotient[0];
+                                hi = quotient[1];
+                                break;
+
+                            case 0x05:
+                                // divu
+                                if ((rs2 == 0) && (rs2h == 0)) {
+                                    lo = -1;
+                                    hi = -1;
+                                    break;
+                                }
+                                DivRemU64(rs1, rs1h, rs2, rs2h);
+                                lo = quotient[0];
+                                hi = quotient[1];
+                                break;
+
+                            case 0x06:
+                                // rem
+                                if ((rs2 == 0) && (rs2h == 0)) {
+                                    lo = rs1;
+                                    hi = rs1h;
+                                    break;
+                                }
+                                DivRem64(rs1, rs1h, rs2, rs2h);
+                                lo = remainder[0];
+                                hi = remainder[1];
+                                break;
+
+                            case 0x07:
+                                // remu
+                                if ((rs2 == 0) && (rs2h == 0)) {
+                                    lo = rs1;
+                                    hi = rs1h;
+                                    break;
+                                }
+                                DivRemU64(rs1, rs1h, rs2, rs2h);
+                                lo = remainder[0];
+                                hi = remainder[1];
+                                break;
+                        }
+                        r[rindex] = lo;
+                        r[rindex + 1] = hi;
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        break;
+
+                }
+                break;
+
+            case 0x3B:
+                // addw, subw, sllw, srlw, sraw, mulw, divw, divuw, remw, remuw
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs2 = r[(ins >> 19) & 0x3E];
+                rindex = (ins >> 6) & 0x3E;
+                switch(((ins >> 22) & 0x3F8) | ((ins >> 12) & 0x7)) {
+                    case 0x000:
+                        // addw
+                        lo = rs1 + rs2|0;
+                        break;
+
+                    case 0x100:
+                        // subw
+                        lo = rs1 - rs2|0;
+                        break;
+
+                    case 0x001:
+                        // sllw
+                        lo = rs1 << (rs2 & 0x1F);
+                        break;
+
+                    case 0x005:
+                        // srlw
+                        lo = rs1 >>> (rs2 & 0x1F);
+                        break;
+
+                    case 0x105:
+                        // sraw
+                        lo = rs1 >> (rs2 & 0x1F);
+                        break;
+
+                    case 0x008:
+                        // mulw
+                        lo = imul(rs1, rs2);
+                        break;
+
+                    case 0x00C:
+                        // divw
+                        if(rs2 == 0)
+                            lo = -1;
+                        else
+                            lo = (rs1 / rs2)|0;
+                        break;
+
+                    case 0x00D:
+                        // divuw
+                        if(rs2 == 0)
+                            lo = -1;
+                        else
+                            lo = ((rs1 >>> 0) / (rs2 >>> 0))|0;
+                        break;
+
+                    case 0x00E:
+                        // remw
+                        if(rs2 == 0)
+                            lo = rs1|0;
+                        else
+                            lo = (rs1 % rs2)|0;
+                        break;
+
+                    case 0x00F:
+                        // remuw
+                        if(rs2 == 0)
+                            lo = rs1|0;
+                        else
+                            lo = ((rs1 >>> 0) % (rs2 >>> 0))|0;
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        lo = r[rindex];
+                        break;
+                }
+                // the 32-bit result is sign extended
+                r[rindex] = lo;
+                r[rindex + 1] = lo >> 31;
+                break;
+
+            case 0x37:
+                // lui
+                rindex = (ins >> 6) & 0x3E;
+                r[rindex] = ins & 0xFFFFF000;
+                r[rindex + 1] = ins >> 31;
+                break;
+
+            case 0x17:
+                // auipc
+                imm = ins & 0xFFFFF000;
+                rindex = (ins >> 6) & 0x3E;
+                r[rindex] = Add64(pc, pch, imm, imm >> 31);
+                r[rindex + 1] = high;
+                break;
+
+            case 0x6F:
+                // jal
+                imm1 = (ins >> 21) & 0x3FF;
+                imm2 = ((ins >> 20) & 0x1) << 10;
+                imm3 = ((ins >> 12) & 0xFF) << 11;
+                imm4 = (ins >> 31) << 19;
+                imm =  (imm1 | imm2 | imm3 | imm4 ) << 1;
+                rindex = (ins >> 6) & 0x3E;
+                r[rindex] = this.pc;
+                r[rindex + 1] = this.pch;
+                this.pc = Add64(pc, pch, imm, imm >> 31);
+                this.pch = high;
+                break;
+
+            case 0x67:
+                // jalr
+                imm = ins >> 20;
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs1h = r[((ins >> 14) & 0x3E) + 1];
+                rindex = (ins >> 6) & 0x3E;
+                r[rindex] = this.pc;
+                r[rindex + 1] = this.pch;
+                this.pc = Add64(rs1, rs1h, imm, imm >> 31) & 0xFFFFFFFE;
+                this.pch = high;
+                break;
+
+            case 0x63:
+                // beq, bne, blt, bge, bltu, bgeu
+                imm1 = (ins >> 31) << 11;
+                imm2 = ((ins >> 25) & 0x3F) << 4;
+                imm3 = (ins >> 8) & 0x0F;
+                imm4 = ((ins >> 7) & 0x01) << 10;
+                imm =  ((imm1 | imm2 | imm3 | imm4) << 1 );
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs1h = r[((ins >> 14) & 0x3E) + 1];
+                rs2 = r[(ins >> 19) & 0x3E];
+                rs2h = r[((ins >> 19) & 0x3E) + 1];
+
+                switch((ins >> 12)&0x7) {
+
+                    case 0x00:
+                        // beq
+                        if ((rs1 != rs2) || (rs1h != rs2h)) continue;
+                        break;
+
+                    case 0x01:
+                        // bne
+                        if ((rs1 == rs2) && (rs1h == rs2h)) continue;
+                        break;
+
+                    case 0x04:
+                        // blt
+                        if (!Less64(rs1, rs1h, rs2, rs2h)) continue;
+                        break;
+
+                    case 0x05:
+                        // bge
+                        if (Less64(rs1, rs1h, rs2, rs2h)) continue;
+                        break;
+
+                    case 0x06:
+                        // bltu
+                        if (!LessU64(rs1, rs1h, rs2, rs2h)) continue;
+                        break;
+
+                    case 0x07:
+                        // bgeu
+                        if (LessU64(rs1, rs1h, rs2, rs2h)) continue;
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        continue;
+
+                }
+                // branch taken
+                this.pc = Add64(pc, pch, imm, imm >> 31);
+                this.pch = high;
+                break;
+
+            case 0x73:
+                // csrrw, csrrs, csrrc, csrrwi, csrrsi, csrrci, ecall, eret, ebreak, mrts, wfi
+                imm = (ins >>> 20);
+                rindex = (ins >> 6) & 0x3E;
+                if ((ins >> 12) & 0x3) {
+                    if ((ins >> 12) & 0x4) {
+                        // immediate
+                        rs1 = (ins >> 15) & 0x1F;
+                        rs1h = 0;
+                    } else {
+                        rs1 = r[(ins >> 14) & 0x3E];
+                        rs1h = r[((ins >> 14) & 0x3E) + 1];
+                    }
+                    // csrrs and csrrc do not write if the source register or the immediate is zero
+                    var write = (((ins >> 12) & 0x3) == 0x1) || (((ins >> 15) & 0x1F) != 0);
+                    if (!this.CheckCSR(imm, write)) {
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        break;
+                    }
+                    lo = this.GetCSR(imm);
+                    hi = high;
+                    if (write) {
+                        switch((ins >> 12) & 0x3) {
+                            case 0x01:
+                                // csrrw, csrrwi
+                                this.SetCSR(imm, rs1, rs1h);
+                                break;
+
+                            case 0x02:
+                                // csrrs, csrrsi
+                                this.SetCSR(imm, lo | rs1, hi | rs1h);
+                                break;
+
+                            case 0x03:
+                                // csrrc, csrrci
+                                this.SetCSR(imm, lo & (~rs1), hi & (~rs1h));
+                                break;
+                        }
+                    }
+                    r[rindex] = lo;
+                    r[rindex + 1] = hi;
+                    break;
+                }
+
+                if ((ins >> 12) & 0x4) {
+                    this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                    break;
+                }
+
+                if (((ins >> 25) & 0x7F) == 0x09) {
+                    // sfence.vma
+                    if ((this.prv == PRV_U) || ((this.prv == PRV_S) && (csr[CSR_MSTATUS] & MSTATUS_TVM))) {
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        break;
+                    }
+                    this.InvalidateTLB();
+                    break;
+                }
+
+                // ecall, sret, ebreak, mret, wfi
+                switch((ins >> 20)&0xFFF) {
+                    case 0x00:
+                        // ecall
+                        switch(this.prv)
+                        {
+                            case PRV_U:
+                                this.Trap(CAUSE_USER_ECALL, pc, pch, 0, 0);
+                                break;
+
+                            case PRV_S:
+                                this.Trap(CAUSE_SUPERVISOR_ECALL, pc, pch, 0, 0);
+                                break;
+
+                            case PRV_M:
+                                this.Trap(CAUSE_MACHINE_ECALL, pc, pch, 0, 0);
+                                break;
+
+                            default:
+                                message.Debug("Error in ecall: Don't know how to handle privilege level " + this.prv);
+                                message.Abort();
+                                break;
+                        }
+                        break;
+
+                    case 0x001:
+                        // ebreak
+                        this.Trap(CAUSE_BREAKPOINT, pc, pch, pc, pch);
+                        break;
+
+                    case 0x102:
+                        // sret
+                        if ((this.prv < PRV_S) || ((this.prv == PRV_S) && (csr[CSR_MSTATUS] & MSTATUS_TSR))) {
+                            this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                            break;
+                        }
+                        this.pc = csr[CSR_SEPC] | 0;
+                        this.pch = this.csrh[CSR_SEPC] | 0;
+                        var s = csr[CSR_MSTATUS] | 0;
+                        var prev_prv = get_field(s, MSTATUS_SPP);
+                        s = set_field(s, MSTATUS_SIE, get_field(s, MSTATUS_SPIE));
+                        s = set_field(s, MSTATUS_SPIE, 1);
+                        s = set_field(s, MSTATUS_SPP, PRV_U);
+                        if (prev_prv != PRV_M) s = s & ~MSTATUS_MPRV;
+                        csr[CSR_MSTATUS] = s;
+                        this.prv = prev_prv;
+                        this.InvalidateTLB();
+                        break;
+
+                    case 0x105:
+                        // wfi
+                        if (this.prv == PRV_U) {
+                            this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                            break;
+                        }
+                        if ((csr[CSR_MIE] & csr[CSR_MIP]) == 0)
+                            return steps;
+                        break;
+
+                    case 0x302:
+                        // mret
+                        if (this.prv != PRV_M) {
+                            this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                            break;
+                        }
+                        this.pc = csr[CSR_MEPC] | 0;
+                        this.pch = this.csrh[CSR_MEPC] | 0;
+                        var s = csr[CSR_MSTATUS] | 0;
+                        var prev_prv = get_field(s, MSTATUS_MPP);
+                        s = set_field(s, MSTATUS_MIE, get_field(s, MSTATUS_MPIE));
+                        s = set_field(s, MSTATUS_MPIE, 1);
+                        s = set_field(s, MSTATUS_MPP, PRV_U);
+                        if (prev_prv != PRV_M) s = s & ~MSTATUS_MPRV;
+                        csr[CSR_MSTATUS] = s;
+                        this.prv = prev_prv;
+                        this.InvalidateTLB();
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        break;
+
+                }
+                break;
+
+            case 0x07:
+                // flw, fld
+                if (!(csr[CSR_MSTATUS] & MSTATUS_FS)) {
+                    this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                    break;
+                }
+                imm = (ins >> 20);
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs1h = r[((ins >> 14) & 0x3E) + 1];
+                rindex = (ins >> 6) & 0x3E;
+                vaddr = Add64(rs1, rs1h, imm, imm >> 31);
+                vaddrh = high;
+                switch((ins >> 12)&0x7) {
+
+                    case 0x02:
+                        // flw
+                        if (vaddr & 3) {
+                             this.Trap(CAUSE_MISALIGNED_LOAD, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_READ)|0;
+                        if(paddr == -1) break;
+                        fi[rindex + 0] = this.ram.Read32(paddr);
+                        fi[rindex + 1] = -1; // NaN-boxing
+                        break;
+
+                    case 0x03:
+                        // fld
+                        if (vaddr & 7) {
+                             this.Trap(CAUSE_MISALIGNED_LOAD, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_READ)|0;
+                        if(paddr == -1) break;
+                        fi[rindex + 0] = this.ram.Read32(paddr);
+                        fi[rindex + 1] = this.ram.Read32(paddr + 4|0);
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        break;
+
+                }
+                csr[CSR_MSTATUS] |= MSTATUS_FS; // dirty
+                break;
+
+            case 0x27:
+                // fsw, fsd
+                if (!(csr[CSR_MSTATUS] & MSTATUS_FS)) {
+                    this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                    break;
+                }
+                imm1 = (ins >> 25);
+                imm2 = (ins >> 7) & 0x1F;
+                imm = (imm1 << 5) | imm2;
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs1h = r[((ins >> 14) & 0x3E) + 1];
+                rindex = (ins >> 19) & 0x3E;
+                vaddr = Add64(rs1, rs1h, imm, imm >> 31);
+                vaddrh = high;
+                switch((ins >> 12)&0x7) {
+
+                    case 0x02:
+                        // fsw
+                        if (vaddr & 3) {
+                             this.Trap(CAUSE_MISALIGNED_STORE, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_WRITE)|0;
+                        if(paddr == -1) break;
+                        this.ram.Write32(paddr, fi[rindex + 0]);
+                        break;
+
+                    case 0x03:
+                        // fsd
+                        if (vaddr & 7) {
+                             this.Trap(CAUSE_MISALIGNED_STORE, pc, pch, vaddr, vaddrh);
+                             break;
+                        }
+                        paddr = this.TranslateVM(vaddr, vaddrh, VM_WRITE)|0;
+                        if (paddr == -1) break;
+                        this.ram.Write32(paddr, fi[rindex + 0]);
+                        this.ram.Write32(paddr + 4|0, fi[rindex + 1]);
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        break;
+
+                }
+                break;
+
+            case 0x53:
+                // fadd, fsub, fmul, fdiv, fsqrt, fsgnj, fmin, fmax, fcvt, fmv, fcmp, fclass
+                if (!(csr[CSR_MSTATUS] & MSTATUS_FS)) {
+                    this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                    break;
+                }
+                rindex = (ins >> 7) & 0x1F;
+                rs1 = (ins >> 15) & 0x1F;
+                rs2 = (ins >> 20) & 0x1F;
+                dp = (ins >> 25) & 1;
+                if (dp) {
+                    fs1 = f[rs1];
+                    fs2 = f[rs2];
+                } else {
+                    fs1 = this.ReadSingle(rs1);
+                    fs2 = this.ReadSingle(rs2);
+                }
+                switch((ins >> 25)&0x7F) {
+
+                    case 0x00:
+                    case 0x01:
+                        // fadd.s, fadd.d
+                        fs3 = fs1 + fs2;
+                        break;
+
+                    case 0x04:
+                    case 0x05:
+                        // fsub.s, fsub.d
+                        fs3 = fs1 - fs2;
+                        break;
+
+                    case 0x08:
+                    case 0x09:
+                        // fmul.s, fmul.d
+                        fs3 = fs1 * fs2;
+                        break;
+
+                    case 0x0C:
+                    case 0x0D:
+                        // fdiv.s, fdiv.d
+                        fs3 = fs1 / fs2;
+                        break;
+
+                    case 0x2C:
+                    case 0x2D:
+                        // fsqrt.s, fsqrt.d
+                        fs3 = Math.sqrt(fs1);
+                        break;
+
+                    case 0x14:
+                    case 0x15:
+                        // fmin, fmax
+                        fs3 = ((ins >> 12) & 0x7) ? FMax(fs1, fs2) : FMin(fs1, fs2);
+                        break;
+
+                    case 0x10:
+                        // fsgnj.s, fsgnjn.s, fsgnjx.s
+                        lo = this.ReadSingleBits(rs1);
+                        hi = this.ReadSingleBits(rs2);
+                        switch((ins >> 12) & 7) {
+                            case 0: break;
+                            case 1: hi = ~hi; break;
+                            case 2: hi = hi ^ lo; break;
+                            default:
+                                this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                                continue;
+                        }
+                        fi[(rindex << 1) + 0] = (lo & 0x7FFFFFFF) | (hi & 0x80000000);
+                        fi[(rindex << 1) + 1] = -1;
+                        csr[CSR_MSTATUS] |= MSTATUS_FS;
+                        continue;
+
+                    case 0x11:
+                        // fsgnj.d, fsgnjn.d, fsgnjx.d
+                        lo = fi[(rs1 << 1) + 1];
+                        hi = fi[(rs2 << 1) + 1];
+                        switch((ins >> 12) & 7) {
+                            case 0: break;
+                            case 1: hi = ~hi; break;
+                            case 2: hi = hi ^ lo; break;
+                            default:
+                                this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                                continue;
+                        }
+                        fi[(rindex << 1) + 0] = fi[(rs1 << 1) + 0];
+                        fi[(rindex << 1) + 1] = (lo & 0x7FFFFFFF) | (hi & 0x80000000);
+                        csr[CSR_MSTATUS] |= MSTATUS_FS;
+                        continue;
+
+                    case 0x20:
+                        // fcvt.s.d
+                        this.WriteSingle(rindex, f[rs1]);
+                        csr[CSR_MSTATUS] |= MSTATUS_FS;
+                        continue;
+
+                    case 0x21:
+                        // fcvt.d.s
+                        f[rindex] = this.ReadSingle(rs1);
+                        csr[CSR_MSTATUS] |= MSTATUS_FS;
+                        continue;
+
+                    case 0x50:
+                    case 0x51:
+                        // fle, flt, feq
+                        switch((ins >> 12) & 0x7) {
+                            case 0x0:
+                                lo = (fs1 <= fs2)?1:0;
+                                break;
+
+                            case 0x1:
+                                lo = (fs1 < fs2)?1:0;
+                                break;
+
+                            case 0x2:
+                                lo = (fs1 == fs2)?1:0;
+                                break;
+
+                            default:
+                                this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                                continue;
+                        }
+                        r[rindex << 1] = lo;
+                        r[(rindex << 1) + 1] = 0;
+                        continue;
+
+                    case 0x60:
+                    case 0x61:
+                        // fcvt.w, fcvt.wu, fcvt.l, fcvt.lu
+                        rm = (ins >> 12) & 0x7;
+                        if (rm == 7) rm = (csr[CSR_FCSR] >> 5) & 0x7;
+                        fs3 = RoundToInteger(fs1, rm);
+                        switch(rs2) {
+                            case 0x0:
+                                // to int32
+                                if ((fs3 != fs3) || (fs3 > 2147483647)) lo = 0x7FFFFFFF; else
+                                if (fs3 < -2147483648) lo = 0x80000000; else
+                                lo = fs3|0;
+                                hi = lo >> 31;
+                                break;
+
+                            case 0x1:
+                                // to uint32, the result is sign extended
+                                if ((fs3 != fs3) || (fs3 > 4294967295)) lo = -1; else
+                                if (fs3 < 0) lo = 0; else
+                                lo = fs3|0;
+                                hi = lo >> 31;
+                                break;
+
+                            case 0x2:
+                                // to int64
+                                if ((fs3 != fs3) || (fs3 >= 9223372036854775808)) {
+                                    lo = -1;
+                                    hi = 0x7FFFFFFF;
+                                } else
+                                if (fs3 < -9223372036854775808) {
+                                    lo = 0;
+                                    hi = 0x80000000;
+                                } else {
+                                    hi = Math.floor(fs3 / 4294967296);
+                                    lo = (fs3 - hi * 4294967296)|0;
+                                    hi = hi|0;
+                                }
+                                break;
+
+                            case 0x3:
+                                // to uint64
+                                if ((fs3 != fs3) || (fs3 >= 18446744073709551616)) {
+                                    lo = -1;
+                                    hi = -1;
+                                } else
+                                if (fs3 < 0) {
+                                    lo = 0;
+                                    hi = 0;
+                                } else {
+                                    hi = Math.floor(fs3 / 4294967296);
+                                    lo = (fs3 - hi * 4294967296)|0;
+                                    hi = hi|0;
+                                }
+                                break;
+
+                            default:
+                                this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                                continue;
+                        }
+                        r[rindex << 1] = lo;
+                        r[(rindex << 1) + 1] = hi;
+                        continue;
+
+                    case 0x68:
+                    case 0x69:
+                        // fcvt.s.w, fcvt.s.wu, fcvt.s.l, fcvt.s.lu, fcvt.d.w, fcvt.d.wu, fcvt.d.l, fcvt.d.lu
+                        lo = r[(ins >> 14) & 0x3E];
+                        hi = r[((ins >> 14) & 0x3E) + 1];
+                        switch(rs2) {
+                            case 0x0:
+                                fs3 = lo;
+                                break;
+
+                            case 0x1:
+                                fs3 = lo >>> 0;
+                                break;
+
+                            case 0x2:
+                                fs3 = hi * 4294967296 + (lo >>> 0);
+                                break;
+
+                            case 0x3:
+                                fs3 = (hi >>> 0) * 4294967296 + (lo >>> 0);
+                                break;
+
+                            default:
+                                this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                                continue;
+                        }
+                        break;
+
+                    case 0x70:
+                    case 0x71:
+                        switch((ins >> 12) & 0x7) {
+                            case 0x0:
+                                // fmv.x.w, fmv.x.d
+                                lo = fi[rs1 << 1];
+                                hi = dp ? fi[(rs1 << 1) + 1] : (lo >> 31);
+                                break;
+
+                            case 0x1:
+                                // fclass.s, fclass.d
+                                if (dp) {
+                                    hi = fi[(rs1 << 1) + 1];
+                                    lo = FClass(fs1, hi < 0, (hi >> 19) & 1, 2.2250738585072014e-308);
+                                } else {
+                                    hi = this.ReadSingleBits(rs1);
+                                    lo = FClass(fs1, hi < 0, (hi >> 22) & 1, 1.1754943508222875e-38);
+                                }
+                                hi = 0;
+                                break;
+
+                            default:
+                                this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                                continue;
+                        }
+                        r[rindex << 1] = lo;
+                        r[(rindex << 1) + 1] = hi;
+                        continue;
+
+                    case 0x78:
+                        // fmv.w.x
+                        fi[(rindex << 1) + 0] = r[(ins >> 14) & 0x3E];
+                        fi[(rindex << 1) + 1] = -1;
+                        csr[CSR_MSTATUS] |= MSTATUS_FS;
+                        continue;
+
+                    case 0x79:
+                        // fmv.d.x
+                        fi[(rindex << 1) + 0] = r[(ins >> 14) & 0x3E];
+                        fi[(rindex << 1) + 1] = r[((ins >> 14) & 0x3E) + 1];
+                        csr[CSR_MSTATUS] |= MSTATUS_FS;
+                        continue;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        continue;
+                }
+                // write the result to a floating point register
+                if (dp) {
+                    f[rindex] = fs3;
+                } else {
+                    this.WriteSingle(rindex, fs3);
+                }
+                csr[CSR_MSTATUS] |= MSTATUS_FS;
+                break;
+
+            case 0x43:
+            case 0x47:
+            case 0x4B:
+            case 0x4F:
+                // fmadd, fmsub, fnmsub, fnmadd
+                if (!(csr[CSR_MSTATUS] & MSTATUS_FS)) {
+                    this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                    break;
+                }
+                rindex = (ins >> 7) & 0x1F;
+                dp = (ins >> 25) & 0x3;
+                if (dp > 1) {
+                    this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                    break;
+                }
+                if (dp) {
+                    fs1 = f[(ins >> 15) & 0x1F];
+                    fs2 = f[(ins >> 20) & 0x1F];
+                    fs3 = f[(ins >> 27) & 0x1F];
+                } else {
+                    fs1 = this.ReadSingle((ins >> 15) & 0x1F);
+                    fs2 = this.ReadSingle((ins >> 20) & 0x1F);
+                    fs3 = this.ReadSingle((ins >> 27) & 0x1F);
+                }
+                switch(ins & 0x7F) {
+                    case 0x43:
+                        // fmadd
+                        fs3 = fs1 * fs2 + fs3;
+                        break;
+
+                    case 0x47:
+                        // fmsub
+                        fs3 = fs1 * fs2 - fs3;
+                        break;
+
+                    case 0x4B:
+                        // fnmsub
+                        fs3 = -(fs1 * fs2 - fs3);
+                        break;
+
+                    case 0x4F:
+                        // fnmadd
+                        fs3 = -(fs1 * fs2 + fs3);
+                        break;
+                }
+                if (dp) {
+                    f[rindex] = fs3;
+                } else {
+                    this.WriteSingle(rindex, fs3);
+                }
+                csr[CSR_MSTATUS] |= MSTATUS_FS;
+                break;
+
+            case 0x2F:
+                // amoswap, amoadd, amoxor, amoand, amoor, amomin, amomax, amominu, amomaxu, lr, sc
+                rs1 = r[(ins >> 14) & 0x3E];
+                rs1h = r[((ins >> 14) & 0x3E) + 1];
+                rs2 = r[(ins >> 19) & 0x3E];
+                rs2h = r[((ins >> 19) & 0x3E) + 1];
+                rindex = (ins >> 6) & 0x3E;
+                if ((((ins >> 12) & 0x7) != 0x2) && (((ins >> 12) & 0x7) != 0x3)) {
+                    this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                    break;
+                }
+                dp = (ins >> 12) & 1; // 64-bit
+
+                if (rs1 & (dp ? 7 : 3)) {
+                    if (((ins >> 27) & 0x1F) == 0x02) {
+                        this.Trap(CAUSE_MISALIGNED_LOAD, pc, pch, rs1, rs1h);
+                    } else {
+                        this.Trap(CAUSE_MISALIGNED_STORE, pc, pch, rs1, rs1h);
+                    }
+                    break;
+                }
+
+                if (((ins >> 27) & 0x1F) == 0x02) {
+                    // lr.w, lr.d
+                    paddr = this.TranslateVM(rs1, rs1h, VM_READ)|0;
+                    if (paddr == -1) break;
+                    lo = this.ram.Read32(paddr);
+                    hi = dp ? this.ram.Read32(paddr + 4|0) : (lo >> 31);
+                    this.amoaddr = paddr;
+                    this.amovalue = lo;
+                    this.amovalueh = hi;
+                    r[rindex] = lo;
+                    r[rindex + 1] = hi;
+                    break;
+                }
+
+                paddr = this.TranslateVM(rs1, rs1h, VM_WRITE)|0;
+                if (paddr == -1) break;
+                lo = this.ram.Read32(paddr);
+                hi = dp ? this.ram.Read32(paddr + 4|0) : (lo >> 31);
+                if (!dp) {
+                    rs2h = rs2 >> 31;
+                }
+
+                switch((ins >> 27)&0x1F) {
+
+                    case 0x03:
+                        // sc.w, sc.d
+                        if ((paddr != this.amoaddr) || (lo != this.amovalue) || (hi != this.amovalueh)) {
+                            this.amoaddr = 0x00;
+                            r[rindex] = 0x01;
+                            r[rindex + 1] = 0x00;
+                            continue;
+                        }
+                        this.amoaddr = 0x00;
+                        lo = 0x00;
+                        hi = 0x00;
+                        break;
+
+                    case 0x01:
+                        // amoswap
+                        break;
+
+                    case 0x00:
+                        // amoadd
+                        rs2 = Add64(lo, hi, rs2, rs2h);
+                        rs2h = high;
+                        break;
+
+                    case 0x04:
+                        // amoxor
+                        rs2 = lo ^ rs2;
+                        rs2h = hi ^ rs2h;
+                        break;
+
+                    case 0x0C:
+                        // amoand
+                        rs2 = lo & rs2;
+                        rs2h = hi & rs2h;
+                        break;
+
+                    case 0x08:
+                        // amoor
+                        rs2 = lo | rs2;
+                        rs2h = hi | rs2h;
+                        break;
+
+                    case 0x10:
+                        // amomin
+                        if (Less64(lo, hi, rs2, rs2h)) {
+                            rs2 = lo;
+                            rs2h = hi;
+                        }
+                        break;
+
+                    case 0x14:
+                        // amomax
+                        if (Less64(rs2, rs2h, lo, hi)) {
+                            rs2 = lo;
+                            rs2h = hi;
+                        }
+                        break;
+
+                    case 0x18:
+                        // amominu
+                        if (LessU64(lo, hi, rs2, rs2h)) {
+                            rs2 = lo;
+                            rs2h = hi;
+                        }
+                        break;
+
+                    case 0x1C:
+                        // amomaxu
+                        if (LessU64(rs2, rs2h, lo, hi)) {
+                            rs2 = lo;
+                            rs2h = hi;
+                        }
+                        break;
+
+                    default:
+                        this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                        continue;
+
+                }
+                this.ram.Write32(paddr, rs2);
+                if (dp) this.ram.Write32(paddr + 4|0, rs2h);
+                r[rindex] = lo;
+                r[rindex + 1] = hi;
+                break;
+
+            case 0x0F:
+                // fence, fence.i
+                break;
+
+            default:
+                this.Trap(CAUSE_ILLEGAL_INSTRUCTION, pc, pch, ins, 0);
+                break;
+        }
+
+    } while(steps=steps-1|0);
+
+    return steps;
+};
+
+module.exports = SafeCPU64;
@@ -0,0 +1,113 @@
+// -------------------------------------------------
+// -------------------- SMP CPU --------------------
+// -------------------------------------------------
+// Runs several harts of the safe cpu. The harts are executed one after another
+// in small time slices, so that they see the stores of the other harts early enough
+// for spinlocks and similar.
+
+"use strict";
+var message = require('../messagehandler');
+var snapshot = require('../snapshot');
+var SafeCPU = require('./safecpu');
+
+// number of instructions executed by one hart before the next hart is scheduled.
+// Each slice contains exactly one tick of the timer.
+var SLICE = 64;
+
+function SMPCPU(ram, htif, ncores) {
+    ncores = ncores | 0;
+    if ((ncores < 1) || (ncores > 32)) {
+        message.Debug("Error in SMPCPU: " + ncores + " cores are not supported");
+        message.Abort();
+    }
+    message.Debug("Initialize RISCV SMP with " + ncores + " harts");
+
+    this.ncores = ncores;
+    this.harts = [];
+    for(var i=0; i<ncores; i++) {
+        this.harts.push(new SafeCPU(ram, htif, i));
+    }
+    for(var i=0; i<ncores; i++) {
+        this.harts[i].harts = this.harts;
+    }
+}
+
+SMPCPU.prototype.Reset = function() {
+    for(var i=0; i<this.ncores; i++) {
+        this.harts[i].Reset();
+    }
+};
+
+// Returns the number of steps left, when all harts are waiting for an interrupt
+SMPCPU.prototype.Step = function (steps, clockspeed) {
+    steps = steps | 0;
+    clockspeed = clockspeed | 0;
+    var idle = true;
+
+    do {
+        idle = true;
+        for(var i=0; i<this.ncores; i++) {
+            if (this.harts[i].Step(SLICE, clockspeed) == 0) idle = false;
+        }
+        steps = steps - SLICE | 0;
+    } while((steps > 0) && !idle);
+
+    if (idle) return (steps > 0) ? steps : 1;
+    return 0;
+};
+
+// cpuid -1 addresses all harts
+SMPCPU.prototype.RaiseInterrupt = function (line, cpuid) {
+    if (cpuid == -1) {
+        for(var i=0; i<this.ncores; i++) this.harts[i].RaiseInterrupt(line, i);
+        return;
+    }
+    this.harts[cpuid].RaiseInterrupt(line, cpuid);
+};
+
+SMPCPU.prototype.ClearInterrupt = function (line, cpuid) {
+    if (cpuid == -1) {
+        for(var i=0; i<this.ncores; i++) this.harts[i].ClearInterrupt(line, i);
+        return;
+    }
+    this.harts[cpuid].ClearInterrupt(line, cpuid);
+};
+
+// all harts share the same time
+SMPCPU.prototype.GetTicks = function () {
+    return this.harts[0].GetTicks();
+};
+
+SMPCPU.prototype.GetTimeToNextInterrupt = function () {
+    var delta = this.harts[0].GetTimeToNextInterrupt() | 0;
+    for(var i=1; i<this.ncores; i++) {
+        delta = Math.min(delta, this.harts[i].GetTimeToNextInterrupt() | 0);
+    }
+    return delta;
+};
+
+SMPCPU.prototype.ProgressTime = function (delta) {
+    for(var i=0; i<this.ncores; i++) {
+        this.harts[i].ProgressTime(delta);
+    }
+};
+
+SMPCPU.prototype.AnalyzeImage = function() {
+};
+
+// The registers and CSRs are part of the heap. Only the remaining fields of the harts are stored.
+SMPCPU.prototype.GetState = function(heap) {
+    var state = [];
+    for(var i=0; i<this.ncores; i++) {
+        state.push(snapshot.GetObjectState(this.harts[i], heap));
+    }
+    return state;
+};
+
+SMPCPU.prototype.SetState = function(state) {
+    for(var i=0; i<this.ncores; i++) {
+        snapshot.SetObjectState(this.harts[i], state[i]);
+    }
+};
+
+module.exports = SMPCPU;
@@ -0,0 +1,199 @@
+// -------------------------------------------------
+// ------------------- SNAPSHOT --------------------
+// -------------------------------------------------
+// Serialization of the machine state into one binary blob
+//
+// Layout of the blob
+// 0x0   magic
+// 0x4   version
+// 0x8   length of the header in 16-bit characters
+// 0xC   length of the data section in bytes
+// 0x10  JSON header as UTF-16 string, padded to 8 bytes
+// ...   data section containing the typed arrays, each aligned to 8 bytes
+//
+// Typed arrays and array buffers are stored in the header as {$type, $offset, $length}.
+// The type of an array buffer is -1.
+
+"use strict";
+var message = require('./messagehandler');
+
+var SNAPSHOT_MAGIC = 0x4A4F524B; // "JORK"
+var SNAPSHOT_VERSION = 1;
+
+var TYPES = [
+    Int8Array, Uint8Array, Uint8ClampedArray,
+    Int16Array, Uint16Array,
+    Int32Array, Uint32Array,
+    Float32Array, Float64Array];
+
+function IsTypedArray(x) {
+    for(var i=0; i<TYPES.length; i++) {
+        if (x instanceof TYPES[i]) return true;
+    }
+    return false;
+}
+
+function IsPlain(x) {
+    if (Array.isArray(x)) return true;
+    return Object.getPrototypeOf(x) === Object.prototype;
+}
+
+// Returns a serializable copy of value or undefined if the value cannot be stored.
+// Typed arrays which are views of the heap are skipped, because the heap is stored as a whole.
+// Arrays and objects are only stored if all of their elements can be stored.
+// Typed arrays are not copied here. This is done by Encode.
+function GetValue(value, heap) {
+    switch(typeof value) {
+        case "number":
+        case "boolean":
+        case "string":
+            return value;
+        case "object":
+            break;
+        default:
+            return undefined;
+    }
+    if (value === null) return null;
+    if (IsTypedArray(value)) {
+        if (value.buffer === heap) return undefined;
+        return value;
+    }
+    if (value instanceof ArrayBuffer) {
+        if (value === heap) return undefined;
+        return value;
+    }
+    if (!IsPlain(value)) return undefined;
+    var copy = Array.isArray(value) ? new Array(value.length) : {};
+    var keys = Object.keys(value);
+    for(var i=0; i<keys.length; i++) {
+        copy[keys[i]] = GetValue(value[keys[i]], heap);
+        if (copy[keys[i]] === undefined) return undefined;
+    }
+    return copy;
+}
+
+// Collects all fields of an object which define its state.
+// References to other devices, functions and views of the heap are skipped.
+function GetObjectState(obj, heap) {
+    var state = {};
+    var keys = Object.keys(obj);
+    for(var i=0; i<keys.length; i++) {
+        var value = GetValue(obj[keys[i]], heap);
+        if (value !== undefined) state[keys[i]] = value;
+    }
+    return state;
+}
+
+// Returns a deep copy, so that the object does not reference the blob
+function Clone(value) {
+    if ((value === null) || (typeof value != "object")) return value;
+    if (IsTypedArray(value)) return new value.constructor(value);
+    if (value instanceof ArrayBuffer) return value.slice(0);
+    if (Array.isArray(value)) return value.map(Clone);
+    var obj = {};
+    for(var key in value) obj[key] = Clone(value[key]);
+    return obj;
+}
+
+// Writes the state back. Buffers of the same size are overwritten in place,
+// because other devices might hold a reference to them or views of them.
+function SetObjectState(obj, state) {
+    for(var key in state) {
+        var value = state[key];
+        var old = obj[key];
+        if (old && IsTypedArray(old) && IsTypedArray(value))
+        if ((old.constructor === value.constructor) && (old.length == value.length)) {
+            old.set(value);
+            continue;
+        }
+        if ((old instanceof ArrayBuffer) && (value instanceof ArrayBuffer))
+        if (old.byteLength == value.byteLength) {
+            new Uint8Array(old).set(new Uint8Array(value));
+            continue;
+        }
+        obj[key] = Clone(value);
+    }
+}
+
+function Encode(state) {
+    var arrays = [];
+    var datasize = 0;
+
+    var header = JSON.stringify(state, function(key, value) {
+        if ((value === null) || (typeof value != "object")) return value;
+        var offset = datasize;
+        if (value instanceof ArrayBuffer) {
+            arrays.push({offset: offset, array: new Uint8Array(value)});
+            datasize += (value.byteLength + 7) & (~7);
+            return {$type: -1, $offset: offset, $length: value.byteLength};
+        }
+        if (!IsTypedArray(value)) return value;
+        arrays.push({offset: offset, array: value});
+        datasize += (value.byteLength + 7) & (~7);
+        return {
+            $type: TYPES.indexOf(value.constructor),
+            $offset: offset,
+            $length: value.length
+        };
+    });
+
+    var dataoffset = (0x10 + header.length*2 + 7) & (~7);
+    var buffer = new ArrayBuffer(dataoffset + datasize);
+    var buffer32 = new Uint32Array(buffer, 0, 4);
+    buffer32[0] = SNAPSHOT_MAGIC;
+    buffer32[1] = SNAPSHOT_VERSION;
+    buffer32[2] = header.length;
+    buffer32[3] = datasize;
+
+    var header16 = new Uint16Array(buffer, 0x10, header.length);
+    for(var i=0; i<header.length; i++) {
+        header16[i] = header.charCodeAt(i);
+    }
+
+    var buffer8 = new Uint8Array(buffer);
+    for(var i=0; i<arrays.length; i++) {
+        var array = arrays[i].array;
+        buffer8.set(
+            new Uint8Array(array.buffer, array.byteOffset, array.byteLength),
+            dataoffset + arrays[i].offset);
+    }
+    return buffer;
+}
+
+// The typed arrays of the returned state are views of the blob
+function Decode(buffer) {
+    var buffer32 = new Uint32Array(buffer, 0, buffer.byteLength >= 0x10 ? 4 : 0);
+    if ((buffer32.length == 0) || (buffer32[0] != SNAPSHOT_MAGIC)) {
+        message.Debug("Error in snapshot: Not a valid state file");
+        return null;
+    }
+    if (buffer32[1] != SNAPSHOT_VERSION) {
+        message.Debug("Error in snapshot: Version " + buffer32[1] + " not supported");
+        return null;
+    }
+    var headerlength = buffer32[2];
+    var dataoffset = (0x10 + headerlength*2 + 7) & (~7);
+    if (dataoffset + buffer32[3] > buffer.byteLength) {
+        message.Debug("Error in snapshot: File truncated");
+        return null;
+    }
+
+    var header16 = new Uint16Array(buffer, 0x10, headerlength);
+    var header = "";
+    for(var i=0; i<headerlength; i+=0x1000) {
+        header += String.fromCharCode.apply(null, header16.subarray(i, i+0x1000));
+    }
+
+    return JSON.parse(header, function(key, value) {
+        if ((value === null) || (typeof value != "object") || (value.$type === undefined)) return value;
+        if (value.$type == -1) {
+            return buffer.slice(dataoffset + value.$offset, dataoffset + value.$offset + value.$length);
+        }
+        return new TYPES[value.$type](buffer, dataoffset + value.$offset, value.$length);
+    });
+}
+
+module.exports.GetObjectState = GetObjectState;
+module.exports.SetObjectState = SetObjectState;
+module.exports.Encode = Encode;
+module.exports.Decode = Decode;
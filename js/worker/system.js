@@ -7,12 +7,16 @@
 var message = require('./messagehandler'); // global variable
 var utils = require('./utils');
 var RAM = require('./ram');
-var bzip2 = require('./bzip2');
+var decompress = require('./decompress');
 var elf = require('./elf');
 var Timer = require('./timer');
 var InitOpenRISC = require('./init_openrisc');
 var InitRISCV = require('./init_riscv');
 var FS = require('./filesystem/filesystem');
+var snapshot = require('./snapshot');
+var GDBStub = require('./gdbstub');
+var pcap = require('./dev/pcap');
+var devicetree = require('./devicetree');
 
 // Devices
 var UARTDev = require('./dev/uart');
@@ -40,6 +44,7 @@ var VirtioConsole = require('./dev/virtio/console');
 var SYSTEM_RUN = 0x1;
 var SYSTEM_STOP = 0x2;
 var SYSTEM_HALT = 0x3; // Idle
+var SYSTEM_BREAK = 0x4; // stopped by the debugger
 
 function System() {
     // the Init function is called by the master thread.
@@ -48,6 +53,12 @@ function System() {
     message.Register("Init", this.Init.bind(this) );
     message.Register("Reset", this.Reset.bind(this) );
     message.Register("PrintOnAbort", this.PrintState.bind(this) );
+    message.RegisterRequest("SaveState", this.SaveState.bind(this) );
+    message.Register("LoadState", this.LoadState.bind(this) );
+    message.Register("StartCapture", pcap.Start);
+    message.RegisterRequest("StopCapture", pcap.Stop);
+
+    this.gdbstub = new GDBStub(this);
 
     message.Register("GetIPS", function(data) {
         message.Send("GetIPS", this.ips);
@@ -71,10 +82,11 @@ System.prototype.Init = function(system) {
 
     this.status = SYSTEM_STOP;
 
+    this.initdata = system;
     this.arch = system.arch;
     this.memorysize = system.memorysize;
-    this.ncores = system.ncores;
     if (!system.ncores) system.ncores = 1;
+    this.ncores = system.ncores;
 
     this.ips = 0; // external instruction per second counter
     this.idletime = 0; // start time of the idle routine
@@ -102,8 +114,17 @@ System.prototype.Init = function(system) {
     this.csr = new Int32Array(this.heap, 0x2000, 4096);
 
     this.devices = [];
+    this.initrd = null; // physical start and end address of the initial ram disk
+    this.dtbloading = false; // the blob given by dtbURL is loaded by InitRISCV
+    this.bootpending = false; // Boot waits for the blob
     this.filesystem = new FS();
     this.virtio9pdev = new Virtio9p(this.ram, this.filesystem);
+    // additional 9p shares with their own mount tags. The SoC adds their devices
+    this.shares = [];
+    var shares = system.shares || [];
+    for(var i=0; i<shares.length; i++) {
+        this.shares.push(this.CreateShare(shares[i]));
+    }
 
     try {
         if (system.arch == "or1k") {
@@ -118,6 +139,28 @@ System.prototype.Init = function(system) {
         message.Debug("Error: failed to create SoC: " + e);
         message.Abort();
     }
+
+    if (system.gdbURL) this.gdbstub.ConnectWebSocket(system.gdbURL);
+};
+
+// share contains the tag, readonly and either a provider object with the interface of FS,
+// the json files of the filesystem in share.fs, e.g. {basefsURL: "course.json"},
+// or a host directory in share.directory (see filesystem/hostdirectory.js)
+System.prototype.CreateShare = function(share) {
+    var filesystem = share.provider;
+    if (!filesystem) {
+        filesystem = new FS(share.tag);
+        if (share.directory) {
+            filesystem.LoadHostDirectory(share.directory);
+        } else if (share.fs) {
+            filesystem.LoadFilesystem(share.fs);
+        }
+    }
+    return {
+        tag: share.tag,
+        filesystem: filesystem,
+        virtio9pdev: new Virtio9p(this.ram, filesystem, share.tag, share.readonly)
+    };
 };
 
 System.prototype.RaiseInterrupt = function(line) {
@@ -162,6 +205,88 @@ System.prototype.PrintState = function() {
     message.Debug(this.cpu.toString());
 };
 
+// Returns a snapshot of the whole machine as one binary blob
+System.prototype.SaveState = function() {
+    var state = {
+        system: this.initdata,
+        running: this.status != SYSTEM_STOP,
+        heap: new Uint8Array(this.heap),
+        ram: {nativeendian: this.ram.nativeendian},
+        devices: [],
+        filesystem: this.filesystem.GetState(),
+        shares: []
+    };
+    // the state of provider objects is not stored
+    for(var i=0; i<this.shares.length; i++) {
+        var filesystem = this.shares[i].filesystem;
+        state.shares.push(filesystem.GetState ? filesystem.GetState() : null);
+    }
+
+    // the cpu stores its internal state in the heap. So this must be done before the heap is encoded.
+    for(var i=0; i<this.devices.length; i++) {
+        var device = this.devices[i];
+        state.devices.push(device.GetState?device.GetState():snapshot.GetObjectState(device, this.heap));
+    }
+    if (this.htif) state.htif = snapshot.GetObjectState(this.htif, this.heap);
+    if (this.virtionetdev) state.virtionetdev = snapshot.GetObjectState(this.virtionetdev, this.heap);
+    // the disk images are no plain objects, so their written sectors are stored separately
+    if (this.virtioblockdev) state.virtioblock = this.virtioblockdev.image.GetOverlay();
+    if (this.atadev) state.ata = this.atadev.image.GetOverlay();
+
+    return snapshot.Encode(state);
+};
+
+System.prototype.LoadState = function(buffer) {
+    var state = snapshot.Decode(buffer);
+    if (!state) return;
+
+    var wasrunning = this.status == SYSTEM_RUN;
+    this.status = SYSTEM_STOP;
+    clearTimeout(this.idletimeouthandle);
+
+    // create a new SoC if the configuration differs
+    if ((!this.initdata) ||
+        (this.initdata.arch != state.system.arch) ||
+        (this.initdata.cpu != state.system.cpu) ||
+        (this.initdata.memorysize != state.system.memorysize) ||
+        (this.initdata.ncores != state.system.ncores)) {
+        this.Init(state.system);
+    }
+
+    if ((this.heap.byteLength != state.heap.length) || (this.devices.length != state.devices.length)) {
+        message.Debug("Error in LoadState: State does not match the SoC");
+        return;
+    }
+    new Uint8Array(this.heap).set(state.heap);
+    if ((state.ram.nativeendian == "big") && (this.ram.nativeendian != "big")) {
+        this.ram.Little2Big(0);
+    }
+
+    for(var i=0; i<this.devices.length; i++) {
+        var device = this.devices[i];
+        if (device.SetState) {
+            device.SetState(state.devices[i]);
+        } else {
+            snapshot.SetObjectState(device, state.devices[i]);
+        }
+    }
+    if (state.htif) snapshot.SetObjectState(this.htif, state.htif);
+    if (state.virtionetdev) snapshot.SetObjectState(this.virtionetdev, state.virtionetdev);
+    if (this.virtioblockdev && state.virtioblock) this.virtioblockdev.image.SetOverlay(state.virtioblock);
+    if (this.atadev && state.ata) this.atadev.image.SetOverlay(state.ata);
+    this.filesystem.SetState(state.filesystem);
+    var shares = state.shares || [];
+    for(var i=0; i<this.shares.length; i++) {
+        if (shares[i] && this.shares[i].filesystem.SetState) this.shares[i].filesystem.SetState(shares[i]);
+    }
+
+    this.ips = 0;
+    message.Debug("State loaded");
+    if (!state.running) return;
+    this.status = SYSTEM_RUN;
+    if (!wasrunning) message.Send("execute", 0);
+};
+
 System.prototype.SendStringToTerminal = function(str)
 {
     var chars = [];
@@ -179,7 +304,7 @@ System.prototype.LoadImageAndStart = function(url) {
         utils.LoadBinaryResource(
             url, 
             this.OnKernelLoaded.bind(this), 
-            function(error){throw error;}
+            function(error){message.Debug(String(error)); message.Abort();}
         );
     } else {
         this.OnKernelLoaded(url);
@@ -211,6 +336,68 @@ System.prototype.PatchKernel = function(length)
     }
 };
 
+// Returns the physical address of the first byte of the RAM
+System.prototype.GetRAMBase = function() {
+    return (this.arch == "riscv") ? 0x80000000 : 0x0;
+};
+
+// Copies the initial ram disk to the end of the RAM
+System.prototype.OnInitrdLoaded = function(buffer) {
+    var buffer8 = new Uint8Array(buffer);
+    var offset = (this.memorysize*0x100000 - buffer8.length) & ~0xFFF;
+    if (offset < 0) {
+        message.Debug("Error: The initrd does not fit into the RAM");
+        message.Abort();
+    }
+    if (this.cpu.littleendian == false) {
+        for(var i=0; i<buffer8.length; i++) this.ram.Write8Big(offset + i, buffer8[i]);
+    } else {
+        this.ram.uint8mem.set(buffer8, offset);
+    }
+    this.initrd = {
+        start: this.GetRAMBase() + offset,
+        end: this.GetRAMBase() + offset + buffer8.length
+    };
+    message.Debug("Initrd loaded: " + buffer8.length + " bytes at " + utils.ToHex(this.initrd.start));
+    this.Boot();
+};
+
+// OpenRISC: The device tree is copied to the end of the RAM below the initrd.
+// The kernel expects its physical address in r3.
+// RISC-V: The device tree is copied into the boot ROM. A blob given by dtbURL replaces the generated one.
+System.prototype.LoadDeviceTree = function() {
+    if (this.arch == "riscv") {
+        var fdt = null;
+        if (this.dtb) {
+            fdt = devicetree.ParseRISCV(this, this.dtb, this.initdata, this.initrd);
+            if (!fdt) {
+                message.Debug("Error: The file given by dtbURL is no device tree blob");
+                message.Abort();
+            }
+        } else {
+            fdt = devicetree.GenerateRISCV(this, this.initdata, this.initrd);
+        }
+        var dtb = fdt.Build();
+        if (0x1020 + dtb.length > this.rom.byteLength) {
+            message.Debug("Error: The device tree does not fit into the ROM");
+            message.Abort();
+        }
+        new Uint8Array(this.rom).set(dtb, 0x1020);
+        return;
+    }
+
+    var fdt = devicetree.GenerateOpenRISC(this, this.initdata, this.initrd);
+    var size = fdt.Build().length + 16; // plus the entry in the memory reservation block
+    var addr = ((this.initrd ? this.initrd.start : this.memorysize*0x100000) - size) & ~0xFFF;
+    fdt.Reserve(addr, size);
+    var dtb = fdt.Build();
+    for(var i=0; i<dtb.length; i++) {
+        this.ram.Write8Big(addr + i, dtb[i]);
+    }
+    new Int32Array(this.heap, 0, 32)[3] = addr;
+    message.Debug("Device tree loaded at " + utils.ToHex(addr));
+};
+
 System.prototype.OnKernelLoaded = function(buffer) {
     this.SendStringToTerminal("Decompressing kernel...\r\n");
     var buffer8 = new Uint8Array(buffer);
@@ -219,9 +406,10 @@ System.prototype.OnKernelLoaded = function(buffer) {
     if (elf.IsELF(buffer8)) {
         elf.Extract(buffer8, this.ram);
     } else 
-    if (bzip2.IsBZIP2(buffer8)) {
+    if (decompress.IsCompressed(buffer8)) {
+        message.Debug("Kernel is compressed with " + decompress.GetFormat(buffer8));
         length = 0;
-        bzip2.simple(buffer8, function(x){this.ram.uint8mem[length++] = x;}.bind(this));
+        decompress.simple(buffer8, function(x){this.ram.uint8mem[length++] = x;}.bind(this));
         if (elf.IsELF(this.ram.uint8mem)) {
             var temp = new Uint8Array(length);
             for(var i=0; i<length; i++) {
@@ -239,18 +427,64 @@ System.prototype.OnKernelLoaded = function(buffer) {
         this.ram.Little2Big(length);
     }
     message.Debug("Kernel loaded: " + length + " bytes");
+
+    this.initrd = null;
+    if (this.initdata.initrdURL) {
+        this.SendStringToTerminal("Loading initrd...\r\n");
+        utils.LoadBinaryResource(
+            this.initdata.initrdURL,
+            this.OnInitrdLoaded.bind(this),
+            function(error){message.Debug(String(error)); message.Abort();}
+        );
+        return;
+    }
+    this.Boot();
+};
+
+System.prototype.Boot = function() {
+    // the kernel can be loaded before the device tree given by dtbURL
+    if (this.dtbloading) {
+        this.bootpending = true;
+        return;
+    }
+    this.bootpending = false;
     this.SendStringToTerminal("Booting\r\n");
     this.SendStringToTerminal("================================================================================");
     // we can start the boot process already, even if the filesystem is not yet ready
 
     this.cpu.Reset();
     this.cpu.AnalyzeImage();
+    this.LoadDeviceTree();
     message.Debug("Starting emulation");
+    if (this.gdbstub.IsStopped()) {
+        this.status = SYSTEM_BREAK; // wait for the debugger
+        return;
+    }
     this.status = SYSTEM_RUN;
 
     message.Send("execute", 0);
 };
 
+// stops the system until Continue is called. Used by the debugger.
+System.prototype.Break = function() {
+    if ((this.status != SYSTEM_RUN) && (this.status != SYSTEM_HALT)) return;
+    clearTimeout(this.idletimeouthandle);
+    this.status = SYSTEM_BREAK;
+};
+
+System.prototype.Continue = function() {
+    if (this.status != SYSTEM_BREAK) return;
+    this.status = SYSTEM_RUN;
+    this.MainLoop();
+};
+
+System.prototype.SingleStep = function() {
+    if (this.status != SYSTEM_BREAK) return;
+    this.cpu.Step(1, this.timer.timercyclesperinstruction);
+    this.uartdev0 && this.uartdev0.Step();
+    this.uartdev1 && this.uartdev1.Step();
+};
+
 // the kernel has sent a halt signal, so stop everything until the next interrupt is raised
 System.prototype.HandleHalt = function() {
     var delta = this.cpu.GetTimeToNextInterrupt();
@@ -287,6 +521,12 @@ System.prototype.MainLoop = function() {
     this.uartdev1 && this.uartdev1.Step();
     //this.snddev.Progress();
 
+    if (this.cpu.IsBreakpoint()) {
+        this.status = SYSTEM_BREAK;
+        this.gdbstub.OnBreak();
+        return;
+    }
+
     // stepsleft != 0 indicates CPU idle
     var gotoidle = stepsleft?true:false;
 
@@ -2,6 +2,9 @@
 // ------------------ Utils ------------------------
 // -------------------------------------------------
 
+// Node.js has no XMLHttpRequest. There the resources are read from the local file system.
+var fs = (typeof XMLHttpRequest === "undefined") ? require("fs") : null;
+
 function GetMilliseconds() {
     return (new Date()).getTime();
 }
@@ -43,7 +46,36 @@ function CopyBinary(to, from, size, buffersrc, bufferdest) {
     }
 }
 
+function ToArrayBuffer(buffer) {
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+function LoadLocalFile(filename, OnSuccess, NonBlocking, OnError) {
+    if (!NonBlocking) {
+        var buffer;
+        try {
+            buffer = fs.readFileSync(filename);
+        } catch(err) {
+            OnError("Error: Could not load file " + filename);
+            return;
+        }
+        OnSuccess(ToArrayBuffer(buffer));
+        return;
+    }
+    fs.readFile(filename, function(err, buffer) {
+        if (err) {
+            OnError("Error: Could not load file " + filename);
+            return;
+        }
+        OnSuccess(ToArrayBuffer(buffer));
+    });
+}
+
 function LoadBinaryResource(url, OnSuccess, OnError) {
+    if (fs) {
+        LoadLocalFile(url, OnSuccess, true, OnError);
+        return;
+    }
     var req = new XMLHttpRequest();
     // open might fail, when we try to open an unsecure address, when the main page is secure
     try {
@@ -72,6 +104,10 @@ function LoadBinaryResource(url, OnSuccess, OnError) {
 }
 
 function LoadBinaryResourceII(url, OnSuccess, NonBlocking, OnError) {
+    if (fs) {
+        LoadLocalFile(url, OnSuccess, NonBlocking, OnError);
+        return;
+    }
     var req = new XMLHttpRequest();
     // open might fail, when we try to open an unsecure address, when the main page is secure
     try {
@@ -100,6 +136,16 @@ function LoadBinaryResourceII(url, OnSuccess, NonBlocking, OnError) {
 }
 
 function LoadTextResource(url, OnSuccess, OnError) {
+    if (fs) {
+        fs.readFile(url, "utf8", function(err, text) {
+            if (err) {
+                OnError("Error: Could not load text file " + url);
+                return;
+            }
+            OnSuccess(text);
+        });
+        return;
+    }
     var req = new XMLHttpRequest();
     req.open('GET', url, true);
     //req.overrideMimeType('text/xml');
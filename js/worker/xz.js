@@ -0,0 +1,445 @@
+// -------------------------------------------------
+// --------------------- XZ ------------------------
+// -------------------------------------------------
+// Decompression of xz files with the LZMA2 filter.
+// The format is described in https://tukaani.org/xz/xz-file-format.txt
+// The LZMA decoder follows the specification in the LZMA SDK (lzma-specification.txt).
+// The output is streamed byte by byte like in bzip2.js.
+// The integrity checks are skipped. Other filters like BCJ are not supported.
+
+"use strict";
+
+var message = require('./messagehandler');
+
+var FILTER_LZMA2 = 0x21;
+
+// size of the check in bytes for each check type
+var CHECK_SIZE = [0, 4, 4, 4, 8, 8, 8, 16, 16, 16, 32, 32, 32, 64, 64, 64];
+
+var NUM_STATES = 12;
+var POS_STATES_MAX = 16;
+var END_POS_MODEL_INDEX = 14;
+var NUM_FULL_DISTANCES = 128;
+var NUM_ALIGN_BITS = 4;
+var MATCH_MIN_LEN = 2;
+
+function Fail(msg) {
+    message.Debug("Error in xz: " + msg);
+    message.Abort();
+}
+
+// ----- Dictionary -----
+// The dictionary grows with the output up to its maximum size. Then it is used as ring buffer.
+
+function Dictionary(size, stream) {
+    this.maxsize = size;
+    this.buffer = new Uint8Array(Math.min(size, 0x100000));
+    this.stream = stream;
+    this.Reset();
+}
+
+Dictionary.prototype.Reset = function() {
+    this.pos = 0; // position in the buffer
+    this.total = 0; // number of bytes since the last reset
+};
+
+Dictionary.prototype.Put = function(x) {
+    if (this.pos == this.buffer.length) {
+        if (this.buffer.length < this.maxsize) {
+            var buffer = new Uint8Array(Math.min(this.buffer.length*2, this.maxsize));
+            buffer.set(this.buffer);
+            this.buffer = buffer;
+        } else {
+            this.pos = 0;
+        }
+    }
+    this.buffer[this.pos++] = x;
+    this.total++;
+    this.stream(x);
+};
+
+// Returns the byte at distance dist+1 back
+Dictionary.prototype.Get = function(dist) {
+    var i = this.pos - dist - 1;
+    if (i < 0) i += this.buffer.length;
+    return this.buffer[i];
+};
+
+Dictionary.prototype.Copy = function(dist, len) {
+    if (dist >= this.total || dist >= this.maxsize) Fail("Distance too far back");
+    for(var i=0; i<len; i++) {
+        this.Put(this.Get(dist));
+    }
+};
+
+// ----- Range decoder -----
+
+function RangeDecoder(src, offset) {
+    this.src = src;
+    this.pos = offset;
+    if (src[this.pos++] != 0) Fail("Invalid range coder data");
+    this.range = 0xFFFFFFFF;
+    this.code = 0;
+    for(var i=0; i<4; i++) {
+        this.code = ((this.code << 8) | src[this.pos++]) >>> 0;
+    }
+}
+
+RangeDecoder.prototype.Normalize = function() {
+    if (this.range < 0x1000000) {
+        this.range = (this.range << 8) >>> 0;
+        this.code = ((this.code << 8) | this.src[this.pos++]) >>> 0;
+    }
+};
+
+RangeDecoder.prototype.DecodeBit = function(probs, i) {
+    var prob = probs[i];
+    var bound = (this.range >>> 11) * prob;
+    var bit = 0;
+    if (this.code < bound) {
+        this.range = bound;
+        probs[i] = prob + ((2048 - prob) >> 5);
+    } else {
+        this.range -= bound;
+        this.code -= bound;
+        probs[i] = prob - (prob >> 5);
+        bit = 1;
+    }
+    this.Normalize();
+    return bit;
+};
+
+RangeDecoder.prototype.DecodeDirect = function(n) {
+    var result = 0;
+    for(var i=0; i<n; i++) {
+        this.range >>>= 1;
+        var bit = 0;
+        if (this.code >= this.range) {
+            this.code -= this.range;
+            bit = 1;
+        }
+        result = result*2 + bit;
+        this.Normalize();
+    }
+    return result;
+};
+
+RangeDecoder.prototype.BitTree = function(probs, offset, n) {
+    var m = 1;
+    for(var i=0; i<n; i++) {
+        m = (m << 1) | this.DecodeBit(probs, offset + m);
+    }
+    return m - (1 << n);
+};
+
+RangeDecoder.prototype.ReverseBitTree = function(probs, offset, n) {
+    var m = 1;
+    var symbol = 0;
+    for(var i=0; i<n; i++) {
+        var bit = this.DecodeBit(probs, offset + m);
+        m = (m << 1) | bit;
+        symbol |= bit << i;
+    }
+    return symbol;
+};
+
+// ----- LZMA decoder -----
+
+function InitProbs(n) {
+    var probs = new Uint16Array(n);
+    for(var i=0; i<n; i++) probs[i] = 1024;
+    return probs;
+}
+
+function LenDecoder() {
+    this.choice = InitProbs(2);
+    this.low = InitProbs(POS_STATES_MAX << 3);
+    this.mid = InitProbs(POS_STATES_MAX << 3);
+    this.high = InitProbs(256);
+}
+
+LenDecoder.prototype.Decode = function(rc, posstate) {
+    if (rc.DecodeBit(this.choice, 0) == 0) {
+        return rc.BitTree(this.low, posstate << 3, 3);
+    }
+    if (rc.DecodeBit(this.choice, 1) == 0) {
+        return 8 + rc.BitTree(this.mid, posstate << 3, 3);
+    }
+    return 16 + rc.BitTree(this.high, 0, 8);
+};
+
+function LZMA(dict) {
+    this.dict = dict;
+    this.lc = 0;
+    this.lp = 0;
+    this.pb = 0;
+    this.pendinglen = 0; // rest of a match, which did not fit into the last chunk
+}
+
+LZMA.prototype.SetProperties = function(props) {
+    if (props >= 9*5*5) Fail("Invalid LZMA properties");
+    this.lc = props % 9;
+    props = Math.floor(props / 9);
+    this.lp = props % 5;
+    this.pb = Math.floor(props / 5);
+    if (this.lc + this.lp > 4) Fail("Invalid LZMA2 properties");
+};
+
+LZMA.prototype.ResetState = function() {
+    this.literal = InitProbs(0x300 << (this.lc + this.lp));
+    this.ismatch = InitProbs(NUM_STATES << 4);
+    this.isrep = InitProbs(NUM_STATES);
+    this.isrepg0 = InitProbs(NUM_STATES);
+    this.isrepg1 = InitProbs(NUM_STATES);
+    this.isrepg2 = InitProbs(NUM_STATES);
+    this.isrep0long = InitProbs(NUM_STATES << 4);
+    this.posslot = InitProbs(4 << 6);
+    this.specpos = InitProbs(1 + NUM_FULL_DISTANCES - END_POS_MODEL_INDEX);
+    this.align = InitProbs(1 << NUM_ALIGN_BITS);
+    this.lendecoder = new LenDecoder();
+    this.replendecoder = new LenDecoder();
+    this.state = 0;
+    this.rep0 = 0;
+    this.rep1 = 0;
+    this.rep2 = 0;
+    this.rep3 = 0;
+    this.pendinglen = 0;
+};
+
+LZMA.prototype.DecodeLiteral = function(rc) {
+    var dict = this.dict;
+    var prevbyte = dict.total ? dict.Get(0) : 0;
+    var litstate = ((dict.total & ((1 << this.lp) - 1)) << this.lc) + (prevbyte >> (8 - this.lc));
+    var offset = 0x300 * litstate;
+    var symbol = 1;
+    if (this.state >= 7) {
+        var matchbyte = dict.Get(this.rep0);
+        do {
+            var matchbit = (matchbyte >> 7) & 1;
+            matchbyte <<= 1;
+            var bit = rc.DecodeBit(this.literal, offset + ((1 + matchbit) << 8) + symbol);
+            symbol = (symbol << 1) | bit;
+            if (matchbit != bit) break;
+        } while (symbol < 0x100);
+    }
+    while (symbol < 0x100) {
+        symbol = (symbol << 1) | rc.DecodeBit(this.literal, offset + symbol);
+    }
+    dict.Put(symbol - 0x100);
+    this.state = (this.state < 4) ? 0 : ((this.state < 10) ? this.state - 3 : this.state - 6);
+};
+
+LZMA.prototype.DecodeDistance = function(rc, len) {
+    var lenstate = Math.min(len, 3);
+    var posslot = rc.BitTree(this.posslot, lenstate << 6, 6);
+    if (posslot < 4) return posslot;
+    var numdirectbits = (posslot >> 1) - 1;
+    var dist = (2 | (posslot & 1)) * Math.pow(2, numdirectbits);
+    if (posslot < END_POS_MODEL_INDEX) {
+        return dist + rc.ReverseBitTree(this.specpos, dist - posslot - 1, numdirectbits);
+    }
+    dist += rc.DecodeDirect(numdirectbits - NUM_ALIGN_BITS) * (1 << NUM_ALIGN_BITS);
+    return dist + rc.ReverseBitTree(this.align, 0, NUM_ALIGN_BITS);
+};
+
+// Decodes until size bytes have been written into the dictionary
+LZMA.prototype.Decode = function(rc, size) {
+    var dict = this.dict;
+    var end = dict.total + size;
+    var pbmask = (1 << this.pb) - 1;
+
+    if (this.pendinglen) {
+        var pending = Math.min(this.pendinglen, size);
+        dict.Copy(this.rep0, pending);
+        this.pendinglen -= pending;
+    }
+
+    while (dict.total < end) {
+        var posstate = dict.total & pbmask;
+        if (rc.DecodeBit(this.ismatch, (this.state << 4) + posstate) == 0) {
+            this.DecodeLiteral(rc);
+            continue;
+        }
+        var len = 0;
+        if (rc.DecodeBit(this.isrep, this.state) == 0) {
+            // simple match
+            len = this.lendecoder.Decode(rc, posstate);
+            this.state = (this.state < 7) ? 7 : 10;
+            this.rep3 = this.rep2;
+            this.rep2 = this.rep1;
+            this.rep1 = this.rep0;
+            this.rep0 = this.DecodeDistance(rc, len);
+            if (this.rep0 == 0xFFFFFFFF) Fail("End marker is not allowed in LZMA2");
+        } else {
+            if (rc.DecodeBit(this.isrepg0, this.state) == 0) {
+                if (rc.DecodeBit(this.isrep0long, (this.state << 4) + posstate) == 0) {
+                    // short rep
+                    this.state = (this.state < 7) ? 9 : 11;
+                    if (dict.total == 0) Fail("Distance too far back");
+                    dict.Put(dict.Get(this.rep0));
+                    continue;
+                }
+            } else {
+                var dist = 0;
+                if (rc.DecodeBit(this.isrepg1, this.state) == 0) {
+                    dist = this.rep1;
+                } else {
+                    if (rc.DecodeBit(this.isrepg2, this.state) == 0) {
+                        dist = this.rep2;
+                    } else {
+                        dist = this.rep3;
+                        this.rep3 = this.rep2;
+                    }
+                    this.rep2 = this.rep1;
+                }
+                this.rep1 = this.rep0;
+                this.rep0 = dist;
+            }
+            len = this.replendecoder.Decode(rc, posstate);
+            this.state = (this.state < 7) ? 8 : 11;
+        }
+        len += MATCH_MIN_LEN;
+        var n = Math.min(len, end - dict.total);
+        dict.Copy(this.rep0, n);
+        this.pendinglen = len - n;
+    }
+};
+
+// ----- LZMA2 -----
+
+function GetDictionarySize(props) {
+    if (props > 40) Fail("Invalid dictionary size");
+    if (props == 40) return 0xFFFFFFFF;
+    return (2 | (props & 1)) * Math.pow(2, (props >> 1) + 11);
+}
+
+// Decodes the LZMA2 chunks starting at offset and returns the offset after the end marker
+function DecodeLZMA2(src, offset, dictsize, stream) {
+    var dict = new Dictionary(dictsize, stream);
+    var lzma = new LZMA(dict);
+    var needprops = true;
+    for(;;) {
+        var control = src[offset++];
+        if (typeof control === "undefined") Fail("Unexpected end of data");
+        if (control == 0x00) return offset;
+
+        if (control < 0x80) {
+            // uncompressed chunk
+            if (control > 0x02) Fail("Invalid LZMA2 control byte");
+            if (control == 0x01) dict.Reset();
+            var size = ((src[offset] << 8) | src[offset+1]) + 1;
+            offset += 2;
+            for(var i=0; i<size; i++) {
+                dict.Put(src[offset++]);
+            }
+            continue;
+        }
+
+        var unpacked = ((control & 0x1F) << 16) + (src[offset] << 8) + src[offset+1] + 1;
+        var packed = (src[offset+2] << 8) + src[offset+3] + 1;
+        offset += 4;
+        var reset = (control >> 5) & 3;
+        if (reset == 3) dict.Reset();
+        if (reset >= 2) {
+            lzma.SetProperties(src[offset++]);
+            needprops = false;
+        } else
+        if (needprops) {
+            Fail("Missing LZMA properties");
+        }
+        if (reset >= 1) lzma.ResetState();
+        var rc = new RangeDecoder(src, offset);
+        lzma.Decode(rc, unpacked);
+        offset += packed;
+    }
+}
+
+// ----- xz container -----
+
+// Reads a variable length integer. Returns [value, new offset]
+function ReadVarInt(src, offset) {
+    var value = 0;
+    var factor = 1;
+    for(var i=0; i<9; i++) {
+        var x = src[offset++];
+        value += (x & 0x7F) * factor;
+        factor *= 0x80;
+        if (!(x & 0x80)) return [value, offset];
+    }
+    Fail("Invalid variable length integer");
+}
+
+// Decodes a block and returns the offset after its check
+function DecodeBlock(src, offset, checksize, stream) {
+    var start = offset;
+    var headersize = (src[offset] + 1) * 4;
+    var flags = src[offset+1];
+    offset += 2;
+    if (flags & 0x3C) Fail("Unsupported block flags");
+    var nfilters = (flags & 3) + 1;
+    if (flags & 0x40) offset = ReadVarInt(src, offset)[1]; // compressed size
+    if (flags & 0x80) offset = ReadVarInt(src, offset)[1]; // uncompressed size
+
+    var dictsize = 0;
+    for(var i=0; i<nfilters; i++) {
+        var r = ReadVarInt(src, offset);
+        var id = r[0];
+        r = ReadVarInt(src, r[1]);
+        var propssize = r[0];
+        offset = r[1];
+        if ((id != FILTER_LZMA2) || (nfilters != 1)) {
+            Fail("Filter " + id + " not supported. Only LZMA2 is supported.");
+        }
+        if (propssize != 1) Fail("Invalid LZMA2 properties");
+        dictsize = GetDictionarySize(src[offset]);
+        offset += propssize;
+    }
+
+    offset = DecodeLZMA2(src, start + headersize, dictsize, stream);
+    var compressedsize = offset - start - headersize;
+    // block padding
+    offset += (4 - (compressedsize & 3)) & 3;
+    return offset + checksize;
+}
+
+var xz = {};
+
+xz.IsXZ = function(buffer) {
+    return (buffer[0] == 0xFD) && (buffer[1] == 0x37) && (buffer[2] == 0x7A) &&
+        (buffer[3] == 0x58) && (buffer[4] == 0x5A) && (buffer[5] == 0x00);
+};
+
+// Decompresses all streams of the file and calls stream for every byte
+xz.simple = function(srcbuffer, stream) {
+    var offset = 0;
+    do {
+        if (!xz.IsXZ(srcbuffer.subarray(offset))) Fail("No magic number found");
+        var checksize = CHECK_SIZE[srcbuffer[offset+7] & 0xF];
+        offset += 12; // stream header
+
+        // blocks until the index is found
+        while (srcbuffer[offset] != 0x00) {
+            if (offset >= srcbuffer.length) Fail("Unexpected end of data");
+            offset = DecodeBlock(srcbuffer, offset, checksize, stream);
+        }
+
+        // skip the index
+        var start = offset;
+        var r = ReadVarInt(srcbuffer, offset + 1);
+        var nrecords = r[0];
+        offset = r[1];
+        for(var i=0; i<nrecords; i++) {
+            offset = ReadVarInt(srcbuffer, offset)[1];
+            offset = ReadVarInt(srcbuffer, offset)[1];
+        }
+        offset += (4 - ((offset - start) & 3)) & 3;
+        offset += 4; // crc32 of the index
+        offset += 12; // stream footer
+
+        // stream padding
+        while ((offset < srcbuffer.length) && (srcbuffer[offset] == 0x00)) offset++;
+    // several xz streams can be concatenated
+    } while (offset < srcbuffer.length);
+};
+
+module.exports = xz;
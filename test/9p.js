@@ -0,0 +1,173 @@
+var message = require('../js/worker/messagehandler');
+var marshall = require('../js/worker/dev/virtio/marshall');
+var Virtio9p = require('../js/worker/dev/virtio/9p');
+var FS = require('../js/worker/filesystem/filesystem');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+var STATUS_OK = 0x0;
+var STATUS_LOADING = 0x3;
+var EINTR = 4;
+var EROFS = 30;
+
+// A 9p device, which records the replies with the index of the descriptor of the request
+function CreateDevice(fs) {
+    var p9 = new Virtio9p(null, fs);
+    p9.replies = [];
+    p9.SendReply = function(queueidx, index) {
+        var header = marshall.Unmarshall(["w", "b", "h"], this.replybuffer, 0);
+        this.replies.push({
+            index: index,
+            id: header[1],
+            tag: header[2],
+            data: this.replybuffer.slice(7, this.replybuffersize)
+        });
+    };
+    return p9;
+}
+
+function Request(p9, id, tag, types, values, index) {
+    var buffer = new Uint8Array(1024);
+    var size = marshall.Marshall(types, values, buffer, 7);
+    marshall.Marshall(["w", "b", "h"], [size + 7, id, tag], buffer, 0);
+    var pos = 0;
+    p9.ReceiveRequest(0, index, function() { return buffer[pos++]; });
+}
+
+// attaches the root directory to fid 1 and walks to the file with fid 2
+function Open(p9, name) {
+    Request(p9, 104, 1, ["w", "w", "s", "s", "w"], [1, 0xFFFFFFFF, "root", "", 0], 0);
+    Request(p9, 110, 1, ["w", "w", "h", "s"], [1, 2, 1, name], 0);
+    p9.replies = [];
+}
+
+lab.experiment('9p', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function() {});
+        done();
+    });
+
+    lab.test('the message size is negotiated up to the maximum', function (done) {
+        var p9 = CreateDevice(new FS());
+        Request(p9, 100, 0xFFFF, ["w", "s"], [65536, "9P2000.L"], 0);
+        expect(p9.replies[0].id).toBe(101);
+        expect(marshall.Unmarshall(["w"], p9.replies[0].data, 0)[0]).toBe(65536);
+        expect(p9.replybuffer.length).toBeGreaterThanOrEqualTo(2*65536);
+
+        Request(p9, 100, 0xFFFF, ["w", "s"], [4*1024*1024, "9P2000.L"], 0);
+        expect(marshall.Unmarshall(["w"], p9.replies[1].data, 0)[0]).toBe(p9.MAXMSIZE);
+        done();
+    });
+
+    lab.test('tlopen returns the io unit of the message size', function (done) {
+        var fs = new FS();
+        fs.CreateTextFile("file", 0, "data");
+        var p9 = CreateDevice(fs);
+        Request(p9, 100, 0xFFFF, ["w", "s"], [32768, "9P2000.L"], 0);
+        Open(p9, "file");
+        Request(p9, 12, 2, ["w", "w"], [2, 0], 0);
+        expect(p9.replies[0].id).toBe(13);
+        expect(marshall.Unmarshall(["w"], p9.replies[0].data, 13)[0]).toBe(32768 - 24);
+        done();
+    });
+
+    lab.test('a pending request is cancelled by tflush', function (done) {
+        var fs = new FS();
+        var id = fs.CreateTextFile("file", 0, "data");
+        var p9 = CreateDevice(fs);
+        Open(p9, "file");
+        fs.inodes[id].status = STATUS_LOADING;
+
+        Request(p9, 12, 5, ["w", "w"], [2, 0], 50); // waits for the file
+        expect(p9.replies).toEqual([]);
+        Request(p9, 108, 6, ["h"], [5], 60);
+
+        // the cancelled request is answered before the flush
+        expect(p9.replies.length).toBe(2);
+        expect(p9.replies[0].index).toBe(50);
+        expect(p9.replies[0].tag).toBe(5);
+        expect(p9.replies[0].id).toBe(7); // rlerror
+        expect(marshall.Unmarshall(["w"], p9.replies[0].data, 0)[0]).toBe(EINTR);
+        expect(p9.replies[1].index).toBe(60);
+        expect(p9.replies[1].id).toBe(109);
+
+        // nothing is sent, when the file has been loaded
+        fs.inodes[id].status = STATUS_OK;
+        fs.HandleEvent(id);
+        expect(p9.replies.length).toBe(2);
+        done();
+    });
+
+    lab.test('several requests wait for files at the same time', function (done) {
+        var fs = new FS();
+        var id = fs.CreateTextFile("file", 0, "data");
+        var p9 = CreateDevice(fs);
+        Open(p9, "file");
+        Request(p9, 110, 1, ["w", "w", "h", "s"], [1, 3, 1, "file"], 0);
+        p9.replies = [];
+        fs.inodes[id].status = STATUS_LOADING;
+
+        Request(p9, 12, 5, ["w", "w"], [2, 0], 50);
+        Request(p9, 12, 7, ["w", "w"], [3, 0], 70);
+        Request(p9, 108, 8, ["h"], [9], 80); // unknown tags are answered as well
+        expect(p9.replies.length).toBe(1);
+        expect(p9.replies[0].id).toBe(109);
+
+        fs.inodes[id].status = STATUS_OK;
+        fs.HandleEvent(id);
+        expect(p9.replies.map(function(r) { return [r.index, r.tag, r.id]; })).toEqual([[80, 8, 109], [50, 5, 13], [70, 7, 13]]);
+        done();
+    });
+
+    lab.test('the mount tag is given in the config space', function (done) {
+        var p9 = new Virtio9p(null, new FS());
+        expect(p9.configspace).toEqual([9, 0].concat(Array.from(Buffer.from("/dev/root"))));
+        p9 = new Virtio9p(null, new FS("scratch"), "scratch");
+        expect(p9.configspace).toEqual([7, 0].concat(Array.from(Buffer.from("scratch"))));
+        done();
+    });
+
+    lab.test('a read-only share rejects all changes', function (done) {
+        var fs = new FS("course");
+        fs.CreateTextFile("file", 0, "data");
+        var p9 = CreateDevice(fs);
+        p9.readonly = true;
+        Open(p9, "file");
+
+        Request(p9, 72, 2, ["w", "s", "w", "w"], [1, "dir", 0x1ED, 0], 0); // tmkdir
+        Request(p9, 12, 3, ["w", "w"], [2, 1], 0); // O_WRONLY
+        Request(p9, 12, 4, ["w", "w"], [2, 0x200], 0); // O_TRUNC
+        Request(p9, 12, 5, ["w", "w"], [2, 0], 0);
+        expect(p9.replies.map(function(r) { return r.id; })).toEqual([7, 7, 7, 13]);
+        for(var i=0; i<3; i++) {
+            expect(marshall.Unmarshall(["w"], p9.replies[i].data, 0)[0]).toBe(EROFS);
+        }
+        expect(fs.SearchPath("dir").id).toBe(-1);
+        done();
+    });
+
+    lab.test('the messages of a share are prefixed with its tag', function (done) {
+        var messages = [];
+        message.SetSendHandler(function(e) { messages.push(e); });
+        var root = new FS();
+        root.CreateTextFile("file", 0, "root");
+        var share = new FS("scratch");
+        share.CreateTextFile("file", 0, "share");
+
+        message.Receive("ReadFile", {name: "file"}, 1);
+        message.Receive("scratch.ReadFile", {name: "file"}, 2);
+        message.Receive("scratch.CreateDirectory", "dir");
+        message.SetSendHandler(function() {});
+
+        expect(messages.length).toBe(2);
+        expect(Buffer.from(messages[0].data.result.data).toString()).toBe("root");
+        expect(messages[1].data.id).toBe(2);
+        expect(Buffer.from(messages[1].data.result.data).toString()).toBe("share");
+        expect(share.SearchPath("dir").id).toNotBe(-1);
+        expect(root.SearchPath("dir").id).toBe(-1);
+        done();
+    });
+});
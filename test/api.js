@@ -0,0 +1,129 @@
+var API = require('../js/master/api');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+// Replaces the web worker. The messages of the master are recorded.
+function FakeWorker() {
+    this.commands = [];
+    this.terminated = false;
+}
+FakeWorker.prototype.postMessage = function(e) {
+    this.commands.push(e.command);
+};
+FakeWorker.prototype.terminate = function() {
+    this.terminated = true;
+};
+FakeWorker.prototype.Receive = function(command, data) {
+    this.onmessage({data: {command: command, data: data}});
+};
+
+// the browser objects used by jor1kGUI
+function SetGlobals() {
+    global.Worker = FakeWorker;
+    global.document = {
+        addEventListener: function() {},
+        removeEventListener: function() {}
+    };
+    global.window = {
+        setInterval: function() { return 1; },
+        clearInterval: function() {}
+    };
+}
+
+function CreateAPI(worker) {
+    return new API({
+        path: "",
+        system: {kernelURL: "vmlinux.bin.bz2", memorysize: 32, arch: "or1k", cpu: "asm"},
+        worker: worker
+    });
+}
+
+lab.experiment('api', function() {
+
+    lab.before(function (done) {
+        SetGlobals();
+        done();
+    });
+
+    lab.after(function (done) {
+        delete global.Worker;
+        delete global.document;
+        delete global.window;
+        done();
+    });
+
+    lab.test('boot resolves when the emulation runs', function (done) {
+        var worker = new FakeWorker();
+        var api = CreateAPI(worker);
+        var booted = false;
+        api.boot().then(function() {
+            booted = true;
+        }).catch(done);
+
+        worker.Receive("WorkerReady", 0);
+        setImmediate(function() {
+            expect(worker.commands).toInclude("LoadAndStart");
+            expect(booted).toBe(false);
+            worker.Receive("execute", 0);
+            setImmediate(function() {
+                expect(booted).toBe(true);
+                worker.Receive("execute", 0);
+                api.destroy();
+                expect(worker.terminated).toBe(true);
+                done();
+            });
+        });
+    });
+
+    lab.test('boot is rejected when the worker aborts', function (done) {
+        var worker = new FakeWorker();
+        var api = CreateAPI(worker);
+        var aborted = 0;
+        api.on("abort", function() { aborted++; });
+        api.boot().then(function() {
+            done(new Error("boot has not failed"));
+        }, function(error) {
+            expect(error.message).toInclude("aborted");
+            expect(aborted).toBe(1);
+            api.destroy();
+            done();
+        });
+        worker.Receive("WorkerReady", 0);
+        worker.Receive("Abort", {});
+    });
+
+    lab.test('boot is rejected when the worker script fails', function (done) {
+        var worker = new FakeWorker();
+        var api = CreateAPI(worker);
+        api.boot().then(function() {
+            done(new Error("boot has not failed"));
+        }, function(error) {
+            expect(error.message).toInclude("aborted");
+            api.destroy();
+            done();
+        });
+        // the master stops with an exception after it has informed the listeners
+        expect(function() {
+            worker.onerror({filename: "jor1k-worker-min.js", lineno: 1, message: "SyntaxError"});
+        }).toThrow(/Kill master/);
+    });
+
+    lab.test('a second boot is rejected and destroy rejects the first', function (done) {
+        var api = CreateAPI(new FakeWorker());
+        var first = api.boot();
+        api.boot().then(function() {
+            done(new Error("boot has not failed"));
+        }, function(error) {
+            expect(error.message).toInclude("already running");
+            api.destroy();
+            return first;
+        }).then(function() {
+            done(new Error("boot has not failed"));
+        }, function(error) {
+            expect(error.message).toInclude("destroyed");
+            done();
+        });
+    });
+});
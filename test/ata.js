@@ -0,0 +1,183 @@
+var message = require('../js/worker/messagehandler');
+var snapshot = require('../js/worker/snapshot');
+var DiskImage = require('../js/worker/dev/diskimage');
+var ATADev = require('../js/worker/dev/ata');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+var SECTOR_SIZE = 512;
+
+// the registers as seen by Linux with a reg-shift of 2
+var ATA_REG_DATA = 0x00;
+var ATA_REG_NSECT = 0x08;
+var ATA_REG_LBAL = 0x0C;
+var ATA_REG_LBAM = 0x10;
+var ATA_REG_LBAH = 0x14;
+var ATA_REG_DEVICE = 0x18;
+var ATA_REG_STATUS = 0x1C;
+
+var ATA_SR_DRQ = 0x08;
+var ATA_SR_ERR = 0x01;
+
+var intdev = {
+    RaiseInterrupt: function() {},
+    ClearInterrupt: function() {}
+};
+
+// an image, in which each byte contains the sector number and the offset
+function CreateImage(sectors) {
+    var data = new Uint8Array(sectors * SECTOR_SIZE);
+    for(var i=0; i<data.length; i++) {
+        data[i] = (Math.floor(i / SECTOR_SIZE) * 16 + i) & 0xFF;
+    }
+    return data;
+}
+
+function Sector(image, sector) {
+    var buffer = new Uint8Array(SECTOR_SIZE);
+    expect(image.Read(sector, 1, buffer, 0)).toBe(true);
+    return Array.prototype.slice.call(buffer);
+}
+
+// LBA28 command for count sectors
+function Command(ata, command, sector, count) {
+    ata.WriteReg8(ATA_REG_DEVICE, 0x40 | ((sector >> 24) & 0x0F));
+    ata.WriteReg8(ATA_REG_NSECT, count);
+    ata.WriteReg8(ATA_REG_LBAL, sector & 0xFF);
+    ata.WriteReg8(ATA_REG_LBAM, (sector >> 8) & 0xFF);
+    ata.WriteReg8(ATA_REG_LBAH, (sector >> 16) & 0xFF);
+    ata.WriteReg8(ATA_REG_STATUS, command);
+}
+
+// the data register returns the bytes in big endian order
+function ReadWords(ata, n) {
+    var bytes = [];
+    for(var i=0; i<n; i++) {
+        var x = ata.ReadReg16(ATA_REG_DATA);
+        bytes.push(x >> 8, x & 0xFF);
+    }
+    return bytes;
+}
+
+lab.experiment('ata', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function() {});
+        done();
+    });
+
+    lab.test('written sectors are kept in the overlay', function (done) {
+        var data = CreateImage(4);
+        var image = new DiskImage(data);
+        var sector = new Uint8Array(SECTOR_SIZE).fill(0xAA);
+        expect(image.Write(2, 1, sector, 0)).toBe(true);
+        expect(image.Write(4, 1, sector, 0)).toBe(false); // beyond the end
+        expect(Sector(image, 2)).toEqual(Array.prototype.slice.call(sector));
+        expect(data[2*SECTOR_SIZE]).toBe(0x20); // the image is unchanged
+
+        // both sectors around the overlay are read from the image
+        var buffer = new Uint8Array(3 * SECTOR_SIZE);
+        image.Read(1, 3, buffer, 0);
+        expect(buffer[0]).toBe(data[SECTOR_SIZE]);
+        expect(buffer[SECTOR_SIZE]).toBe(0xAA);
+        expect(buffer[2*SECTOR_SIZE + 1]).toBe(data[3*SECTOR_SIZE + 1]);
+
+        var exported = new Uint8Array(image.Export());
+        expect(exported[2*SECTOR_SIZE]).toBe(0xAA);
+        expect(exported[3*SECTOR_SIZE]).toBe(data[3*SECTOR_SIZE]);
+
+        image.Discard();
+        expect(Sector(image, 2)).toEqual(Array.prototype.slice.call(data.subarray(2*SECTOR_SIZE, 3*SECTOR_SIZE)));
+        done();
+    });
+
+    lab.test('the overlay is restored by SetOverlay', function (done) {
+        var image = new DiskImage(CreateImage(4));
+        image.Write(3, 1, new Uint8Array(SECTOR_SIZE).fill(1), 0);
+        var overlay = image.GetOverlay();
+        expect(overlay.byteLength).toBe(8 + SECTOR_SIZE);
+
+        var copy = new DiskImage(CreateImage(4));
+        copy.SetOverlay(overlay);
+        expect(Sector(copy, 3)[0]).toBe(1);
+        expect(Sector(copy, 2)[0]).toBe(0x20);
+        done();
+    });
+
+    lab.test('read-only images reject writes', function (done) {
+        var image = new DiskImage(CreateImage(2), true);
+        expect(image.Write(0, 1, new Uint8Array(SECTOR_SIZE), 0)).toBe(false);
+
+        var ata = new ATADev(intdev, image);
+        Command(ata, 0x30, 0, 1);
+        expect(ata.ReadReg8(ATA_REG_STATUS) & ATA_SR_ERR).toBe(ATA_SR_ERR);
+        done();
+    });
+
+    lab.test('sectors are written and read via the data register', function (done) {
+        var image = new DiskImage(CreateImage(8));
+        var ata = new ATADev(intdev, image);
+        Command(ata, 0x30, 5, 1);
+        expect(ata.ReadReg8(ATA_REG_STATUS) & ATA_SR_DRQ).toBe(ATA_SR_DRQ);
+        for(var i=0; i<SECTOR_SIZE/2; i++) ata.WriteReg16(ATA_REG_DATA, 0x1234);
+        expect(ata.ReadReg8(ATA_REG_STATUS) & ATA_SR_DRQ).toBe(0);
+        expect(Sector(image, 5).slice(0, 4)).toEqual([0x12, 0x34, 0x12, 0x34]);
+
+        Command(ata, 0x20, 4, 2);
+        var bytes = ReadWords(ata, SECTOR_SIZE);
+        expect(bytes.slice(0, SECTOR_SIZE)).toEqual(Sector(image, 4));
+        expect(bytes.slice(SECTOR_SIZE)).toEqual(Sector(image, 5));
+        done();
+    });
+
+    lab.test('LBA48 commands use the previous values of the registers', function (done) {
+        var requests = [];
+        var image = {
+            sectors: 0x200000000,
+            readonly: false,
+            Read: function(sector, count, buffer) {
+                requests.push(sector);
+                buffer.fill(0x55);
+                return true;
+            }
+        };
+        var ata = new ATADev(intdev, image);
+        ata.WriteReg8(ATA_REG_DEVICE, 0x40);
+        ata.WriteReg8(ATA_REG_NSECT, 0x01); // 0x100 sectors
+        ata.WriteReg8(ATA_REG_NSECT, 0x00);
+        ata.WriteReg8(ATA_REG_LBAL, 0x04); // bits 24-31
+        ata.WriteReg8(ATA_REG_LBAL, 0x03);
+        ata.WriteReg8(ATA_REG_LBAM, 0x01); // bits 32-39
+        ata.WriteReg8(ATA_REG_LBAM, 0x02);
+        ata.WriteReg8(ATA_REG_LBAH, 0x00);
+        ata.WriteReg8(ATA_REG_LBAH, 0x00);
+        ata.WriteReg8(ATA_REG_STATUS, 0x24); // read sectors ext
+
+        expect(requests).toEqual([0x104000203]);
+        expect(ata.count).toBe(0x100);
+        expect(ReadWords(ata, 1)).toEqual([0x55, 0x55]);
+        done();
+    });
+
+    lab.test('a restored transfer continues with the sector', function (done) {
+        var image = new DiskImage(CreateImage(4));
+        var ata = new ATADev(intdev, image);
+        Command(ata, 0x20, 1, 1);
+        var bytes = ReadWords(ata, 10);
+        var state = snapshot.Decode(snapshot.Encode(ata.GetState()));
+
+        var restored = new ATADev(intdev, image);
+        restored.SetState(state);
+        bytes = bytes.concat(ReadWords(restored, SECTOR_SIZE/2 - 10));
+        expect(bytes).toEqual(Sector(image, 1));
+
+        // the identify data has not been overwritten by the sector
+        var fresh = new ATADev(intdev, image);
+        Command(fresh, 0xEC, 0, 0);
+        Command(restored, 0xEC, 0, 0);
+        expect(ReadWords(restored, SECTOR_SIZE/2)).toEqual(ReadWords(fresh, SECTOR_SIZE/2));
+        done();
+    });
+});
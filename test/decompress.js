@@ -0,0 +1,57 @@
+var zlib = require('zlib');
+var decompress = require('../js/worker/decompress');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+// 300 lines "line <i%7> of the test data", compressed with the command line tools
+var text = "";
+for(var i=0; i<300; i++) {
+    text += "line " + (i%7) + " of the test data\n";
+}
+
+var compressed = {
+    bzip2: "QlpoOTFBWSZTWfq2zQ0ACXVZgAAQQAB/ACdljAAwALgKYTTQGmIUwmmgNMQKVUBhohiaFIwUjopGEmMqTOk0pNaTFJ6SZlI3KRsUjUpG5SO5SOCkfSkeSkclI7FI5KRwUjkpGRSNSkdFI6KR4FI/i7kinChIfVtmhoA=",
+    xz: "/Td6WFoAAATm1rRGBMBXoDghARYAAAAAAAAAAIPDC4jgHB8AT10ANhpKHwigJgNNBp34sooiRRipZ298kVhOPEL/jx4oZLU9pP5L05W3lzsFWaePtaeb0OZWwL2wOBjxW6JbK91fZdaUcVO57yy94e09t9sqAAAAcKvZtL8YClsAAXOgOAAAAGrkWwuxxGf7AgAAAAAEWVo=",
+    lz4: "BCJNGGRAp18AAADxCWxpbmUgMCBvZiB0aGUgdGVzdCBkYXRhChgAHzEYAAQfMhgABB8zGAAEHzQYAAQfNRgABB82GAAED6gA////////////////////////////////////dlBkYXRhCgAAAAAqZZYh"
+};
+
+function Decompress(buffer) {
+    var bytes = [];
+    decompress.simple(new Uint8Array(buffer), function(x) { bytes.push(x); });
+    return Buffer.from(bytes);
+}
+
+lab.experiment('decompress', function() {
+
+    Object.keys(compressed).forEach(function(format) {
+        lab.test(format + ' data is detected and decompressed', function (done) {
+            var buffer = Buffer.from(compressed[format], "base64");
+            expect(decompress.GetFormat(new Uint8Array(buffer))).toBe(format);
+            expect(Decompress(buffer).toString()).toBe(text);
+            done();
+        });
+    });
+
+    lab.test('gzip data of zlib is decompressed', function (done) {
+        // bytes, which cannot be compressed well, and long repetitions
+        var data = Buffer.alloc(100000);
+        var x = 1;
+        for(var i=0; i<data.length; i++) {
+            x = (x * 1103515245 + 12345) & 0x7FFFFFFF;
+            data[i] = (i < 50000) ? (x >> 16) & 0xFF : i & 0x3F;
+        }
+        var buffer = zlib.gzipSync(data);
+        expect(decompress.GetFormat(new Uint8Array(buffer))).toBe("gzip");
+        expect(Decompress(buffer).equals(data)).toBe(true);
+        done();
+    });
+
+    lab.test('uncompressed data is passed through', function (done) {
+        var buffer = Buffer.from(text);
+        expect(decompress.IsCompressed(new Uint8Array(buffer))).toBe(false);
+        expect(Decompress(buffer).toString()).toBe(text);
+        done();
+    });
+});
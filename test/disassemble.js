@@ -0,0 +1,104 @@
+var message = require('../js/worker/messagehandler');
+var RAM = require('../js/worker/ram');
+var CPU = require('../js/worker/or1k');
+var Disassembler = require('../js/worker/or1k/disassemble');
+var TraceBuffer = require('../js/worker/or1k/trace');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+// instructions and their text as printed by objdump
+var instructions = [
+    [0x9c21fffc, "l.addi r1,r1,-4"],
+    [0xd7e14ffc, "l.sw -4(r1),r9"],
+    [0x8461fff8, "l.lwz r3,-8(r1)"],
+    [0x18601234, "l.movhi r3,0x1234"],
+    [0xa8631000, "l.ori r3,r3,0x1000"],
+    [0xe0400800, "l.add r2,r0,r1"],
+    [0xe4011000, "l.sfeq r1,r2"],
+    [0xb8630042, "l.srli r3,r3,0x2"],
+    [0x44004800, "l.jr r9"],
+    [0x15000001, "l.nop 0x1"],
+    [0x00000004, "l.j 0x2010"],
+    [0x07fffffe, "l.jal 0x1ff8"],
+    [0xfc000000, ".word 0xFC000000"]
+];
+
+lab.experiment('disassemble', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function() {});
+        done();
+    });
+
+    lab.test('instructions are printed like objdump', function (done) {
+        instructions.forEach(function(entry) {
+            expect(Disassembler.Disassemble(entry[0] | 0, 0x2000)).toBe(entry[1]);
+        });
+        done();
+    });
+
+    lab.test('the destination register and the delay slots are detected', function (done) {
+        expect(Disassembler.GetDestinationRegister(0x9c21fffc | 0)).toBe(1);
+        expect(Disassembler.GetDestinationRegister(0x07fffffe | 0)).toBe(9); // l.jal writes the link register
+        expect(Disassembler.GetDestinationRegister(0xd7e14ffc | 0)).toBe(-1);
+        expect(Disassembler.HasDelaySlot(0x00000004)).toBe(true);
+        expect(Disassembler.HasDelaySlot(0x44004800)).toBe(true);
+        expect(Disassembler.HasDelaySlot(0xe0400800 | 0)).toBe(false);
+        done();
+    });
+
+    lab.test('the trace buffer keeps the last entries with the written values', function (done) {
+        var r = new Int32Array(32);
+        var trace = new TraceBuffer(2, r);
+        trace.Add(0x100, 0x9c21fffc | 0, false); // l.addi r1,r1,-4
+        r[1] = 0x1000;
+        trace.Add(0x104, 0x00000004, false); // l.j
+        trace.Add(0x108, 0x15000000, true); // l.nop in the delay slot
+
+        var lines = trace.toString().split("\n");
+        expect(lines[0]).toBe("Last 2 executed instructions");
+        expect(lines[1]).toInclude("0x00000104: 0x00000004  l.j 0x114");
+        expect(lines[2]).toInclude("0x15000000   l.nop 0x0"); // indented
+        expect(trace.toString()).toNotInclude("l.addi");
+
+        trace.Reset();
+        trace.Add(0x100, 0x9c21fffc | 0, false);
+        r[1] = 0xFFC;
+        expect(trace.toString()).toInclude("r1=0x00000FFC");
+        done();
+    });
+
+    lab.test('the safe cpu records the executed instructions', function (done) {
+        var heap = new ArrayBuffer(2 * 0x100000);
+        var h = new Uint32Array(heap);
+        var ram = new RAM(heap, 0x100000);
+        var cpu = new CPU("safe", ram, heap, 1);
+        cpu.Reset();
+        cpu.EnableTrace(8);
+        h[0] = 0x00100000; // r0 and r1
+        h[1] = 0x000AAAA0;
+
+        var initialPC = 0x40040; // index of the reset vector 0x100 in the heap
+        h[initialPC] = 0xe0400800; // l.add r2,r0,r1
+        for(var i=1; i<100; i++) h[initialPC + i] = 0x15000000;
+        cpu.Step(4, 0);
+
+        var str = cpu.toString();
+        expect(str).toInclude("l.add r2,r0,r1");
+        expect(str).toInclude("r2=0x001AAAA0");
+        done();
+    });
+
+    lab.test('only the safe cpu supports tracing', function (done) {
+        var messages = [];
+        message.SetSendHandler(function(e) { messages.push(e.data); });
+        var heap = new ArrayBuffer(2 * 0x100000);
+        var cpu = new CPU("smp", new RAM(heap, 0x100000), heap, 1);
+        cpu.EnableTrace(8);
+        expect(messages.join("\n")).toInclude("Tracing is not supported");
+        message.SetSendHandler(function() {});
+        done();
+    });
+});
@@ -0,0 +1,115 @@
+var child_process = require('child_process');
+var message = require('../js/worker/messagehandler');
+var FDT = require('../js/worker/fdt');
+var devicetree = require('../js/worker/devicetree');
+var PLICDev = require('../js/worker/dev/plic');
+var CLINTDev = require('../js/worker/dev/clint');
+var UARTDev = require('../js/worker/dev/uart');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+// the device tree compiler is used to check the blobs if it is installed
+var dtc = child_process.spawnSync("dtc", ["--version"]);
+var hasdtc = !dtc.error && (dtc.status == 0);
+
+// A RISC-V machine with the devices at the addresses of InitRISCV.
+// The devices are not initialized, the device tree only depends on their type
+function CreateSystem(ncores) {
+    var uart = Object.create(UARTDev.prototype);
+    uart.intno = 0xA;
+    var devices = [];
+    devices[0x02] = Object.create(CLINTDev.prototype);
+    devices[0x03] = uart;
+    devices[0x04] = Object.create(PLICDev.prototype);
+    return {
+        cpu: {ncores: ncores},
+        ticksperms: 20000,
+        memorysize: 64,
+        ram: {devices: devices},
+        uartdev0: uart
+    };
+}
+
+var messages = [];
+
+lab.experiment('fdt', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function(e) {
+            if (e.command == "Debug") messages.push(e.data);
+        });
+        done();
+    });
+
+    lab.beforeEach(function (done) {
+        messages = [];
+        done();
+    });
+
+    lab.test('Parse restores the blob of Build', function (done) {
+        var fdt = new FDT();
+        fdt.Reserve(0x1000, 0x20);
+        fdt.root.SetProperty("#address-cells", 2);
+        fdt.root.AddNode("memory@80000000").SetProperty("reg", [0, 0x80000000, 0, 0x4000000]);
+        fdt.root.AddNode("intc").SetProperty("interrupt-controller").GetPHandle();
+        fdt.root.AddNode("chosen").SetProperty("bootargs", "console=hvc0");
+        var blob = fdt.Build();
+
+        var parsed = FDT.Parse(blob);
+        expect(parsed).toExist();
+        expect(Array.prototype.slice.call(parsed.Build())).toEqual(Array.prototype.slice.call(blob));
+        expect(parsed.lastphandle).toBe(1);
+        var reg = parsed.root.GetNode("memory").GetProperty("reg");
+        expect(FDT.GetCells(reg, 0, 2)).toBe(0x80000000);
+        expect(FDT.GetCells(reg, 2, 2)).toBe(0x4000000);
+        done();
+    });
+
+    lab.test('Parse rejects invalid blobs', function (done) {
+        expect(FDT.Parse(new Uint8Array(100))).toBe(null);
+        var blob = new FDT().Build();
+        expect(FDT.Parse(blob.subarray(0, blob.length - 4))).toBe(null);
+        done();
+    });
+
+    lab.test('the RISC-V device tree contains the harts, the memory and the devices', function (done) {
+        var fdt = devicetree.GenerateRISCV(CreateSystem(2), {bootargs: "console=ttyS0"}, {start: 0x83000000, end: 0x83100000});
+        var root = FDT.Parse(fdt.Build()).root;
+        expect(root.GetNode("cpus").GetNode("cpu@1")).toExist();
+        expect(root.GetNode("cpus").GetNode("cpu@2")).toNotExist();
+        expect(FDT.GetCells(root.GetNode("memory").GetProperty("reg"), 2, 2)).toBe(64*0x100000);
+        expect(root.GetNode("interrupt-controller@4000000")).toExist();
+        expect(root.GetNode("clint@2000000")).toExist();
+        var chosen = root.GetNode("chosen");
+        expect(Buffer.from(chosen.GetProperty("stdout-path")).toString()).toBe("/uart@3000000\0");
+        expect(FDT.GetCells(chosen.GetProperty("linux,initrd-end"), 0, 1)).toBe(0x83100000);
+        expect(messages).toEqual([]);
+        done();
+    });
+
+    lab.test('a given blob is patched and checked against the machine', function (done) {
+        var blob = devicetree.GenerateRISCV(CreateSystem(1), {}).Build();
+        var fdt = devicetree.ParseRISCV(CreateSystem(1), blob, {bootargs: "quiet"});
+        expect(fdt.root.GetNode("chosen").GetProperty("bootargs")).toBe("quiet");
+        expect(messages).toEqual([]);
+
+        devicetree.ParseRISCV(CreateSystem(4), blob, {});
+        expect(messages.length).toBe(1);
+        expect(messages[0]).toInclude("Warning");
+        done();
+    });
+
+    lab.test('dtc accepts the RISC-V device tree', {skip: !hasdtc}, function (done) {
+        var blob = devicetree.GenerateRISCV(CreateSystem(2), {bootargs: "console=ttyS0"}).Build();
+        var result = child_process.spawnSync("dtc", ["-I", "dtb", "-O", "dts", "-o", "-", "-"], {input: Buffer.from(blob)});
+        expect(result.status).toBe(0);
+        expect(result.stderr.toString()).toBe("");
+        var dts = result.stdout.toString();
+        expect(dts).toInclude("bootargs = \"console=ttyS0\";");
+        expect(dts).toInclude("cpu@1 {");
+        expect(dts).toInclude("compatible = \"riscv,plic0\";");
+        done();
+    });
+});
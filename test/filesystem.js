@@ -0,0 +1,219 @@
+var child_process = require('child_process');
+var nodefs = require('fs');
+var os = require('os');
+var path = require('path');
+var message = require('../js/worker/messagehandler');
+var FS = require('../js/worker/filesystem/filesystem');
+var FSLoader = require('../js/worker/filesystem/fsloader');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+var S_IFMT = 0xF000;
+var S_IFREG = 0x8000;
+var F_RDLCK = 0;
+var F_WRLCK = 1;
+var F_UNLCK = 2;
+
+function ToString(data) {
+    return Buffer.from(data).toString();
+}
+
+function ReadFile(fs, filepath) {
+    var inode = fs.inodes[fs.SearchPathID(filepath)];
+    return ToString(inode.data.subarray(0, inode.size));
+}
+
+// ----- tar archives, which are written like GNU tar --format=pax -----
+
+function WriteString(header, offset, str) {
+    for(var i=0; i<str.length; i++) header[offset+i] = str.charCodeAt(i);
+}
+
+function TarEntry(name, typeflag, data, linkname) {
+    data = Buffer.from(data || "");
+    var header = Buffer.alloc(512);
+    WriteString(header, 0, name.substr(0, 99));
+    WriteString(header, 100, (typeflag == "5") ? "0000755" : "0000644");
+    WriteString(header, 108, "0000000");
+    WriteString(header, 116, "0000000");
+    WriteString(header, 124, ("00000000000" + data.length.toString(8)).slice(-11));
+    WriteString(header, 136, "00000000000");
+    WriteString(header, 148, "        ");
+    header[156] = typeflag.charCodeAt(0);
+    WriteString(header, 157, linkname || "");
+    WriteString(header, 257, "ustar");
+    WriteString(header, 263, "00");
+    var chksum = 0;
+    for(var i=0; i<512; i++) chksum += header[i];
+    WriteString(header, 148, ("000000" + chksum.toString(8)).slice(-6));
+    var padding = Buffer.alloc((512 - data.length % 512) % 512);
+    return Buffer.concat([header, data, padding]);
+}
+
+// pax extended header with the records of the object
+function PaxEntry(records) {
+    var data = "";
+    for(var key in records) {
+        var record = " " + key + "=" + records[key] + "\n";
+        // the length includes its own digits
+        var length = record.length + String(record.length).length;
+        length = record.length + String(length).length;
+        data += length + record;
+    }
+    return TarEntry("PaxHeaders/entry", "x", data);
+}
+
+// the names are longer than the 100 characters of the header
+var longdir = "dir/" + new Array(30).join("long");
+var longname = longdir + "/file";
+
+function CreateTar() {
+    return Buffer.concat([
+        TarEntry("dir/", "5"),
+        PaxEntry({"path": longdir + "/"}),
+        TarEntry(longdir + "/", "5"),
+        PaxEntry({"path": longname, "SCHILY.xattr.user.comment": "hello"}),
+        TarEntry("dir/truncated", "0", "content"),
+        TarEntry("dir/file", "0", "data"),
+        TarEntry("dir/link", "1", "", "dir/file"),
+        TarEntry("dir/symlink", "2", "", "link"),
+        Buffer.alloc(1024)
+    ]);
+}
+
+function Unpack(fs, buffer) {
+    for(var i=0; i<buffer.length; i++) fs.tar.Unpack(buffer[i]);
+}
+
+lab.experiment('filesystem', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function() {});
+        done();
+    });
+
+    lab.test('hard links share the inode and count the names', function (done) {
+        var fs = new FS();
+        var dir = fs.CreateDirectory("dir", 0);
+        var id = fs.CreateTextFile("a", dir, "data");
+        expect(fs.Link(0, "b", id)).toBe(true);
+        expect(fs.Link(0, "b", id)).toBe(false); // exists
+        expect(fs.Link(0, "d", dir)).toBe(false); // directories have no hard links
+        expect(fs.SearchPathID("b")).toBe(id);
+        expect(fs.inodes[id].nlinks).toBe(2);
+
+        // the inode keeps its data, when the first name is removed
+        fs.Unlink(dir, "a");
+        expect(fs.inodes[id].nlinks).toBe(1);
+        expect(fs.GetFullPath(id)).toBe("b");
+        expect(ReadFile(fs, "b")).toBe("data");
+        done();
+    });
+
+    lab.test('tar archives store hard links and extended attributes', function (done) {
+        var fs = new FS();
+        var dir = fs.CreateDirectory("dir", fs.CreateDirectory("home", 0));
+        var id = fs.CreateTextFile("a", dir, "data");
+        fs.Link(dir, "b", id);
+        fs.SetXattr(id, "user.mime", new Uint8Array([0x74, 0x78, 0x74]));
+        fs.SetXattr(dir, "user.binary", new Uint8Array([0, 10, 255]));
+
+        // the archive contains the entries below the directory
+        var copy = new FS();
+        copy.CreateDirectory("home", 0);
+        Unpack(copy, fs.tar.Pack("home"));
+        var copyid = copy.SearchPathID("home/dir/a");
+        expect(copy.SearchPathID("home/dir/b")).toBe(copyid);
+        expect(copy.inodes[copyid].nlinks).toBe(2);
+        expect(ReadFile(copy, "home/dir/b")).toBe("data");
+        expect(ToString(copy.GetXattr(copyid, "user.mime"))).toBe("txt");
+        expect(Array.prototype.slice.call(copy.GetXattr(copy.SearchPathID("home/dir"), "user.binary"))).toEqual([0, 10, 255]);
+        done();
+    });
+
+    lab.test('the pax header gives the path and extended attributes of the next entry', function (done) {
+        var fs = new FS();
+        Unpack(fs, CreateTar());
+        var id = fs.SearchPathID(longname);
+        expect(id).toNotBe(-1);
+        expect(fs.SearchPathID("dir/truncated")).toBe(-1);
+        expect(ReadFile(fs, longname)).toBe("content");
+        expect(ToString(fs.GetXattr(id, "user.comment"))).toBe("hello");
+        expect(fs.SearchPathID("dir/link")).toBe(fs.SearchPathID("dir/file"));
+        expect(fs.inodes[fs.SearchPathID("dir/symlink")].symlink).toBe("link");
+        done();
+    });
+
+    lab.test('extended attributes can be listed and removed', function (done) {
+        var fs = new FS();
+        var id = fs.CreateTextFile("a", 0, "");
+        fs.SetXattr(id, "user.a", new Uint8Array([1]));
+        fs.SetXattr(id, "user.b", new Uint8Array([2]));
+        expect(fs.ListXattr(id).sort()).toEqual(["user.a", "user.b"]);
+        expect(fs.RemoveXattr(id, "user.a")).toBe(true);
+        expect(fs.RemoveXattr(id, "user.a")).toBe(false);
+        expect(fs.GetXattr(id, "user.a")).toBe(null);
+        expect(fs.ListXattr(id)).toEqual(["user.b"]);
+        done();
+    });
+
+    lab.test('buildfs keeps hard links of tar archives and FSLoader creates them', function (done) {
+        var dir = nodefs.mkdtempSync(path.join(os.tmpdir(), "jor1k-test-"));
+        var tarfile = path.join(dir, "test.tar");
+        var jsonfile = path.join(dir, "fs.json");
+        nodefs.writeFileSync(tarfile, CreateTar());
+        var result = child_process.spawnSync(process.execPath, [
+            path.join(__dirname, "../js/node/buildfs.js"),
+            "--tar", tarfile, "--fsdir", path.join(dir, "files"), "--output", jsonfile]);
+        var json = (result.status == 0) ? nodefs.readFileSync(jsonfile, "utf8") : "";
+        nodefs.rmSync(dir, {recursive: true});
+        expect(result.status).toBe(0);
+
+        var fs = new FS();
+        fs.userinfo = {path: "", earlyload: []};
+        new FSLoader(fs).OnJSONLoaded(json);
+        expect(fs.SearchPathID(longname)).toNotBe(-1);
+        var id = fs.SearchPathID("dir/file");
+        expect(fs.SearchPathID("dir/link")).toBe(id);
+        expect(fs.inodes[id].nlinks).toBe(2);
+        expect((fs.inodes[id].mode & S_IFMT)).toBe(S_IFREG);
+        done();
+    });
+
+    lab.test('locks of other owners conflict, unless both are read locks', function (done) {
+        var fs = new FS();
+        var id = fs.CreateTextFile("a", 0, "");
+        expect(fs.Lock(id, fs.CreateLock(F_WRLCK, 10, 10, 100, "client"))).toBe(true);
+        expect(fs.Lock(id, fs.CreateLock(F_RDLCK, 15, 1, 200, "client"))).toBe(false);
+        expect(fs.Lock(id, fs.CreateLock(F_RDLCK, 20, 0, 200, "client"))).toBe(true); // up to the end of the file
+        expect(fs.Lock(id, fs.CreateLock(F_RDLCK, 30, 5, 300, "client"))).toBe(true);
+        expect(fs.Lock(id, fs.CreateLock(F_WRLCK, 30, 5, 300, "client"))).toBe(false);
+
+        var conflict = fs.GetLock(id, fs.CreateLock(F_WRLCK, 0, 0, 300, "client"));
+        expect(conflict.procid).toBe(100);
+        expect(fs.GetLockLength(conflict)).toBe(10);
+        conflict = fs.GetLock(id, fs.CreateLock(F_WRLCK, 25, 1, 100, "client"));
+        expect(conflict.procid).toBe(200);
+        expect(fs.GetLockLength(conflict)).toBe(0);
+        done();
+    });
+
+    lab.test('unlocking a part of the range keeps the rest locked', function (done) {
+        var fs = new FS();
+        var id = fs.CreateTextFile("a", 0, "");
+        fs.Lock(id, fs.CreateLock(F_WRLCK, 10, 10, 100, "client"));
+        expect(fs.Lock(id, fs.CreateLock(F_UNLCK, 12, 3, 100, "client"))).toBe(true);
+        expect(fs.GetLock(id, fs.CreateLock(F_WRLCK, 12, 3, 200, "client"))).toBe(null);
+        expect(fs.GetLock(id, fs.CreateLock(F_WRLCK, 11, 1, 200, "client"))).toExist();
+        expect(fs.GetLock(id, fs.CreateLock(F_WRLCK, 15, 1, 200, "client"))).toExist();
+
+        // the same process of another client is another owner
+        expect(fs.Lock(id, fs.CreateLock(F_WRLCK, 10, 1, 100, "other"))).toBe(false);
+
+        fs.ClearLocks();
+        expect(fs.Lock(id, fs.CreateLock(F_WRLCK, 0, 0, 200, "client"))).toBe(true);
+        done();
+    });
+});
@@ -0,0 +1,135 @@
+var message = require('../js/worker/messagehandler');
+var RAM = require('../js/worker/ram');
+var CPU = require('../js/worker/or1k');
+var GDBStub = require('../js/worker/gdbstub');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+function Checksum(str) {
+    var sum = 0;
+    for(var i=0; i<str.length; i++) sum = (sum + str.charCodeAt(i)) & 0xFF;
+    return ("0" + sum.toString(16)).substr(-2);
+}
+
+function Packet(data) {
+    return "$" + data + "#" + Checksum(data);
+}
+
+// An OpenRISC system with 1 MB of memory and a stub, which is attached to a fake connection
+function CreateStub() {
+    var heap = new ArrayBuffer(2 * 0x100000);
+    var ram = new RAM(heap, 0x100000);
+    var cpu = new CPU("safe", ram, heap, 1);
+    cpu.Reset();
+    var system = {
+        cpu: cpu,
+        ram: ram,
+        running: true,
+        Break: function() { this.running = false; },
+        Continue: function() { this.running = true; },
+        SingleStep: function() {}
+    };
+    var stub = new GDBStub(system);
+    var connection = {
+        sent: [],
+        closed: false,
+        Send: function(data) { this.sent.push(data); },
+        Close: function() { this.closed = true; }
+    };
+    stub.Attach(connection);
+    return {system: system, stub: stub, connection: connection};
+}
+
+// sends the packet and returns the answer without the acknowledgment
+function Request(target, data) {
+    target.connection.sent = [];
+    target.stub.Receive(Packet(data));
+    expect(target.connection.sent[0]).toBe("+");
+    return target.connection.sent[1];
+}
+
+lab.experiment('gdbstub', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function() {});
+        done();
+    });
+
+    lab.test('attaching stops the system', function (done) {
+        var target = CreateStub();
+        expect(target.system.running).toBe(false);
+        expect(target.stub.IsStopped()).toBe(true);
+        expect(Request(target, "?")).toBe(Packet("S05"));
+        done();
+    });
+
+    lab.test('memory of the kernel is read and written with the MMU enabled', function (done) {
+        var target = CreateStub();
+        var ram = target.system.ram;
+        [0xDE, 0xAD, 0xBE, 0xEF].forEach(function(x, i) { ram.Write8Big(0x1000 + i, x); });
+        target.system.cpu.cpu.SR_DME = true;
+
+        expect(Request(target, "mc0001000,4")).toBe(Packet("deadbeef"));
+        expect(Request(target, "Mc0001002,2:1234")).toBe(Packet("OK"));
+        expect(ram.Read8Big(0x1002)).toBe(0x12);
+        expect(ram.Read8Big(0x1003)).toBe(0x34);
+
+        // user space addresses are only mapped by the tlb
+        expect(Request(target, "m00001000,4")).toBe(Packet("E14"));
+        done();
+    });
+
+    lab.test('memory is read up to the end of the physical memory', function (done) {
+        var target = CreateStub();
+        expect(Request(target, "m000ffffe,4")).toBe(Packet("0000"));
+        expect(Request(target, "m00100000,4")).toBe(Packet("E14"));
+        done();
+    });
+
+    lab.test('packets with a wrong checksum are not acknowledged', function (done) {
+        var target = CreateStub();
+        target.connection.sent = [];
+        target.stub.Receive("$?#00");
+        expect(target.connection.sent).toEqual(["-"]);
+
+        // packets can arrive in pieces
+        target.connection.sent = [];
+        target.stub.Receive("$?#");
+        expect(target.connection.sent).toEqual([]);
+        target.stub.Receive(Checksum("?"));
+        expect(target.connection.sent).toEqual(["+", Packet("S05")]);
+        done();
+    });
+
+    lab.test('breakpoints are set and removed', function (done) {
+        var target = CreateStub();
+        var cpu = target.system.cpu.cpu;
+        expect(Request(target, "Z0,2000,4")).toBe(Packet("OK"));
+        expect(cpu.breakpoints[0x2000]).toBe(true);
+        expect(Request(target, "z0,2000,4")).toBe(Packet("OK"));
+        expect(cpu.nbreakpoints).toBe(0);
+        expect(Request(target, "Z1,2000,4")).toBe(Packet("")); // hardware breakpoints
+        done();
+    });
+
+    lab.test('continue lets the system run until the next break', function (done) {
+        var target = CreateStub();
+        expect(Request(target, "c")).toBe(undefined);
+        expect(target.system.running).toBe(true);
+        target.connection.sent = [];
+        target.stub.OnBreak();
+        expect(target.connection.sent).toEqual([Packet("S05")]);
+        done();
+    });
+
+    lab.test('only the safe cpu can be debugged', function (done) {
+        var stub = new GDBStub({cpu: {name: "asm", CanDebug: function() { return false; }}});
+        var closed = false;
+        stub.Attach({Send: function() {}, Close: function() { closed = true; }});
+        expect(closed).toBe(true);
+        expect(stub.IsStopped()).toBe(false);
+        done();
+    });
+});
@@ -0,0 +1,110 @@
+var message = require('../js/worker/messagehandler');
+var FS = require('../js/worker/filesystem/filesystem');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+var S_IFREG = 0x8000;
+var S_IFDIR = 0x4000;
+var STATUS_OK = 0x0;
+var STATUS_ON_SERVER = 0x2;
+
+// A backend, which records the calls. They are completed by the test with Complete
+function Backend() {
+    this.calls = [];
+}
+["ReadDirectory", "ReadFile", "WriteFile", "MakeDirectory", "Remove", "Rename"].forEach(function(method) {
+    Backend.prototype[method] = function() {
+        var args = Array.prototype.slice.call(arguments);
+        this.calls.push({method: method, args: args.slice(0, -1), callback: args[args.length-1]});
+    };
+});
+Backend.prototype.Complete = function(index, error, result) {
+    this.calls[index].callback(error, result);
+};
+Backend.prototype.List = function() {
+    return this.calls.map(function(call) { return call.method + " " + call.args[0]; });
+};
+
+// a filesystem with the host directory, which contains the file "a" and the directory "d"
+function CreateFilesystem(backend) {
+    var fs = new FS();
+    fs.LoadHostDirectory(backend);
+    fs.LoadFile(0);
+    backend.Complete(0, null, [
+        {name: "a", mode: S_IFREG | 0x1A4, size: 3, mtime: 1},
+        {name: "d", mode: S_IFDIR | 0x1ED, size: 0, mtime: 1}
+    ]);
+    return fs;
+}
+
+lab.experiment('hostdirectory', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function() {});
+        done();
+    });
+
+    lab.test('the entries of the host are read on demand', function (done) {
+        var backend = new Backend();
+        var fs = CreateFilesystem(backend);
+        expect(backend.List()).toEqual(["ReadDirectory "]);
+        expect(fs.inodes[0].status).toBe(STATUS_OK);
+
+        var id = fs.Search(0, "a");
+        expect(fs.inodes[id].status).toBe(STATUS_ON_SERVER);
+        expect(fs.inodes[id].size).toBe(3);
+        expect(fs.inodes[fs.Search(0, "d")].status).toBe(STATUS_ON_SERVER);
+
+        var loaded = false;
+        fs.AddEvent(id, function() { loaded = true; });
+        fs.LoadFile(id);
+        expect(loaded).toBe(false);
+        backend.Complete(1, null, new Uint8Array([0x61, 0x62, 0x63]));
+        expect(backend.List()).toEqual(["ReadDirectory ", "ReadFile a"]);
+        expect(loaded).toBe(true);
+        expect(fs.inodes[id].status).toBe(STATUS_OK);
+        expect(Buffer.from(fs.inodes[id].data).toString()).toBe("abc");
+        done();
+    });
+
+    lab.test('the changes are sent to the host one after another', function (done) {
+        var backend = new Backend();
+        var fs = CreateFilesystem(backend);
+        var id = fs.CreateDirectory("new", 0);
+        fs.Rename(0, "new", fs.Search(0, "d"), "moved");
+        fs.Unlink(0, "a");
+        expect(backend.List()).toEqual(["ReadDirectory ", "MakeDirectory new"]);
+
+        backend.Complete(1, null);
+        expect(backend.List().slice(2)).toEqual(["Rename new"]);
+        expect(backend.calls[2].args[1]).toBe("d/moved");
+        // the errors of the host are only reported and the queue continues
+        backend.Complete(2, "EACCES");
+        expect(backend.List().slice(3)).toEqual(["Remove a"]);
+        backend.Complete(3, null);
+        expect(backend.calls.length).toBe(4);
+        expect(fs.GetFullPath(id)).toBe("d/moved");
+        done();
+    });
+
+    lab.test('written files are flushed before the host is read again', function (done) {
+        var backend = new Backend();
+        var fs = CreateFilesystem(backend);
+        var id = fs.CreateFile("b", 0);
+        var data = Buffer.from("text");
+        var pos = 0;
+        fs.Write(id, 0, data.length, function() { return data[pos++]; });
+        expect(backend.calls.length).toBe(1); // the data is written after a delay
+
+        fs.LoadFile(fs.Search(0, "d"));
+        expect(backend.List()).toEqual(["ReadDirectory ", "WriteFile b"]);
+        expect(Buffer.from(backend.calls[1].args[1]).toString()).toBe("text");
+        backend.Complete(1, null);
+        expect(backend.List().slice(2)).toEqual(["ReadDirectory d"]);
+        backend.Complete(2, null, []);
+        expect(fs.host.timer).toBe(null);
+        done();
+    });
+});
@@ -0,0 +1,89 @@
+var master = require('../js/master/messagehandler');
+var worker = require('../js/worker/messagehandler');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+// Connects both message handlers like a web worker, which delivers the messages asynchronously
+function Connect() {
+    var endpoint = {
+        postMessage: function(e) {
+            setImmediate(function() { worker.Receive(e.command, e.data, e.id); });
+        }
+    };
+    worker.SetSendHandler(function(e) {
+        setImmediate(function() { endpoint.onmessage({data: e}); });
+    });
+    master.SetWorker(endpoint);
+}
+
+lab.experiment('messagehandler', function() {
+
+    lab.beforeEach(function (done) {
+        Connect();
+        done();
+    });
+
+    lab.test('Request resolves with the result of the worker', function (done) {
+        worker.RegisterRequest("Add", function(data) { return data.a + data.b; });
+        master.Request("Add", {a: 1, b: 2}).then(function(result) {
+            expect(result).toBe(3);
+            done();
+        }).catch(done);
+    });
+
+    lab.test('Request waits for promises of the worker', function (done) {
+        worker.RegisterRequest("Later", function(data) {
+            return new Promise(function(resolve) { setTimeout(function() { resolve(data + "!"); }, 5); });
+        });
+        master.Request("Later", "hello").then(function(result) {
+            expect(result).toBe("hello!");
+            done();
+        }).catch(done);
+    });
+
+    lab.test('concurrent requests get their own responses', function (done) {
+        worker.RegisterRequest("Echo", function(data) { return data; });
+        Promise.all([master.Request("Echo", 1), master.Request("Echo", 2), master.Request("Echo", 3)])
+        .then(function(results) {
+            expect(results).toEqual([1, 2, 3]);
+            done();
+        }).catch(done);
+    });
+
+    lab.test('Request is rejected with the exception of the worker', function (done) {
+        worker.RegisterRequest("Fail", function() { throw new Error("No such file"); });
+        master.Request("Fail", {}).then(function() {
+            done(new Error("request has not failed"));
+        }, function(error) {
+            expect(error.message).toBe("No such file");
+            done();
+        });
+    });
+
+    lab.test('Request is rejected after the timeout', function (done) {
+        worker.RegisterRequest("Never", function() { return new Promise(function() {}); });
+        master.Request("Never", {}, 20).then(function() {
+            done(new Error("request has not timed out"));
+        }, function(error) {
+            expect(error.message).toInclude("timed out");
+            done();
+        });
+    });
+
+    lab.test('listeners can be added and removed', function (done) {
+        var received = [];
+        function OnEvent(data) { received.push(data); }
+        master.AddListener("Event", OnEvent);
+        worker.Send("Event", 1);
+        setTimeout(function() {
+            master.RemoveListener("Event", OnEvent);
+            worker.Send("Event", 2);
+            setTimeout(function() {
+                expect(received).toEqual([1]);
+                done();
+            }, 10);
+        }, 10);
+    });
+});
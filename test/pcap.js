@@ -0,0 +1,77 @@
+var message = require('../js/worker/messagehandler');
+var pcap = require('../js/worker/dev/pcap');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+function CreateFrame(length, n) {
+    var frame = new Uint8Array(length);
+    for(var i=0; i<length; i++) frame[i] = (i + n) & 0xFF;
+    return frame.buffer;
+}
+
+lab.experiment('pcap', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function() {});
+        done();
+    });
+
+    lab.test('the file contains the header and the frames', function (done) {
+        pcap.Capture(CreateFrame(60, 0)); // not recorded before the start
+        pcap.Start();
+        var before = Date.now();
+        pcap.Capture(CreateFrame(60, 1));
+        pcap.Capture(CreateFrame(1514, 2));
+        var buffer = pcap.Stop();
+        var view = new DataView(buffer);
+        var bytes = new Uint8Array(buffer);
+
+        expect(buffer.byteLength).toBe(24 + 16 + 60 + 16 + 1514);
+        expect(view.getUint32(0, true)).toBe(0xA1B2C3D4);
+        expect(view.getUint16(4, true)).toBe(2);
+        expect(view.getUint16(6, true)).toBe(4);
+        expect(view.getUint32(16, true)).toBe(65535);
+        expect(view.getUint32(20, true)).toBe(1); // ethernet
+
+        var seconds = view.getUint32(24, true);
+        expect(seconds).toBeGreaterThanOrEqualTo(Math.floor(before/1000));
+        expect(view.getUint32(28, true)).toBeLessThan(1000000);
+        expect(view.getUint32(32, true)).toBe(60);
+        expect(view.getUint32(36, true)).toBe(60);
+        expect(bytes[40]).toBe(1);
+
+        var offset = 24 + 16 + 60;
+        expect(view.getUint32(offset+8, true)).toBe(1514);
+        expect(view.getUint32(offset+12, true)).toBe(1514);
+        expect(bytes[offset+16]).toBe(2);
+        expect(bytes[offset+16+1513]).toBe((1513 + 2) & 0xFF);
+
+        // the capture has been stopped
+        pcap.Capture(CreateFrame(60, 3));
+        expect(pcap.Stop().byteLength).toBe(24);
+        done();
+    });
+
+    lab.test('long frames are truncated to the snapshot length', function (done) {
+        pcap.Start();
+        pcap.Capture(CreateFrame(70000, 0));
+        var buffer = pcap.Stop();
+        var view = new DataView(buffer);
+        expect(buffer.byteLength).toBe(24 + 16 + 65535);
+        expect(view.getUint32(32, true)).toBe(65535); // captured length
+        expect(view.getUint32(36, true)).toBe(70000); // original length
+        done();
+    });
+
+    lab.test('a new start discards the previous frames', function (done) {
+        pcap.Start();
+        pcap.Capture(CreateFrame(60, 0));
+        pcap.Start();
+        pcap.Capture(CreateFrame(100, 0));
+        var buffer = pcap.Stop();
+        expect(buffer.byteLength).toBe(24 + 16 + 100);
+        done();
+    });
+});
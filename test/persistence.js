@@ -0,0 +1,62 @@
+var message = require('../js/worker/messagehandler');
+var FS = require('../js/worker/filesystem/filesystem');
+var Persistence = require('../js/worker/filesystem/persistence');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+// loads the json files without a web server
+function CreateLoader(loaded) {
+    return {
+        LoadJSON: function(url, OnLoaded) {
+            loaded.push(url);
+            if (OnLoaded) OnLoaded();
+        }
+    };
+}
+
+lab.experiment('persistence', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function() {});
+        done();
+    });
+
+    lab.test('only the paths below the persistent directories are stored', function (done) {
+        var persistence = new Persistence(new FS(), "test", ["/home/user/", "etc"]);
+        expect(persistence.IsPersistent("home/user")).toBe(true);
+        expect(persistence.IsPersistent("home/user/file.c")).toBe(true);
+        expect(persistence.IsPersistent("home/username")).toBe(false);
+        expect(persistence.IsPersistent("etc/passwd")).toBe(true);
+        expect(persistence.IsPersistent("usr")).toBe(false);
+        done();
+    });
+
+    lab.test('the stored files are restored once after the last json file', function (done) {
+        var fs = new FS();
+        var loaded = [];
+        var restored = 0;
+        fs.persistence = {Restore: function() { restored++; }};
+        fs.fsloader = CreateLoader(loaded);
+        fs.LoadFilesystem({basefsURL: "basefs.json", extendedfsURL: "extendedfs.json", persistentpaths: ["home/user"], lazyloadimages: []});
+        expect(loaded).toEqual(["basefs.json"]);
+        expect(restored).toBe(0);
+        fs.OnLoaded();
+        expect(loaded).toEqual(["basefs.json", "extendedfs.json"]);
+        expect(restored).toBe(1);
+        done();
+    });
+
+    lab.test('without extended filesystem the files are restored after the basic one', function (done) {
+        var fs = new FS();
+        var restored = 0;
+        fs.persistence = {Restore: function() { restored++; }};
+        fs.fsloader = CreateLoader([]);
+        fs.LoadFilesystem({basefsURL: "basefs.json", persistentpaths: ["home/user"], lazyloadimages: []});
+        expect(restored).toBe(1);
+        fs.OnLoaded();
+        expect(restored).toBe(1);
+        done();
+    });
+});
@@ -0,0 +1,93 @@
+var message = require('../js/worker/messagehandler');
+var snapshot = require('../js/worker/snapshot');
+var FS = require('../js/worker/filesystem/filesystem');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+lab.experiment('snapshot', function() {
+
+    lab.before(function (done) {
+        message.SetSendHandler(function() {});
+        done();
+    });
+
+    lab.test('Encode and Decode restore numbers, strings, typed arrays and array buffers', function (done) {
+        var state = {
+            pc: 0x100,
+            name: "cpu",
+            flag: true,
+            none: null,
+            list: [1, "a", {x: 2}],
+            regs: new Uint32Array([1, 2, 0xFFFFFFFF]),
+            bytes: new Uint8Array([1, 2, 3]), // not a multiple of 8 bytes
+            floats: new Float64Array([0.5, -1]),
+            overlay: new Uint8Array([9, 8, 7, 6, 5]).buffer
+        };
+        var restored = snapshot.Decode(snapshot.Encode(state));
+
+        expect(restored.pc).toBe(0x100);
+        expect(restored.name).toBe("cpu");
+        expect(restored.flag).toBe(true);
+        expect(restored.none).toBe(null);
+        expect(restored.list).toEqual([1, "a", {x: 2}]);
+        expect(restored.regs instanceof Uint32Array).toBe(true);
+        expect(Array.prototype.slice.call(restored.regs)).toEqual([1, 2, 0xFFFFFFFF]);
+        expect(Array.prototype.slice.call(restored.bytes)).toEqual([1, 2, 3]);
+        expect(Array.prototype.slice.call(restored.floats)).toEqual([0.5, -1]);
+        expect(restored.overlay instanceof ArrayBuffer).toBe(true);
+        expect(Array.prototype.slice.call(new Uint8Array(restored.overlay))).toEqual([9, 8, 7, 6, 5]);
+        done();
+    });
+
+    lab.test('Decode rejects invalid and truncated blobs', function (done) {
+        expect(snapshot.Decode(new ArrayBuffer(8))).toBe(null);
+        expect(snapshot.Decode(new ArrayBuffer(64))).toBe(null);
+        var buffer = snapshot.Encode({data: new Uint8Array(100)});
+        expect(snapshot.Decode(buffer.slice(0, buffer.byteLength - 16))).toBe(null);
+        done();
+    });
+
+    lab.test('GetObjectState skips functions, devices and views of the heap', function (done) {
+        var heap = new ArrayBuffer(16);
+        function Device() {}
+        var obj = {
+            counter: 5,
+            view: new Int32Array(heap),
+            own: new Int32Array(2),
+            dev: new Device(),
+            callback: function() {}
+        };
+        var state = snapshot.GetObjectState(obj, heap);
+        expect(Object.keys(state).sort()).toEqual(["counter", "own"]);
+        done();
+    });
+
+    lab.test('SetObjectState overwrites buffers of the same size in place', function (done) {
+        var regs = new Uint32Array(4);
+        var obj = {regs: regs, counter: 0};
+        var state = snapshot.Decode(snapshot.Encode({regs: new Uint32Array([4, 3, 2, 1]), counter: 7}));
+        snapshot.SetObjectState(obj, state);
+        expect(obj.regs).toBe(regs);
+        expect(Array.prototype.slice.call(regs)).toEqual([4, 3, 2, 1]);
+        expect(obj.counter).toBe(7);
+        done();
+    });
+
+    lab.test('the filesystem survives a round-trip', function (done) {
+        var fs = new FS();
+        var dir = fs.CreateDirectory("home", 0);
+        var file = fs.CreateTextFile("hello.txt", dir, "Hello");
+        fs.Link(dir, "link.txt", file);
+
+        var restored = new FS();
+        restored.SetState(snapshot.Decode(snapshot.Encode(fs.GetState())));
+
+        var id = restored.SearchPathID("home/link.txt");
+        expect(id).toBe(restored.SearchPathID("home/hello.txt"));
+        expect(restored.inodes[id].nlinks).toBe(2);
+        expect(String.fromCharCode.apply(null, restored.inodes[id].data.subarray(0, restored.inodes[id].size))).toBe("Hello");
+        done();
+    });
+});
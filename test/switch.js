@@ -0,0 +1,145 @@
+var Switch = require('../js/master/dev/switch');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+var BROADCAST = [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF];
+
+function MAC(n) {
+    return [0x52, 0x54, 0x00, 0x00, 0x00, n];
+}
+
+function Frame(dst, src, n) {
+    var frame = new Uint8Array(60);
+    frame.set(dst, 0);
+    frame.set(src, 6);
+    frame[14] = n; // to identify the frame
+    return frame.buffer;
+}
+
+// a port of the switch, which records the received frames
+function CreatePort(sw) {
+    var port = sw.CreatePort();
+    port.received = [];
+    port.onmessage = function(e) {
+        port.received.push(new Uint8Array(e.data)[14]);
+    };
+    return port;
+}
+
+// Channels like a BroadcastChannel, which deliver the messages to all other channels of the bus
+function Bus() {
+    this.channels = [];
+}
+Bus.prototype.CreateChannel = function() {
+    var bus = this;
+    var channel = {
+        onmessage: null,
+        postMessage: function(msg) {
+            bus.channels.forEach(function(other) {
+                if ((other !== channel) && other.onmessage) other.onmessage({data: msg});
+            });
+        }
+    };
+    this.channels.push(channel);
+    return channel;
+};
+
+lab.experiment('switch', function() {
+
+    lab.test('frames are forwarded to the learned port only', function (done) {
+        var sw = new Switch.Switch();
+        var a = CreatePort(sw), b = CreatePort(sw), c = CreatePort(sw);
+
+        a.SendFrame(Frame(BROADCAST, MAC(1), 1));
+        expect(a.received).toEqual([]);
+        expect(b.received).toEqual([1]);
+        expect(c.received).toEqual([1]);
+
+        // b is not known yet, so the frame goes to all other ports
+        c.SendFrame(Frame(MAC(2), MAC(3), 2));
+        expect(a.received).toEqual([2]);
+        expect(b.received).toEqual([1, 2]);
+
+        b.SendFrame(Frame(MAC(1), MAC(2), 3));
+        expect(a.received).toEqual([2, 3]);
+        expect(c.received).toEqual([1]);
+
+        c.SendFrame(Frame(MAC(2), MAC(3), 4));
+        expect(b.received).toEqual([1, 2, 4]);
+        expect(a.received).toEqual([2, 3]);
+        done();
+    });
+
+    lab.test('the addresses of a disconnected port are forgotten', function (done) {
+        var sw = new Switch.Switch();
+        var a = CreatePort(sw), b = CreatePort(sw), c = CreatePort(sw);
+        a.SendFrame(Frame(BROADCAST, MAC(1), 1));
+        a.Close();
+        b.SendFrame(Frame(MAC(1), MAC(2), 2));
+        expect(c.received).toEqual([1, 2]);
+        expect(a.received).toEqual([]);
+        done();
+    });
+
+    lab.test('devices like the user network are connected', function (done) {
+        var sw = new Switch.Switch();
+        var a = CreatePort(sw);
+        var device = {
+            received: [],
+            SendFrame: function(data) { this.received.push(new Uint8Array(data)[14]); }
+        };
+        sw.Connect(device);
+        a.SendFrame(Frame(BROADCAST, MAC(1), 1));
+        device.onmessage({data: Frame(MAC(1), MAC(2), 2)});
+        expect(device.received).toEqual([1]);
+        expect(a.received).toEqual([2]);
+        done();
+    });
+
+    lab.test('emulators in other pages are connected via channels', function (done) {
+        var bus = new Bus();
+        var sw = new Switch.Switch();
+        sw.AttachChannel(bus.CreateChannel());
+        var local = CreatePort(sw);
+
+        var clients = [1, 2].map(function() {
+            var client = new Switch.SwitchClient(bus.CreateChannel());
+            client.received = [];
+            client.onmessage = function(e) { client.received.push(new Uint8Array(e.data)[14]); };
+            return client;
+        });
+
+        // the clients are registered and receive broadcasts before they have sent a frame
+        local.SendFrame(Frame(BROADCAST, MAC(1), 1));
+        expect(clients[0].received).toEqual([1]);
+        expect(clients[1].received).toEqual([1]);
+
+        clients[0].SendFrame(Frame(BROADCAST, MAC(2), 2));
+        clients[1].SendFrame(Frame(MAC(2), MAC(3), 3));
+        expect(clients[0].received).toEqual([1, 3]);
+        expect(clients[1].received).toEqual([1, 2]);
+        expect(local.received).toEqual([2]);
+
+        clients[0].Close();
+        expect(sw.ports.length).toBe(2);
+        done();
+    });
+
+    lab.test('frames are delayed and dropped', function (done) {
+        var sw = new Switch.Switch({latency: 5});
+        var a = CreatePort(sw), b = CreatePort(sw);
+        a.SendFrame(Frame(BROADCAST, MAC(1), 1));
+        expect(b.received).toEqual([]);
+        setTimeout(function() {
+            expect(b.received).toEqual([1]);
+
+            var lossy = new Switch.Switch({loss: 1});
+            var c = CreatePort(lossy), d = CreatePort(lossy);
+            c.SendFrame(Frame(BROADCAST, MAC(1), 1));
+            expect(d.received).toEqual([]);
+            done();
+        }, 20);
+    });
+});
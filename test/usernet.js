@@ -0,0 +1,246 @@
+var UserNet = require('../js/master/dev/usernet');
+
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var expect = require('expect');
+
+var GUEST_MAC = [0x52, 0x54, 0x00, 0x12, 0x34, 0x56];
+var GATEWAY_MAC = [0x52, 0x54, 0x00, 0x12, 0x35, 0x02];
+var GUEST_IP = 0x0A00020F; // 10.0.2.15
+var GATEWAY_IP = 0x0A000202;
+var DNS_IP = 0x0A000203;
+
+var TCP_FIN = 0x01;
+var TCP_SYN = 0x02;
+var TCP_RST = 0x04;
+var TCP_PSH = 0x08;
+var TCP_ACK = 0x10;
+
+// ----- packets of the guest -----
+
+function Get16(data, offset) {
+    return (data[offset] << 8) | data[offset+1];
+}
+
+function Get32(data, offset) {
+    return ((data[offset] << 24) | (data[offset+1] << 16) | (data[offset+2] << 8) | data[offset+3]) >>> 0;
+}
+
+function Set16(data, offset, x) {
+    data[offset] = x >> 8;
+    data[offset+1] = x;
+}
+
+function Set32(data, offset, x) {
+    Set16(data, offset, x >>> 16);
+    Set16(data, offset+2, x & 0xFFFF);
+}
+
+function Concat(header, data) {
+    var packet = new Uint8Array(header.length + data.length);
+    packet.set(header, 0);
+    packet.set(data, header.length);
+    return packet;
+}
+
+function Frame(type, payload) {
+    var header = new Uint8Array(14);
+    header.fill(0xFF, 0, 6);
+    header.set(GUEST_MAC, 6);
+    Set16(header, 12, type);
+    return Concat(header, payload).buffer;
+}
+
+function IPFrame(dst, protocol, payload) {
+    var header = new Uint8Array(20);
+    header[0] = 0x45;
+    Set16(header, 2, 20 + payload.length);
+    header[8] = 64;
+    header[9] = protocol;
+    Set32(header, 12, GUEST_IP);
+    Set32(header, 16, dst);
+    return Frame(0x0800, Concat(header, payload));
+}
+
+function UDPFrame(dst, srcport, dstport, data) {
+    var header = new Uint8Array(8);
+    Set16(header, 0, srcport);
+    Set16(header, 2, dstport);
+    Set16(header, 4, 8 + data.length);
+    return IPFrame(dst, 17, Concat(header, data));
+}
+
+function TCPFrame(dst, seq, ack, flags, data) {
+    var header = new Uint8Array(20);
+    Set16(header, 0, 40000);
+    Set16(header, 2, 80);
+    Set32(header, 4, seq);
+    Set32(header, 8, ack);
+    header[12] = 5 << 4;
+    header[13] = flags;
+    Set16(header, 14, 0xFFFF);
+    return IPFrame(dst, 6, Concat(header, Buffer.from(data || "")));
+}
+
+function DNSQuery(name) {
+    var query = [0x12, 0x34, 0x01, 0x00, 0, 1, 0, 0, 0, 0, 0, 0];
+    name.split(".").forEach(function(label) {
+        query.push(label.length);
+        for(var i=0; i<label.length; i++) query.push(label.charCodeAt(i));
+    });
+    query.push(0, 0, 1, 0, 1); // type A, class IN
+    return new Uint8Array(query);
+}
+
+function DHCPMessage(type) {
+    var dhcp = new Uint8Array(244);
+    dhcp[0] = 1; // boot request
+    Set32(dhcp, 4, 0xCAFE); // transaction id
+    dhcp.set(GUEST_MAC, 28);
+    Set32(dhcp, 236, 0x63825363);
+    dhcp.set([53, 1, type, 0xFF], 240);
+    return dhcp;
+}
+
+// ----- frames sent to the guest -----
+
+function Parse(buffer) {
+    var frame = new Uint8Array(buffer);
+    var packet = {frame: frame, type: Get16(frame, 12), payload: frame.subarray(14)};
+    if (packet.type != 0x0800) return packet;
+    var ip = packet.payload;
+    packet.src = Get32(ip, 12);
+    packet.dst = Get32(ip, 16);
+    packet.protocol = ip[9];
+    var data = ip.subarray(20, Get16(ip, 2));
+    if (packet.protocol == 17) {
+        packet.srcport = Get16(data, 0);
+        packet.dstport = Get16(data, 2);
+        packet.data = data.subarray(8);
+    }
+    if (packet.protocol == 6) {
+        packet.seq = Get32(data, 4);
+        packet.ack = Get32(data, 8);
+        packet.flags = data[13];
+        packet.data = Buffer.from(data.subarray((data[12] >> 4) << 2)).toString();
+    }
+    if (packet.protocol == 1) packet.data = data;
+    return packet;
+}
+
+// Sends the frames and returns the answers, which are sent asynchronously
+function Exchange(net, frames, callback) {
+    var replies = [];
+    net.onmessage = function(e) { replies.push(Parse(e.data)); };
+    frames.forEach(function(frame) { net.SendFrame(frame); });
+    setTimeout(function() { callback(replies); }, 10);
+}
+
+lab.experiment('usernet', function() {
+
+    lab.test('the gateway answers ARP requests and pings', function (done) {
+        var net = new UserNet();
+        var arp = new Uint8Array(28);
+        arp.set([0, 1, 8, 0, 6, 4, 0, 1], 0);
+        arp.set(GUEST_MAC, 8);
+        Set32(arp, 14, GUEST_IP);
+        Set32(arp, 24, GATEWAY_IP);
+        var ping = new Uint8Array([8, 0, 0, 0, 0, 1, 0, 1, 0x61, 0x62]);
+
+        Exchange(net, [Frame(0x0806, arp), IPFrame(GATEWAY_IP, 1, ping)], function(replies) {
+            expect(replies.length).toBe(2);
+            expect(replies[0].type).toBe(0x0806);
+            expect(Array.prototype.slice.call(replies[0].frame.subarray(0, 6))).toEqual(GUEST_MAC);
+            expect(Array.prototype.slice.call(replies[0].payload.subarray(8, 14))).toEqual(GATEWAY_MAC);
+            expect(Get32(replies[0].payload, 14)).toBe(GATEWAY_IP);
+
+            expect(replies[1].src).toBe(GATEWAY_IP);
+            expect(replies[1].data[0]).toBe(0); // echo reply
+            expect(Array.prototype.slice.call(replies[1].data.subarray(8))).toEqual([0x61, 0x62]);
+            done();
+        });
+    });
+
+    lab.test('DHCP offers and acknowledges the address of the guest', function (done) {
+        var net = new UserNet();
+        Exchange(net, [UDPFrame(0xFFFFFFFF, 68, 67, DHCPMessage(1)), UDPFrame(0xFFFFFFFF, 68, 67, DHCPMessage(3))], function(replies) {
+            expect(replies.length).toBe(2);
+            [2, 5].forEach(function(type, i) {
+                var dhcp = replies[i].data;
+                expect(replies[i].dstport).toBe(68);
+                expect(Get32(dhcp, 4)).toBe(0xCAFE);
+                expect(Get32(dhcp, 16)).toBe(GUEST_IP);
+                expect(Array.prototype.slice.call(dhcp.subarray(240, 243))).toEqual([53, 1, type]);
+            });
+            done();
+        });
+    });
+
+    lab.test('the DNS server gives every name its own address', function (done) {
+        var net = new UserNet({hosts: {"Server.local": "192.168.1.5"}});
+        var queries = ["example.com", "server.local", "EXAMPLE.com", "other.org"].map(function(name) {
+            return UDPFrame(DNS_IP, 5353, 53, DNSQuery(name));
+        });
+        Exchange(net, queries, function(replies) {
+            var addresses = replies.map(function(reply) {
+                expect(reply.dstport).toBe(5353);
+                expect(Get16(reply.data, 0)).toBe(0x1234);
+                expect(Get16(reply.data, 6)).toBe(1); // one answer
+                return Get32(reply.data, reply.data.length - 4);
+            });
+            expect(addresses).toEqual([0x0A000301, 0xC0A80105, 0x0A000301, 0x0A000302]);
+            done();
+        });
+    });
+
+    lab.test('TCP connections are passed to the handler', function (done) {
+        var received = "";
+        var closed = false;
+        var connection = null;
+        var net = new UserNet({tcp: function(c) {
+            connection = c;
+            c.ondata = function(data) { received += Buffer.from(data).toString(); };
+            c.onclose = function() { closed = true; };
+        }});
+        net.Resolve("example.com");
+
+        Exchange(net, [TCPFrame(0x0A000301, 1000, 0, TCP_SYN)], function(replies) {
+            expect(connection.host).toBe("example.com");
+            expect(connection.port).toBe(80);
+            expect(replies[0].flags).toBe(TCP_SYN | TCP_ACK);
+            expect(replies[0].ack).toBe(1001);
+            var iss = replies[0].seq;
+
+            Exchange(net, [TCPFrame(0x0A000301, 1001, iss + 1, TCP_ACK | TCP_PSH, "GET /")], function(replies) {
+                expect(received).toBe("GET /");
+                expect(replies[0].ack).toBe(1006);
+
+                connection.Send("hello");
+                connection.Close();
+                Exchange(net, [], function(replies) {
+                    expect(replies.map(function(r) { return r.data; })).toEqual(["hello", ""]);
+                    expect(replies[1].flags & TCP_FIN).toBe(TCP_FIN);
+
+                    Exchange(net, [TCPFrame(0x0A000301, 1006, iss + 7, TCP_ACK | TCP_FIN)], function(replies) {
+                        expect(closed).toBe(true);
+                        expect(replies[0].ack).toBe(1007);
+                        expect(Object.keys(net.connections)).toEqual([]);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    lab.test('refused connections and unknown segments are reset', function (done) {
+        var net = new UserNet({tcp: function() { return false; }});
+        Exchange(net, [TCPFrame(0x0A000301, 1000, 0, TCP_SYN), TCPFrame(0x0A000301, 2000, 5, TCP_ACK)], function(replies) {
+            expect(replies[0].flags).toBe(TCP_RST | TCP_ACK);
+            expect(replies[0].ack).toBe(1001);
+            expect(replies[1].flags).toBe(TCP_RST);
+            expect(replies[1].seq).toBe(5);
+            expect(Object.keys(net.connections)).toEqual([]);
+            done();
+        });
+    });
+});